@@ -4,9 +4,10 @@
  * This is the root component of the Personal Finance Visualizer application.
  * It sets up:
  * 1. Client-side routing with React Router
- * 2. Global state providers for transactions, categories, and budgets
- * 3. Main layout structure
- * 4. Route definitions for all pages
+ * 2. Authentication gate (login/register before any data is loaded)
+ * 3. Global state providers for transactions, categories, and budgets
+ * 4. Main layout structure
+ * 5. Route definitions for all pages
  */
 
 import React from 'react';
@@ -21,38 +22,65 @@ import Dashboard from './pages/Dashboard';       // Main dashboard with overview
 import Transactions from './pages/Transactions'; // Transaction management
 import Categories from './pages/Categories';     // Category management
 import Budgets from './pages/Budgets';           // Budget planning
+import Accounts from './pages/Accounts';         // Accounts and balances
+import Goals from './pages/Goals';               // Savings goals
+import Import from './pages/Import';             // Transaction import wizard
+import Duplicates from './pages/Duplicates';     // Duplicate transaction review
+import Rules from './pages/Rules';               // Auto-categorization rules
+import Payees from './pages/Payees';             // Payees and top payees
+import Backup from './pages/Backup';             // Backup and restore
+import Login from './pages/Login';               // Sign-in form
+import Register from './pages/Register';         // Account creation
 // Context providers for global state management
+import { AuthProvider, useAuth } from './context/AuthContext';
 import { TransactionProvider } from './context/TransactionContext';
 import { CategoryProvider } from './context/CategoryContext';
 import { BudgetProvider } from './context/BudgetContext';
+import { AccountProvider } from './context/AccountContext';
 // Global styles
 import './App.css';
 
 /**
- * App component - Application entry point
+ * AppRoutes component - chooses between the public and signed-in route trees
  * 
- * Sets up the component hierarchy and routing structure
+ * Data providers are only mounted once a user is signed in, so every
+ * fetch they make on mount carries that user's token. Signing out unmounts
+ * them, which also discards the previous user's data.
  * 
- * Note the nested structure of providers:
- * - Router provides navigation context
- * - TransactionProvider, CategoryProvider, and BudgetProvider provide data contexts
- * - Layout provides the visual structure (header, sidebar, main content area)
- * - Routes define the mapping between URLs and page components
- * 
- * @returns {JSX.Element} The rendered application
+ * @returns {JSX.Element} The routes for the current auth state
  */
-function App() {
+function AppRoutes() {
+  const { isAuthenticated, loading } = useAuth();
+  
+  // Wait while a saved session is being verified
+  if (loading && !isAuthenticated) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+  
+  if (!isAuthenticated) {
+    return (
+      <Routes>
+        <Route path="/login" element={<Login />} />
+        <Route path="/register" element={<Register />} />
+        {/* Everything else requires a session */}
+        <Route path="*" element={<Navigate to="/login" replace />} />
+      </Routes>
+    );
+  }
+  
+  // Transaction provider - outermost data context
   return (
-    <Router>
-      {/* Theme transition overlay for animation when toggling themes */}
-      <ThemeTransitionOverlay />
-      
-      {/* Transaction provider - outermost data context */}
-      <TransactionProvider>
-        {/* Category provider - categories needed for transactions */}
-        <CategoryProvider>
-          {/* Budget provider - budgets depend on categories */}
-          <BudgetProvider>
+    <TransactionProvider>
+      {/* Category provider - categories needed for transactions */}
+      <CategoryProvider>
+        {/* Budget provider - budgets depend on categories */}
+        <BudgetProvider>
+          {/* Account provider - balances shown alongside transactions */}
+          <AccountProvider>
             {/* Layout component provides consistent page structure */}
             <Layout>
               {/* Route definitions map URLs to page components */}
@@ -61,17 +89,59 @@ function App() {
                 <Route path="/" element={<Dashboard />} />
                 {/* Transaction management page */}
                 <Route path="/transactions" element={<Transactions />} />
+                {/* Import transactions from a bank file */}
+                <Route path="/import" element={<Import />} />
+                {/* Review likely duplicate transactions */}
+                <Route path="/duplicates" element={<Duplicates />} />
                 {/* Category management page */}
                 <Route path="/categories" element={<Categories />} />
+                {/* Rules that categorize transactions automatically */}
+                <Route path="/rules" element={<Rules />} />
+                {/* Payees and the aliases that identify them */}
+                <Route path="/payees" element={<Payees />} />
                 {/* Budget planning and tracking page */}
                 <Route path="/budgets" element={<Budgets />} />
-                {/* Catch-all for undefined routes - redirect to home */}
+                {/* Accounts and balances page */}
+                <Route path="/accounts" element={<Accounts />} />
+                {/* Savings goals and their progress */}
+                <Route path="/goals" element={<Goals />} />
+                {/* Download a backup or restore one */}
+                <Route path="/backup" element={<Backup />} />
+                {/* Catch-all for undefined routes (including /login after signing in) - redirect to home */}
                 <Route path="*" element={<Navigate to="/" replace />} />
               </Routes>
             </Layout>
-          </BudgetProvider>
-        </CategoryProvider>
-      </TransactionProvider>
+          </AccountProvider>
+        </BudgetProvider>
+      </CategoryProvider>
+    </TransactionProvider>
+  );
+}
+
+/**
+ * App component - Application entry point
+ * 
+ * Sets up the component hierarchy and routing structure
+ * 
+ * Note the nested structure of providers:
+ * - Router provides navigation context
+ * - AuthProvider tracks the signed-in user
+ * - TransactionProvider, CategoryProvider, BudgetProvider and AccountProvider provide data contexts
+ * - Layout provides the visual structure (header, sidebar, main content area)
+ * - Routes define the mapping between URLs and page components
+ * 
+ * @returns {JSX.Element} The rendered application
+ */
+function App() {
+  return (
+    <Router>
+      {/* Theme transition overlay for animation when toggling themes */}
+      <ThemeTransitionOverlay />
+      
+      {/* Auth provider - decides whether data providers are mounted */}
+      <AuthProvider>
+        <AppRoutes />
+      </AuthProvider>
     </Router>
   );
 }
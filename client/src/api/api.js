@@ -5,8 +5,9 @@
  * It handles:
  * - Base URL configuration
  * - Default headers
+ * - Authentication token handling
  * - Error handling
- * - Structured API calls for different data types (transactions, categories, budgets)
+ * - Structured API calls for different data types (auth, transactions, categories, budgets, accounts, recurring rules, categorization rules, payees, goals, exports, backups)
  */
 
 import axios from 'axios';
@@ -18,6 +19,12 @@ const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
 // Log the API URL during development to verify configuration
 console.log('API_URL:', API_URL); 
 
+// localStorage key under which the JWT is kept between sessions
+export const TOKEN_STORAGE_KEY = 'authToken';
+
+// Window event fired when the server rejects our token (expired, revoked, etc.)
+export const AUTH_LOGOUT_EVENT = 'auth:logout';
+
 /**
  * Create an axios instance with default configuration
  * This provides consistent settings across all API calls
@@ -29,6 +36,20 @@ export const api = axios.create({
   },
 });
 
+/**
+ * Request interceptor that attaches the stored token
+ * 
+ * Every data endpoint on the server requires a bearer token, so the token
+ * saved at login is sent with each request when present.
+ */
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
 /**
  * Response interceptor for global error handling
  * 
@@ -36,6 +57,7 @@ export const api = axios.create({
  * 1. Standard error formatting
  * 2. Consistent error handling across the app
  * 3. Fallback error messages when server response is incomplete
+ * 4. Sign-out when the server rejects the token (401)
  */
 api.interceptors.response.use(
   // Success path - just pass through the response
@@ -46,6 +68,13 @@ api.interceptors.response.use(
     // Log the full error for debugging
     console.error('API Error:', error.response || error);
     
+    // A 401 on an authenticated request means the session is no longer valid.
+    // Drop the token and let the AuthProvider return the user to the login page.
+    if (error.response?.status === 401 && error.config?.headers?.Authorization) {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+      window.dispatchEvent(new CustomEvent(AUTH_LOGOUT_EVENT));
+    }
+    
     // Extract useful error information
     let errorMessage = 'An unexpected error occurred';
     if (error.response?.data?.message) {
@@ -69,6 +98,72 @@ api.interceptors.response.use(
   }
 );
 
+// Query parameters without the empty ones, so unset filters are not sent
+const withoutEmptyParams = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+/**
+ * Save a blob response as a file
+ * The name comes from the Content-Disposition header (its UTF-8 filename*
+ * form first), or fallbackName when the server sent none.
+ * @param {Object} response - Axios response with a blob body
+ * @param {string} fallbackName - File name to use otherwise
+ */
+const downloadBlob = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(disposition)?.[1];
+  const filename = (encoded && decodeURIComponent(encoded)) ||
+    /filename="([^"]+)"/.exec(disposition)?.[1] ||
+    fallbackName;
+
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Auth API Service
+ * 
+ * Registration, login and retrieval of the signed-in user.
+ * Errors are re-thrown so forms can show the server's message.
+ */
+export const authAPI = {
+  /**
+   * Create a new account
+   * @param {Object} data - { name, email, password }
+   * @returns {Object} { token, user }
+   */
+  register: async (data) => {
+    const response = await api.post('/auth/register', data);
+    return response.data;
+  },
+  
+  /**
+   * Sign in with email and password
+   * @param {Object} credentials - { email, password }
+   * @returns {Object} { token, user }
+   */
+  login: async (credentials) => {
+    const response = await api.post('/auth/login', credentials);
+    return response.data;
+  },
+  
+  /**
+   * Fetch the user that owns the current token
+   * @returns {Object} User object
+   */
+  me: async () => {
+    const response = await api.get('/auth/me');
+    return response.data;
+  },
+};
+
 /**
  * Transaction API Service
  * 
@@ -96,6 +191,23 @@ export const transactionAPI = {
     }
   },
   
+  /**
+   * Fetch every transaction matching the list filters, without paging
+   * Uses the same filters as exportAPI.download, so an export of the same
+   * filters contains exactly these transactions.
+   * @param {Object} filters - { startDate, endDate, category, type, account, tags, search }
+   * @returns {Array} Matching transactions, newest first, or empty array if error occurs
+   */
+  getFiltered: async (filters) => {
+    try {
+      const response = await api.get('/transactions', { params: { ...withoutEmptyParams(filters), limit: 0 } });
+      return Array.isArray(response.data.transactions) ? response.data.transactions : [];
+    } catch (error) {
+      console.error('Error fetching filtered transactions:', error);
+      return [];
+    }
+  },
+  
   /**
    * Fetch a single transaction by ID
    * @param {string} id - Transaction ID to retrieve
@@ -151,6 +263,153 @@ export const transactionAPI = {
     const response = await api.delete(`/transactions/${id}`);
     return response.data;
   },
+  
+  /**
+   * Import transactions from a CSV, OFX/QFX or QIF file
+   * A CSV sent without a mapping is only described (headers, sample rows,
+   * suggested mapping); with dryRun every row is previewed without saving.
+   * @param {Object} payload - { content, format, mapping, options, accountId, dryRun }
+   * @returns {Object} Description, preview or import result
+   * @throws Will throw an error if the file cannot be read
+   */
+  import: async (payload) => {
+    const response = await api.post('/transactions/import', payload);
+    return response.data;
+  },
+  
+  /**
+   * List the tags in use, most used first
+   * @returns {Array} { tag, count } entries or empty array if error occurs
+   */
+  getTags: async () => {
+    try {
+      const response = await api.get('/transactions/tags');
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Suggest a category for a description, learned from past transactions
+   * @param {Object} params - { description, type, amount }
+   * @returns {Object|null} { suggestion, alternatives, trainedOn } or null if error occurs
+   */
+  suggestCategory: async (params) => {
+    try {
+      const response = await api.get('/transactions/suggest-category', { params });
+      return response.data || null;
+    } catch (error) {
+      console.error('Error suggesting category:', error);
+      return null;
+    }
+  },
+  
+  /**
+   * List the receipts and documents attached to a transaction
+   * @param {string} id - Transaction ID
+   * @returns {Array} Attachments or empty array if error occurs
+   */
+  getAttachments: async (id) => {
+    try {
+      const response = await api.get(`/transactions/${id}/attachments`);
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error(`Error fetching attachments of transaction ${id}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Attach files (images or PDFs) to a transaction
+   * @param {string} id - Transaction ID
+   * @param {Array<File>} files - Files chosen by the user
+   * @returns {Array} The transaction's attachments
+   * @throws Will throw an error if the upload is rejected
+   */
+  uploadAttachments: async (id, files) => {
+    const form = new FormData();
+    files.forEach((file) => form.append('files', file));
+    const response = await api.post(`/transactions/${id}/attachments`, form, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  /**
+   * Fetch the file of an attachment, e.g. to show an image thumbnail
+   * @param {string} id - Transaction ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Blob} File contents
+   * @throws Will throw an error if the file cannot be fetched
+   */
+  getAttachmentFile: async (id, attachmentId) => {
+    const response = await api.get(`/transactions/${id}/attachments/${attachmentId}`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  /**
+   * Download an attachment under its original file name
+   * @param {string} id - Transaction ID
+   * @param {Object} attachment - { _id, filename }
+   * @throws Will throw an error if the file cannot be fetched
+   */
+  downloadAttachment: async (id, attachment) => {
+    const response = await api.get(`/transactions/${id}/attachments/${attachment._id}`, {
+      params: { download: 1 },
+      responseType: 'blob',
+    });
+    downloadBlob(response, attachment.filename);
+  },
+
+  /**
+   * Remove an attachment
+   * @param {string} id - Transaction ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Array} The transaction's remaining attachments
+   */
+  deleteAttachment: async (id, attachmentId) => {
+    const response = await api.delete(`/transactions/${id}/attachments/${attachmentId}`);
+    return response.data;
+  },
+
+  /**
+   * Find groups of likely duplicate transactions
+   * @param {number} days - Largest number of days between duplicates
+   * @param {number} lookback - How many days back to search
+   * @returns {Array} Groups of { amount, transactions } or empty array if error occurs
+   */
+  getDuplicates: async (days = 3, lookback = 90) => {
+    try {
+      const response = await api.get(`/transactions/duplicates?days=${days}&lookback=${lookback}`);
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching duplicate transactions:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Merge duplicates into the transaction that is kept
+   * @param {string} keepId - Transaction to keep
+   * @param {Array<string>} mergeIds - Transactions merged into it and deleted
+   * @returns {Object} { transaction, removedIds }
+   */
+  mergeDuplicates: async (keepId, mergeIds) => {
+    const response = await api.post('/transactions/duplicates/merge', { keepId, mergeIds });
+    return response.data;
+  },
+  
+  /**
+   * Mark transactions as not duplicates of each other
+   * @param {Array<string>} ids - Transactions in the group
+   * @returns {Object} { dismissed }
+   */
+  dismissDuplicates: async (ids) => {
+    const response = await api.post('/transactions/duplicates/dismiss', { ids });
+    return response.data;
+  },
 };
 
 // Category API calls
@@ -185,6 +444,17 @@ export const categoryAPI = {
     const response = await api.delete(`/categories/${id}`);
     return response.data;
   },
+  // Counts of the transactions, budgets, rules, recurring rules and
+  // subcategories that use a category
+  getUsage: async (id) => {
+    const response = await api.get(`/categories/${id}/usage`);
+    return response.data;
+  },
+  // Move everything from one category to another and remove the first
+  merge: async (id, targetId) => {
+    const response = await api.post(`/categories/${id}/merge`, { targetId });
+    return response.data;
+  },
 };
 
 // Budget API calls
@@ -219,6 +489,269 @@ export const budgetAPI = {
     const response = await api.delete(`/budgets/${id}`);
     return response.data;
   },
+  // Copy a month's budgets ({ toMonth, toYear, fromMonth?, fromYear?, onConflict })
+  copy: async (options) => {
+    const response = await api.post('/budgets/copy', options);
+    return response.data;
+  },
+  // Envelopes and the ready-to-assign pool for a month ({ month, year })
+  getEnvelopes: async (params) => {
+    const response = await api.get('/budgets/envelopes', { params });
+    return response.data;
+  },
+  // Move money between envelopes ({ month, year, fromCategoryId?, toCategoryId?, amount });
+  // resolves to the month's envelopes
+  moveEnvelopeMoney: async (move) => {
+    const response = await api.post('/budgets/envelopes/move', move);
+    return response.data;
+  },
+};
+
+// Budget template API calls
+// A template is a named set of category budgets that can be applied to any month
+export const budgetTemplateAPI = {
+  getAll: async () => {
+    const response = await api.get('/budget-templates');
+    return Array.isArray(response.data) ? response.data : [];
+  },
+  // { name, items } or { name, fromMonth, fromYear } to save a month's budgets
+  create: async (template) => {
+    const response = await api.post('/budget-templates', template);
+    return response.data;
+  },
+  update: async (id, template) => {
+    const response = await api.put(`/budget-templates/${id}`, template);
+    return response.data;
+  },
+  delete: async (id) => {
+    const response = await api.delete(`/budget-templates/${id}`);
+    return response.data;
+  },
+  // { month, year, onConflict }
+  apply: async (id, options) => {
+    const response = await api.post(`/budget-templates/${id}/apply`, options);
+    return response.data;
+  },
+};
+
+// Global budget API calls
+// A global budget caps total spending over a period, whatever the category
+export const globalBudgetAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/budgets/global');
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching global budgets:', error);
+      return [];
+    }
+  },
+  create: async (globalBudget) => {
+    const response = await api.post('/budgets/global', globalBudget);
+    return response.data;
+  },
+  update: async (id, globalBudget) => {
+    const response = await api.put(`/budgets/global/${id}`, globalBudget);
+    return response.data;
+  },
+  delete: async (id) => {
+    const response = await api.delete(`/budgets/global/${id}`);
+    return response.data;
+  },
+};
+
+// Notification API calls
+// Budget alerts and their read state; getAll resolves to { notifications, unreadCount }
+export const notificationAPI = {
+  getAll: async (params = {}) => {
+    const response = await api.get('/notifications', { params });
+    return response.data;
+  },
+  markRead: async (id, read = true) => {
+    const response = await api.put(`/notifications/${id}`, { read });
+    return response.data;
+  },
+  markAllRead: async () => {
+    const response = await api.post('/notifications/read-all');
+    return response.data;
+  },
+  delete: async (id) => {
+    const response = await api.delete(`/notifications/${id}`);
+    return response.data;
+  },
+};
+
+// Account API calls
+// Accounts are returned with a computed currentBalance
+export const accountAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/accounts');
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching accounts:', error);
+      return [];
+    }
+  },
+  getById: async (id) => {
+    try {
+      const response = await api.get(`/accounts/${id}`);
+      return response.data || null;
+    } catch (error) {
+      console.error(`Error fetching account ${id}:`, error);
+      return null;
+    }
+  },
+  create: async (account) => {
+    const response = await api.post('/accounts', account);
+    return response.data;
+  },
+  update: async (id, account) => {
+    const response = await api.put(`/accounts/${id}`, account);
+    return response.data;
+  },
+  delete: async (id) => {
+    const response = await api.delete(`/accounts/${id}`);
+    return response.data;
+  },
+};
+
+// Recurring rule API calls
+// Occurrence dates are "YYYY-MM-DD" strings
+export const recurringAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/recurring');
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching recurring rules:', error);
+      return [];
+    }
+  },
+  getUpcoming: async (days = 30) => {
+    try {
+      const response = await api.get(`/recurring/upcoming?days=${days}`);
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching upcoming occurrences:', error);
+      return [];
+    }
+  },
+  create: async (rule) => {
+    const response = await api.post('/recurring', rule);
+    return response.data;
+  },
+  update: async (id, rule) => {
+    const response = await api.put(`/recurring/${id}`, rule);
+    return response.data;
+  },
+  delete: async (id) => {
+    const response = await api.delete(`/recurring/${id}`);
+    return response.data;
+  },
+  // Skip ({ skip: true }) or edit one occurrence
+  updateOccurrence: async (id, date, changes) => {
+    const response = await api.put(`/recurring/${id}/occurrences/${date}`, changes);
+    return response.data;
+  },
+  // Undo a skip or edit
+  restoreOccurrence: async (id, date) => {
+    const response = await api.delete(`/recurring/${id}/occurrences/${date}`);
+    return response.data;
+  },
+};
+
+// Categorization rule API calls
+export const ruleAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/rules');
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching rules:', error);
+      return [];
+    }
+  },
+  create: async (rule) => {
+    const response = await api.post('/rules', rule);
+    return response.data;
+  },
+  update: async (id, rule) => {
+    const response = await api.put(`/rules/${id}`, rule);
+    return response.data;
+  },
+  delete: async (id) => {
+    const response = await api.delete(`/rules/${id}`);
+    return response.data;
+  },
+  /**
+   * Re-run the rules over existing transactions
+   * @param {Object} payload - { dryRun, scope ('uncategorized' or 'all'), startDate, endDate, transactionIds }
+   * @returns {Object} { dryRun, changes, updated }
+   */
+  run: async (payload) => {
+    const response = await api.post('/rules/run', payload);
+    return response.data;
+  },
+};
+
+// Payee API calls
+export const payeeAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/payees');
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching payees:', error);
+      return [];
+    }
+  },
+  create: async (payee) => {
+    const response = await api.post('/payees', payee);
+    return response.data;
+  },
+  update: async (id, payee) => {
+    const response = await api.put(`/payees/${id}`, payee);
+    return response.data;
+  },
+  delete: async (id) => {
+    const response = await api.delete(`/payees/${id}`);
+    return response.data;
+  },
+};
+
+// Savings goal API calls
+// Goals are returned with a computed progress ({ savedAmount, percent, requiredMonthly, status, ... })
+export const goalAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/goals');
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching goals:', error);
+      return [];
+    }
+  },
+  create: async (goal) => {
+    const response = await api.post('/goals', goal);
+    return response.data;
+  },
+  update: async (id, goal) => {
+    const response = await api.put(`/goals/${id}`, goal);
+    return response.data;
+  },
+  delete: async (id) => {
+    const response = await api.delete(`/goals/${id}`);
+    return response.data;
+  },
+  addContribution: async (id, contribution) => {
+    const response = await api.post(`/goals/${id}/contributions`, contribution);
+    return response.data;
+  },
+  removeContribution: async (id, contributionId) => {
+    const response = await api.delete(`/goals/${id}/contributions/${contributionId}`);
+    return response.data;
+  },
 };
 
 // Analytics API calls
@@ -245,18 +778,29 @@ export const analyticsAPI = {
       return [];
     }
   },
-  getBudgetComparison: async (month, year) => {
+  /**
+   * Payees with the largest totals over a date range
+   * @param {Object} params - { startDate, endDate, type, limit }
+   * @returns {Array} { payeeId, name, total, count, lastDate } or empty array if error occurs
+   */
+  getTopPayees: async (params) => {
     try {
-      console.log(`Fetching budget comparison for month: ${month}, year: ${year}`);
-      const response = await api.get(`/analytics/budget-comparison?month=${month}&year=${year}`);
-      
-      // Check response structure
-      if (!response.data) {
-        console.error('Budget comparison response is empty or null');
-        return [];
-      }
-      
-      console.log('Budget comparison response:', response.data);
+      const response = await api.get('/analytics/top-payees', { params });
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      console.error('Error fetching top payees:', error);
+      return [];
+    }
+  },
+  /**
+   * Budget vs actual spending over a window
+   * Budgets that only partly overlap the window are prorated by day.
+   * @param {Object} params - { startDate, endDate } or { month, year }
+   * @returns {Array} Comparison rows or empty array if error occurs
+   */
+  getBudgetComparison: async (params) => {
+    try {
+      const response = await api.get('/analytics/budget-comparison', { params });
       return Array.isArray(response.data) ? response.data : [];
     } catch (error) {
       console.error('Error fetching budget comparison:', error);
@@ -264,3 +808,42 @@ export const analyticsAPI = {
     }
   },
 };
+
+// Export API calls
+// Files are downloaded as blobs and saved with the name the server chose
+export const exportAPI = {
+  /**
+   * Download an export file
+   * @param {Object} params - { format, dataset } plus transaction filters
+   *        (startDate, endDate, category, type, account, search)
+   * @throws Will throw an error if the export fails
+   */
+  download: async (params) => {
+    const query = withoutEmptyParams(params);
+    const response = await api.get('/export', { params: query, responseType: 'blob' });
+    downloadBlob(response, `export.${query.format || 'csv'}`);
+  },
+};
+
+// Backup API calls
+export const backupAPI = {
+  /**
+   * Download a backup of all the user's data as a JSON file
+   * @throws Will throw an error if the backup fails
+   */
+  download: async () => {
+    const response = await api.get('/backup', { responseType: 'blob' });
+    downloadBlob(response, 'finance-backup.json');
+  },
+  
+  /**
+   * Restore a backup file
+   * @param {Object} payload - { backup (parsed file), mode ('merge' or 'replace'), dryRun }
+   * @returns {Object} { mode, dryRun, entities: { [name]: { total, created, skipped } }, warnings }
+   * @throws Will throw an error if the file is not valid or the restore fails
+   */
+  restore: async (payload) => {
+    const response = await api.post('/backup/restore', payload);
+    return response.data;
+  },
+};
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { useAccounts } from '../../context/AccountContext';
+
+// Supported account types and their display labels
+export const ACCOUNT_TYPES = [
+  { value: 'checking', label: 'Checking' },
+  { value: 'savings', label: 'Savings' },
+  { value: 'credit_card', label: 'Credit Card' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'loan', label: 'Loan' },
+];
+
+// Predefined color options for accounts
+const COLOR_OPTIONS = [
+  { label: 'Blue', value: '#3b82f6' },
+  { label: 'Green', value: '#10b981' },
+  { label: 'Amber', value: '#f59e0b' },
+  { label: 'Purple', value: '#8b5cf6' },
+  { label: 'Red', value: '#ef4444' },
+  { label: 'Cyan', value: '#06b6d4' },
+  { label: 'Gray', value: '#6E7582' },
+];
+
+export const AccountForm = ({ account, onSave, onCancel }) => {
+  const { addAccount, updateAccount } = useAccounts();
+  
+  const isEditing = !!account?._id;
+  
+  const [formData, setFormData] = useState({
+    name: account?.name || '',
+    type: account?.type || ACCOUNT_TYPES[0].value,
+    openingBalance: account?.openingBalance ?? 0,
+    color: account?.color || COLOR_OPTIONS[0].value,
+  });
+  
+  const [errors, setErrors] = useState({});
+  
+  const validateForm = () => {
+    const newErrors = {};
+    
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+    
+    if (formData.openingBalance === '' || isNaN(formData.openingBalance)) {
+      newErrors.openingBalance = 'Opening balance must be a number';
+    }
+    
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+  
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    
+    // Clear the error for this field
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) return;
+    
+    try {
+      const accountData = {
+        ...formData,
+        openingBalance: parseFloat(formData.openingBalance),
+      };
+      
+      let result;
+      if (isEditing) {
+        result = await updateAccount(account._id, accountData);
+      } else {
+        result = await addAccount(accountData);
+      }
+      onSave(result);
+    } catch (error) {
+      console.error('Error saving account:', error);
+      setErrors((prev) => ({ ...prev, form: error.message || 'Failed to save account' }));
+    }
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <Label htmlFor="name">Name</Label>
+        <Input
+          id="name"
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          className={errors.name ? 'border-red-500' : ''}
+          placeholder="e.g. Everyday Checking"
+        />
+        {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
+      </div>
+      
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="type">Type</Label>
+          <Select
+            id="type"
+            name="type"
+            value={formData.type}
+            onChange={handleChange}
+          >
+            {ACCOUNT_TYPES.map((type) => (
+              <SelectOption key={type.value} value={type.value}>
+                {type.label}
+              </SelectOption>
+            ))}
+          </Select>
+        </div>
+        
+        <div>
+          <Label htmlFor="openingBalance">Opening Balance</Label>
+          <Input
+            id="openingBalance"
+            name="openingBalance"
+            type="number"
+            step="0.01"
+            value={formData.openingBalance}
+            onChange={handleChange}
+            className={errors.openingBalance ? 'border-red-500' : ''}
+            placeholder="Negative for credit cards and loans"
+          />
+          {errors.openingBalance && <p className="text-red-500 text-sm mt-1">{errors.openingBalance}</p>}
+        </div>
+      </div>
+      
+      <div>
+        <Label htmlFor="color">Color</Label>
+        <Select
+          id="color"
+          name="color"
+          value={formData.color}
+          onChange={handleChange}
+        >
+          {COLOR_OPTIONS.map((option) => (
+            <SelectOption key={option.value} value={option.value}>
+              {option.label}
+            </SelectOption>
+          ))}
+        </Select>
+      </div>
+      
+      {errors.form && (
+        <div className="p-3 bg-red-100 border border-red-300 rounded text-red-700">
+          {errors.form}
+        </div>
+      )}
+      
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto">
+          Cancel
+        </Button>
+        <Button type="submit" className="w-full sm:w-auto">
+          {isEditing ? 'Update' : 'Create'} Account
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+AccountForm.propTypes = {
+  account: PropTypes.shape({
+    _id: PropTypes.string,
+    name: PropTypes.string,
+    type: PropTypes.string,
+    openingBalance: PropTypes.number,
+    color: PropTypes.string,
+  }),
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
@@ -0,0 +1,89 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Card } from '../ui/card';
+import { Button } from '../ui/button';
+import { formatCurrency } from '../../lib/format';
+import { ACCOUNT_TYPES } from './AccountForm';
+
+export const AccountList = ({ accounts, onEdit, onDelete }) => {
+  // Helper to get the display label for an account type
+  const getTypeLabel = (type) => {
+    const match = ACCOUNT_TYPES.find((t) => t.value === type);
+    return match ? match.label : type;
+  };
+  
+  if (accounts.length === 0) {
+    return (
+      <Card>
+        <div className="p-6 text-center">
+          <p className="text-muted">No accounts yet. Add one to start tracking balances.</p>
+        </div>
+      </Card>
+    );
+  }
+  
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+      {accounts.map((account) => (
+        <Card key={account._id} className="overflow-hidden">
+          <div className="p-4">
+            <div className="flex items-center mb-2">
+              <div
+                className="w-6 h-6 rounded-full mr-3 shrink-0"
+                style={{ backgroundColor: account.color || '#6E7582' }}
+              ></div>
+              <div className="min-w-0">
+                <h3 className="font-medium truncate">{account.name}</h3>
+                <p className="text-xs text-muted-light dark:text-muted-dark">{getTypeLabel(account.type)}</p>
+              </div>
+            </div>
+            <div className={`text-2xl font-semibold mb-1 ${
+              account.currentBalance < 0
+                ? 'text-red-500 dark:text-red-400'
+                : 'text-emerald-500 dark:text-emerald-400'
+            }`}>
+              {formatCurrency(account.currentBalance)}
+            </div>
+            <p className="text-xs text-muted-light dark:text-muted-dark mb-4">
+              Opening {formatCurrency(account.openingBalance)} · {account.transactionCount || 0} transactions
+            </p>
+            <div className="flex flex-col xs:flex-row gap-2">
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => onEdit(account)}
+                className="flex-1 py-1 h-8"
+              >
+                Edit
+              </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => onDelete(account._id)}
+                className="flex-1 py-1 h-8"
+              >
+                Delete
+              </Button>
+            </div>
+          </div>
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+AccountList.propTypes = {
+  accounts: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      type: PropTypes.string,
+      color: PropTypes.string,
+      openingBalance: PropTypes.number,
+      currentBalance: PropTypes.number,
+      transactionCount: PropTypes.number,
+    })
+  ).isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
@@ -6,35 +6,50 @@ import { Label } from '../ui/label';
 import { Select, SelectOption } from '../ui/select';
 import { useBudgets } from '../../context/BudgetContext';
 import { useCategories } from '../../context/CategoryContext';
-import { getCurrentMonthYear } from '../../lib/format';
+import {
+  getInitialPeriodValues,
+  validatePeriodValues,
+  getPeriodPayload,
+  formatAlertThresholds,
+  parseAlertThresholds,
+} from '../../lib/budgets';
+import { CategoryOptions } from '../categories/CategoryOptions';
+import { BudgetPeriodFields } from './BudgetPeriodFields';
+
+// What happens to the rest of a budget when its period ends
+const ROLLOVER_OPTIONS = [
+  { value: 'none', label: "Don't carry anything over" },
+  { value: 'unspent', label: 'Carry over unspent money' },
+  { value: 'all', label: 'Carry over unspent money and overspending' },
+];
 
 export const BudgetForm = ({ budget, onSave, onCancel }) => {
   const { addBudget, updateBudget } = useBudgets();
-  const { categories } = useCategories();
+  const { getSelectableCategories } = useCategories();
   
-  const currentDate = getCurrentMonthYear();
   const isEditing = !!budget?._id;
   
-  // Ensure categories is an array
-  const safeCategories = Array.isArray(categories) ? categories : [];
-  
   // Handle categoryId which could be an object or a string
   const getCategoryId = (category) => {
     if (!category) return '';
     return typeof category === 'object' && category !== null ? category._id : category;
   };
   
+  // Archived categories are only offered when the budget already uses one
+  const safeCategories = getSelectableCategories(getCategoryId(budget?.categoryId));
+  
   const [formData, setFormData] = useState({
     amount: budget?.amount || '',
     categoryId: getCategoryId(budget?.categoryId) || (safeCategories.length > 0 ? safeCategories[0]._id : ''),
-    month: budget?.month || currentDate.month + 1,
-    year: budget?.year || currentDate.year,
+    ...getInitialPeriodValues(budget),
+    rollover: budget?.rollover || 'none',
+    alertThresholds: formatAlertThresholds(budget?.alertThresholds),
   });
   
   const [errors, setErrors] = useState({});
   
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = validatePeriodValues(formData);
     
     if (!formData.amount) {
       newErrors.amount = 'Amount is required';
@@ -46,20 +61,27 @@ export const BudgetForm = ({ budget, onSave, onCancel }) => {
       newErrors.categoryId = 'Category is required';
     }
     
+    const alerts = parseAlertThresholds(formData.alertThresholds);
+    if (alerts.error) {
+      newErrors.alertThresholds = alerts.error;
+    }
+    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
   
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+  // Takes an object of changed fields, so the period picker can set several at once
+  const updateFields = (changes) => {
+    setFormData((prev) => ({ ...prev, ...changes }));
     
-    // Clear the error for this field
-    if (errors[name]) {
-      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    // Clear the errors for these fields
+    if (Object.keys(changes).some((name) => errors[name])) {
+      setErrors((prev) => ({ ...prev, ...Object.fromEntries(Object.keys(changes).map((name) => [name, undefined])) }));
     }
   };
   
+  const handleChange = (e) => updateFields({ [e.target.name]: e.target.value });
+  
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -68,10 +90,11 @@ export const BudgetForm = ({ budget, onSave, onCancel }) => {
     try {
       let result;
       const budgetData = {
-        ...formData,
+        categoryId: formData.categoryId,
         amount: parseFloat(formData.amount),
-        month: parseInt(formData.month, 10),
-        year: parseInt(formData.year, 10),
+        rollover: formData.rollover,
+        alertThresholds: parseAlertThresholds(formData.alertThresholds).thresholds,
+        ...getPeriodPayload(formData),
       };
       
       if (isEditing) {
@@ -86,20 +109,6 @@ export const BudgetForm = ({ budget, onSave, onCancel }) => {
     }
   };
   
-  // Generate month options
-  const months = Array.from({ length: 12 }, (_, i) => {
-    const date = new Date();
-    date.setMonth(i);
-    return {
-      value: i + 1,
-      label: date.toLocaleString('default', { month: 'long' }),
-    };
-  });
-  
-  // Generate year options (current year and next 5 years)
-  const currentYear = new Date().getFullYear();
-  const years = Array.from({ length: 6 }, (_, i) => currentYear + i);
-  
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       <div>
@@ -127,48 +136,50 @@ export const BudgetForm = ({ budget, onSave, onCancel }) => {
             onChange={handleChange}
             className={errors.categoryId ? 'border-red-500' : ''}
           >
-            {safeCategories.map((category) => (
-              <SelectOption key={category._id} value={category._id}>
-                {category.name}
-              </SelectOption>
-            ))}
+            <CategoryOptions categories={safeCategories} />
           </Select>
           {errors.categoryId && <p className="text-red-500 text-sm mt-1">{errors.categoryId}</p>}
         </div>
       )}
       
-      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-        <div>
-          <Label htmlFor="month">Month</Label>
-          <Select
-            id="month"
-            name="month"
-            value={formData.month}
-            onChange={handleChange}
-          >
-            {months.map((month) => (
-              <SelectOption key={month.value} value={month.value}>
-                {month.label}
-              </SelectOption>
-            ))}
-          </Select>
-        </div>
-        
-        <div>
-          <Label htmlFor="year">Year</Label>
-          <Select
-            id="year"
-            name="year"
-            value={formData.year}
-            onChange={handleChange}
-          >
-            {years.map((year) => (
-              <SelectOption key={year} value={year}>
-                {year}
-              </SelectOption>
-            ))}
-          </Select>
-        </div>
+      <BudgetPeriodFields idPrefix="budget" values={formData} errors={errors} onChange={updateFields} />
+      
+      <div>
+        <Label htmlFor="rollover">At the end of the period</Label>
+        <Select
+          id="rollover"
+          name="rollover"
+          value={formData.rollover}
+          onChange={handleChange}
+        >
+          {ROLLOVER_OPTIONS.map((option) => (
+            <SelectOption key={option.value} value={option.value}>
+              {option.label}
+            </SelectOption>
+          ))}
+        </Select>
+        <p className="text-sm text-muted-light dark:text-muted-dark mt-1">
+          Carried amounts are added to this category&apos;s budget for the period that starts next.
+        </p>
+      </div>
+      
+      <div>
+        <Label htmlFor="alertThresholds">Alert me at (% of budget spent)</Label>
+        <Input
+          id="alertThresholds"
+          name="alertThresholds"
+          value={formData.alertThresholds}
+          onChange={handleChange}
+          className={errors.alertThresholds ? 'border-red-500' : ''}
+          placeholder="e.g. 50, 80, 100"
+        />
+        {errors.alertThresholds ? (
+          <p className="text-red-500 text-sm mt-1">{errors.alertThresholds}</p>
+        ) : (
+          <p className="text-sm text-muted-light dark:text-muted-dark mt-1">
+            A notification appears under the bell when spending reaches each of these. Leave empty for no alerts.
+          </p>
+        )}
       </div>
       
       {errors.form && (
@@ -199,8 +210,13 @@ BudgetForm.propTypes = {
         _id: PropTypes.string.isRequired
       })
     ]),
+    period: PropTypes.oneOf(['weekly', 'monthly', 'quarterly', 'yearly', 'custom']),
+    startDate: PropTypes.string,
+    endDate: PropTypes.string,
     month: PropTypes.number,
     year: PropTypes.number,
+    rollover: PropTypes.oneOf(['none', 'unspent', 'all']),
+    alertThresholds: PropTypes.arrayOf(PropTypes.number),
   }),
   onSave: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired,
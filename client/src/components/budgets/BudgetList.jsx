@@ -4,6 +4,8 @@ import { Card, CardContent } from '../ui/card';
 import { Button } from '../ui/button';
 import { formatCurrency } from '../../lib/format';
 import { useCategories } from '../../context/CategoryContext';
+import { getCategoryPath } from '../../lib/categories';
+import { formatBudgetPeriod } from '../../lib/budgets';
 
 export const BudgetList = ({ budgets, onEdit, onDelete }) => {
   const { categories } = useCategories();
@@ -12,22 +14,14 @@ export const BudgetList = ({ budgets, onEdit, onDelete }) => {
   const safeBudgets = Array.isArray(budgets) ? budgets : [];
   const safeCategories = Array.isArray(categories) ? categories : [];
   
-  // Helper to get category name by ID
-  const getCategoryName = (categoryId) => {
-    // Handle categoryId as object or string
-    const id = typeof categoryId === 'object' && categoryId !== null
-      ? categoryId._id 
-      : categoryId;
-      
-    const category = safeCategories.find((cat) => cat._id === id);
-    return category ? category.name : 'Uncategorized';
-  };
+  // Helper to get category name by ID, with its parent for subcategories
+  const getCategoryName = (categoryId) => getCategoryPath(safeCategories, categoryId);
   
-  // Helper to get month name
-  const getMonthName = (monthNumber) => {
-    const date = new Date();
-    date.setMonth(monthNumber - 1);
-    return date.toLocaleString('default', { month: 'long' });
+  // Share of the available amount (base plus carry-over) that was spent
+  const getSpentPercentage = (budget) => {
+    const available = budget.available ?? budget.amount;
+    if (available <= 0) return budget.spent > 0 ? 100 : 0;
+    return (budget.spent / available) * 100;
   };
   
   // Use safeBudgets instead of budgets
@@ -52,13 +46,26 @@ export const BudgetList = ({ budgets, onEdit, onDelete }) => {
                   {getCategoryName(budget.categoryId)}
                 </h3>
                 <p className="text-sm text-muted">
-                  {getMonthName(budget.month)} {budget.year}
+                  {formatBudgetPeriod(budget)}
+                  {budget.rollover && budget.rollover !== 'none' && ' · Rolls over'}
                 </p>
               </div>
               <div className="flex flex-row items-center justify-between sm:flex-col sm:items-end">
                 <div className="font-bold">
                   {formatCurrency(budget.amount)}
                 </div>
+                {budget.rolloverIn ? (
+                  <div
+                    className={`text-xs ${
+                      budget.rolloverIn > 0
+                        ? 'text-green-600 dark:text-green-400'
+                        : 'text-red-500 dark:text-red-400'
+                    }`}
+                  >
+                    {budget.rolloverIn > 0 ? '+' : '−'}{formatCurrency(Math.abs(budget.rolloverIn))} carried over
+                    {' · '}{formatCurrency(budget.available)} available
+                  </div>
+                ) : null}
                 <div className="flex gap-2 mt-2">
                   <Button
                     size="sm"
@@ -85,21 +92,18 @@ export const BudgetList = ({ budgets, onEdit, onDelete }) => {
                 <div className="flex justify-between text-sm mb-1">
                   <span>Spent: {formatCurrency(budget.spent)}</span>
                   <span>
-                    {Math.round((budget.spent / budget.amount) * 100)}%
+                    {Math.round(getSpentPercentage(budget))}%
                   </span>
                 </div>
                 <div className="h-2 bg-gray-100 rounded overflow-hidden">
                   <div
                     className={`h-full ${
-                      budget.spent > budget.amount
+                      budget.spent > (budget.available ?? budget.amount)
                         ? 'bg-red-500'
                         : 'bg-primary-500'
                     }`}
                     style={{
-                      width: `${Math.min(
-                        (budget.spent / budget.amount) * 100,
-                        100
-                      )}%`,
+                      width: `${Math.min(getSpentPercentage(budget), 100)}%`,
                     }}
                   ></div>
                 </div>
@@ -123,8 +127,14 @@ BudgetList.propTypes = {
           _id: PropTypes.string.isRequired
         })
       ]).isRequired,
+      period: PropTypes.oneOf(['weekly', 'monthly', 'quarterly', 'yearly', 'custom']),
+      startDate: PropTypes.string,
+      endDate: PropTypes.string,
       month: PropTypes.number.isRequired,
       year: PropTypes.number.isRequired,
+      rollover: PropTypes.oneOf(['none', 'unspent', 'all']),
+      rolloverIn: PropTypes.number,
+      available: PropTypes.number,
       spent: PropTypes.number
     })
   ).isRequired,
@@ -0,0 +1,116 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { MonthYearSelect } from './MonthYearSelect';
+import { PERIOD_OPTIONS, QUARTER_OPTIONS, getYearOptions } from '../../lib/budgets';
+
+/**
+ * Period picker for budget forms
+ * Shows the fields that pick the chosen kind of period: a month, a quarter,
+ * a year, the first day of a week, or start and end dates. Reports changes
+ * as an object of the fields that changed.
+ */
+export const BudgetPeriodFields = ({ idPrefix, values, errors, onChange }) => {
+  const handleChange = (e) => onChange({ [e.target.name]: e.target.value });
+
+  return (
+    <>
+      <div>
+        <Label htmlFor={`${idPrefix}-period`}>Period</Label>
+        <Select id={`${idPrefix}-period`} name="period" value={values.period} onChange={handleChange}>
+          {PERIOD_OPTIONS.map((option) => (
+            <SelectOption key={option.value} value={option.value}>
+              {option.label}
+            </SelectOption>
+          ))}
+        </Select>
+      </div>
+
+      {values.period === 'monthly' && (
+        <MonthYearSelect
+          idPrefix={idPrefix}
+          label="Month"
+          month={parseInt(values.month, 10)}
+          year={parseInt(values.year, 10)}
+          onChange={onChange}
+        />
+      )}
+
+      {(values.period === 'quarterly' || values.period === 'yearly') && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {values.period === 'quarterly' && (
+            <div>
+              <Label htmlFor={`${idPrefix}-quarter`}>Quarter</Label>
+              <Select id={`${idPrefix}-quarter`} name="quarter" value={values.quarter} onChange={handleChange}>
+                {QUARTER_OPTIONS.map((option) => (
+                  <SelectOption key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectOption>
+                ))}
+              </Select>
+            </div>
+          )}
+          <div>
+            <Label htmlFor={`${idPrefix}-year`}>Year</Label>
+            <Select id={`${idPrefix}-year`} name="year" value={values.year} onChange={handleChange}>
+              {getYearOptions().map((year) => (
+                <SelectOption key={year} value={year}>
+                  {year}
+                </SelectOption>
+              ))}
+            </Select>
+          </div>
+        </div>
+      )}
+
+      {(values.period === 'weekly' || values.period === 'custom') && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <Label htmlFor={`${idPrefix}-startDate`}>
+              {values.period === 'weekly' ? 'Week starts on' : 'Start date'}
+            </Label>
+            <Input
+              id={`${idPrefix}-startDate`}
+              name="startDate"
+              type="date"
+              value={values.startDate}
+              onChange={handleChange}
+              className={errors.startDate ? 'border-red-500' : ''}
+            />
+            {errors.startDate && <p className="text-red-500 text-sm mt-1">{errors.startDate}</p>}
+          </div>
+          {values.period === 'custom' && (
+            <div>
+              <Label htmlFor={`${idPrefix}-endDate`}>End date</Label>
+              <Input
+                id={`${idPrefix}-endDate`}
+                name="endDate"
+                type="date"
+                value={values.endDate}
+                onChange={handleChange}
+                className={errors.endDate ? 'border-red-500' : ''}
+              />
+              {errors.endDate && <p className="text-red-500 text-sm mt-1">{errors.endDate}</p>}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+BudgetPeriodFields.propTypes = {
+  idPrefix: PropTypes.string.isRequired,
+  values: PropTypes.shape({
+    period: PropTypes.string.isRequired,
+    month: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    year: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    quarter: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    startDate: PropTypes.string,
+    endDate: PropTypes.string,
+  }).isRequired,
+  errors: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { MonthYearSelect } from './MonthYearSelect';
+import { useBudgets } from '../../context/BudgetContext';
+import { budgetTemplateAPI } from '../../api/api';
+import { formatCurrency, getCurrentMonthYear } from '../../lib/format';
+import { CONFLICT_OPTIONS, describeApplyResult } from '../../lib/budgets';
+
+/**
+ * Named budget templates ("Normal month", "Holiday month")
+ * Saves a month's budgets as a template, and applies a template to any month.
+ */
+export const BudgetTemplates = ({ onClose }) => {
+  const { applyTemplate } = useBudgets();
+
+  const current = getCurrentMonthYear();
+  const thisMonth = { month: current.month + 1, year: current.year };
+
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Saving a month as a new template
+  const [name, setName] = useState('');
+  const [source, setSource] = useState(thisMonth);
+
+  // Applying a template: which one is open, and to which month
+  const [applyingId, setApplyingId] = useState(null);
+  const [target, setTarget] = useState(thisMonth);
+  const [onConflict, setOnConflict] = useState('skip');
+
+  useEffect(() => {
+    budgetTemplateAPI.getAll()
+      .then(setTemplates)
+      .catch((loadError) => {
+        console.error('Error loading budget templates:', loadError);
+        setError(loadError.message || 'Failed to load templates');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setError('Give the template a name');
+      return;
+    }
+
+    setError('');
+    setMessage('');
+    try {
+      const template = await budgetTemplateAPI.create({
+        name: name.trim(),
+        fromMonth: source.month,
+        fromYear: source.year,
+      });
+      setTemplates((prev) => [...prev, template].sort((a, b) => a.name.localeCompare(b.name)));
+      setName('');
+      setMessage(`Saved "${template.name}" with ${template.items.length} budgets.`);
+    } catch (saveError) {
+      console.error('Error saving budget template:', saveError);
+      setError(saveError.message || 'Failed to save template');
+    }
+  };
+
+  const handleApply = async (template) => {
+    setError('');
+    setMessage('');
+    try {
+      const result = await applyTemplate(template._id, { ...target, onConflict });
+      setApplyingId(null);
+      setMessage(`Applied "${template.name}". ${describeApplyResult(result)}`);
+    } catch (applyError) {
+      console.error('Error applying budget template:', applyError);
+      setError(applyError.message || 'Failed to apply template');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Budgets created from it are kept.`)) return;
+
+    setError('');
+    setMessage('');
+    try {
+      await budgetTemplateAPI.delete(template._id);
+      setTemplates((prev) => prev.filter((t) => t._id !== template._id));
+    } catch (deleteError) {
+      console.error('Error deleting budget template:', deleteError);
+      setError(deleteError.message || 'Failed to delete template');
+    }
+  };
+
+  const totalOf = (template) => template.items.reduce((sum, item) => sum + item.amount, 0);
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSave} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <Label htmlFor="template-name">Save budgets as a template</Label>
+            <Input
+              id="template-name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Holiday month"
+            />
+          </div>
+          <MonthYearSelect idPrefix="template-source" label="From the budgets of" {...source} onChange={setSource} />
+        </div>
+        <div className="flex justify-end">
+          <Button type="submit" variant="outline" className="w-full sm:w-auto">
+            Save Template
+          </Button>
+        </div>
+      </form>
+
+      {message && <p className="text-sm text-green-600 dark:text-green-400">{message}</p>}
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-300 rounded text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-muted-light dark:text-muted-dark">Loading templates...</p>
+      ) : templates.length === 0 ? (
+        <p className="text-sm text-muted-light dark:text-muted-dark">No templates yet.</p>
+      ) : (
+        <ul className="divide-y divide-border-light dark:divide-border-dark">
+          {templates.map((template) => (
+            <li key={template._id} className="py-3 space-y-3">
+              <div className="flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium truncate">{template.name}</p>
+                  <p className="text-sm text-muted-light dark:text-muted-dark">
+                    {template.items.length} budgets · {formatCurrency(totalOf(template))}
+                  </p>
+                </div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => setApplyingId(applyingId === template._id ? null : template._id)}
+                >
+                  Apply
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => handleDelete(template)}>
+                  Delete
+                </Button>
+              </div>
+
+              {applyingId === template._id && (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                  <MonthYearSelect idPrefix="template-target" label="Apply to" {...target} onChange={setTarget} />
+                  <div>
+                    <Label htmlFor="template-onConflict">When a category already has a budget</Label>
+                    <Select
+                      id="template-onConflict"
+                      value={onConflict}
+                      onChange={(e) => setOnConflict(e.target.value)}
+                    >
+                      {CONFLICT_OPTIONS.map((option) => (
+                        <SelectOption key={option.value} value={option.value}>
+                          {option.label}
+                        </SelectOption>
+                      ))}
+                    </Select>
+                  </div>
+                  <Button onClick={() => handleApply(template)}>Apply Template</Button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end">
+        <Button type="button" variant="outline" onClick={onClose} className="w-full sm:w-auto">
+          Close
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+BudgetTemplates.propTypes = {
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { useBudgets } from '../../context/BudgetContext';
+import { getCurrentMonthYear } from '../../lib/format';
+import { CONFLICT_OPTIONS, describeApplyResult } from '../../lib/budgets';
+import { MonthYearSelect } from './MonthYearSelect';
+
+/**
+ * Copy one month's monthly budgets to another month
+ * Defaults to copying last month's budgets to this month.
+ */
+export const CopyBudgetsForm = ({ onDone, onCancel }) => {
+  const { copyBudgets } = useBudgets();
+
+  const current = getCurrentMonthYear();
+  const previous = new Date(current.year, current.month - 1, 1);
+
+  const [to, setTo] = useState({ month: current.month + 1, year: current.year });
+  const [from, setFrom] = useState({ month: previous.getMonth() + 1, year: previous.getFullYear() });
+  const [onConflict, setOnConflict] = useState('skip');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const result = await copyBudgets({
+        fromMonth: from.month,
+        fromYear: from.year,
+        toMonth: to.month,
+        toYear: to.year,
+        onConflict,
+      });
+      onDone(describeApplyResult(result));
+    } catch (copyError) {
+      console.error('Error copying budgets:', copyError);
+      setError(copyError.message || 'Failed to copy budgets');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <MonthYearSelect idPrefix="copy-from" label="Copy budgets from" {...from} onChange={setFrom} />
+        <MonthYearSelect idPrefix="copy-to" label="To" {...to} onChange={setTo} />
+      </div>
+
+      <div>
+        <Label htmlFor="copy-onConflict">When a category already has a budget</Label>
+        <Select id="copy-onConflict" value={onConflict} onChange={(e) => setOnConflict(e.target.value)}>
+          {CONFLICT_OPTIONS.map((option) => (
+            <SelectOption key={option.value} value={option.value}>
+              {option.label}
+            </SelectOption>
+          ))}
+        </Select>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-300 rounded text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto">
+          Cancel
+        </Button>
+        <Button type="submit" disabled={saving} className="w-full sm:w-auto">
+          {saving ? 'Copying...' : 'Copy Budgets'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+CopyBudgetsForm.propTypes = {
+  onDone: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
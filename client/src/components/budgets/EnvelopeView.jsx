@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { useBudgets } from '../../context/BudgetContext';
+import { useTransactions } from '../../context/TransactionContext';
+import { formatCurrency, getCurrentMonthYear } from '../../lib/format';
+import { MonthYearSelect } from './MonthYearSelect';
+import { MoveMoneyForm } from './MoveMoneyForm';
+
+// Green for money left, red for overspending
+const amountClass = (amount) => (amount < 0 ? 'text-red-500 dark:text-red-400' : 'text-green-600 dark:text-green-400');
+
+/**
+ * Envelope budgeting view of a month
+ * Income fills the ready-to-assign pool, money is moved from there into
+ * category envelopes, and each envelope's balance carries into the next month.
+ * Assigned amounts are the categories' monthly budgets.
+ */
+export const EnvelopeView = () => {
+  const { budgets, envelopes, fetchEnvelopes } = useBudgets();
+  const { transactions } = useTransactions();
+  const current = getCurrentMonthYear();
+  const [selected, setSelected] = useState({ month: current.month + 1, year: current.year });
+  // Open move form and what it starts with ({ from, to } category IDs)
+  const [move, setMove] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Balances depend on every budget and transaction up to the month
+  useEffect(() => {
+    const loadEnvelopes = async () => {
+      try {
+        setIsLoading(true);
+        setError('');
+        await fetchEnvelopes(selected.month, selected.year);
+      } catch (fetchError) {
+        console.error('Error fetching envelopes:', fetchError);
+        setError(fetchError.message || 'Failed to load envelopes');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadEnvelopes();
+  }, [selected, budgets, transactions, fetchEnvelopes]);
+
+  // Envelopes of another month may still be in the context while loading
+  const summary = envelopes && envelopes.month === selected.month && envelopes.year === selected.year
+    ? envelopes
+    : null;
+
+  const handleMonthChange = (month) => {
+    setMove(null);
+    setSelected(month);
+  };
+
+  return (
+    <>
+      <Card className="mb-8">
+        <CardContent className="p-4 sm:p-6">
+          <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4 mb-4">
+            <div className="sm:w-64">
+              <MonthYearSelect idPrefix="envelopes" label="Month" {...selected} onChange={handleMonthChange} />
+            </div>
+            {summary && !move && (
+              <Button onClick={() => setMove({})}>Move Money</Button>
+            )}
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-300 rounded text-red-700">
+              {error}
+            </div>
+          )}
+
+          {summary ? (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+              <div>
+                <p className="text-sm text-muted">Carried in</p>
+                <p className="font-medium">{formatCurrency(summary.carriedIn)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-muted">Income this month</p>
+                <p className="font-medium">{formatCurrency(summary.income)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-muted">Assigned this month</p>
+                <p className="font-medium">{formatCurrency(summary.assigned)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-muted">Ready to assign</p>
+                <p className={`text-lg font-bold ${amountClass(summary.readyToAssign)}`}>
+                  {formatCurrency(summary.readyToAssign)}
+                </p>
+              </div>
+            </div>
+          ) : isLoading ? (
+            <p>Loading envelopes...</p>
+          ) : null}
+
+          {summary && summary.readyToAssign < 0 && (
+            <p className="mt-4 text-sm text-red-500 dark:text-red-400">
+              More money is assigned than income has brought in. Move some back to Ready to assign.
+            </p>
+          )}
+
+          {summary && move && (
+            <div className="mt-6">
+              <MoveMoneyForm
+                key={`${move.from}-${move.to}`}
+                summary={summary}
+                initialFrom={move.from}
+                initialTo={move.to}
+                onDone={() => setMove(null)}
+                onCancel={() => setMove(null)}
+              />
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {summary && (summary.envelopes.length > 0 ? (
+        <div className="space-y-4">
+          {summary.envelopes.map((envelope) => (
+            <Card key={envelope.category._id} className="overflow-hidden">
+              <CardContent className="p-4">
+                <div className="flex flex-col sm:flex-row justify-between gap-2 sm:items-center">
+                  <div>
+                    <h3 className="font-medium flex items-center gap-2">
+                      <span
+                        className="inline-block w-3 h-3 rounded-full"
+                        style={{ backgroundColor: envelope.category.color || '#6B7280' }}
+                      ></span>
+                      {envelope.category.name}
+                      {envelope.category.archived && <span className="text-xs text-muted">(archived)</span>}
+                    </h3>
+                    <p className="text-sm text-muted">
+                      {formatCurrency(envelope.carriedIn)} carried in
+                      {' · '}{formatCurrency(envelope.assigned)} assigned
+                      {' · '}{formatCurrency(envelope.spent)} spent
+                    </p>
+                  </div>
+                  <div className="flex flex-row items-center justify-between sm:flex-col sm:items-end">
+                    <div className={`font-bold ${amountClass(envelope.balance)}`}>
+                      {formatCurrency(envelope.balance)}
+                    </div>
+                    <div className="flex gap-2 mt-2">
+                      {!envelope.category.archived && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setMove({ to: envelope.category._id })}
+                          className="px-3 py-1 h-8"
+                        >
+                          Assign
+                        </Button>
+                      )}
+                      {envelope.assigned > 0 && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setMove({ from: envelope.category._id })}
+                          className="px-3 py-1 h-8"
+                        >
+                          Move Out
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      ) : (
+        <Card>
+          <CardContent className="p-6 text-center">
+            <p className="text-muted">No expense categories to hold envelopes</p>
+          </CardContent>
+        </Card>
+      ))}
+    </>
+  );
+};
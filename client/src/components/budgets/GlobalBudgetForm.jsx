@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { useBudgets } from '../../context/BudgetContext';
+import { getInitialPeriodValues, validatePeriodValues, getPeriodPayload } from '../../lib/budgets';
+import { BudgetPeriodFields } from './BudgetPeriodFields';
+
+/**
+ * Create or edit a global budget: a cap on total spending over a period
+ */
+export const GlobalBudgetForm = ({ globalBudget, onSave, onCancel }) => {
+  const { addGlobalBudget, updateGlobalBudget } = useBudgets();
+  const isEditing = !!globalBudget?._id;
+
+  const [formData, setFormData] = useState({
+    amount: globalBudget?.amount || '',
+    ...getInitialPeriodValues(globalBudget),
+  });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const updateFields = (changes) => {
+    setFormData((prev) => ({ ...prev, ...changes }));
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = validatePeriodValues(formData);
+    if (!formData.amount || isNaN(formData.amount) || Number(formData.amount) <= 0) {
+      newErrors.amount = 'Amount must be a positive number';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setSaving(true);
+    try {
+      const data = { amount: parseFloat(formData.amount), ...getPeriodPayload(formData) };
+      const result = isEditing
+        ? await updateGlobalBudget(globalBudget._id, data)
+        : await addGlobalBudget(data);
+      onSave(result);
+    } catch (saveError) {
+      console.error('Error saving global budget:', saveError);
+      setErrors({ form: saveError.message || 'Failed to save total budget' });
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <Label htmlFor="global-amount">Spend at most</Label>
+        <Input
+          id="global-amount"
+          type="number"
+          step="0.01"
+          value={formData.amount}
+          onChange={(e) => updateFields({ amount: e.target.value })}
+          className={errors.amount ? 'border-red-500' : ''}
+          placeholder="e.g. 3000"
+        />
+        {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
+      </div>
+
+      <BudgetPeriodFields idPrefix="global" values={formData} errors={errors} onChange={updateFields} />
+
+      {errors.form && (
+        <div className="p-3 bg-red-100 border border-red-300 rounded text-red-700">
+          {errors.form}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto">
+          Cancel
+        </Button>
+        <Button type="submit" disabled={saving} className="w-full sm:w-auto">
+          {isEditing ? 'Update' : 'Set'} Total Budget
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+GlobalBudgetForm.propTypes = {
+  globalBudget: PropTypes.shape({
+    _id: PropTypes.string,
+    amount: PropTypes.number,
+    period: PropTypes.string,
+    startDate: PropTypes.string,
+    endDate: PropTypes.string,
+    month: PropTypes.number,
+    year: PropTypes.number,
+  }),
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
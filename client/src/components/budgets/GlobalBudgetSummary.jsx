@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { useBudgets } from '../../context/BudgetContext';
+import { formatCurrency } from '../../lib/format';
+import { formatBudgetPeriod } from '../../lib/budgets';
+import { GlobalBudgetForm } from './GlobalBudgetForm';
+
+/**
+ * Total budget for the period the Budgets page compares
+ * Shows spending against the cap, how much of it category budgets take up,
+ * and what is left unallocated. Sets, edits and removes the global budget.
+ */
+export const GlobalBudgetSummary = ({ total }) => {
+  const { globalBudgets, deleteGlobalBudget } = useBudgets();
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+
+  // The global budget behind the comparison row (the first, if several)
+  const globalBudget = total
+    ? globalBudgets.find((candidate) => total.budgetIds.includes(candidate._id))
+    : null;
+
+  const openForm = (budgetToEdit) => {
+    setError('');
+    setEditing(budgetToEdit);
+    setIsFormOpen(true);
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove the total budget for this period? Category budgets are kept.')) return;
+
+    setError('');
+    try {
+      await deleteGlobalBudget(globalBudget._id);
+    } catch (deleteError) {
+      console.error('Error deleting global budget:', deleteError);
+      setError(deleteError.message || 'Failed to remove total budget');
+    }
+  };
+
+  const spentPercentage = total && total.budgeted > 0
+    ? Math.min((total.actual / total.budgeted) * 100, 100)
+    : 100;
+
+  return (
+    <Card className="mb-8">
+      <CardContent className="p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+          <div>
+            <h3 className="text-lg font-medium">Total Budget</h3>
+            {globalBudget && (
+              <p className="text-sm text-muted-light dark:text-muted-dark">
+                {formatBudgetPeriod(globalBudget)}
+                {total.prorated && ' · prorated to this period'}
+              </p>
+            )}
+          </div>
+          {!isFormOpen && (
+            <div className="flex gap-2">
+              {globalBudget ? (
+                <>
+                  <Button size="sm" variant="outline" onClick={() => openForm(globalBudget)}>
+                    Edit
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={handleRemove}>
+                    Remove
+                  </Button>
+                </>
+              ) : (
+                <Button size="sm" onClick={() => openForm(null)}>
+                  Set Total Budget
+                </Button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border border-red-300 rounded text-red-700">
+            {error}
+          </div>
+        )}
+
+        {isFormOpen ? (
+          <GlobalBudgetForm
+            globalBudget={editing}
+            onSave={() => setIsFormOpen(false)}
+            onCancel={() => setIsFormOpen(false)}
+          />
+        ) : total ? (
+          <div className="space-y-3">
+            <div>
+              <div className="flex justify-between text-sm mb-1">
+                <span>
+                  Spent {formatCurrency(total.actual)} of {formatCurrency(total.budgeted)}
+                </span>
+                <span>{Math.round(total.percentage)}%</span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded overflow-hidden">
+                <div
+                  className={`h-full ${total.status === 'exceeded' ? 'bg-red-500' : 'bg-primary-500'}`}
+                  style={{ width: `${spentPercentage}%` }}
+                ></div>
+              </div>
+            </div>
+            <div className="flex flex-col sm:flex-row sm:justify-between gap-1 text-sm">
+              <span>Allocated to categories: {formatCurrency(total.allocated)}</span>
+              {total.unallocated >= 0 ? (
+                <span className="text-green-600 dark:text-green-400">
+                  Unallocated: {formatCurrency(total.unallocated)}
+                </span>
+              ) : (
+                <span className="text-red-500 dark:text-red-400">
+                  Over-allocated by {formatCurrency(Math.abs(total.unallocated))}
+                </span>
+              )}
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-muted-light dark:text-muted-dark">
+            No total budget for this period. Set one to cap spending across all categories.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+GlobalBudgetSummary.propTypes = {
+  // The 'total' row of the budget comparison, or null without a global budget
+  total: PropTypes.shape({
+    budgetIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    budgeted: PropTypes.number.isRequired,
+    actual: PropTypes.number.isRequired,
+    percentage: PropTypes.number.isRequired,
+    status: PropTypes.string.isRequired,
+    prorated: PropTypes.bool,
+    allocated: PropTypes.number.isRequired,
+    unallocated: PropTypes.number.isRequired,
+  }),
+};
@@ -0,0 +1,47 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { MONTH_OPTIONS, getYearOptions } from '../../lib/budgets';
+
+/**
+ * Month and year selects under one label
+ * Reports changes as { month, year } with a 1-based month.
+ */
+export const MonthYearSelect = ({ idPrefix, label, month, year, onChange }) => (
+  <div>
+    <Label htmlFor={`${idPrefix}-month`}>{label}</Label>
+    <div className="grid grid-cols-2 gap-2">
+      <Select
+        id={`${idPrefix}-month`}
+        value={month}
+        onChange={(e) => onChange({ month: parseInt(e.target.value, 10), year })}
+      >
+        {MONTH_OPTIONS.map((option) => (
+          <SelectOption key={option.value} value={option.value}>
+            {option.label}
+          </SelectOption>
+        ))}
+      </Select>
+      <Select
+        id={`${idPrefix}-year`}
+        value={year}
+        onChange={(e) => onChange({ month, year: parseInt(e.target.value, 10) })}
+      >
+        {getYearOptions().map((option) => (
+          <SelectOption key={option} value={option}>
+            {option}
+          </SelectOption>
+        ))}
+      </Select>
+    </div>
+  </div>
+);
+
+MonthYearSelect.propTypes = {
+  idPrefix: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  month: PropTypes.number.isRequired,
+  year: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
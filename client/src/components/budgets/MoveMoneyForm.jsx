@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { useBudgets } from '../../context/BudgetContext';
+import { formatCurrency } from '../../lib/format';
+
+// Select value standing for the ready-to-assign pool
+const POOL = '';
+
+/**
+ * Move money between envelopes for a month
+ * Either side can be the ready-to-assign pool: moving from it assigns
+ * money, moving to it takes money back out of an envelope.
+ */
+export const MoveMoneyForm = ({ summary, initialFrom, initialTo, onDone, onCancel }) => {
+  const { moveEnvelopeMoney } = useBudgets();
+  const [fromCategoryId, setFromCategoryId] = useState(initialFrom || POOL);
+  const [toCategoryId, setToCategoryId] = useState(initialTo || POOL);
+  const [amount, setAmount] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (fromCategoryId === toCategoryId) {
+      setError('Choose two different places to move money between');
+      return;
+    }
+    if (!amount || isNaN(amount) || Number(amount) <= 0) {
+      setError('Amount must be a positive number');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await moveEnvelopeMoney({
+        month: summary.month,
+        year: summary.year,
+        fromCategoryId: fromCategoryId || null,
+        toCategoryId: toCategoryId || null,
+        amount: parseFloat(amount),
+      });
+      onDone();
+    } catch (moveError) {
+      console.error('Error moving envelope money:', moveError);
+      setError(moveError.message || 'Failed to move money');
+      setSaving(false);
+    }
+  };
+
+  // Archived envelopes can still give money back but cannot receive any
+  const renderOptions = (includeArchived) => (
+    <>
+      <SelectOption value={POOL}>Ready to assign ({formatCurrency(summary.readyToAssign)})</SelectOption>
+      {summary.envelopes
+        .filter((envelope) => includeArchived || !envelope.category.archived)
+        .map((envelope) => (
+          <SelectOption key={envelope.category._id} value={envelope.category._id}>
+            {envelope.category.name} ({formatCurrency(envelope.assigned)} assigned)
+          </SelectOption>
+        ))}
+    </>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <Label htmlFor="move-from">From</Label>
+          <Select id="move-from" value={fromCategoryId} onChange={(e) => setFromCategoryId(e.target.value)}>
+            {renderOptions(true)}
+          </Select>
+        </div>
+        <div>
+          <Label htmlFor="move-to">To</Label>
+          <Select id="move-to" value={toCategoryId} onChange={(e) => setToCategoryId(e.target.value)}>
+            {renderOptions(false)}
+          </Select>
+        </div>
+        <div>
+          <Label htmlFor="move-amount">Amount</Label>
+          <Input
+            id="move-amount"
+            type="number"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="0.00"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-300 rounded text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto">
+          Cancel
+        </Button>
+        <Button type="submit" disabled={saving} className="w-full sm:w-auto">
+          Move Money
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+MoveMoneyForm.propTypes = {
+  // Result of fetchEnvelopes for the month money is moved in
+  summary: PropTypes.shape({
+    month: PropTypes.number.isRequired,
+    year: PropTypes.number.isRequired,
+    readyToAssign: PropTypes.number.isRequired,
+    envelopes: PropTypes.arrayOf(PropTypes.shape({
+      category: PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        archived: PropTypes.bool,
+      }).isRequired,
+      assigned: PropTypes.number.isRequired,
+    })).isRequired,
+  }).isRequired,
+  // Category IDs to start with; left out for the ready-to-assign pool
+  initialFrom: PropTypes.string,
+  initialTo: PropTypes.string,
+  onDone: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
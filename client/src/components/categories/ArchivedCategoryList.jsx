@@ -0,0 +1,71 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { getCategoryPath, sortCategoriesAsTree } from '../../lib/categories';
+
+/**
+ * Archived categories, with actions to restore or delete them
+ * Archived categories are hidden from pickers but keep their transactions
+ * and still show up in reports.
+ */
+export const ArchivedCategoryList = ({ categories, archived, onRestore, onDelete }) => {
+  if (archived.length === 0) return null;
+
+  const archivedIds = new Set(archived.map((category) => category._id));
+  const ordered = sortCategoriesAsTree(categories).filter((category) => archivedIds.has(category._id));
+
+  return (
+    <Card className="mt-8">
+      <CardContent className="p-4 sm:p-6">
+        <h3 className="text-lg font-medium mb-1">Archived</h3>
+        <p className="text-sm text-muted-light dark:text-muted-dark mb-4">
+          Hidden when choosing a category, but kept on past transactions and in reports.
+        </p>
+        <ul className="divide-y divide-border-light dark:divide-border-dark">
+          {ordered.map((category) => (
+            <li key={category._id} className="flex items-center gap-3 py-2 text-sm">
+              <div
+                className="w-3 h-3 rounded-full shrink-0 opacity-60"
+                style={{ backgroundColor: category.color || '#3b82f6' }}
+              ></div>
+              <span className="flex-1 truncate text-muted-light dark:text-muted-dark">
+                {getCategoryPath(categories, category)}
+              </span>
+              <Button variant="link" size="sm" className="h-auto p-0" onClick={() => onRestore(category._id)}>
+                Restore
+              </Button>
+              <Button
+                variant="link"
+                size="sm"
+                className="h-auto p-0 text-red-500 dark:text-red-400"
+                onClick={() => onDelete(category._id)}
+              >
+                Delete
+              </Button>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+};
+
+ArchivedCategoryList.propTypes = {
+  categories: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      parentId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    })
+  ).isRequired,
+  archived: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string,
+    })
+  ).isRequired,
+  onRestore: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { CategoryOptions } from './CategoryOptions';
+import { useCategories } from '../../context/CategoryContext';
+
+// "3 transactions", "1 budget", ...
+const plural = (count, singular, pluralForm = `${singular}s`) =>
+  `${count} ${count === 1 ? singular : pluralForm}`;
+
+// Readable list of what still uses the category
+const describeUsage = (usage) => [
+  usage.transactions > 0 && plural(usage.transactions, 'transaction'),
+  usage.budgets > 0 && plural(usage.budgets, 'budget'),
+  usage.rules > 0 && plural(usage.rules, 'categorization rule'),
+  usage.recurringRules > 0 && plural(usage.recurringRules, 'recurring rule'),
+  usage.subcategories > 0 && plural(usage.subcategories, 'subcategory', 'subcategories'),
+].filter(Boolean).join(', ');
+
+/**
+ * Delete a category that is still in use
+ * Everything using it (transactions, budgets, rules and subcategories) is
+ * moved to another category first, then the category is removed.
+ */
+export const CategoryDeleteForm = ({ category, usage, onDone, onCancel }) => {
+  const { activeCategories, mergeCategory } = useCategories();
+  const [targetId, setTargetId] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!targetId) {
+      setError('Choose a category to move everything to');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      onDone(await mergeCategory(category._id, targetId));
+    } catch (mergeError) {
+      console.error('Error merging category:', mergeError);
+      setError(mergeError.message || 'Failed to delete category');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm">
+        <span className="font-medium">{category.name}</span> is used by {describeUsage(usage)}.
+        Budgets for the same period are added to the other category&apos;s budget.
+      </p>
+
+      <div>
+        <Label htmlFor="targetId">Move existing transactions to…</Label>
+        <Select
+          id="targetId"
+          name="targetId"
+          value={targetId}
+          onChange={(e) => setTargetId(e.target.value)}
+        >
+          <SelectOption value="">Select a category</SelectOption>
+          <CategoryOptions categories={activeCategories} exclude={[category._id]} />
+        </Select>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-300 rounded text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto">
+          Cancel
+        </Button>
+        <Button type="submit" variant="destructive" disabled={saving} className="w-full sm:w-auto">
+          {saving ? 'Moving...' : 'Move and Delete'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+CategoryDeleteForm.propTypes = {
+  category: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  }).isRequired,
+  usage: PropTypes.shape({
+    transactions: PropTypes.number,
+    budgets: PropTypes.number,
+    rules: PropTypes.number,
+    recurringRules: PropTypes.number,
+    subcategories: PropTypes.number,
+  }).isRequired,
+  onDone: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
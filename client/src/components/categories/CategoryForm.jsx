@@ -5,6 +5,7 @@ import { Input } from '../ui/input';
 import { Label } from '../ui/label';
 import { Select, SelectOption } from '../ui/select';
 import { useCategories } from '../../context/CategoryContext';
+import { getRefId } from '../../lib/transactions';
 
 // Predefined color options for categories
 const COLOR_OPTIONS = [
@@ -19,14 +20,25 @@ const COLOR_OPTIONS = [
 ];
 
 export const CategoryForm = ({ category, onSave, onCancel }) => {
-  const { addCategory, updateCategory } = useCategories();
+  const { categories, addCategory, updateCategory } = useCategories();
   
   const isEditing = !!category?._id;
   
+  // Subcategories go one level deep: only top-level categories can be parents,
+  // and a category that has subcategories stays top-level. Archived
+  // categories take no new subcategories.
+  const safeCategories = Array.isArray(categories) ? categories : [];
+  const parentOptions = safeCategories
+    .filter((option) => !option.parentId && option._id !== category?._id)
+    .filter((option) => !option.archived || option._id === getRefId(category?.parentId))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const hasSubcategories = isEditing && safeCategories.some((option) => getRefId(option.parentId) === category._id);
+  
   const [formData, setFormData] = useState({
     name: category?.name || '',
     color: category?.color || COLOR_OPTIONS[0].value,
     icon: category?.icon || 'default',
+    parentId: getRefId(category?.parentId),
   });
   
   const [errors, setErrors] = useState({});
@@ -86,6 +98,29 @@ export const CategoryForm = ({ category, onSave, onCancel }) => {
         {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
       </div>
       
+      <div>
+        <Label htmlFor="parentId">Parent category</Label>
+        <Select
+          id="parentId"
+          name="parentId"
+          value={formData.parentId}
+          onChange={handleChange}
+          disabled={hasSubcategories}
+        >
+          <SelectOption value="">None (top-level category)</SelectOption>
+          {parentOptions.map((option) => (
+            <SelectOption key={option._id} value={option._id}>
+              {option.name}
+            </SelectOption>
+          ))}
+        </Select>
+        {hasSubcategories && (
+          <p className="text-sm text-muted-light dark:text-muted-dark mt-1">
+            This category has subcategories, so it stays top-level.
+          </p>
+        )}
+      </div>
+      
       <div>
         <Label htmlFor="color">Color</Label>
         <Select
@@ -135,6 +170,7 @@ CategoryForm.propTypes = {
     name: PropTypes.string,
     color: PropTypes.string,
     icon: PropTypes.string,
+    parentId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
   }),
   onSave: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired,
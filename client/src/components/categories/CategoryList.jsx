@@ -2,8 +2,10 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { Card } from '../ui/card';
 import { Button } from '../ui/button';
+import { sortCategoriesAsTree } from '../../lib/categories';
+import { getRefId } from '../../lib/transactions';
 
-export const CategoryList = ({ categories, onEdit, onDelete }) => {
+export const CategoryList = ({ categories, onEdit, onArchive, onDelete }) => {
   if (categories.length === 0) {
     return (
       <Card>
@@ -13,14 +15,21 @@ export const CategoryList = ({ categories, onEdit, onDelete }) => {
       </Card>
     );
   }
-  
+
+  // One card per top-level category, with its subcategories listed inside
+  const ordered = sortCategoriesAsTree(categories);
+  const topLevel = ordered.filter((category) => category.depth === 0);
+  const subcategoriesOf = (parentId) => ordered.filter(
+    (category) => category.depth === 1 && getRefId(category.parentId) === parentId
+  );
+
   return (
     <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-      {categories.map((category) => (
+      {topLevel.map((category) => (
         <Card key={category._id} className="overflow-hidden">
           <div className="p-4">
             <div className="flex items-center mb-4">
-              <div 
+              <div
                 className="w-6 h-6 rounded-full mr-3"
                 style={{ backgroundColor: category.color || '#3b82f6' }}
               ></div>
@@ -35,6 +44,14 @@ export const CategoryList = ({ categories, onEdit, onDelete }) => {
               >
                 Edit
               </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => onArchive(category._id)}
+                className="flex-1 py-1 h-8"
+              >
+                Archive
+              </Button>
               <Button
                 size="sm"
                 variant="outline"
@@ -44,6 +61,33 @@ export const CategoryList = ({ categories, onEdit, onDelete }) => {
                 Delete
               </Button>
             </div>
+            {subcategoriesOf(category._id).length > 0 && (
+              <ul className="mt-4 pt-3 border-t border-border-light dark:border-border-dark space-y-2">
+                {subcategoriesOf(category._id).map((subcategory) => (
+                  <li key={subcategory._id} className="flex items-center gap-2 text-sm">
+                    <div
+                      className="w-3 h-3 rounded-full shrink-0"
+                      style={{ backgroundColor: subcategory.color || '#3b82f6' }}
+                    ></div>
+                    <span className="flex-1 truncate">{subcategory.name}</span>
+                    <Button variant="link" size="sm" className="h-auto p-0" onClick={() => onEdit(subcategory)}>
+                      Edit
+                    </Button>
+                    <Button variant="link" size="sm" className="h-auto p-0" onClick={() => onArchive(subcategory._id)}>
+                      Archive
+                    </Button>
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="h-auto p-0 text-red-500 dark:text-red-400"
+                      onClick={() => onDelete(subcategory._id)}
+                    >
+                      Delete
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         </Card>
       ))}
@@ -57,8 +101,10 @@ CategoryList.propTypes = {
       _id: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
       color: PropTypes.string,
+      parentId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
     })
   ).isRequired,
   onEdit: PropTypes.func.isRequired,
+  onArchive: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
 };
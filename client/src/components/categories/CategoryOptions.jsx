@@ -0,0 +1,34 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { SelectOption } from '../ui/select';
+import { sortCategoriesAsTree } from '../../lib/categories';
+
+// Browsers collapse leading spaces in options, so indent with non-breaking ones
+const INDENT = '\u00A0'.repeat(4);
+
+/**
+ * Options for a category <Select>, with subcategories listed (and indented)
+ * under their parent
+ */
+export const CategoryOptions = ({ categories, exclude = [] }) => (
+  <>
+    {sortCategoriesAsTree(categories)
+      .filter((category) => !exclude.includes(category._id))
+      .map((category) => (
+        <SelectOption key={category._id} value={category._id}>
+          {category.depth > 0 ? `${INDENT}${category.name}` : category.name}
+        </SelectOption>
+      ))}
+  </>
+);
+
+CategoryOptions.propTypes = {
+  categories: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      parentId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    })
+  ).isRequired,
+  exclude: PropTypes.arrayOf(PropTypes.string),
+};
@@ -61,6 +61,22 @@ export const BudgetComparisonChart = ({ data }) => {
             </p>
           ))}
           
+          {dataPoint?.rolloverIn ? (
+            <p className="text-sm mt-1">
+              <span className="font-medium">Carried over: </span>
+              <span>
+                {dataPoint.rolloverIn > 0 ? '+' : '−'}{formatCurrency(Math.abs(dataPoint.rolloverIn))}
+                {' '}(base {formatCurrency(dataPoint.baseAmount)})
+              </span>
+            </p>
+          ) : null}
+          
+          {dataPoint?.prorated ? (
+            <p className="text-sm mt-1 text-muted-light dark:text-muted-dark">
+              Budget prorated to the days in this period
+            </p>
+          ) : null}
+          
           <p className="text-sm mt-1">
             <span className="font-medium">Difference: </span>
             <span style={{ 
@@ -150,6 +166,9 @@ BudgetComparisonChart.propTypes = {
     PropTypes.shape({
       category: PropTypes.string,
       budgetAmount: PropTypes.number,
+      baseAmount: PropTypes.number,
+      rolloverIn: PropTypes.number,
+      prorated: PropTypes.bool,
       actualExpenses: PropTypes.number,
       status: PropTypes.string,
       percentage: PropTypes.number,
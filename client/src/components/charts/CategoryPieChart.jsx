@@ -8,9 +8,11 @@
  * - Custom tooltips with detailed information
  * - Responsive design that works in any container
  * - Error states for missing or invalid data
+ * - Drill-down into the subcategories of a category: click its segment
+ *   (or legend entry) to see how its total breaks down
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import {
   PieChart,     // Chart container
@@ -48,15 +50,21 @@ const COLORS = [
  * Visualizes spending distribution across different categories
  * 
  * @param {Object} props - Component props
- * @param {Array} props.data - Array of category data objects with name and amount
+ * @param {Array} props.data - Array of category data objects with name and amount,
+ *        and optionally the `subcategories` (name and amount) their amount is made of
  * @returns {JSX.Element} Rendered chart or placeholder
  */
 export const CategoryPieChart = ({ data }) => {
+  // Name of the category whose subcategories are shown (null for all categories)
+  const [drilledInto, setDrilledInto] = useState(null);
+  
   /**
    * Defensive programming: ensure data is always an array
    * This prevents runtime errors if data is null, undefined, or not an array
    */
-  const safeData = Array.isArray(data) ? data : [];
+  const allData = Array.isArray(data) ? data : [];
+  const parent = drilledInto ? allData.find(item => item.name === drilledInto) : null;
+  const safeData = parent?.subcategories?.length ? parent.subcategories : allData;
   
   /**
    * Handle empty data case
@@ -96,7 +104,14 @@ export const CategoryPieChart = ({ data }) => {
       name: item.name || 'Unknown', // Use 'Unknown' as fallback for missing names
       value: Math.abs(item.amount), // Convert to absolute value for the chart
       percentage: ((Math.abs(item.amount) / total) * 100).toFixed(1), // Calculate & format percentage
+      canDrillDown: !parent && Array.isArray(item.subcategories) && item.subcategories.length > 0,
     }));
+  
+  // Show the subcategories of a category that has them
+  const handleSelect = (name) => {
+    const item = formattedData.find(entry => entry.name === name);
+    if (item?.canDrillDown) setDrilledInto(name);
+  };
 
   /**
    * Handle the case where all data was filtered out
@@ -161,6 +176,9 @@ export const CategoryPieChart = ({ data }) => {
                 {payload[0].payload.percentage}%
               </span>
             </p>
+            {payload[0].payload.canDrillDown && (
+              <p className="text-xs text-muted-light dark:text-muted-dark pt-1">Click to see subcategories</p>
+            )}
           </div>
         </div>
       );
@@ -169,35 +187,52 @@ export const CategoryPieChart = ({ data }) => {
   };
 
   return (
-    <ResponsiveContainer width="100%" height={300}>
-      <PieChart>
-        <Pie
-          data={formattedData}
-          cx="50%"
-          cy="50%"
-          labelLine={false}
-          label={renderCustomizedLabel}
-          outerRadius={100}
-          fill="#8884d8"
-          dataKey="value"
-        >
-          {formattedData.map((entry, index) => (
-            <Cell
-              key={`cell-${index}`}
-              fill={COLORS[index % COLORS.length]}
-            />
-          ))}
-        </Pie>
-        <Tooltip content={customTooltip} />
-        <Legend
-          layout="horizontal"
-          verticalAlign="bottom"
-          align="center"
-          formatter={(value) => <span className="text-sm text-foreground-light dark:text-foreground-dark font-medium">{value}</span>}
-          wrapperStyle={{ paddingTop: '20px' }}
-        />
-      </PieChart>
-    </ResponsiveContainer>
+    <div>
+      {parent && (
+        <div className="flex items-center justify-between gap-2 mb-2 text-sm">
+          <span className="font-medium text-foreground-light dark:text-foreground-dark truncate">{parent.name}</span>
+          <button
+            type="button"
+            onClick={() => setDrilledInto(null)}
+            className="shrink-0 text-primary-600 dark:text-primary-400 hover:underline"
+          >
+            ← All categories
+          </button>
+        </div>
+      )}
+      <ResponsiveContainer width="100%" height={300}>
+        <PieChart>
+          <Pie
+            data={formattedData}
+            cx="50%"
+            cy="50%"
+            labelLine={false}
+            label={renderCustomizedLabel}
+            outerRadius={100}
+            fill="#8884d8"
+            dataKey="value"
+            onClick={(entry) => handleSelect(entry.name)}
+          >
+            {formattedData.map((entry, index) => (
+              <Cell
+                key={`cell-${index}`}
+                fill={COLORS[index % COLORS.length]}
+                cursor={entry.canDrillDown ? 'pointer' : undefined}
+              />
+            ))}
+          </Pie>
+          <Tooltip content={customTooltip} />
+          <Legend
+            layout="horizontal"
+            verticalAlign="bottom"
+            align="center"
+            onClick={(entry) => handleSelect(entry.value)}
+            formatter={(value) => <span className="text-sm text-foreground-light dark:text-foreground-dark font-medium">{value}</span>}
+            wrapperStyle={{ paddingTop: '20px' }}
+          />
+        </PieChart>
+      </ResponsiveContainer>
+    </div>
   );
 };
 
@@ -206,6 +241,12 @@ CategoryPieChart.propTypes = {
     PropTypes.shape({
       name: PropTypes.string.isRequired,
       amount: PropTypes.number.isRequired,
+      subcategories: PropTypes.arrayOf(
+        PropTypes.shape({
+          name: PropTypes.string.isRequired,
+          amount: PropTypes.number.isRequired,
+        })
+      ),
     })
   ).isRequired,
 };
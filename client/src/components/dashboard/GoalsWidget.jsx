@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { GoalProgress } from '../goals/GoalProgress';
+import { useTransactions } from '../../context/TransactionContext';
+import { goalAPI } from '../../api/api';
+
+// Most goals shown on the Dashboard
+const MAX_GOALS = 4;
+
+/**
+ * Savings goals still being saved for, soonest target date first
+ * Reached goals are left out; the Goals page lists everything.
+ */
+export const GoalsWidget = () => {
+  const { transactions } = useTransactions();
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Progress is computed on the server, so reload it when transactions change
+  useEffect(() => {
+    const loadGoals = async () => {
+      setGoals(await goalAPI.getAll());
+      setLoading(false);
+    };
+
+    loadGoals();
+  }, [transactions]);
+
+  const activeGoals = goals.filter((goal) => goal.progress.status !== 'completed');
+  const reachedCount = goals.length - activeGoals.length;
+
+  return (
+    <Card className="shadow-md hover:shadow-xl transition-all duration-300">
+      <CardHeader className="pb-2">
+        <CardTitle className="flex items-center justify-between text-foreground-light dark:text-foreground-dark">
+          <span className="flex items-center">
+            <svg className="h-5 w-5 mr-2 text-primary-500 dark:text-primary-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <circle cx="12" cy="12" r="10"></circle>
+              <circle cx="12" cy="12" r="6"></circle>
+              <circle cx="12" cy="12" r="2"></circle>
+            </svg>
+            Savings Goals
+          </span>
+          <Link to="/goals" className="text-sm font-normal text-primary-600 dark:text-primary-400 hover:underline">
+            View all
+          </Link>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <p className="text-sm text-muted">Loading goals...</p>
+          </div>
+        ) : activeGoals.length === 0 ? (
+          <p className="text-muted text-sm">
+            {reachedCount > 0
+              ? `All ${reachedCount} of your goals are reached.`
+              : 'No savings goals yet.'}
+            {' '}<Link to="/goals" className="text-primary-600 dark:text-primary-400 hover:underline">Add a goal</Link>
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {activeGoals.slice(0, MAX_GOALS).map((goal) => (
+              <div key={goal._id}>
+                <p className="font-medium mb-1">{goal.name}</p>
+                <GoalProgress goal={goal} compact={true} />
+              </div>
+            ))}
+            {activeGoals.length > MAX_GOALS && (
+              <p className="text-sm text-muted">
+                And {activeGoals.length - MAX_GOALS} more on the Goals page
+              </p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
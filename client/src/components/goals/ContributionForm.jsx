@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { goalAPI } from '../../api/api';
+
+// Today as YYYY-MM-DD in local time
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Record money set aside for a goal outside any tracked transaction
+ * A negative amount takes money back out of the goal.
+ */
+export const ContributionForm = ({ goal, onSave, onCancel }) => {
+  const [amount, setAmount] = useState('');
+  const [date, setDate] = useState(today);
+  const [notes, setNotes] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!amount || isNaN(amount) || Number(amount) === 0) {
+      setError('Amount must be a number other than zero');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const result = await goalAPI.addContribution(goal._id, {
+        amount: parseFloat(amount),
+        date,
+        notes: notes.trim(),
+      });
+      onSave(result);
+    } catch (saveError) {
+      console.error('Error adding contribution:', saveError);
+      setError(saveError.message || 'Failed to add contribution');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <Label htmlFor={`contribution-amount-${goal._id}`}>Amount</Label>
+          <Input
+            id={`contribution-amount-${goal._id}`}
+            type="number"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="0.00"
+          />
+        </div>
+        <div>
+          <Label htmlFor={`contribution-date-${goal._id}`}>Date</Label>
+          <Input
+            id={`contribution-date-${goal._id}`}
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+          />
+        </div>
+        <div>
+          <Label htmlFor={`contribution-notes-${goal._id}`}>Notes</Label>
+          <Input
+            id={`contribution-notes-${goal._id}`}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Optional"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-300 rounded text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto">
+          Cancel
+        </Button>
+        <Button type="submit" disabled={saving} className="w-full sm:w-auto">
+          Add Contribution
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+ContributionForm.propTypes = {
+  goal: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { CategoryOptions } from '../categories/CategoryOptions';
+import { useAccounts } from '../../context/AccountContext';
+import { useCategories } from '../../context/CategoryContext';
+import { goalAPI } from '../../api/api';
+import { getRefId } from '../../lib/transactions';
+import { GOAL_COLORS } from '../../lib/goals';
+
+// Dates come from the API at UTC midnight; date inputs want YYYY-MM-DD
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+/**
+ * Create or edit a savings goal: its target, an optional target date, and
+ * the account or category whose transactions count toward it
+ */
+export const GoalForm = ({ goal, onSave, onCancel }) => {
+  const { accounts } = useAccounts();
+  const { getSelectableCategories } = useCategories();
+  const safeAccounts = Array.isArray(accounts) ? accounts : [];
+  const safeCategories = getSelectableCategories(getRefId(goal?.categoryId));
+
+  const isEditing = !!goal?._id;
+
+  const [formData, setFormData] = useState({
+    name: goal?.name || '',
+    targetAmount: goal?.targetAmount ?? '',
+    targetDate: toDateInput(goal?.targetDate),
+    startDate: toDateInput(goal?.startDate) || toDateInput(new Date()),
+    // What contributions are tracked from: 'account', 'category' or '' (manual only)
+    link: goal?.accountId ? 'account' : goal?.categoryId ? 'category' : '',
+    accountId: getRefId(goal?.accountId),
+    categoryId: getRefId(goal?.categoryId),
+    color: goal?.color || GOAL_COLORS[0].value,
+    notes: goal?.notes || '',
+  });
+  const [errors, setErrors] = useState({});
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+
+    if (!formData.targetAmount || isNaN(formData.targetAmount) || Number(formData.targetAmount) <= 0) {
+      newErrors.targetAmount = 'Target amount must be a positive number';
+    }
+
+    if (!formData.startDate) {
+      newErrors.startDate = 'Start date is required';
+    }
+
+    if (formData.targetDate && formData.targetDate < formData.startDate) {
+      newErrors.targetDate = 'Target date must be on or after the start date';
+    }
+
+    if (formData.link === 'account' && !formData.accountId) {
+      newErrors.accountId = 'Choose an account';
+    }
+
+    if (formData.link === 'category' && !formData.categoryId) {
+      newErrors.categoryId = 'Choose a category';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+
+    // Clear the error for this field
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    try {
+      const goalData = {
+        name: formData.name.trim(),
+        targetAmount: parseFloat(formData.targetAmount),
+        targetDate: formData.targetDate || null,
+        startDate: formData.startDate,
+        accountId: formData.link === 'account' ? formData.accountId : null,
+        categoryId: formData.link === 'category' ? formData.categoryId : null,
+        color: formData.color,
+        notes: formData.notes,
+      };
+
+      const result = isEditing
+        ? await goalAPI.update(goal._id, goalData)
+        : await goalAPI.create(goalData);
+      onSave(result);
+    } catch (error) {
+      console.error('Error saving goal:', error);
+      setErrors((prev) => ({ ...prev, form: error.message || 'Failed to save goal' }));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="goal-name">Name</Label>
+          <Input
+            id="goal-name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            className={errors.name ? 'border-red-500' : ''}
+            placeholder="e.g. Emergency fund"
+          />
+          {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="goal-targetAmount">Target amount</Label>
+          <Input
+            id="goal-targetAmount"
+            name="targetAmount"
+            type="number"
+            step="0.01"
+            value={formData.targetAmount}
+            onChange={handleChange}
+            className={errors.targetAmount ? 'border-red-500' : ''}
+            placeholder="0.00"
+          />
+          {errors.targetAmount && <p className="text-red-500 text-sm mt-1">{errors.targetAmount}</p>}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="goal-startDate">Count transactions from</Label>
+          <Input
+            id="goal-startDate"
+            name="startDate"
+            type="date"
+            value={formData.startDate}
+            onChange={handleChange}
+            className={errors.startDate ? 'border-red-500' : ''}
+          />
+          {errors.startDate && <p className="text-red-500 text-sm mt-1">{errors.startDate}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="goal-targetDate">Target date (optional)</Label>
+          <Input
+            id="goal-targetDate"
+            name="targetDate"
+            type="date"
+            value={formData.targetDate}
+            onChange={handleChange}
+            className={errors.targetDate ? 'border-red-500' : ''}
+          />
+          {errors.targetDate && <p className="text-red-500 text-sm mt-1">{errors.targetDate}</p>}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="goal-link">Track contributions from</Label>
+          <Select id="goal-link" name="link" value={formData.link} onChange={handleChange}>
+            <SelectOption value="">Manual contributions only</SelectOption>
+            <SelectOption value="account">Deposits into an account</SelectOption>
+            <SelectOption value="category">Transactions in a category</SelectOption>
+          </Select>
+        </div>
+
+        {formData.link === 'account' && (
+          <div>
+            <Label htmlFor="goal-accountId">Account</Label>
+            <Select
+              id="goal-accountId"
+              name="accountId"
+              value={formData.accountId}
+              onChange={handleChange}
+              className={errors.accountId ? 'border-red-500' : ''}
+            >
+              <SelectOption value="">Choose an account</SelectOption>
+              {safeAccounts.map((account) => (
+                <SelectOption key={account._id} value={account._id}>
+                  {account.name}
+                </SelectOption>
+              ))}
+            </Select>
+            {errors.accountId && <p className="text-red-500 text-sm mt-1">{errors.accountId}</p>}
+          </div>
+        )}
+
+        {formData.link === 'category' && (
+          <div>
+            <Label htmlFor="goal-categoryId">Category</Label>
+            <Select
+              id="goal-categoryId"
+              name="categoryId"
+              value={formData.categoryId}
+              onChange={handleChange}
+              className={errors.categoryId ? 'border-red-500' : ''}
+            >
+              <SelectOption value="">Choose a category</SelectOption>
+              <CategoryOptions categories={safeCategories} />
+            </Select>
+            {errors.categoryId && <p className="text-red-500 text-sm mt-1">{errors.categoryId}</p>}
+          </div>
+        )}
+      </div>
+      <p className="text-xs text-muted-light dark:text-muted-dark">
+        {formData.link === 'account'
+          ? 'Money moved into the account counts toward the goal; money taken out counts against it.'
+          : formData.link === 'category'
+            ? 'Spending in the category (and its subcategories) counts toward the goal, e.g. a "Vacation fund" category.'
+            : 'Record what you set aside with Add Contribution.'}
+        {' '}Manual contributions can be added to any goal.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="goal-color">Color</Label>
+          <Select id="goal-color" name="color" value={formData.color} onChange={handleChange}>
+            {GOAL_COLORS.map((option) => (
+              <SelectOption key={option.value} value={option.value}>
+                {option.label}
+              </SelectOption>
+            ))}
+          </Select>
+        </div>
+
+        <div>
+          <Label htmlFor="goal-notes">Notes</Label>
+          <Input
+            id="goal-notes"
+            name="notes"
+            value={formData.notes}
+            onChange={handleChange}
+            placeholder="Optional"
+          />
+        </div>
+      </div>
+
+      {errors.form && (
+        <div className="p-3 bg-red-100 border border-red-300 rounded text-red-700">
+          {errors.form}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto order-2 sm:order-1">
+          Cancel
+        </Button>
+        <Button type="submit" className="w-full sm:w-auto order-1 sm:order-2">
+          {isEditing ? 'Update' : 'Create'} Goal
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+GoalForm.propTypes = {
+  goal: PropTypes.shape({
+    _id: PropTypes.string,
+    name: PropTypes.string,
+    targetAmount: PropTypes.number,
+    targetDate: PropTypes.string,
+    startDate: PropTypes.string,
+    accountId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    categoryId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    color: PropTypes.string,
+    notes: PropTypes.string,
+  }),
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { GoalProgress } from './GoalProgress';
+import { ContributionForm } from './ContributionForm';
+import { goalAPI } from '../../api/api';
+import { formatCurrency, formatDate } from '../../lib/format';
+import { describeGoalLink } from '../../lib/goals';
+
+/**
+ * Savings goals with their progress bars and manual contributions
+ * Contributions are added and removed here; the goal returned by the API
+ * (with its new progress) is passed to onGoalChange.
+ */
+export const GoalList = ({ goals, onEdit, onDelete, onGoalChange }) => {
+  // Goal whose contribution form is open, and goals showing their contributions
+  const [contributingId, setContributingId] = useState(null);
+  const [expandedIds, setExpandedIds] = useState([]);
+
+  const toggleExpanded = (id) => setExpandedIds((prev) => (
+    prev.includes(id) ? prev.filter((expandedId) => expandedId !== id) : [...prev, id]
+  ));
+
+  const handleContributionSaved = (goal) => {
+    setContributingId(null);
+    onGoalChange(goal);
+  };
+
+  const handleRemoveContribution = async (goal, contribution) => {
+    if (!window.confirm(`Remove the ${formatCurrency(contribution.amount)} contribution?`)) return;
+    try {
+      onGoalChange(await goalAPI.removeContribution(goal._id, contribution._id));
+    } catch (error) {
+      console.error('Error removing contribution:', error);
+      alert(error.message || 'Failed to remove contribution');
+    }
+  };
+
+  if (goals.length === 0) {
+    return (
+      <Card>
+        <CardContent className="p-6 text-center">
+          <p className="text-muted">No goals yet. Add one to start saving toward it.</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {goals.map((goal) => {
+        const contributions = [...(goal.contributions || [])]
+          .sort((a, b) => new Date(b.date) - new Date(a.date));
+        const expanded = expandedIds.includes(goal._id);
+
+        return (
+          <Card key={goal._id} className="overflow-hidden">
+            <CardContent className="p-4">
+              <div className="flex flex-col sm:flex-row justify-between gap-2 mb-3">
+                <div className="min-w-0">
+                  <h3 className="font-medium truncate">{goal.name}</h3>
+                  <p className="text-xs text-muted-light dark:text-muted-dark">
+                    {describeGoalLink(goal)}
+                    {goal.progress.manualAmount !== 0 && goal.progress.linkedAmount !== 0 && (
+                      <> · {formatCurrency(goal.progress.linkedAmount)} tracked, {formatCurrency(goal.progress.manualAmount)} added manually</>
+                    )}
+                  </p>
+                  {goal.notes && <p className="text-sm text-muted mt-1">{goal.notes}</p>}
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setContributingId(goal._id)}
+                    className="px-3 py-1 h-8"
+                  >
+                    Add Contribution
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => onEdit(goal)}
+                    className="px-3 py-1 h-8"
+                  >
+                    Edit
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => onDelete(goal)}
+                    className="px-3 py-1 h-8"
+                  >
+                    Delete
+                  </Button>
+                </div>
+              </div>
+
+              <GoalProgress goal={goal} />
+
+              {contributingId === goal._id && (
+                <div className="mt-4">
+                  <ContributionForm
+                    goal={goal}
+                    onSave={handleContributionSaved}
+                    onCancel={() => setContributingId(null)}
+                  />
+                </div>
+              )}
+
+              {contributions.length > 0 && (
+                <div className="mt-3">
+                  <button
+                    type="button"
+                    onClick={() => toggleExpanded(goal._id)}
+                    className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                  >
+                    {expanded ? 'Hide' : 'Show'} manual contributions ({contributions.length})
+                  </button>
+                  {expanded && (
+                    <ul className="mt-2 divide-y divide-gray-100 dark:divide-gray-700">
+                      {contributions.map((contribution) => (
+                        <li key={contribution._id} className="flex justify-between items-center py-1 text-sm gap-2">
+                          <span className="min-w-0 truncate">
+                            {formatDate(contribution.date, 'medium')}
+                            {contribution.notes && <span className="text-muted"> · {contribution.notes}</span>}
+                          </span>
+                          <span className="flex items-center gap-2 shrink-0">
+                            <span className={contribution.amount < 0 ? 'text-red-600' : 'text-green-600'}>
+                              {formatCurrency(contribution.amount)}
+                            </span>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => handleRemoveContribution(goal, contribution)}
+                              className="h-7 px-2"
+                              aria-label="Remove contribution"
+                            >
+                              ✕
+                            </Button>
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+};
+
+GoalList.propTypes = {
+  goals: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      notes: PropTypes.string,
+      contributions: PropTypes.arrayOf(PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        date: PropTypes.string.isRequired,
+        amount: PropTypes.number.isRequired,
+        notes: PropTypes.string,
+      })),
+      progress: PropTypes.shape({
+        linkedAmount: PropTypes.number.isRequired,
+        manualAmount: PropTypes.number.isRequired,
+      }).isRequired,
+    })
+  ).isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onGoalChange: PropTypes.func.isRequired,
+};
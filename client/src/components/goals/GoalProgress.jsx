@@ -0,0 +1,63 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { formatCurrency, formatDate } from '../../lib/format';
+import { GOAL_STATUSES } from '../../lib/goals';
+
+/**
+ * A goal's progress bar with what is saved, what is left and the monthly
+ * contribution needed to reach it by its target date
+ */
+export const GoalProgress = ({ goal, compact = false }) => {
+  const { progress } = goal;
+  const status = GOAL_STATUSES[progress.status] || GOAL_STATUSES['in-progress'];
+
+  return (
+    <div>
+      <div className="flex justify-between items-center text-sm mb-1 gap-2">
+        <span>
+          {formatCurrency(progress.savedAmount)} of {formatCurrency(goal.targetAmount)}
+        </span>
+        <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${status.className}`}>
+          {status.label} · {Math.round(progress.percent)}%
+        </span>
+      </div>
+      <div className="h-2 bg-gray-100 dark:bg-gray-700 rounded overflow-hidden">
+        <div
+          className="h-full"
+          style={{
+            width: `${Math.min(progress.percent, 100)}%`,
+            backgroundColor: goal.color || '#10b981',
+          }}
+        ></div>
+      </div>
+      <p className="text-xs text-muted-light dark:text-muted-dark mt-1">
+        {progress.status === 'completed'
+          ? 'Goal reached'
+          : progress.status === 'overdue'
+            ? `${formatCurrency(progress.remaining)} still to save; the target date has passed`
+            : progress.requiredMonthly !== null
+              ? `${formatCurrency(progress.requiredMonthly)}/month for ${progress.monthsLeft} ${progress.monthsLeft === 1 ? 'month' : 'months'} to reach it`
+              : `${formatCurrency(progress.remaining)} to go`}
+        {!compact && goal.targetDate && ` · Target ${formatDate(goal.targetDate, 'medium')}`}
+      </p>
+    </div>
+  );
+};
+
+GoalProgress.propTypes = {
+  goal: PropTypes.shape({
+    targetAmount: PropTypes.number.isRequired,
+    targetDate: PropTypes.string,
+    color: PropTypes.string,
+    progress: PropTypes.shape({
+      savedAmount: PropTypes.number.isRequired,
+      remaining: PropTypes.number.isRequired,
+      percent: PropTypes.number.isRequired,
+      monthsLeft: PropTypes.number,
+      requiredMonthly: PropTypes.number,
+      status: PropTypes.string.isRequired,
+    }).isRequired,
+  }).isRequired,
+  // Leaves out the target date, for the Dashboard widget
+  compact: PropTypes.bool,
+};
@@ -0,0 +1,167 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+
+// Date formats understood by the server
+export const DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'MM/DD/YYYY',
+  'DD/MM/YYYY',
+  'DD.MM.YYYY',
+  'MM-DD-YYYY',
+  'DD-MM-YYYY',
+  'YYYY/MM/DD',
+  'MM/DD/YY',
+  'DD/MM/YY',
+];
+
+const REQUIRED_FIELDS = [
+  { name: 'date', label: 'Date' },
+  { name: 'description', label: 'Description' },
+];
+
+const AMOUNT_FIELDS = {
+  single: [{ name: 'amount', label: 'Amount' }],
+  split: [
+    { name: 'debit', label: 'Debit (money out)' },
+    { name: 'credit', label: 'Credit (money in)' },
+  ],
+};
+
+const OPTIONAL_FIELDS = [
+  { name: 'category', label: 'Category (optional)' },
+  { name: 'notes', label: 'Notes (optional)' },
+];
+
+/**
+ * Map file columns to transaction fields and choose how values are read
+ * Columns are identified by their index, as strings ('' means not mapped)
+ */
+export const ColumnMapping = ({ headers, sample, mapping, options, errors, onMappingChange, onOptionsChange }) => {
+  const amountFields = AMOUNT_FIELDS[options.amountMode];
+
+  const renderColumnSelect = ({ name, label }) => (
+    <div key={name}>
+      <Label htmlFor={`mapping-${name}`}>{label}</Label>
+      <Select
+        id={`mapping-${name}`}
+        value={mapping[name] ?? ''}
+        onChange={(e) => onMappingChange(name, e.target.value)}
+        className={errors[name] ? 'border-red-500' : ''}
+      >
+        <SelectOption value="">Not mapped</SelectOption>
+        {headers.map((header, index) => (
+          <SelectOption key={index} value={String(index)}>
+            {header || `Column ${index + 1}`}
+          </SelectOption>
+        ))}
+      </Select>
+      {errors[name] && <p className="text-red-500 text-sm mt-1">{errors[name]}</p>}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {REQUIRED_FIELDS.map(renderColumnSelect)}
+
+        <div className="sm:col-span-2">
+          <Label htmlFor="mapping-amountMode">Amounts are in</Label>
+          <Select
+            id="mapping-amountMode"
+            value={options.amountMode}
+            onChange={(e) => onOptionsChange('amountMode', e.target.value)}
+          >
+            <SelectOption value="single">One signed amount column</SelectOption>
+            <SelectOption value="split">Separate debit and credit columns</SelectOption>
+          </Select>
+        </div>
+
+        {amountFields.map(renderColumnSelect)}
+        {OPTIONAL_FIELDS.map(renderColumnSelect)}
+
+        <div>
+          <Label htmlFor="mapping-dateFormat">Date format</Label>
+          <Select
+            id="mapping-dateFormat"
+            value={options.dateFormat}
+            onChange={(e) => onOptionsChange('dateFormat', e.target.value)}
+          >
+            {DATE_FORMATS.map((format) => (
+              <SelectOption key={format} value={format}>
+                {format}
+              </SelectOption>
+            ))}
+          </Select>
+        </div>
+
+        <div>
+          <Label htmlFor="mapping-decimalSeparator">Decimal separator</Label>
+          <Select
+            id="mapping-decimalSeparator"
+            value={options.decimalSeparator}
+            onChange={(e) => onOptionsChange('decimalSeparator', e.target.value)}
+          >
+            <SelectOption value=".">Point (1,234.56)</SelectOption>
+            <SelectOption value=",">Comma (1.234,56)</SelectOption>
+          </Select>
+        </div>
+      </div>
+
+      {options.amountMode === 'single' && (
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={options.invertAmounts}
+            onChange={(e) => onOptionsChange('invertAmounts', e.target.checked)}
+          />
+          Spending is shown as positive numbers in this file
+        </label>
+      )}
+
+      {sample.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium mb-2">First rows of the file</h4>
+          <div className="overflow-x-auto border border-border-light dark:border-border-dark rounded-md">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="bg-background-light dark:bg-background-dark">
+                  {headers.map((header, index) => (
+                    <th key={index} className="px-3 py-2 text-left font-medium whitespace-nowrap">
+                      {header || `Column ${index + 1}`}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sample.map((row, rowIndex) => (
+                  <tr key={rowIndex} className="border-t border-border-light dark:border-border-dark">
+                    {headers.map((_, index) => (
+                      <td key={index} className="px-3 py-2 whitespace-nowrap">{row[index]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+ColumnMapping.propTypes = {
+  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
+  sample: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  mapping: PropTypes.objectOf(PropTypes.string).isRequired,
+  options: PropTypes.shape({
+    amountMode: PropTypes.oneOf(['single', 'split']).isRequired,
+    dateFormat: PropTypes.string.isRequired,
+    decimalSeparator: PropTypes.oneOf(['.', ',']).isRequired,
+    invertAmounts: PropTypes.bool.isRequired,
+  }).isRequired,
+  errors: PropTypes.object.isRequired,
+  onMappingChange: PropTypes.func.isRequired,
+  onOptionsChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,93 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { formatCurrency } from '../../lib/format';
+
+// Preview dates are UTC "YYYY-MM-DD" strings
+const formatPreviewDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+  : '—');
+
+/**
+ * Table of rows as they will be imported
+ * Rows with errors are highlighted and will be skipped, as will rows already imported
+ */
+export const ImportPreview = ({ rows }) => {
+  if (rows.length === 0) {
+    return <p className="text-sm text-muted-light dark:text-muted-dark">No rows to show.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto border border-border-light dark:border-border-dark rounded-md max-h-[28rem] overflow-y-auto">
+      <table className="min-w-full text-sm">
+        <thead className="sticky top-0 bg-background-light dark:bg-background-dark">
+          <tr>
+            <th className="px-3 py-2 text-left font-medium">Row</th>
+            <th className="px-3 py-2 text-left font-medium">Date</th>
+            <th className="px-3 py-2 text-left font-medium">Description</th>
+            <th className="px-3 py-2 text-left font-medium">Category</th>
+            <th className="px-3 py-2 text-right font-medium">Amount</th>
+            <th className="px-3 py-2 text-left font-medium">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr
+              key={row.row}
+              className={`border-t border-border-light dark:border-border-dark ${
+                row.status === 'error' ? 'bg-red-50 dark:bg-red-900/20' : ''
+              } ${row.status === 'duplicate' ? 'opacity-60' : ''}`}
+            >
+              <td className="px-3 py-2 text-muted-light dark:text-muted-dark">{row.row}</td>
+              <td className="px-3 py-2 whitespace-nowrap">{formatPreviewDate(row.date)}</td>
+              <td className="px-3 py-2">
+                {row.description || '—'}
+                {row.payeeName && (
+                  <span className="block text-xs text-muted-light dark:text-muted-dark">{row.payeeName}</span>
+                )}
+              </td>
+              <td className="px-3 py-2">
+                {row.categoryName || 'Uncategorized'}
+                {row.ruleName && (
+                  <span className="block text-xs text-muted-light dark:text-muted-dark">by rule “{row.ruleName}”</span>
+                )}
+              </td>
+              <td className={`px-3 py-2 text-right whitespace-nowrap ${
+                row.amount < 0 ? 'text-red-500 dark:text-red-400' : 'text-emerald-500 dark:text-emerald-400'
+              }`}>
+                {row.amount === null || row.amount === undefined ? '—' : formatCurrency(row.amount)}
+              </td>
+              <td className="px-3 py-2 text-xs">
+                {row.status === 'error' ? (
+                  <span className="text-red-600 dark:text-red-400">{row.errors.join('; ')}</span>
+                ) : row.status === 'duplicate' ? (
+                  <span className="text-muted-light dark:text-muted-dark">Already imported</span>
+                ) : row.warnings?.length > 0 ? (
+                  <span className="text-amber-600 dark:text-amber-400">{row.warnings.join('; ')}</span>
+                ) : (
+                  <span className="text-emerald-600 dark:text-emerald-400">Ready</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+ImportPreview.propTypes = {
+  rows: PropTypes.arrayOf(
+    PropTypes.shape({
+      row: PropTypes.number.isRequired,
+      date: PropTypes.string,
+      description: PropTypes.string,
+      amount: PropTypes.number,
+      categoryName: PropTypes.string,
+      ruleName: PropTypes.string,
+      payeeName: PropTypes.string,
+      status: PropTypes.oneOf(['ok', 'duplicate', 'error']).isRequired,
+      errors: PropTypes.arrayOf(PropTypes.string),
+      warnings: PropTypes.arrayOf(PropTypes.string),
+    })
+  ).isRequired,
+};
@@ -1,7 +1,11 @@
-import React, { useEffect, useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { cn } from '../../lib/utils';
 import ChatbotAssistant from '../ui/ChatbotAssistant';
+import { useAuth } from '../../context/AuthContext';
+import { useTransactions } from '../../context/TransactionContext';
+import { notificationAPI } from '../../api/api';
+import { formatDate } from '../../lib/format';
 import { FaGithub, FaLinkedin, FaTwitter } from 'react-icons/fa';
 
 // Dark mode toggle
@@ -111,6 +115,189 @@ const ThemeToggle = () => {
   );
 };
 
+// How often the bell checks for notifications created in the background
+// (such as budget alerts from recurring transactions)
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+// Bell listing notifications such as budget alerts, with the unread count
+const NotificationBell = () => {
+  const { transactions } = useTransactions();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const data = await notificationAPI.getAll();
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, []);
+
+  // New transactions may have created alerts; reload when they change and now and then
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, NOTIFICATION_POLL_MS);
+    return () => clearInterval(timer);
+  }, [loadNotifications, transactions]);
+
+  // Close the list when clicking outside it
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (open && !event.target.closest('[data-notification-menu]')) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('click', handleClickOutside);
+    return () => {
+      document.removeEventListener('click', handleClickOutside);
+    };
+  }, [open]);
+
+  const toggleOpen = () => {
+    if (!open) loadNotifications();
+    setOpen(!open);
+  };
+
+  // Opening a notification marks it read; budget alerts lead to the Budgets page
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+    if (notification.type === 'budget-threshold') navigate('/budgets');
+    if (notification.read) return;
+
+    try {
+      await notificationAPI.markRead(notification._id);
+      loadNotifications();
+    } catch (error) {
+      console.error('Error updating notification:', error);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      loadNotifications();
+    } catch (error) {
+      console.error('Error updating notifications:', error);
+    }
+  };
+
+  return (
+    <div data-notification-menu className="relative">
+      <button
+        onClick={toggleOpen}
+        className="relative p-2 h-10 w-10 rounded-full touch-target flex items-center justify-center text-muted-light dark:text-muted-dark hover:bg-primary-100/70 dark:hover:bg-primary-900/20 hover:text-primary-500 transition-all duration-300"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={open}
+        title="Notifications"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+          <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] rounded-xl border border-border-light dark:border-border-dark bg-card-light dark:bg-card-dark shadow-lg z-50 animate-fade-in">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-border-light dark:border-border-dark">
+            <span className="text-sm font-semibold">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-xs text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-muted-light dark:text-muted-dark">
+              No notifications yet
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-border-light dark:divide-border-dark">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleOpenNotification(notification)}
+                    className={cn(
+                      'w-full text-left px-4 py-3 hover:bg-primary-100/50 dark:hover:bg-primary-900/20 transition-colors',
+                      !notification.read && 'bg-primary-50/70 dark:bg-primary-900/10'
+                    )}
+                  >
+                    <div className="flex items-start gap-2">
+                      {!notification.read && (
+                        <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-primary-500" aria-label="Unread"></span>
+                      )}
+                      <div className="min-w-0">
+                        <p className={cn('text-sm', !notification.read && 'font-semibold')}>{notification.title}</p>
+                        {notification.message && (
+                          <p className="text-xs text-muted-light dark:text-muted-dark mt-0.5">{notification.message}</p>
+                        )}
+                        <p className="text-xs text-muted-light dark:text-muted-dark mt-1">
+                          {formatDate(notification.createdAt, 'medium')}
+                        </p>
+                      </div>
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Signed-in user's name with backup and sign-out buttons
+const UserMenu = () => {
+  const { user, logout } = useAuth();
+  
+  if (!user) return null;
+  
+  return (
+    <div className="flex items-center gap-2">
+      <span className="hidden lg:inline text-sm font-medium text-muted-light dark:text-muted-dark truncate max-w-[140px]">
+        {user.name}
+      </span>
+      <Link
+        to="/backup"
+        className="p-2 h-10 w-10 rounded-full touch-target flex items-center justify-center text-muted-light dark:text-muted-dark hover:bg-primary-100/70 dark:hover:bg-primary-900/20 hover:text-primary-500 transition-all duration-300"
+        aria-label="Backup and restore"
+        title="Backup and restore"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <ellipse cx="12" cy="5" rx="9" ry="3"></ellipse>
+          <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path>
+          <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>
+        </svg>
+      </Link>
+      <button
+        onClick={logout}
+        className="p-2 h-10 w-10 rounded-full touch-target flex items-center justify-center text-muted-light dark:text-muted-dark hover:bg-red-100/70 dark:hover:bg-red-900/20 hover:text-red-500 transition-all duration-300"
+        aria-label="Sign out"
+        title="Sign out"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"></path>
+          <polyline points="16 17 21 12 16 7"></polyline>
+          <line x1="21" y1="12" x2="9" y2="12"></line>
+        </svg>
+      </button>
+    </div>
+  );
+};
+
 export const Header = () => {
   const [menuOpen, setMenuOpen] = useState(false);
 
@@ -218,14 +405,38 @@ export const Header = () => {
               </svg>
               Budgets
             </NavLink>
+            <NavLink 
+              to="/accounts" 
+              className="px-3 py-2 rounded-lg flex items-center text-sm font-medium hover:bg-cyan-100/70 dark:hover:bg-cyan-900/20"
+            >
+              <svg className="w-4 h-4 mr-1.5 text-cyan-500 dark:text-cyan-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M3 21h18M3 10h18M5 6l7-3 7 3M4 10v11M20 10v11M8 14v3M12 14v3M16 14v3"></path>
+              </svg>
+              Accounts
+            </NavLink>
+            <NavLink 
+              to="/goals" 
+              className="px-3 py-2 rounded-lg flex items-center text-sm font-medium hover:bg-rose-100/70 dark:hover:bg-rose-900/20"
+            >
+              <svg className="w-4 h-4 mr-1.5 text-rose-500 dark:text-rose-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <circle cx="12" cy="12" r="10"></circle>
+                <circle cx="12" cy="12" r="6"></circle>
+                <circle cx="12" cy="12" r="2"></circle>
+              </svg>
+              Goals
+            </NavLink>
           </div>
           <div className="h-6 w-px bg-border-light dark:bg-border-dark mx-1"></div>
           <ThemeToggle />
+          <NotificationBell />
+          <UserMenu />
         </nav>
 
         {/* Mobile Menu Button */}
         <div className="ml-auto flex items-center gap-2 md:hidden">
           <ThemeToggle />
+          <NotificationBell />
+          <UserMenu />
           <button 
             id="menu-toggle"
             onClick={toggleMenu} 
@@ -392,6 +603,66 @@ export const Header = () => {
                 <polyline points="9 18 15 12 9 6"></polyline>
               </svg>
             </NavLink>
+            
+            {/* Accounts Button with cyan gradient - enhanced dark mode */}
+            <NavLink 
+              to="/accounts" 
+              onClick={() => setMenuOpen(false)}
+              className="mobile-menu-item w-full py-4 px-6 rounded-xl flex items-center justify-between 
+                bg-gradient-to-r from-cyan-500/20 to-cyan-600/10
+                dark:bg-gradient-to-r dark:from-cyan-900/80 dark:to-cyan-800/60
+                shadow-md hover:shadow-lg dark:shadow-cyan-900/40
+                border border-cyan-200 dark:border-cyan-700/60
+                hover:border-cyan-300 dark:hover:border-cyan-600
+                backdrop-blur-sm transition-all duration-300
+                touch-ripple active:scale-[0.98]"
+            >
+              <div className="flex items-center">
+                <div className="w-9 h-9 rounded-lg mr-3 flex items-center justify-center
+                  bg-gradient-to-br from-cyan-400 to-cyan-600
+                  dark:bg-gradient-to-br dark:from-cyan-400 dark:to-cyan-600
+                  text-white shadow-md shadow-cyan-500/30 dark:shadow-cyan-500/50">
+                  <svg className="w-5 h-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M3 21h18M3 10h18M5 6l7-3 7 3M4 10v11M20 10v11M8 14v3M12 14v3M16 14v3"></path>
+                  </svg>
+                </div>
+                <span className="font-medium dark:text-white">Accounts</span>
+              </div>
+              <svg className="w-5 h-5 text-cyan-500 dark:text-cyan-300" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <polyline points="9 18 15 12 9 6"></polyline>
+              </svg>
+            </NavLink>
+            
+            {/* Goals Button with rose gradient - enhanced dark mode */}
+            <NavLink 
+              to="/goals" 
+              onClick={() => setMenuOpen(false)}
+              className="mobile-menu-item w-full py-4 px-6 rounded-xl flex items-center justify-between 
+                bg-gradient-to-r from-rose-500/20 to-rose-600/10
+                dark:bg-gradient-to-r dark:from-rose-900/80 dark:to-rose-800/60
+                shadow-md hover:shadow-lg dark:shadow-rose-900/40
+                border border-rose-200 dark:border-rose-700/60
+                hover:border-rose-300 dark:hover:border-rose-600
+                backdrop-blur-sm transition-all duration-300
+                touch-ripple active:scale-[0.98]"
+            >
+              <div className="flex items-center">
+                <div className="w-9 h-9 rounded-lg mr-3 flex items-center justify-center
+                  bg-gradient-to-br from-rose-400 to-rose-600
+                  dark:bg-gradient-to-br dark:from-rose-400 dark:to-rose-600
+                  text-white shadow-md shadow-rose-500/30 dark:shadow-rose-500/50">
+                  <svg className="w-5 h-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <circle cx="12" cy="12" r="10"></circle>
+                    <circle cx="12" cy="12" r="6"></circle>
+                    <circle cx="12" cy="12" r="2"></circle>
+                  </svg>
+                </div>
+                <span className="font-medium dark:text-white">Goals</span>
+              </div>
+              <svg className="w-5 h-5 text-rose-500 dark:text-rose-300" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <polyline points="9 18 15 12 9 6"></polyline>
+              </svg>
+            </NavLink>
           </nav>
         </div>
       )}
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { useCategories } from '../../context/CategoryContext';
+import { payeeAPI } from '../../api/api';
+import { getRefId } from '../../lib/transactions';
+import { CategoryOptions } from '../categories/CategoryOptions';
+
+/**
+ * Create or edit a payee: its name, the alias patterns that identify it in
+ * transaction descriptions, and an optional default category
+ */
+export const PayeeForm = ({ payee, onSave, onCancel }) => {
+  const { getSelectableCategories } = useCategories();
+  const safeCategories = getSelectableCategories(getRefId(payee?.defaultCategoryId));
+
+  const isEditing = !!payee?._id;
+
+  const [formData, setFormData] = useState({
+    name: payee?.name || '',
+    defaultCategoryId: getRefId(payee?.defaultCategoryId) || '',
+  });
+  const [aliases, setAliases] = useState(payee?.aliases?.length > 0 ? payee.aliases : ['']);
+  const [errors, setErrors] = useState({});
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+
+    if (aliases.some((alias) => alias.trim() && !alias.replace(/\*/g, '').trim())) {
+      newErrors.aliases = 'An alias needs more than wildcards';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+
+    // Clear the error for this field
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const updateAlias = (index, value) => {
+    setAliases((prev) => prev.map((alias, i) => (i === index ? value : alias)));
+    if (errors.aliases) {
+      setErrors((prev) => ({ ...prev, aliases: undefined }));
+    }
+  };
+
+  const addAlias = () => setAliases((prev) => [...prev, '']);
+
+  const removeAlias = (index) => setAliases((prev) => prev.filter((_, i) => i !== index));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    try {
+      const payeeData = {
+        name: formData.name.trim(),
+        aliases: aliases.map((alias) => alias.trim()).filter(Boolean),
+        defaultCategoryId: formData.defaultCategoryId || null,
+      };
+
+      const result = isEditing
+        ? await payeeAPI.update(payee._id, payeeData)
+        : await payeeAPI.create(payeeData);
+      onSave(result);
+    } catch (error) {
+      console.error('Error saving payee:', error);
+      setErrors((prev) => ({ ...prev, form: error.message || 'Failed to save payee' }));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="payee-name">Name</Label>
+          <Input
+            id="payee-name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            className={errors.name ? 'border-red-500' : ''}
+            placeholder="e.g. Amazon"
+          />
+          {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="payee-defaultCategoryId">Default category</Label>
+          <Select
+            id="payee-defaultCategoryId"
+            name="defaultCategoryId"
+            value={formData.defaultCategoryId}
+            onChange={handleChange}
+          >
+            <SelectOption value="">None</SelectOption>
+            <CategoryOptions categories={safeCategories} />
+          </Select>
+        </div>
+      </div>
+
+      <div>
+        <Label>Aliases</Label>
+        <p className="text-xs text-muted-light dark:text-muted-dark mb-2">
+          Descriptions containing an alias (or the name) belong to this payee. Use * as a wildcard,
+          e.g. “AMZN Mktp*” for descriptions starting with AMZN Mktp.
+        </p>
+        <div className="space-y-2">
+          {aliases.map((alias, index) => (
+            <div key={index} className="flex gap-2">
+              <Input
+                aria-label={`Alias ${index + 1}`}
+                value={alias}
+                onChange={(e) => updateAlias(index, e.target.value)}
+                placeholder="e.g. AMZN Mktp*"
+              />
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => removeAlias(index)}
+                disabled={aliases.length === 1}
+                className="h-10"
+                aria-label={`Remove alias ${index + 1}`}
+              >
+                ✕
+              </Button>
+            </div>
+          ))}
+        </div>
+        {errors.aliases && <p className="text-red-500 text-sm mt-1">{errors.aliases}</p>}
+        <Button type="button" variant="outline" size="sm" onClick={addAlias} className="mt-2">
+          Add Alias
+        </Button>
+      </div>
+
+      {errors.form && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {errors.form}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto order-2 sm:order-1">
+          Cancel
+        </Button>
+        <Button type="submit" className="w-full sm:w-auto order-1 sm:order-2">
+          {isEditing ? 'Update' : 'Create'} Payee
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+PayeeForm.propTypes = {
+  payee: PropTypes.shape({
+    _id: PropTypes.string,
+    name: PropTypes.string,
+    aliases: PropTypes.arrayOf(PropTypes.string),
+    defaultCategoryId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+  }),
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { useCategories } from '../../context/CategoryContext';
+import { recurringAPI } from '../../api/api';
+import { getRefId } from '../../lib/transactions';
+import { CategoryOptions } from '../categories/CategoryOptions';
+
+/**
+ * Edit a single upcoming occurrence of a recurring rule
+ * Other occurrences of the rule are not affected
+ */
+export const OccurrenceForm = ({ occurrence, onSave, onCancel }) => {
+  const { getSelectableCategories } = useCategories();
+  const safeCategories = getSelectableCategories(getRefId(occurrence.categoryId));
+
+  const [formData, setFormData] = useState({
+    description: occurrence.description || '',
+    amount: occurrence.amount ?? '',
+    categoryId: getRefId(occurrence.categoryId),
+  });
+
+  const [errors, setErrors] = useState({});
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!formData.description.trim()) {
+      newErrors.description = 'Description is required';
+    }
+    if (formData.amount === '' || isNaN(formData.amount) || Number(formData.amount) === 0) {
+      newErrors.amount = 'Amount cannot be zero';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      const result = await recurringAPI.updateOccurrence(occurrence.ruleId, occurrence.date, {
+        description: formData.description,
+        amount: parseFloat(formData.amount),
+        ...(formData.categoryId ? { categoryId: formData.categoryId } : {}),
+      });
+      onSave(result);
+    } catch (error) {
+      console.error('Error saving occurrence:', error);
+      setErrors((prev) => ({ ...prev, form: error.message || 'Failed to save occurrence' }));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <Label htmlFor="occurrence-description">Description</Label>
+          <Input
+            id="occurrence-description"
+            name="description"
+            value={formData.description}
+            onChange={handleChange}
+            className={errors.description ? 'border-red-500' : ''}
+          />
+          {errors.description && <p className="text-red-500 text-sm mt-1">{errors.description}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="occurrence-amount">Amount</Label>
+          <Input
+            id="occurrence-amount"
+            name="amount"
+            type="number"
+            step="0.01"
+            value={formData.amount}
+            onChange={handleChange}
+            className={errors.amount ? 'border-red-500' : ''}
+          />
+          {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="occurrence-categoryId">Category</Label>
+          <Select id="occurrence-categoryId" name="categoryId" value={formData.categoryId} onChange={handleChange}>
+            <SelectOption value="">Same as rule</SelectOption>
+            <CategoryOptions categories={safeCategories} />
+          </Select>
+        </div>
+      </div>
+
+      {errors.form && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {errors.form}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto order-2 sm:order-1">
+          Cancel
+        </Button>
+        <Button type="submit" className="w-full sm:w-auto order-1 sm:order-2">
+          Save This Occurrence
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+OccurrenceForm.propTypes = {
+  occurrence: PropTypes.shape({
+    ruleId: PropTypes.string.isRequired,
+    date: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    amount: PropTypes.number,
+    categoryId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
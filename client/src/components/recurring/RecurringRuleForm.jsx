@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { useCategories } from '../../context/CategoryContext';
+import { useAccounts } from '../../context/AccountContext';
+import { recurringAPI } from '../../api/api';
+import { getRefId } from '../../lib/transactions';
+import { CategoryOptions } from '../categories/CategoryOptions';
+
+// Supported frequencies and the unit shown next to the interval
+export const FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day(s)' },
+  { value: 'weekly', label: 'Weekly', unit: 'week(s)' },
+  { value: 'monthly', label: 'Monthly', unit: 'month(s)' },
+  { value: 'yearly', label: 'Yearly', unit: 'year(s)' },
+];
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const WEEKS_OF_MONTH = [
+  { value: '1', label: 'First' },
+  { value: '2', label: 'Second' },
+  { value: '3', label: 'Third' },
+  { value: '4', label: 'Fourth' },
+  { value: '-1', label: 'Last' },
+];
+
+// Format a date as YYYY-MM-DD for HTML date inputs
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+export const RecurringRuleForm = ({ rule, onSave, onCancel }) => {
+  const { getSelectableCategories } = useCategories();
+  const { accounts } = useAccounts();
+
+  const safeCategories = getSelectableCategories(getRefId(rule?.categoryId));
+  const safeAccounts = Array.isArray(accounts) ? accounts : [];
+
+  const isEditing = !!rule?._id;
+
+  const [formData, setFormData] = useState({
+    description: rule?.description || '',
+    amount: rule?.amount ?? '',
+    categoryId: getRefId(rule?.categoryId) || (safeCategories[0]?._id ?? ''),
+    accountId: getRefId(rule?.accountId),
+    frequency: rule?.frequency || 'monthly',
+    interval: rule?.interval || 1,
+    // Monthly rules repeat either on the same day or on the nth weekday
+    monthlyMode: rule?.weekOfMonth ? 'weekday' : 'day',
+    weekOfMonth: rule?.weekOfMonth ? String(rule.weekOfMonth) : '1',
+    dayOfWeek: rule?.dayOfWeek !== undefined && rule?.dayOfWeek !== null ? String(rule.dayOfWeek) : '1',
+    startDate: toDateInput(rule?.startDate) || toDateInput(new Date()),
+    endDate: toDateInput(rule?.endDate),
+  });
+
+  const [errors, setErrors] = useState({});
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.description.trim()) {
+      newErrors.description = 'Description is required';
+    }
+
+    if (formData.amount === '' || isNaN(formData.amount) || Number(formData.amount) === 0) {
+      newErrors.amount = 'Amount cannot be zero';
+    }
+
+    if (!(parseInt(formData.interval, 10) >= 1)) {
+      newErrors.interval = 'Repeat at least every 1 period';
+    }
+
+    if (!formData.startDate) {
+      newErrors.startDate = 'Start date is required';
+    }
+
+    if (formData.endDate && formData.endDate < formData.startDate) {
+      newErrors.endDate = 'End date must be after the start date';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+
+    // Clear the error for this field
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    try {
+      const amount = parseFloat(formData.amount);
+      const useWeekday = formData.frequency === 'monthly' && formData.monthlyMode === 'weekday';
+
+      const ruleData = {
+        description: formData.description,
+        amount,
+        type: amount >= 0 ? 'income' : 'expense',
+        categoryId: formData.categoryId || null,
+        accountId: formData.accountId || null,
+        frequency: formData.frequency,
+        interval: parseInt(formData.interval, 10),
+        weekOfMonth: useWeekday ? parseInt(formData.weekOfMonth, 10) : null,
+        dayOfWeek: useWeekday ? parseInt(formData.dayOfWeek, 10) : null,
+        startDate: formData.startDate,
+        endDate: formData.endDate || null,
+      };
+
+      const result = isEditing
+        ? await recurringAPI.update(rule._id, ruleData)
+        : await recurringAPI.create(ruleData);
+      onSave(result);
+    } catch (error) {
+      console.error('Error saving recurring rule:', error);
+      setErrors((prev) => ({ ...prev, form: error.message || 'Failed to save recurring transaction' }));
+    }
+  };
+
+  const frequency = FREQUENCIES.find((f) => f.value === formData.frequency);
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="rule-description">Description</Label>
+          <Input
+            id="rule-description"
+            name="description"
+            value={formData.description}
+            onChange={handleChange}
+            className={errors.description ? 'border-red-500' : ''}
+            placeholder="e.g. Rent"
+          />
+          {errors.description && <p className="text-red-500 text-sm mt-1">{errors.description}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="rule-amount">Amount</Label>
+          <Input
+            id="rule-amount"
+            name="amount"
+            type="number"
+            step="0.01"
+            value={formData.amount}
+            onChange={handleChange}
+            className={errors.amount ? 'border-red-500' : ''}
+            placeholder="Negative for expense, positive for income"
+          />
+          {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="rule-categoryId">Category</Label>
+          <Select id="rule-categoryId" name="categoryId" value={formData.categoryId} onChange={handleChange}>
+            <SelectOption value="">Uncategorized</SelectOption>
+            <CategoryOptions categories={safeCategories} />
+          </Select>
+        </div>
+
+        <div>
+          <Label htmlFor="rule-accountId">Account</Label>
+          <Select id="rule-accountId" name="accountId" value={formData.accountId} onChange={handleChange}>
+            <SelectOption value="">No account</SelectOption>
+            {safeAccounts.map((account) => (
+              <SelectOption key={account._id} value={account._id}>
+                {account.name}
+              </SelectOption>
+            ))}
+          </Select>
+        </div>
+
+        <div>
+          <Label htmlFor="rule-frequency">Frequency</Label>
+          <Select id="rule-frequency" name="frequency" value={formData.frequency} onChange={handleChange}>
+            {FREQUENCIES.map((option) => (
+              <SelectOption key={option.value} value={option.value}>
+                {option.label}
+              </SelectOption>
+            ))}
+          </Select>
+        </div>
+
+        <div>
+          <Label htmlFor="rule-interval">Every</Label>
+          <div className="flex items-center gap-2">
+            <Input
+              id="rule-interval"
+              name="interval"
+              type="number"
+              min="1"
+              value={formData.interval}
+              onChange={handleChange}
+              className={errors.interval ? 'border-red-500' : ''}
+            />
+            <span className="text-sm text-muted-light dark:text-muted-dark shrink-0">{frequency?.unit}</span>
+          </div>
+          {errors.interval && <p className="text-red-500 text-sm mt-1">{errors.interval}</p>}
+        </div>
+
+        {formData.frequency === 'monthly' && (
+          <div className="sm:col-span-2">
+            <Label htmlFor="rule-monthlyMode">Repeat on</Label>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              <Select id="rule-monthlyMode" name="monthlyMode" value={formData.monthlyMode} onChange={handleChange}>
+                <SelectOption value="day">Same day of the month</SelectOption>
+                <SelectOption value="weekday">A weekday of the month</SelectOption>
+              </Select>
+              {formData.monthlyMode === 'weekday' && (
+                <>
+                  <Select
+                    aria-label="Week of the month"
+                    name="weekOfMonth"
+                    value={formData.weekOfMonth}
+                    onChange={handleChange}
+                  >
+                    {WEEKS_OF_MONTH.map((option) => (
+                      <SelectOption key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectOption>
+                    ))}
+                  </Select>
+                  <Select
+                    aria-label="Day of the week"
+                    name="dayOfWeek"
+                    value={formData.dayOfWeek}
+                    onChange={handleChange}
+                  >
+                    {WEEKDAYS.map((day, index) => (
+                      <SelectOption key={day} value={String(index)}>
+                        {day}
+                      </SelectOption>
+                    ))}
+                  </Select>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div>
+          <Label htmlFor="rule-startDate">Starts</Label>
+          <Input
+            id="rule-startDate"
+            name="startDate"
+            type="date"
+            value={formData.startDate}
+            onChange={handleChange}
+            className={errors.startDate ? 'border-red-500' : ''}
+          />
+          {errors.startDate && <p className="text-red-500 text-sm mt-1">{errors.startDate}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="rule-endDate">Ends (optional)</Label>
+          <Input
+            id="rule-endDate"
+            name="endDate"
+            type="date"
+            value={formData.endDate}
+            onChange={handleChange}
+            className={errors.endDate ? 'border-red-500' : ''}
+          />
+          {errors.endDate && <p className="text-red-500 text-sm mt-1">{errors.endDate}</p>}
+        </div>
+      </div>
+
+      {errors.form && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {errors.form}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto order-2 sm:order-1">
+          Cancel
+        </Button>
+        <Button type="submit" className="w-full sm:w-auto order-1 sm:order-2">
+          {isEditing ? 'Update' : 'Create'} Recurring Transaction
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+RecurringRuleForm.propTypes = {
+  rule: PropTypes.shape({
+    _id: PropTypes.string,
+    description: PropTypes.string,
+    amount: PropTypes.number,
+    categoryId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    accountId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    frequency: PropTypes.oneOf(['daily', 'weekly', 'monthly', 'yearly']),
+    interval: PropTypes.number,
+    weekOfMonth: PropTypes.number,
+    dayOfWeek: PropTypes.number,
+    startDate: PropTypes.string,
+    endDate: PropTypes.string,
+  }),
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
@@ -0,0 +1,162 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { formatCurrency } from '../../lib/format';
+import { FREQUENCIES, WEEKDAYS, WEEKS_OF_MONTH } from './RecurringRuleForm';
+
+/**
+ * Describe a rule's schedule, e.g. "Every 2 weeks" or "Monthly on the last Friday"
+ */
+const describeSchedule = (rule) => {
+  const frequency = FREQUENCIES.find((f) => f.value === rule.frequency);
+  let text = rule.interval > 1
+    ? `Every ${rule.interval} ${frequency?.unit.replace('(s)', 's')}`
+    : frequency?.label || rule.frequency;
+
+  if (rule.frequency === 'monthly' && rule.weekOfMonth) {
+    const week = WEEKS_OF_MONTH.find((w) => w.value === String(rule.weekOfMonth));
+    text += ` on the ${week?.label.toLowerCase()} ${WEEKDAYS[rule.dayOfWeek]}`;
+  }
+
+  if (rule.endDate) {
+    text += ` until ${new Date(rule.endDate).toLocaleDateString('en-US', { timeZone: 'UTC' })}`;
+  }
+  return text;
+};
+
+// Occurrence dates are UTC "YYYY-MM-DD" strings
+const formatOccurrenceDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC',
+});
+
+/**
+ * Upcoming occurrences of recurring rules, plus the rules themselves
+ * Occurrences can be skipped, restored or edited one at a time
+ */
+export const UpcomingOccurrences = ({
+  rules,
+  occurrences,
+  onSkip,
+  onRestore,
+  onEditOccurrence,
+  onEditRule,
+  onDeleteRule,
+}) => {
+  return (
+    <Card className="mb-6">
+      <CardHeader className="pb-2">
+        <CardTitle>Upcoming Recurring Transactions</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {occurrences.length === 0 ? (
+          <p className="text-sm text-muted-light dark:text-muted-dark">Nothing scheduled in the next 30 days.</p>
+        ) : (
+          <ul className="divide-y divide-border-light dark:divide-border-dark">
+            {occurrences.map((occurrence) => (
+              <li
+                key={`${occurrence.ruleId}-${occurrence.date}`}
+                className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2"
+              >
+                <div className={`min-w-0 ${occurrence.skipped ? 'line-through opacity-60' : ''}`}>
+                  <span className="text-sm font-medium mr-2">{formatOccurrenceDate(occurrence.date)}</span>
+                  <span className="text-sm">{occurrence.description}</span>
+                  {occurrence.modified && (
+                    <span className="ml-2 text-xs text-primary-500 dark:text-primary-400">edited</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className={`text-sm font-semibold ${
+                    occurrence.amount < 0
+                      ? 'text-red-500 dark:text-red-400'
+                      : 'text-emerald-500 dark:text-emerald-400'
+                  }`}>
+                    {formatCurrency(occurrence.amount)}
+                  </span>
+                  {occurrence.skipped || occurrence.modified ? (
+                    <Button size="sm" variant="outline" onClick={() => onRestore(occurrence)}>
+                      Restore
+                    </Button>
+                  ) : (
+                    <>
+                      <Button size="sm" variant="outline" onClick={() => onEditOccurrence(occurrence)}>
+                        Edit
+                      </Button>
+                      <Button size="sm" variant="outline" onClick={() => onSkip(occurrence)}>
+                        Skip
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {rules.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-border-light dark:border-border-dark">
+            <h4 className="text-sm font-medium mb-2">Rules</h4>
+            <ul className="space-y-2">
+              {rules.map((rule) => (
+                <li key={rule._id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                  <div className="min-w-0">
+                    <span className="text-sm font-medium mr-2">{rule.description}</span>
+                    <span className="text-xs text-muted-light dark:text-muted-dark">
+                      {formatCurrency(rule.amount)} · {describeSchedule(rule)}
+                    </span>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <Button size="sm" variant="outline" onClick={() => onEditRule(rule)}>
+                      Edit
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => onDeleteRule(rule._id)}
+                      className="text-red-500 dark:text-red-400"
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+UpcomingOccurrences.propTypes = {
+  rules: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      description: PropTypes.string.isRequired,
+      amount: PropTypes.number.isRequired,
+      frequency: PropTypes.string.isRequired,
+      interval: PropTypes.number,
+      weekOfMonth: PropTypes.number,
+      dayOfWeek: PropTypes.number,
+      endDate: PropTypes.string,
+    })
+  ).isRequired,
+  occurrences: PropTypes.arrayOf(
+    PropTypes.shape({
+      ruleId: PropTypes.string.isRequired,
+      date: PropTypes.string.isRequired,
+      description: PropTypes.string,
+      amount: PropTypes.number,
+      skipped: PropTypes.bool,
+      modified: PropTypes.bool,
+    })
+  ).isRequired,
+  onSkip: PropTypes.func.isRequired,
+  onRestore: PropTypes.func.isRequired,
+  onEditOccurrence: PropTypes.func.isRequired,
+  onEditRule: PropTypes.func.isRequired,
+  onDeleteRule: PropTypes.func.isRequired,
+};
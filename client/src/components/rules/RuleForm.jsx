@@ -0,0 +1,319 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectOption } from '../ui/select';
+import { useCategories } from '../../context/CategoryContext';
+import { ruleAPI } from '../../api/api';
+import { getRefId } from '../../lib/transactions';
+import { CategoryOptions } from '../categories/CategoryOptions';
+
+// Fields a condition can test and the operators each one supports
+export const CONDITION_FIELDS = [
+  { value: 'description', label: 'Description', operators: ['contains', 'notContains', 'equals', 'startsWith', 'endsWith'] },
+  { value: 'notes', label: 'Notes', operators: ['contains', 'notContains', 'equals', 'startsWith', 'endsWith'] },
+  { value: 'amount', label: 'Amount (size)', operators: ['gt', 'gte', 'lt', 'lte', 'equals'] },
+  { value: 'type', label: 'Type', operators: ['equals'] },
+];
+
+export const OPERATOR_LABELS = {
+  contains: 'contains',
+  notContains: 'does not contain',
+  equals: 'is',
+  startsWith: 'starts with',
+  endsWith: 'ends with',
+  gt: 'is over',
+  gte: 'is at least',
+  lt: 'is under',
+  lte: 'is at most',
+};
+
+const newCondition = () => ({ field: 'description', operator: 'contains', value: '' });
+
+/**
+ * Describe a rule's conditions in one line, e.g.
+ * 'Description contains "uber" and Amount (size) is over 10'
+ */
+export const describeConditions = (rule) => rule.conditions
+  .map((condition) => {
+    const field = CONDITION_FIELDS.find((f) => f.value === condition.field);
+    const value = condition.field === 'amount' ? condition.value : `"${condition.value}"`;
+    return `${field?.label || condition.field} ${OPERATOR_LABELS[condition.operator] || condition.operator} ${value}`;
+  })
+  .join(rule.match === 'any' ? ' or ' : ' and ');
+
+export const RuleForm = ({ rule, onSave, onCancel }) => {
+  const { getSelectableCategories } = useCategories();
+  const safeCategories = getSelectableCategories(getRefId(rule?.categoryId));
+
+  const isEditing = !!rule?._id;
+
+  const [formData, setFormData] = useState({
+    name: rule?.name || '',
+    categoryId: getRefId(rule?.categoryId) || (safeCategories[0]?._id ?? ''),
+    match: rule?.match || 'all',
+    priority: rule?.priority ?? 0,
+    active: rule?.active ?? true,
+  });
+  const [conditions, setConditions] = useState(
+    rule?.conditions?.length > 0
+      ? rule.conditions.map((condition) => ({ ...condition, value: String(condition.value) }))
+      : [newCondition()]
+  );
+  const [errors, setErrors] = useState({});
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+
+    if (!formData.categoryId) {
+      newErrors.categoryId = 'Category is required';
+    }
+
+    if (conditions.some((condition) => !condition.value.trim())) {
+      newErrors.conditions = 'Every condition needs a value';
+    } else if (conditions.some((condition) => condition.field === 'amount' && isNaN(condition.value))) {
+      newErrors.conditions = 'Amount conditions need a number';
+    }
+
+    if (isNaN(parseInt(formData.priority, 10))) {
+      newErrors.priority = 'Priority must be a whole number';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+
+    // Clear the error for this field
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  // Changing the field resets the operator and value to ones that fit it
+  const updateCondition = (index, name, value) => {
+    setConditions((prev) => prev.map((condition, i) => {
+      if (i !== index) return condition;
+      if (name !== 'field') return { ...condition, [name]: value };
+
+      const field = CONDITION_FIELDS.find((f) => f.value === value);
+      return { field: value, operator: field.operators[0], value: value === 'type' ? 'expense' : '' };
+    }));
+    if (errors.conditions) {
+      setErrors((prev) => ({ ...prev, conditions: undefined }));
+    }
+  };
+
+  const addCondition = () => setConditions((prev) => [...prev, newCondition()]);
+
+  const removeCondition = (index) => setConditions((prev) => prev.filter((_, i) => i !== index));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    try {
+      const ruleData = {
+        name: formData.name.trim(),
+        categoryId: formData.categoryId,
+        match: formData.match,
+        priority: parseInt(formData.priority, 10),
+        active: formData.active,
+        conditions: conditions.map((condition) => ({
+          ...condition,
+          value: condition.field === 'amount' ? parseFloat(condition.value) : condition.value.trim(),
+        })),
+      };
+
+      const result = isEditing
+        ? await ruleAPI.update(rule._id, ruleData)
+        : await ruleAPI.create(ruleData);
+      onSave(result);
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      setErrors((prev) => ({ ...prev, form: error.message || 'Failed to save rule' }));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="categoryRule-name">Name</Label>
+          <Input
+            id="categoryRule-name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            className={errors.name ? 'border-red-500' : ''}
+            placeholder="e.g. Uber rides"
+          />
+          {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
+        </div>
+
+        <div>
+          <Label htmlFor="categoryRule-categoryId">Set category to</Label>
+          <Select
+            id="categoryRule-categoryId"
+            name="categoryId"
+            value={formData.categoryId}
+            onChange={handleChange}
+            className={errors.categoryId ? 'border-red-500' : ''}
+          >
+            {safeCategories.length === 0 && (
+              <SelectOption value="" disabled>
+                No categories available
+              </SelectOption>
+            )}
+            <CategoryOptions categories={safeCategories} />
+          </Select>
+          {errors.categoryId && <p className="text-red-500 text-sm mt-1">{errors.categoryId}</p>}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <Label htmlFor="categoryRule-match" className="mb-0">When</Label>
+          <Select id="categoryRule-match" name="match" value={formData.match} onChange={handleChange} className="w-auto">
+            <SelectOption value="all">all conditions match</SelectOption>
+            <SelectOption value="any">any condition matches</SelectOption>
+          </Select>
+        </div>
+
+        <div className="space-y-2">
+          {conditions.map((condition, index) => {
+            const field = CONDITION_FIELDS.find((f) => f.value === condition.field);
+            return (
+              <div key={index} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_1.5fr_auto] gap-2 items-center">
+                <Select
+                  aria-label="Field"
+                  value={condition.field}
+                  onChange={(e) => updateCondition(index, 'field', e.target.value)}
+                >
+                  {CONDITION_FIELDS.map((option) => (
+                    <SelectOption key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectOption>
+                  ))}
+                </Select>
+                <Select
+                  aria-label="Operator"
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, 'operator', e.target.value)}
+                >
+                  {field.operators.map((operator) => (
+                    <SelectOption key={operator} value={operator}>
+                      {OPERATOR_LABELS[operator]}
+                    </SelectOption>
+                  ))}
+                </Select>
+                {condition.field === 'type' ? (
+                  <Select
+                    aria-label="Value"
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, 'value', e.target.value)}
+                  >
+                    <SelectOption value="expense">Expense</SelectOption>
+                    <SelectOption value="income">Income</SelectOption>
+                  </Select>
+                ) : (
+                  <Input
+                    aria-label="Value"
+                    type={condition.field === 'amount' ? 'number' : 'text'}
+                    step={condition.field === 'amount' ? '0.01' : undefined}
+                    min={condition.field === 'amount' ? '0' : undefined}
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, 'value', e.target.value)}
+                    placeholder={condition.field === 'amount' ? '0.00' : 'Text'}
+                  />
+                )}
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => removeCondition(index)}
+                  disabled={conditions.length === 1}
+                  aria-label="Remove condition"
+                >
+                  ✕
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+        {errors.conditions && <p className="text-red-500 text-sm mt-1">{errors.conditions}</p>}
+        <Button type="button" variant="outline" size="sm" onClick={addCondition} className="mt-2">
+          Add Condition
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="categoryRule-priority">Priority</Label>
+          <Input
+            id="categoryRule-priority"
+            name="priority"
+            type="number"
+            step="1"
+            value={formData.priority}
+            onChange={handleChange}
+            className={errors.priority ? 'border-red-500' : ''}
+          />
+          <p className="text-xs text-muted-light dark:text-muted-dark mt-1">
+            Higher priorities are tried first; the first matching rule wins.
+          </p>
+          {errors.priority && <p className="text-red-500 text-sm mt-1">{errors.priority}</p>}
+        </div>
+
+        <label className="flex items-center gap-2 text-sm sm:mt-6">
+          <input type="checkbox" name="active" checked={formData.active} onChange={handleChange} />
+          Active
+        </label>
+      </div>
+
+      {errors.form && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {errors.form}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto order-2 sm:order-1">
+          Cancel
+        </Button>
+        <Button type="submit" className="w-full sm:w-auto order-1 sm:order-2">
+          {isEditing ? 'Update' : 'Create'} Rule
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+RuleForm.propTypes = {
+  rule: PropTypes.shape({
+    _id: PropTypes.string,
+    name: PropTypes.string,
+    categoryId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    match: PropTypes.oneOf(['all', 'any']),
+    priority: PropTypes.number,
+    active: PropTypes.bool,
+    conditions: PropTypes.arrayOf(
+      PropTypes.shape({
+        field: PropTypes.string,
+        operator: PropTypes.string,
+        value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      })
+    ),
+  }),
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
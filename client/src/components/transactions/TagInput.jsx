@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { cn } from '../../lib/utils';
+import { normalizeTag } from '../../lib/transactions';
+
+// Most suggestions shown below the input
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Tag input with autocomplete
+ * Tags are added with Enter, a comma or by picking a suggestion, and removed
+ * with their ✕ or Backspace in the empty input. Suggestions are the tags
+ * already in use, most used first.
+ */
+export const TagInput = ({ id, value, onChange, suggestions = [] }) => {
+  const [text, setText] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1); // suggestion picked with the arrow keys
+
+  const query = normalizeTag(text);
+  const matches = suggestions
+    .filter(({ tag }) => !value.includes(tag) && (!query || tag.includes(query)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !value.includes(normalized)) {
+      onChange([...value, normalized]);
+    }
+    setText('');
+    setHighlighted(-1);
+  };
+
+  const removeTag = (tag) => onChange(value.filter((existing) => existing !== tag));
+
+  const handleKeyDown = (e) => {
+    const picked = open ? matches[highlighted] : undefined;
+    if (e.key === 'Enter' || e.key === ',') {
+      // With nothing to add, Enter submits the form as usual
+      if (e.key === 'Enter' && !picked && !text.trim()) return;
+      e.preventDefault();
+      addTag(picked ? picked.tag : text);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    } else if (e.key === 'ArrowDown' && matches.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((prev) => (prev + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && matches.length > 0) {
+      e.preventDefault();
+      setHighlighted((prev) => (prev <= 0 ? matches.length - 1 : prev - 1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div
+        className={cn(
+          'flex flex-wrap items-center gap-1 min-h-10 w-full rounded-md border border-border-light dark:border-border-dark px-2 py-1',
+          'bg-card-light dark:bg-card-dark focus-within:ring-2 focus-within:ring-primary-500/50 focus-within:border-primary-500'
+        )}
+      >
+        {value.map((tag) => (
+          <span
+            key={tag}
+            className="inline-flex items-center gap-1 rounded-full bg-primary-100 dark:bg-primary-900/40 text-primary-700 dark:text-primary-300 px-2 py-0.5 text-xs"
+          >
+            #{tag}
+            <button type="button" onClick={() => removeTag(tag)} aria-label={`Remove tag ${tag}`} className="hover:opacity-70">
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setOpen(true);
+            setHighlighted(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            setOpen(false);
+            if (text.trim()) addTag(text);
+          }}
+          placeholder={value.length === 0 ? 'e.g. vacation-2026, reimbursable' : ''}
+          className="flex-1 min-w-[8rem] bg-transparent text-sm py-1 outline-none text-foreground-light dark:text-foreground-dark placeholder:text-muted-light/70 dark:placeholder:text-muted-dark/70"
+          autoComplete="off"
+        />
+      </div>
+
+      {open && matches.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute z-10 mt-1 w-full max-h-48 overflow-y-auto rounded-md border border-border-light dark:border-border-dark bg-card-light dark:bg-card-dark shadow-lg"
+        >
+          {matches.map(({ tag, count }, index) => (
+            <li
+              key={tag}
+              role="option"
+              aria-selected={index === highlighted}
+              // Keep focus in the input so blur does not add the typed text
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag);
+              }}
+              className={cn(
+                'flex justify-between px-3 py-1.5 text-sm cursor-pointer',
+                index === highlighted && 'bg-background-light dark:bg-background-dark'
+              )}
+            >
+              <span>#{tag}</span>
+              <span className="text-xs text-muted-light dark:text-muted-dark">{count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+TagInput.propTypes = {
+  id: PropTypes.string,
+  value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  suggestions: PropTypes.arrayOf(
+    PropTypes.shape({
+      tag: PropTypes.string.isRequired,
+      count: PropTypes.number,
+    })
+  ),
+};
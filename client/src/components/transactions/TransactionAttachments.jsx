@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '../ui/button';
+import { transactionAPI } from '../../api/api';
+
+// File types the server accepts, for the file picker
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/gif,image/webp,image/heic,application/pdf';
+
+// Human readable file size
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+/**
+ * Thumbnail of an image attachment, or a document icon for anything else
+ * Images are fetched with the auth token and shown from an object URL.
+ */
+const AttachmentPreview = ({ transactionId, attachment }) => {
+  const [url, setUrl] = useState(null);
+  const isImage = attachment.contentType.startsWith('image/');
+
+  useEffect(() => {
+    if (!isImage) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+    transactionAPI.getAttachmentFile(transactionId, attachment._id)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((error) => console.error('Error loading attachment preview:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [transactionId, attachment._id, isImage]);
+
+  if (isImage && url) {
+    return <img src={url} alt={attachment.filename} className="h-16 w-16 rounded object-cover" />;
+  }
+
+  return (
+    <div className="h-16 w-16 rounded bg-background-light dark:bg-background-dark flex flex-col items-center justify-center text-muted-light dark:text-muted-dark">
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+        <path fillRule="evenodd" d="M4 4a2 2 0 012-2h4.586A2 2 0 0112 2.586L15.414 6A2 2 0 0116 7.414V16a2 2 0 01-2 2H6a2 2 0 01-2-2V4z" clipRule="evenodd" />
+      </svg>
+      <span className="text-[10px] uppercase mt-0.5">{isImage ? 'image' : 'pdf'}</span>
+    </div>
+  );
+};
+
+AttachmentPreview.propTypes = {
+  transactionId: PropTypes.string.isRequired,
+  attachment: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    filename: PropTypes.string.isRequired,
+    contentType: PropTypes.string.isRequired,
+  }).isRequired,
+};
+
+/**
+ * Receipts and documents attached to a transaction
+ * Lists the attachments with previews, and lets the user upload, download
+ * and remove them. Reports the new list through onChange.
+ */
+export const TransactionAttachments = ({ transactionId, attachments, onChange }) => {
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    setError('');
+    try {
+      onChange(await transactionAPI.uploadAttachments(transactionId, files));
+    } catch (uploadError) {
+      console.error('Error uploading attachments:', uploadError);
+      setError(uploadError.message || 'Failed to upload files');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      await transactionAPI.downloadAttachment(transactionId, attachment);
+    } catch (downloadError) {
+      console.error('Error downloading attachment:', downloadError);
+      setError(downloadError.message || 'Failed to download file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.filename}?`)) return;
+    try {
+      onChange(await transactionAPI.deleteAttachment(transactionId, attachment._id));
+    } catch (deleteError) {
+      console.error('Error deleting attachment:', deleteError);
+      setError(deleteError.message || 'Failed to remove file');
+    }
+  };
+
+  return (
+    <div className="px-4 py-3 border-t border-border-light dark:border-border-dark space-y-3">
+      {attachments.length === 0 ? (
+        <p className="text-xs text-muted-light dark:text-muted-dark">No receipts or documents attached.</p>
+      ) : (
+        <ul className="flex flex-wrap gap-4">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => handleDownload(attachment)}
+                title={`Download ${attachment.filename}`}
+                className="shrink-0 hover:opacity-80"
+              >
+                <AttachmentPreview transactionId={transactionId} attachment={attachment} />
+              </button>
+              <div className="min-w-0 text-xs">
+                <p className="truncate max-w-[160px] font-medium">{attachment.filename}</p>
+                <p className="text-muted-light dark:text-muted-dark">{formatSize(attachment.size)}</p>
+                <div className="flex gap-2">
+                  <Button variant="link" size="sm" className="h-auto p-0 text-xs" onClick={() => handleDownload(attachment)}>
+                    Download
+                  </Button>
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="h-auto p-0 text-xs text-red-500 dark:text-red-400"
+                    onClick={() => handleDelete(attachment)}
+                  >
+                    Remove
+                  </Button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center gap-3">
+        <input
+          ref={fileInput}
+          type="file"
+          accept={ACCEPTED_TYPES}
+          multiple
+          onChange={handleUpload}
+          className="hidden"
+        />
+        <Button size="sm" variant="outline" disabled={uploading} onClick={() => fileInput.current?.click()}>
+          {uploading ? 'Uploading...' : 'Attach files'}
+        </Button>
+        <span className="text-xs text-muted-light dark:text-muted-dark">Images or PDFs, up to 10 MB each</span>
+      </div>
+
+      {error && <p className="text-xs text-red-500 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+TransactionAttachments.propTypes = {
+  transactionId: PropTypes.string.isRequired,
+  attachments: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      filename: PropTypes.string.isRequired,
+      contentType: PropTypes.string.isRequired,
+      size: PropTypes.number,
+    })
+  ).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -4,20 +4,40 @@
  * A form component for creating and editing financial transactions
  * Features:
  * - Support for both new transactions and editing existing ones
+ * - Transfers between two accounts (saved by the server as two linked legs)
+ * - Splitting one transaction across several categories
+ * - Warning before saving a likely duplicate of an existing transaction
+ * - Category suggested from past transactions as the description is typed
+ * - Tags with autocomplete from the tags already in use
  * - Form validation with error messages
- * - Integration with transaction and category contexts
+ * - Integration with transaction, category and account contexts
  * - Date formatting and handling
  * - Proper error handling for API calls
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { Button } from '../ui/button';         // Reusable button component
 import { Input } from '../ui/input';           // Reusable input field
 import { Label } from '../ui/label';           // Reusable form label
 import { Select, SelectOption } from '../ui/select'; // Dropdown component
+import { TagInput } from './TagInput';             // Tag chips with autocomplete
 import { useTransactions } from '../../context/TransactionContext'; // Transaction state management
 import { useCategories } from '../../context/CategoryContext';      // Categories state management
+import { useAccounts } from '../../context/AccountContext';          // Accounts state management
+import { formatCurrency, formatDate } from '../../lib/format';
+import { getRefId } from '../../lib/transactions';
+import { transactionAPI } from '../../api/api';
+import { CategoryOptions } from '../categories/CategoryOptions';
+
+// Largest rounding difference allowed between the splits and the total
+const SPLIT_TOLERANCE = 0.005;
+
+// Wait this long after typing stops before asking for a category suggestion
+const SUGGESTION_DELAY_MS = 400;
+
+// Suggestions at least this confident are selected automatically
+const MIN_PRESELECT_CONFIDENCE = 0.5;
 
 /**
  * Transaction Form Component
@@ -32,13 +52,24 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
   // Get transaction management functions from context
   const { addTransaction, updateTransaction } = useTransactions();
   // Get available categories from context
-  const { categories } = useCategories();
+  const { categories, getSelectableCategories } = useCategories();
+  // Get available accounts from context
+  const { accounts } = useAccounts();
   
   // Determine if we're editing an existing transaction or creating a new one
   const isEditing = !!transaction?._id;
   
-  // Defensive programming: ensure categories is always an array
-  const safeCategories = Array.isArray(categories) ? categories : [];
+  // A transfer is edited as a whole: the amount moved and its source/destination accounts
+  const isExistingTransfer = transaction?.type === 'transfer';
+  const isOutgoingLeg = isExistingTransfer && transaction.amount < 0;
+  const linkedAccountId = getRefId(transaction?.linkedTransactionId?.accountId);
+  
+  // Archived categories are only offered when the transaction already uses them
+  const safeCategories = getSelectableCategories(
+    getRefId(transaction?.categoryId),
+    ...(transaction?.splits || []).map((split) => getRefId(split.categoryId))
+  );
+  const safeAccounts = Array.isArray(accounts) ? accounts : [];
   
   /**
    * Extract category ID from transaction data
@@ -46,9 +77,10 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
    * @returns {string} The category ID or empty string
    */
   const getCategoryId = () => {
-    // If no transaction or no categoryId, use first available category or empty string
+    // Without a categoryId, new transactions are left for the server's rules to
+    // categorize; existing ones use the first available category or empty string
     if (!transaction?.categoryId) {
-      return safeCategories.length > 0 ? safeCategories[0]._id : '';
+      return !isEditing || safeCategories.length === 0 ? '' : safeCategories[0]._id;
     }
     
     // Handle case when categoryId is a populated object (from MongoDB population)
@@ -65,7 +97,10 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
    * Uses transaction data if in edit mode, otherwise empty values
    */
   const [formData, setFormData] = useState({
-    amount: transaction?.amount || '',  // Transaction amount
+    // Transfers are entered as the positive amount moved
+    amount: isExistingTransfer
+      ? Math.abs(transaction.amount)
+      : transaction?.amount || '',  // Transaction amount
     description: transaction?.description || '', // Transaction description
     
     // Format date as YYYY-MM-DD for HTML date input
@@ -75,10 +110,103 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
       : new Date().toISOString().split('T')[0],
       
     categoryId: getCategoryId(), // Category selection
+    
+    // Account selection (optional) - may be a populated object or an ID
+    // For transfers this is the account the money leaves
+    accountId: isExistingTransfer && !isOutgoingLeg
+      ? linkedAccountId
+      : getRefId(transaction?.accountId),
+    
+    // Transfer settings
+    isTransfer: isExistingTransfer,
+    toAccountId: isExistingTransfer
+      ? (isOutgoingLeg ? linkedAccountId : getRefId(transaction.accountId))
+      : '',
   });
   
+  /**
+   * Category splits, edited as positive portions of the total
+   * The sign of the total is applied when the form is submitted
+   */
+  const [splits, setSplits] = useState(
+    Array.isArray(transaction?.splits)
+      ? transaction.splits.map((split) => ({
+          categoryId: getRefId(split.categoryId),
+          amount: Math.abs(split.amount),
+        }))
+      : []
+  );
+  const isSplit = splits.length > 0;
+  
+  // Cross-cutting labels, and the tags already in use for autocomplete
+  const [tags, setTags] = useState(Array.isArray(transaction?.tags) ? transaction.tags : []);
+  const [tagSuggestions, setTagSuggestions] = useState([]);
+  
+  useEffect(() => {
+    let cancelled = false;
+    transactionAPI.getTags().then((result) => {
+      if (!cancelled) setTagSuggestions(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  
+  // Portion of the total not yet assigned to a split
+  const splitTotal = splits.reduce((sum, split) => sum + (parseFloat(split.amount) || 0), 0);
+  const unassigned = Math.abs(parseFloat(formData.amount) || 0) - splitTotal;
+  
   const [errors, setErrors] = useState({});
   
+  // Existing transactions the server thinks this one duplicates
+  const [duplicates, setDuplicates] = useState(null);
+  
+  // Category suggested for the description; a category picked by hand is never replaced
+  const [suggestion, setSuggestion] = useState(null);
+  const [categoryTouched, setCategoryTouched] = useState(isEditing);
+  
+  const suggestionAmount = parseFloat(formData.amount);
+  const suggestionType = suggestionAmount < 0 ? 'expense' : suggestionAmount > 0 ? 'income' : undefined;
+  
+  /**
+   * Ask for a category suggestion once the user stops typing the description
+   * A confident suggestion is selected unless the user chose a category
+   */
+  useEffect(() => {
+    const description = formData.description.trim();
+    if (isEditing || formData.isTransfer || isSplit || description.length < 3) {
+      setSuggestion(null);
+      if (!categoryTouched) {
+        setFormData((prev) => ({ ...prev, categoryId: '' }));
+      }
+      return undefined;
+    }
+    
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await transactionAPI.suggestCategory({
+        description,
+        type: suggestionType,
+        amount: Number.isNaN(suggestionAmount) ? undefined : suggestionAmount,
+      });
+      if (cancelled) return;
+      
+      const next = result?.suggestion || null;
+      setSuggestion(next);
+      if (!categoryTouched) {
+        const preselect = next
+          && next.confidence >= MIN_PRESELECT_CONFIDENCE
+          && (categories || []).some((category) => category._id === next.categoryId);
+        setFormData((prev) => ({ ...prev, categoryId: preselect ? next.categoryId : '' }));
+      }
+    }, SUGGESTION_DELAY_MS);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.description, formData.isTransfer, suggestionType, suggestionAmount, isEditing, isSplit, categoryTouched, categories]);
+  
   const validateForm = () => {
     const newErrors = {};
     
@@ -96,7 +224,22 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
       newErrors.date = 'Date is required';
     }
     
-    if (!formData.categoryId && safeCategories.length > 0) {
+    if (formData.isTransfer) {
+      if (!formData.accountId) {
+        newErrors.accountId = 'Choose the account to transfer from';
+      }
+      if (!formData.toAccountId) {
+        newErrors.toAccountId = 'Choose the account to transfer to';
+      } else if (formData.toAccountId === formData.accountId) {
+        newErrors.toAccountId = 'Choose two different accounts';
+      }
+    } else if (isSplit) {
+      if (splits.some((split) => !split.categoryId || !(parseFloat(split.amount) > 0))) {
+        newErrors.splits = 'Each split needs a category and an amount';
+      } else if (Math.abs(unassigned) >= SPLIT_TOLERANCE) {
+        newErrors.splits = 'Splits must add up to the transaction amount';
+      }
+    } else if (isEditing && !formData.categoryId && safeCategories.length > 0) {
       newErrors.categoryId = 'Category is required';
     }
     
@@ -110,31 +253,101 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
     // Special handling for amount to support both expense and income
     if (name === 'amount') {
       setFormData((prev) => ({ ...prev, [name]: value }));
+    } else if (name === 'isTransfer') {
+      setFormData((prev) => ({ ...prev, isTransfer: value === 'transfer' }));
     } else {
       setFormData((prev) => ({ ...prev, [name]: value }));
     }
     
+    if (name === 'categoryId') {
+      setCategoryTouched(true);
+    }
+    
     // Clear the error for this field
     if (errors[name]) {
       setErrors((prev) => ({ ...prev, [name]: undefined }));
     }
+    setDuplicates(null);
+  };
+  
+  // Pick the suggested category after all, e.g. when it was not confident enough
+  const applySuggestion = () => {
+    setFormData((prev) => ({ ...prev, categoryId: suggestion.categoryId }));
+    setCategoryTouched(true);
+  };
+  
+  // Start splitting: the current category keeps the whole amount until edited
+  const startSplit = () => {
+    setSplits([
+      { categoryId: formData.categoryId, amount: Math.abs(parseFloat(formData.amount)) || '' },
+      { categoryId: '', amount: '' },
+    ]);
+  };
+  
+  const addSplit = () => {
+    setSplits((prev) => [...prev, { categoryId: '', amount: unassigned > 0 ? unassigned.toFixed(2) : '' }]);
+  };
+  
+  const updateSplit = (index, field, value) => {
+    setSplits((prev) => prev.map((split, i) => (i === index ? { ...split, [field]: value } : split)));
+    if (errors.splits) {
+      setErrors((prev) => ({ ...prev, splits: undefined }));
+    }
+  };
+  
+  // Removing down to one split goes back to a single category
+  const removeSplit = (index) => {
+    const remaining = splits.filter((_, i) => i !== index);
+    if (remaining.length < 2) {
+      setFormData((prev) => ({ ...prev, categoryId: remaining[0]?.categoryId || prev.categoryId }));
+      setSplits([]);
+    } else {
+      setSplits(remaining);
+    }
   };
   
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
+    await saveTransaction(false);
+  };
+  
+  /**
+   * Validate and save the form
+   * @param {boolean} allowDuplicate - Save even if the server finds a likely duplicate
+   */
+  const saveTransaction = async (allowDuplicate) => {
     if (!validateForm()) return;
     
     try {
+      const { isTransfer, toAccountId, ...fields } = formData;
+      
       // Determine transaction type based on amount
-      const amount = parseFloat(formData.amount);
+      const amount = parseFloat(fields.amount);
       const type = amount >= 0 ? 'income' : 'expense';
       
-      const formattedData = {
-        ...formData,
-        amount: amount,
-        type: type, // Explicitly set the type field
-      };
+      const formattedData = isTransfer
+        ? {
+            amount: Math.abs(amount),
+            description: fields.description,
+            date: fields.date,
+            type: 'transfer',
+            accountId: fields.accountId,
+            toAccountId,
+            tags,
+          }
+        : {
+            ...fields,
+            amount: amount,
+            type: type, // Explicitly set the type field
+            accountId: fields.accountId || null, // Empty selection means no account
+            tags,
+            // Split amounts take the sign of the total
+            splits: splits.map((split) => ({
+              categoryId: split.categoryId,
+              amount: Math.sign(amount) * parseFloat(split.amount),
+            })),
+            ...(allowDuplicate ? { allowDuplicate: true } : {}),
+          };
       
       console.log('Sending transaction data:', formattedData);
       
@@ -146,6 +359,11 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
       }
       onSave(result);
     } catch (error) {
+      // A likely duplicate is confirmed by the user rather than treated as an error
+      if (error.status === 409 && Array.isArray(error.data?.duplicates)) {
+        setDuplicates(error.data.duplicates);
+        return;
+      }
       console.error('Error saving transaction:', error);
       setErrors((prev) => ({ ...prev, form: error.message || 'Failed to save transaction' }));
     }
@@ -154,7 +372,23 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       <div>
-        <Label htmlFor="amount">Amount</Label>
+        <Label htmlFor="isTransfer">Kind</Label>
+        <Select
+          id="isTransfer"
+          name="isTransfer"
+          value={formData.isTransfer ? 'transfer' : 'standard'}
+          onChange={handleChange}
+          disabled={isEditing}
+        >
+          <SelectOption value="standard">Income or expense</SelectOption>
+          <SelectOption value="transfer" disabled={safeAccounts.length < 2}>
+            Transfer between accounts
+          </SelectOption>
+        </Select>
+      </div>
+      
+      <div>
+        <Label htmlFor="amount">{formData.isTransfer ? 'Amount to transfer' : 'Amount'}</Label>
         <Input
           id="amount"
           name="amount"
@@ -163,7 +397,9 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
           value={formData.amount}
           onChange={handleChange}
           className={errors.amount ? 'border-red-500' : ''}
-          placeholder="Enter amount (negative for expense, positive for income)"
+          placeholder={formData.isTransfer
+            ? 'Enter amount to move'
+            : 'Enter amount (negative for expense, positive for income)'}
         />
         {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
       </div>
@@ -195,27 +431,147 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
         {errors.date && <p className="text-red-500 text-sm mt-1">{errors.date}</p>}
       </div>
       
+      {!formData.isTransfer && !isSplit && (
+        <div>
+          <Label htmlFor="categoryId">Category</Label>
+          <Select
+            id="categoryId"
+            name="categoryId"
+            value={formData.categoryId}
+            onChange={handleChange}
+            className={errors.categoryId ? 'border-red-500' : ''}
+          >
+            {!isEditing && (
+              <SelectOption value="">Automatic (categorization rules)</SelectOption>
+            )}
+            {isEditing && safeCategories.length === 0 && (
+              <SelectOption value="" disabled>
+                No categories available
+              </SelectOption>
+            )}
+            <CategoryOptions categories={safeCategories} />
+          </Select>
+          {errors.categoryId && <p className="text-red-500 text-sm mt-1">{errors.categoryId}</p>}
+          {suggestion && (formData.categoryId === suggestion.categoryId ? (
+            <p className="text-sm text-muted-light dark:text-muted-dark mt-1">
+              {suggestion.rule
+                ? `Suggested by rule “${suggestion.rule.name}”`
+                : `Suggested from your past transactions · ${Math.round(suggestion.confidence * 100)}% confidence`}
+            </p>
+          ) : (
+            <p className="text-sm text-muted-light dark:text-muted-dark mt-1">
+              Suggestion: {suggestion.category.name} ({Math.round(suggestion.confidence * 100)}% confidence){' '}
+              <button type="button" onClick={applySuggestion} className="underline text-primary-600 dark:text-primary-400">
+                Use it
+              </button>
+            </p>
+          ))}
+          {safeCategories.length > 1 && (
+            <Button type="button" variant="outline" size="sm" onClick={startSplit} className="mt-2">
+              Split across categories
+            </Button>
+          )}
+        </div>
+      )}
+      
+      {!formData.isTransfer && isSplit && (
+        <div>
+          <Label>Splits</Label>
+          <div className="space-y-2">
+            {splits.map((split, index) => (
+              <div key={index} className="flex gap-2 items-start">
+                <div className="flex-1">
+                  <Select
+                    aria-label={`Split ${index + 1} category`}
+                    value={split.categoryId}
+                    onChange={(e) => updateSplit(index, 'categoryId', e.target.value)}
+                  >
+                    <SelectOption value="">Select category</SelectOption>
+                    <CategoryOptions categories={safeCategories} />
+                  </Select>
+                </div>
+                <Input
+                  aria-label={`Split ${index + 1} amount`}
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={split.amount}
+                  onChange={(e) => updateSplit(index, 'amount', e.target.value)}
+                  className="w-32"
+                  placeholder="Amount"
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => removeSplit(index)}
+                  className="h-10"
+                  aria-label={`Remove split ${index + 1}`}
+                >
+                  ✕
+                </Button>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between items-center mt-2">
+            <Button type="button" variant="outline" size="sm" onClick={addSplit}>
+              Add split
+            </Button>
+            <span className={`text-sm ${
+              Math.abs(unassigned) < SPLIT_TOLERANCE
+                ? 'text-muted-light dark:text-muted-dark'
+                : 'text-red-500'
+            }`}>
+              {formatCurrency(unassigned)} unassigned
+            </span>
+          </div>
+          {errors.splits && <p className="text-red-500 text-sm mt-1">{errors.splits}</p>}
+        </div>
+      )}
+      
       <div>
-        <Label htmlFor="categoryId">Category</Label>
+        <Label htmlFor="accountId">{formData.isTransfer ? 'From Account' : 'Account'}</Label>
         <Select
-          id="categoryId"
-          name="categoryId"
-          value={formData.categoryId}
+          id="accountId"
+          name="accountId"
+          value={formData.accountId}
           onChange={handleChange}
-          className={errors.categoryId ? 'border-red-500' : ''}
+          className={errors.accountId ? 'border-red-500' : ''}
         >
-          {safeCategories.length === 0 && (
-            <SelectOption value="" disabled>
-              No categories available
-            </SelectOption>
-          )}
-          {safeCategories.map((category) => (
-            <SelectOption key={category._id} value={category._id}>
-              {category.name}
+          <SelectOption value="">{formData.isTransfer ? 'Select account' : 'No account'}</SelectOption>
+          {safeAccounts.map((account) => (
+            <SelectOption key={account._id} value={account._id}>
+              {account.name}
             </SelectOption>
           ))}
         </Select>
-        {errors.categoryId && <p className="text-red-500 text-sm mt-1">{errors.categoryId}</p>}
+        {errors.accountId && <p className="text-red-500 text-sm mt-1">{errors.accountId}</p>}
+      </div>
+      
+      {formData.isTransfer && (
+        <div>
+          <Label htmlFor="toAccountId">To Account</Label>
+          <Select
+            id="toAccountId"
+            name="toAccountId"
+            value={formData.toAccountId}
+            onChange={handleChange}
+            className={errors.toAccountId ? 'border-red-500' : ''}
+          >
+            <SelectOption value="">Select account</SelectOption>
+            {safeAccounts.map((account) => (
+              <SelectOption key={account._id} value={account._id}>
+                {account.name}
+              </SelectOption>
+            ))}
+          </Select>
+          {errors.toAccountId && <p className="text-red-500 text-sm mt-1">{errors.toAccountId}</p>}
+        </div>
+      )}
+      
+      <div>
+        <Label htmlFor="tags">Tags</Label>
+        <TagInput id="tags" value={tags} onChange={setTags} suggestions={tagSuggestions} />
       </div>
       
       {errors.form && (
@@ -224,6 +580,23 @@ export const TransactionForm = ({ transaction, onSave, onCancel }) => {
         </div>
       )}
       
+      {duplicates && (
+        <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-400 text-amber-800 dark:text-amber-200 px-4 py-3 rounded space-y-2">
+          <p className="text-sm font-medium">This looks like a transaction that is already recorded:</p>
+          <ul className="text-sm space-y-1">
+            {duplicates.map((duplicate) => (
+              <li key={duplicate._id}>
+                {formatDate(duplicate.date, 'medium')} · {duplicate.description} · {formatCurrency(duplicate.amount)}
+                {duplicate.accountId?.name && ` · ${duplicate.accountId.name}`}
+              </li>
+            ))}
+          </ul>
+          <Button type="button" size="sm" variant="warning" onClick={() => saveTransaction(true)}>
+            Save Anyway
+          </Button>
+        </div>
+      )}
+      
       <div className="flex flex-col sm:flex-row justify-end gap-2">
         <Button type="button" variant="outline" onClick={onCancel} className="w-full sm:w-auto order-2 sm:order-1">
           Cancel
@@ -248,6 +621,26 @@ TransactionForm.propTypes = {
         _id: PropTypes.string.isRequired
       })
     ]),
+    accountId: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.shape({
+        _id: PropTypes.string.isRequired
+      })
+    ]),
+    type: PropTypes.oneOf(['expense', 'income', 'transfer']),
+    splits: PropTypes.arrayOf(
+      PropTypes.shape({
+        categoryId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+        amount: PropTypes.number,
+      })
+    ),
+    linkedTransactionId: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        accountId: PropTypes.oneOfType([PropTypes.string, PropTypes.object])
+      })
+    ]),
   }),
   onSave: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired,
@@ -1,25 +1,63 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { Card, CardContent } from '../ui/card';
 import { Button } from '../ui/button';
+import { TransactionAttachments } from './TransactionAttachments';
 import { useCategories } from '../../context/CategoryContext';
+import { useAccounts } from '../../context/AccountContext';
 import { formatCurrency } from '../../lib/format';
+import { isSplitTransaction } from '../../lib/transactions';
+import { getCategoryPath } from '../../lib/categories';
 
 export const TransactionList = ({ transactions, onEdit, onDelete }) => {
   const { categories } = useCategories();
+  const { accounts } = useAccounts();
   
-  // Ensure categories is an array
+  // Transaction whose attachments are shown, and attachments changed since loading
+  const [openAttachmentsId, setOpenAttachmentsId] = useState(null);
+  const [changedAttachments, setChangedAttachments] = useState({});
+  
+  // Ensure categories and accounts are arrays
   const safeCategories = Array.isArray(categories) ? categories : [];
+  const safeAccounts = Array.isArray(accounts) ? accounts : [];
+  
+  // Helper to get category name by ID, with its parent for subcategories
+  const getCategoryName = (categoryId) => getCategoryPath(safeCategories, categoryId);
   
-  // Helper to get category name by ID
-  const getCategoryName = (categoryId) => {
-    // Handle cases where categoryId could be a string or object
-    const id = typeof categoryId === 'object' && categoryId !== null 
-      ? categoryId._id 
-      : categoryId;
+  // Helper to get account name by ID (null when the transaction has no account)
+  const getAccountName = (accountId) => {
+    if (!accountId) return null;
     
-    const category = safeCategories.find((cat) => cat._id === id);
-    return category ? category.name : 'Uncategorized';
+    const id = typeof accountId === 'object' ? accountId._id : accountId;
+    const account = safeAccounts.find((acc) => acc._id === id);
+    return account ? account.name : accountId.name || null;
+  };
+  
+  // List the categories of a split transaction
+  const getSplitLabel = (transaction) => {
+    return `Split: ${transaction.splits.map((split) => getCategoryName(split.categoryId)).join(', ')}`;
+  };
+  
+  // Describe where a transfer leg's money went to or came from
+  const getTransferLabel = (transaction) => {
+    const otherAccount = getAccountName(transaction.linkedTransactionId?.accountId) || 'another account';
+    return transaction.amount < 0
+      ? `Transfer to ${otherAccount}`
+      : `Transfer from ${otherAccount}`;
+  };
+  
+  // Transfers only move money between accounts, so they get a neutral color
+  const getAmountClasses = (transaction) => {
+    if (transaction.type === 'transfer') return 'text-primary-500 dark:text-primary-400';
+    return transaction.amount < 0 
+      ? 'text-red-500 dark:text-red-400' 
+      : 'text-emerald-500 dark:text-emerald-400';
+  };
+  
+  const getAttachments = (transaction) => changedAttachments[transaction._id] || transaction.attachments || [];
+  
+  const toggleAttachments = (transactionId) => {
+    setOpenAttachmentsId((current) => (current === transactionId ? null : transactionId));
   };
   
   // Format date from ISO string to readable format
@@ -50,11 +88,17 @@ export const TransactionList = ({ transactions, onEdit, onDelete }) => {
             <div className="flex items-center gap-3">
               {/* Transaction type icon */}
               <div className={`h-10 w-10 shrink-0 rounded-full flex items-center justify-center ${
-                transaction.amount < 0 
+                transaction.type === 'transfer'
+                  ? 'bg-primary-100 dark:bg-primary-900/30 text-primary-500 dark:text-primary-400'
+                  : transaction.amount < 0 
                   ? 'bg-red-100 dark:bg-red-900/30 text-red-500 dark:text-red-400' 
                   : 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-500 dark:text-emerald-400'
               }`}>
-                {transaction.amount < 0 ? (
+                {transaction.type === 'transfer' ? (
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                    <path d="M8 5a1 1 0 100 2h5.586l-1.293 1.293a1 1 0 001.414 1.414l3-3a1 1 0 000-1.414l-3-3a1 1 0 10-1.414 1.414L13.586 5H8zM12 15a1 1 0 100-2H6.414l1.293-1.293a1 1 0 10-1.414-1.414l-3 3a1 1 0 000 1.414l3 3a1 1 0 001.414-1.414L6.414 15H12z" />
+                  </svg>
+                ) : transaction.amount < 0 ? (
                   <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                     <path fillRule="evenodd" d="M5.293 9.707a1 1 0 010-1.414l4-4a1 1 0 011.414 0l4 4a1 1 0 01-1.414 1.414L11 7.414V15a1 1 0 11-2 0V7.414L6.707 9.707a1 1 0 01-1.414 0z" clipRule="evenodd" />
                   </svg>
@@ -69,11 +113,7 @@ export const TransactionList = ({ transactions, onEdit, onDelete }) => {
                   <h3 className="font-medium text-foreground-light dark:text-foreground-dark truncate mr-2">
                     {transaction.description}
                   </h3>
-                  <div className={`text-lg font-semibold ${
-                    transaction.amount < 0 
-                    ? 'text-red-500 dark:text-red-400' 
-                    : 'text-emerald-500 dark:text-emerald-400'
-                  } sm:hidden`}>
+                  <div className={`text-lg font-semibold ${getAmountClasses(transaction)} sm:hidden`}>
                     {formatCurrency(transaction.amount)}
                   </div>
                 </div>
@@ -89,18 +129,51 @@ export const TransactionList = ({ transactions, onEdit, onDelete }) => {
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 20 20" fill="currentColor">
                       <path fillRule="evenodd" d="M17.707 9.293a1 1 0 010 1.414l-7 7a1 1 0 01-1.414 0l-7-7A.997.997 0 012 10V5a3 3 0 013-3h5c.256 0 .512.098.707.293l7 7zM5 6a1 1 0 100-2 1 1 0 000 2z" clipRule="evenodd" />
                     </svg>
-                    <span className="truncate max-w-[140px]">{getCategoryName(transaction.categoryId)}</span>
+                    <span className="truncate max-w-[220px]">
+                      {transaction.type === 'transfer'
+                        ? getTransferLabel(transaction)
+                        : isSplitTransaction(transaction)
+                        ? getSplitLabel(transaction)
+                        : getCategoryName(transaction.categoryId)}
+                    </span>
                   </span>
+                  {getAccountName(transaction.accountId) && (
+                    <>
+                      <span className="text-xs text-muted-light dark:text-muted-dark mx-1">•</span>
+                      <span className="text-xs text-muted-light dark:text-muted-dark flex items-center gap-1">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 20 20" fill="currentColor">
+                          <path d="M4 4a2 2 0 00-2 2v1h16V6a2 2 0 00-2-2H4z" />
+                          <path fillRule="evenodd" d="M18 9H2v5a2 2 0 002 2h12a2 2 0 002-2V9zM4 13a1 1 0 011-1h1a1 1 0 110 2H5a1 1 0 01-1-1zm5-1a1 1 0 100 2h1a1 1 0 100-2H9z" clipRule="evenodd" />
+                        </svg>
+                        <span className="truncate max-w-[140px]">{getAccountName(transaction.accountId)}</span>
+                      </span>
+                    </>
+                  )}
+                  {transaction.payeeId?.name && (
+                    <>
+                      <span className="text-xs text-muted-light dark:text-muted-dark mx-1">•</span>
+                      <span className="text-xs text-muted-light dark:text-muted-dark flex items-center gap-1">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 20 20" fill="currentColor">
+                          <path fillRule="evenodd" d="M4 4a2 2 0 012-2h8a2 2 0 012 2v12a1 1 0 110 2h-3a1 1 0 01-1-1v-2a1 1 0 00-1-1H9a1 1 0 00-1 1v2a1 1 0 01-1 1H4a1 1 0 110-2V4zm3 1h2v2H7V5zm2 4H7v2h2V9zm2-4h2v2h-2V5zm2 4h-2v2h2V9z" clipRule="evenodd" />
+                        </svg>
+                        <span className="truncate max-w-[140px]">{transaction.payeeId.name}</span>
+                      </span>
+                    </>
+                  )}
+                  {transaction.tags?.map((tag) => (
+                    <span
+                      key={tag}
+                      className="text-xs rounded-full bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300 px-2 py-0.5 ml-1"
+                    >
+                      #{tag}
+                    </span>
+                  ))}
                 </div>
               </div>
             </div>
             <div className="mt-4 sm:mt-0 sm:text-right flex sm:block items-center justify-between">
               <div className="sm:mb-2 hidden sm:block">
-                <div className={`text-lg font-semibold ${
-                  transaction.amount < 0 
-                  ? 'text-red-500 dark:text-red-400' 
-                  : 'text-emerald-500 dark:text-emerald-400'
-                }`}>
+                <div className={`text-lg font-semibold ${getAmountClasses(transaction)}`}>
                   {formatCurrency(transaction.amount)}
                 </div>
               </div>
@@ -131,11 +204,29 @@ export const TransactionList = ({ transactions, onEdit, onDelete }) => {
             </div>
           </div>
           {/* Additional info section */}
-          <div className="px-4 py-2 bg-background-light/50 dark:bg-background-dark/50">
+          <div className="px-4 py-2 bg-background-light/50 dark:bg-background-dark/50 flex items-center justify-between gap-4">
             <div className="text-xs text-muted-light dark:text-muted-dark">
               {transaction.notes ? transaction.notes : 'No additional notes'}
             </div>
+            <button
+              type="button"
+              onClick={() => toggleAttachments(transaction._id)}
+              aria-expanded={openAttachmentsId === transaction._id}
+              className="shrink-0 text-xs flex items-center gap-1 text-muted-light dark:text-muted-dark hover:text-primary-600 dark:hover:text-primary-400"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M8 4a3 3 0 00-3 3v4a5 5 0 0010 0V7a1 1 0 112 0v4a7 7 0 11-14 0V7a5 5 0 0110 0v4a3 3 0 11-6 0V7a1 1 0 012 0v4a1 1 0 102 0V7a3 3 0 00-3-3z" clipRule="evenodd" />
+              </svg>
+              {getAttachments(transaction).length > 0 ? getAttachments(transaction).length : 'Attach'}
+            </button>
           </div>
+          {openAttachmentsId === transaction._id && (
+            <TransactionAttachments
+              transactionId={transaction._id}
+              attachments={getAttachments(transaction)}
+              onChange={(attachments) => setChangedAttachments((current) => ({ ...current, [transaction._id]: attachments }))}
+            />
+          )}
         </Card>
       ))}
     </div>
@@ -155,6 +246,41 @@ TransactionList.propTypes = {
           _id: PropTypes.string.isRequired
         })
       ]),
+      accountId: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.shape({
+          _id: PropTypes.string.isRequired
+        })
+      ]),
+      payeeId: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.shape({
+          _id: PropTypes.string.isRequired,
+          name: PropTypes.string
+        })
+      ]),
+      type: PropTypes.oneOf(['expense', 'income', 'transfer']),
+      tags: PropTypes.arrayOf(PropTypes.string),
+      attachments: PropTypes.arrayOf(
+        PropTypes.shape({
+          _id: PropTypes.string.isRequired,
+          filename: PropTypes.string,
+          contentType: PropTypes.string,
+          size: PropTypes.number,
+        })
+      ),
+      splits: PropTypes.arrayOf(
+        PropTypes.shape({
+          categoryId: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+          amount: PropTypes.number,
+        })
+      ),
+      linkedTransactionId: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.shape({
+          _id: PropTypes.string.isRequired
+        })
+      ]),
     })
   ).isRequired,
   onEdit: PropTypes.func.isRequired,
@@ -0,0 +1,143 @@
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import { accountAPI } from '../api/api';
+
+// Initial state
+const initialState = {
+  accounts: [],
+  loading: false,
+  error: null,
+};
+
+// Actions
+export const ACTIONS = {
+  FETCH_START: 'FETCH_START',
+  FETCH_SUCCESS: 'FETCH_SUCCESS',
+  FETCH_ERROR: 'FETCH_ERROR',
+  ADD_ACCOUNT: 'ADD_ACCOUNT',
+  UPDATE_ACCOUNT: 'UPDATE_ACCOUNT',
+  DELETE_ACCOUNT: 'DELETE_ACCOUNT',
+};
+
+// Reducer
+const accountReducer = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.FETCH_START:
+      return { ...state, loading: true, error: null };
+    case ACTIONS.FETCH_SUCCESS:
+      return { ...state, accounts: action.payload, loading: false };
+    case ACTIONS.FETCH_ERROR:
+      return { ...state, loading: false, error: action.payload };
+    case ACTIONS.ADD_ACCOUNT:
+      return {
+        ...state,
+        loading: false,
+        accounts: [...state.accounts, action.payload],
+      };
+    case ACTIONS.UPDATE_ACCOUNT:
+      return {
+        ...state,
+        loading: false,
+        accounts: state.accounts.map((account) =>
+          account._id === action.payload._id ? action.payload : account
+        ),
+      };
+    case ACTIONS.DELETE_ACCOUNT:
+      return {
+        ...state,
+        loading: false,
+        accounts: state.accounts.filter(
+          (account) => account._id !== action.payload
+        ),
+      };
+    default:
+      return state;
+  }
+};
+
+// Context
+const AccountContext = createContext();
+
+// Provider component
+export const AccountProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(accountReducer, initialState);
+
+  // Fetch accounts (and their balances) from the server
+  // Also used to refresh balances after transactions change
+  const refreshAccounts = useCallback(async () => {
+    try {
+      dispatch({ type: ACTIONS.FETCH_START });
+      const accounts = await accountAPI.getAll();
+      dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: Array.isArray(accounts) ? accounts : [] });
+    } catch (error) {
+      console.error('❌ Error fetching accounts:', error);
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: [] });
+    }
+  }, []);
+
+  // Load accounts when the provider mounts
+  useEffect(() => {
+    refreshAccounts();
+  }, [refreshAccounts]);
+
+  // Actions
+  const addAccount = async (account) => {
+    try {
+      dispatch({ type: ACTIONS.FETCH_START });
+      const newAccount = await accountAPI.create(account);
+      dispatch({ type: ACTIONS.ADD_ACCOUNT, payload: newAccount });
+      return newAccount;
+    } catch (error) {
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateAccount = async (id, account) => {
+    try {
+      dispatch({ type: ACTIONS.FETCH_START });
+      const updatedAccount = await accountAPI.update(id, account);
+      dispatch({ type: ACTIONS.UPDATE_ACCOUNT, payload: updatedAccount });
+      return updatedAccount;
+    } catch (error) {
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteAccount = async (id) => {
+    try {
+      dispatch({ type: ACTIONS.FETCH_START });
+      await accountAPI.delete(id);
+      dispatch({ type: ACTIONS.DELETE_ACCOUNT, payload: id });
+    } catch (error) {
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
+  const value = {
+    accounts: state.accounts,
+    loading: state.loading,
+    error: state.error,
+    addAccount,
+    updateAccount,
+    deleteAccount,
+    refreshAccounts,
+  };
+
+  return (
+    <AccountContext.Provider value={value}>
+      {children}
+    </AccountContext.Provider>
+  );
+};
+
+// Custom hook
+export const useAccounts = () => {
+  const context = useContext(AccountContext);
+  if (!context) {
+    throw new Error('useAccounts must be used within an AccountProvider');
+  }
+  return context;
+};
@@ -0,0 +1,159 @@
+/**
+ * Auth Context Module
+ *
+ * Global state for the signed-in user using React Context API.
+ * It implements:
+ * - Restoring the session from the token saved in localStorage
+ * - Login, registration and logout actions
+ * - Automatic logout when the API reports an invalid token
+ */
+
+import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import { authAPI, TOKEN_STORAGE_KEY, AUTH_LOGOUT_EVENT } from '../api/api';
+
+/**
+ * Initial state for the auth context
+ * loading starts as true while a saved token is being verified
+ */
+const initialState = {
+  user: null,                                            // Signed-in user
+  token: localStorage.getItem(TOKEN_STORAGE_KEY),        // Current JWT
+  loading: !!localStorage.getItem(TOKEN_STORAGE_KEY),    // Verifying saved session
+  error: null,                                           // Last auth error
+};
+
+/**
+ * Action type constants
+ */
+export const ACTIONS = {
+  AUTH_START: 'AUTH_START',       // Login/registration/session check started
+  AUTH_SUCCESS: 'AUTH_SUCCESS',   // User is signed in
+  AUTH_ERROR: 'AUTH_ERROR',       // Login/registration failed
+  LOGOUT: 'LOGOUT',               // Session cleared
+};
+
+/**
+ * Auth Reducer
+ *
+ * @param {Object} state - Current state object
+ * @param {Object} action - Action with type and optional payload
+ * @returns {Object} New state
+ */
+const authReducer = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.AUTH_START:
+      return { ...state, loading: true, error: null };
+
+    case ACTIONS.AUTH_SUCCESS:
+      return {
+        ...state,
+        user: action.payload.user,
+        token: action.payload.token,
+        loading: false,
+        error: null,
+      };
+
+    case ACTIONS.AUTH_ERROR:
+      return { ...state, loading: false, error: action.payload };
+
+    case ACTIONS.LOGOUT:
+      return { ...state, user: null, token: null, loading: false };
+
+    default:
+      return state;
+  }
+};
+
+const AuthContext = createContext();
+
+// Provider component
+export const AuthProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(authReducer, initialState);
+
+  // Restore the session from a saved token when the provider mounts
+  useEffect(() => {
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (!token) return;
+
+    const restoreSession = async () => {
+      try {
+        const user = await authAPI.me();
+        dispatch({ type: ACTIONS.AUTH_SUCCESS, payload: { user, token } });
+      } catch (error) {
+        console.error('❌ Saved session is no longer valid:', error);
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+        dispatch({ type: ACTIONS.LOGOUT });
+      }
+    };
+
+    restoreSession();
+  }, []);
+
+  // Sign out whenever the API interceptor reports a rejected token
+  useEffect(() => {
+    const handleForcedLogout = () => dispatch({ type: ACTIONS.LOGOUT });
+
+    window.addEventListener(AUTH_LOGOUT_EVENT, handleForcedLogout);
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, handleForcedLogout);
+  }, []);
+
+  /**
+   * Store the token and user returned by login/registration
+   */
+  const startSession = ({ token, user }) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    dispatch({ type: ACTIONS.AUTH_SUCCESS, payload: { user, token } });
+    return user;
+  };
+
+  // Actions
+  const login = async (credentials) => {
+    try {
+      dispatch({ type: ACTIONS.AUTH_START });
+      return startSession(await authAPI.login(credentials));
+    } catch (error) {
+      dispatch({ type: ACTIONS.AUTH_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
+  const register = async (data) => {
+    try {
+      dispatch({ type: ACTIONS.AUTH_START });
+      return startSession(await authAPI.register(data));
+    } catch (error) {
+      dispatch({ type: ACTIONS.AUTH_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
+  const logout = () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    dispatch({ type: ACTIONS.LOGOUT });
+  };
+
+  const value = {
+    user: state.user,
+    isAuthenticated: !!state.user,
+    loading: state.loading,
+    error: state.error,
+    login,
+    register,
+    logout,
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+// Custom hook
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
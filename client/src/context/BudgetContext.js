@@ -1,9 +1,13 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { budgetAPI } from '../api/api';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import { budgetAPI, budgetTemplateAPI, globalBudgetAPI } from '../api/api';
 
 // Initial state
 const initialState = {
   budgets: [],
+  // Caps on total spending, whatever the category
+  globalBudgets: [],
+  // Envelope view of the month last looked at (see getEnvelopes on the server)
+  envelopes: null,
   loading: false,
   error: null,
 };
@@ -16,6 +20,11 @@ export const ACTIONS = {
   ADD_BUDGET: 'ADD_BUDGET',
   UPDATE_BUDGET: 'UPDATE_BUDGET',
   DELETE_BUDGET: 'DELETE_BUDGET',
+  SET_GLOBAL_BUDGETS: 'SET_GLOBAL_BUDGETS',
+  ADD_GLOBAL_BUDGET: 'ADD_GLOBAL_BUDGET',
+  UPDATE_GLOBAL_BUDGET: 'UPDATE_GLOBAL_BUDGET',
+  DELETE_GLOBAL_BUDGET: 'DELETE_GLOBAL_BUDGET',
+  SET_ENVELOPES: 'SET_ENVELOPES',
 };
 
 // Reducer
@@ -46,6 +55,24 @@ const budgetReducer = (state, action) => {
           (budget) => budget._id !== action.payload
         ),
       };
+    case ACTIONS.SET_GLOBAL_BUDGETS:
+      return { ...state, globalBudgets: action.payload };
+    case ACTIONS.ADD_GLOBAL_BUDGET:
+      return { ...state, globalBudgets: [...state.globalBudgets, action.payload] };
+    case ACTIONS.UPDATE_GLOBAL_BUDGET:
+      return {
+        ...state,
+        globalBudgets: state.globalBudgets.map((globalBudget) =>
+          globalBudget._id === action.payload._id ? action.payload : globalBudget
+        ),
+      };
+    case ACTIONS.DELETE_GLOBAL_BUDGET:
+      return {
+        ...state,
+        globalBudgets: state.globalBudgets.filter((globalBudget) => globalBudget._id !== action.payload),
+      };
+    case ACTIONS.SET_ENVELOPES:
+      return { ...state, envelopes: action.payload };
     default:
       return state;
   }
@@ -58,39 +85,44 @@ const BudgetContext = createContext();
 export const BudgetProvider = ({ children }) => {
   const [state, dispatch] = useReducer(budgetReducer, initialState);
 
-  // Load budgets when the provider mounts
-  useEffect(() => {
-    const loadBudgets = async () => {
-      try {
-        dispatch({ type: ACTIONS.FETCH_START });
-        console.log('🔍 Fetching budgets...');
-        const budgets = await budgetAPI.getAll();
-        console.log('✅ Budgets fetched:', budgets);
-        
-        // Ensure we always provide an array
-        const safeBudgets = Array.isArray(budgets) ? budgets : [];
-        dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: safeBudgets });
-        
-        if (!Array.isArray(budgets)) {
-          console.warn('⚠️ Budgets API did not return an array:', budgets);
-        }
-      } catch (error) {
-        console.error('❌ Error fetching budgets:', error);
-        dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
-        // Provide empty array on error
-        dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: [] });
+  // Load (or reload) budgets and global budgets from the server
+  // Also used after a backup is restored
+  const refreshBudgets = useCallback(async () => {
+    try {
+      dispatch({ type: ACTIONS.FETCH_START });
+      console.log('🔍 Fetching budgets...');
+      const [budgets, globalBudgets] = await Promise.all([budgetAPI.getAll(), globalBudgetAPI.getAll()]);
+      console.log('✅ Budgets fetched:', budgets);
+      
+      // Ensure we always provide an array
+      const safeBudgets = Array.isArray(budgets) ? budgets : [];
+      dispatch({ type: ACTIONS.SET_GLOBAL_BUDGETS, payload: globalBudgets });
+      dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: safeBudgets });
+      
+      if (!Array.isArray(budgets)) {
+        console.warn('⚠️ Budgets API did not return an array:', budgets);
       }
-    };
-
-    loadBudgets();
+    } catch (error) {
+      console.error('❌ Error fetching budgets:', error);
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      // Provide empty array on error
+      dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: [] });
+    }
   }, []);
 
+  // Load budgets when the provider mounts
+  useEffect(() => {
+    refreshBudgets();
+  }, [refreshBudgets]);
+
   // Actions
   const addBudget = async (budget) => {
     try {
       dispatch({ type: ACTIONS.FETCH_START });
       const newBudget = await budgetAPI.create(budget);
       dispatch({ type: ACTIONS.ADD_BUDGET, payload: newBudget });
+      // Carry-over into later months may have changed
+      refreshBudgets();
       return newBudget;
     } catch (error) {
       dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
@@ -103,6 +135,7 @@ export const BudgetProvider = ({ children }) => {
       dispatch({ type: ACTIONS.FETCH_START });
       const updatedBudget = await budgetAPI.update(id, budget);
       dispatch({ type: ACTIONS.UPDATE_BUDGET, payload: updatedBudget });
+      refreshBudgets();
       return updatedBudget;
     } catch (error) {
       dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
@@ -115,19 +148,77 @@ export const BudgetProvider = ({ children }) => {
       dispatch({ type: ACTIONS.FETCH_START });
       await budgetAPI.delete(id);
       dispatch({ type: ACTIONS.DELETE_BUDGET, payload: id });
+      refreshBudgets();
     } catch (error) {
       dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
       throw error;
     }
   };
 
+  // Global budgets: one cap on total spending per period
+  const addGlobalBudget = async (globalBudget) => {
+    const newGlobalBudget = await globalBudgetAPI.create(globalBudget);
+    dispatch({ type: ACTIONS.ADD_GLOBAL_BUDGET, payload: newGlobalBudget });
+    return newGlobalBudget;
+  };
+
+  const updateGlobalBudget = async (id, globalBudget) => {
+    const updatedGlobalBudget = await globalBudgetAPI.update(id, globalBudget);
+    dispatch({ type: ACTIONS.UPDATE_GLOBAL_BUDGET, payload: updatedGlobalBudget });
+    return updatedGlobalBudget;
+  };
+
+  const deleteGlobalBudget = async (id) => {
+    await globalBudgetAPI.delete(id);
+    dispatch({ type: ACTIONS.DELETE_GLOBAL_BUDGET, payload: id });
+  };
+
+  // Envelope budgeting: each envelope's money for a month is its monthly budget
+  const fetchEnvelopes = useCallback(async (month, year) => {
+    const envelopes = await budgetAPI.getEnvelopes({ month, year });
+    dispatch({ type: ACTIONS.SET_ENVELOPES, payload: envelopes });
+    return envelopes;
+  }, []);
+
+  // Moving money changes monthly budgets, so the budget list is reloaded too
+  const moveEnvelopeMoney = async (move) => {
+    const envelopes = await budgetAPI.moveEnvelopeMoney(move);
+    dispatch({ type: ACTIONS.SET_ENVELOPES, payload: envelopes });
+    refreshBudgets();
+    return envelopes;
+  };
+
+  // Create budgets for a month from another month or a template, then reload
+  // the list. Both resolve to counts of created/overwritten/added/skipped budgets.
+  const copyBudgets = async (options) => {
+    const result = await budgetAPI.copy(options);
+    await refreshBudgets();
+    return result;
+  };
+
+  const applyTemplate = async (templateId, options) => {
+    const result = await budgetTemplateAPI.apply(templateId, options);
+    await refreshBudgets();
+    return result;
+  };
+
   const value = {
     budgets: state.budgets,
+    globalBudgets: state.globalBudgets,
+    envelopes: state.envelopes,
     loading: state.loading,
     error: state.error,
+    refreshBudgets,
     addBudget,
     updateBudget,
     deleteBudget,
+    copyBudgets,
+    applyTemplate,
+    addGlobalBudget,
+    updateGlobalBudget,
+    deleteGlobalBudget,
+    fetchEnvelopes,
+    moveEnvelopeMoney,
   };
 
   return (
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useMemo } from 'react';
 import { categoryAPI } from '../api/api';
 
 // Initial state
@@ -58,33 +58,35 @@ const CategoryContext = createContext();
 export const CategoryProvider = ({ children }) => {
   const [state, dispatch] = useReducer(categoryReducer, initialState);
 
-  // Load categories when the provider mounts
-  useEffect(() => {
-    const loadCategories = async () => {
-      try {
-        dispatch({ type: ACTIONS.FETCH_START });
-        console.log('🔍 Fetching categories...');
-        const categories = await categoryAPI.getAll();
-        console.log('✅ Categories fetched:', categories);
-        
-        // Ensure we always provide an array
-        const safeCategories = Array.isArray(categories) ? categories : [];
-        dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: safeCategories });
-        
-        if (!Array.isArray(categories)) {
-          console.warn('⚠️ Categories API did not return an array:', categories);
-        }
-      } catch (error) {
-        console.error('❌ Error fetching categories:', error);
-        dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
-        // Provide empty array on error
-        dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: [] });
+  // Load (or reload) categories from the server
+  // Also used after a backup is restored
+  const refreshCategories = useCallback(async () => {
+    try {
+      dispatch({ type: ACTIONS.FETCH_START });
+      console.log('🔍 Fetching categories...');
+      const categories = await categoryAPI.getAll();
+      console.log('✅ Categories fetched:', categories);
+      
+      // Ensure we always provide an array
+      const safeCategories = Array.isArray(categories) ? categories : [];
+      dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: safeCategories });
+      
+      if (!Array.isArray(categories)) {
+        console.warn('⚠️ Categories API did not return an array:', categories);
       }
-    };
-
-    loadCategories();
+    } catch (error) {
+      console.error('❌ Error fetching categories:', error);
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      // Provide empty array on error
+      dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: [] });
+    }
   }, []);
 
+  // Load categories when the provider mounts
+  useEffect(() => {
+    refreshCategories();
+  }, [refreshCategories]);
+
   // Actions
   const addCategory = async (category) => {
     try {
@@ -121,13 +123,70 @@ export const CategoryProvider = ({ children }) => {
     }
   };
 
+  // Merge a category into another; its subcategories may move too, so the
+  // list is reloaded afterwards
+  const mergeCategory = async (id, targetId) => {
+    try {
+      const result = await categoryAPI.merge(id, targetId);
+      dispatch({ type: ACTIONS.DELETE_CATEGORY, payload: id });
+      await refreshCategories();
+      return result;
+    } catch (error) {
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
+  // Archiving a category also archives its subcategories (and restoring a
+  // subcategory restores its parent), so the list is reloaded afterwards
+  const setCategoryArchived = async (id, archived) => {
+    try {
+      const result = await categoryAPI.update(id, { archived });
+      await refreshCategories();
+      return result;
+    } catch (error) {
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
+  const archiveCategory = (id) => setCategoryArchived(id, true);
+  const restoreCategory = (id) => setCategoryArchived(id, false);
+
+  // Archived categories stay in `categories` so history and reports can
+  // still name them, but pickers for new data leave them out
+  const activeCategories = useMemo(
+    () => state.categories.filter((category) => !category.archived),
+    [state.categories]
+  );
+  const archivedCategories = useMemo(
+    () => state.categories.filter((category) => category.archived),
+    [state.categories]
+  );
+
+  // Categories for a picker: the active ones, plus any archived ones listed
+  // in keepIds (e.g. the category a transaction being edited already has)
+  const getSelectableCategories = useCallback(
+    (...keepIds) => state.categories.filter(
+      (category) => !category.archived || keepIds.includes(category._id)
+    ),
+    [state.categories]
+  );
+
   const value = {
     categories: state.categories,
+    activeCategories,
+    archivedCategories,
+    getSelectableCategories,
     loading: state.loading,
     error: state.error,
+    refreshCategories,
     addCategory,
     updateCategory,
     deleteCategory,
+    mergeCategory,
+    archiveCategory,
+    restoreCategory,
   };
 
   return (
@@ -5,11 +5,13 @@
  * It implements:
  * - Centralized state for transactions across components
  * - Actions for CRUD operations
+ * - Keeping both legs of a transfer in sync
+ * - Merging duplicate transactions
  * - Loading and error states
  * - Integration with the transaction API service
  */
 
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import { transactionAPI } from '../api/api';
 
 /**
@@ -91,6 +93,32 @@ const transactionReducer = (state, action) => {
   }
 };
 
+/**
+ * Split a saved transfer into its two legs
+ * The server returns one leg with the other populated in linkedTransactionId
+ *
+ * @param {Object} transaction - Transaction returned by the API
+ * @returns {Array<Object>} The transaction itself, plus its linked leg for transfers
+ */
+const getTransferLegs = (transaction) => {
+  const linkedLeg = transaction.linkedTransactionId;
+  if (transaction.type !== 'transfer' || typeof linkedLeg !== 'object' || linkedLeg === null) {
+    return [transaction];
+  }
+  
+  return [
+    transaction,
+    {
+      ...linkedLeg,
+      linkedTransactionId: {
+        _id: transaction._id,
+        accountId: transaction.accountId,
+        amount: transaction.amount,
+      },
+    },
+  ];
+};
+
 /**
  * Create React Context
  * This creates the actual context object that will be used for Provider and Consumer
@@ -101,33 +129,35 @@ const TransactionContext = createContext();
 export const TransactionProvider = ({ children }) => {
   const [state, dispatch] = useReducer(transactionReducer, initialState);
 
-  // Load transactions when the provider mounts
-  useEffect(() => {
-    const loadTransactions = async () => {
-      try {
-        dispatch({ type: ACTIONS.FETCH_START });
-        console.log('🔍 Fetching transactions...');
-        const transactions = await transactionAPI.getAll();
-        console.log('✅ Transactions fetched:', transactions);
-        
-        // Ensure we always provide an array
-        const safeTransactions = Array.isArray(transactions) ? transactions : [];
-        dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: safeTransactions });
-        
-        if (!Array.isArray(transactions)) {
-          console.warn('⚠️ Transactions API did not return an array:', transactions);
-        }
-      } catch (error) {
-        console.error('❌ Error fetching transactions:', error);
-        dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
-        // Provide empty array on error
-        dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: [] });
+  // Load (or reload) transactions from the server
+  // Also used after the server creates transactions itself, e.g. from recurring rules
+  const refreshTransactions = useCallback(async () => {
+    try {
+      dispatch({ type: ACTIONS.FETCH_START });
+      console.log('🔍 Fetching transactions...');
+      const transactions = await transactionAPI.getAll();
+      console.log('✅ Transactions fetched:', transactions);
+      
+      // Ensure we always provide an array
+      const safeTransactions = Array.isArray(transactions) ? transactions : [];
+      dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: safeTransactions });
+      
+      if (!Array.isArray(transactions)) {
+        console.warn('⚠️ Transactions API did not return an array:', transactions);
       }
-    };
-
-    loadTransactions();
+    } catch (error) {
+      console.error('❌ Error fetching transactions:', error);
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      // Provide empty array on error
+      dispatch({ type: ACTIONS.FETCH_SUCCESS, payload: [] });
+    }
   }, []);
 
+  // Load transactions when the provider mounts
+  useEffect(() => {
+    refreshTransactions();
+  }, [refreshTransactions]);
+
   // Actions
   const addTransaction = async (transaction) => {
     try {
@@ -135,7 +165,9 @@ export const TransactionProvider = ({ children }) => {
       console.log('Creating transaction:', transaction);
       const newTransaction = await transactionAPI.create(transaction);
       console.log('Transaction created successfully:', newTransaction);
-      dispatch({ type: ACTIONS.ADD_TRANSACTION, payload: newTransaction });
+      getTransferLegs(newTransaction).forEach((leg) => {
+        dispatch({ type: ACTIONS.ADD_TRANSACTION, payload: leg });
+      });
       return newTransaction;
     } catch (error) {
       console.error('Failed to create transaction:', error);
@@ -148,7 +180,9 @@ export const TransactionProvider = ({ children }) => {
     try {
       dispatch({ type: ACTIONS.FETCH_START });
       const updatedTransaction = await transactionAPI.update(id, transaction);
-      dispatch({ type: ACTIONS.UPDATE_TRANSACTION, payload: updatedTransaction });
+      getTransferLegs(updatedTransaction).forEach((leg) => {
+        dispatch({ type: ACTIONS.UPDATE_TRANSACTION, payload: leg });
+      });
       return updatedTransaction;
     } catch (error) {
       dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
@@ -160,7 +194,30 @@ export const TransactionProvider = ({ children }) => {
     try {
       dispatch({ type: ACTIONS.FETCH_START });
       await transactionAPI.delete(id);
+      
+      // The server removes both legs of a transfer
+      const transaction = state.transactions.find((t) => t._id === id);
+      const linkedId = transaction?.linkedTransactionId?._id || transaction?.linkedTransactionId;
+      
       dispatch({ type: ACTIONS.DELETE_TRANSACTION, payload: id });
+      if (linkedId) {
+        dispatch({ type: ACTIONS.DELETE_TRANSACTION, payload: linkedId });
+      }
+    } catch (error) {
+      dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
+  // Merge duplicates into one transaction; the others are deleted on the server
+  const mergeDuplicates = async (keepId, mergeIds) => {
+    try {
+      const { transaction, removedIds } = await transactionAPI.mergeDuplicates(keepId, mergeIds);
+      dispatch({ type: ACTIONS.UPDATE_TRANSACTION, payload: transaction });
+      removedIds.forEach((id) => {
+        dispatch({ type: ACTIONS.DELETE_TRANSACTION, payload: id });
+      });
+      return transaction;
     } catch (error) {
       dispatch({ type: ACTIONS.FETCH_ERROR, payload: error.message });
       throw error;
@@ -171,9 +228,11 @@ export const TransactionProvider = ({ children }) => {
     transactions: state.transactions,
     loading: state.loading,
     error: state.error,
+    refreshTransactions,
     addTransaction,
     updateTransaction,
     deleteTransaction,
+    mergeDuplicates,
   };
 
   return (
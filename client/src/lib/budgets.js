@@ -0,0 +1,240 @@
+/**
+ * Budget Utilities Module
+ *
+ * Options and wording shared by the budget forms: period, month and year
+ * pickers, and what to do when copying budgets into a month that already has
+ * some. Budget periods come from the API as UTC-midnight dates, so they are
+ * compared and shown by their "YYYY-MM-DD" day.
+ */
+
+// Months for a <Select>, 1-based as the API expects
+export const MONTH_OPTIONS = Array.from({ length: 12 }, (_, i) => ({
+  value: i + 1,
+  label: new Date(2000, i, 1).toLocaleString('default', { month: 'long' }),
+}));
+
+/**
+ * Years for a <Select>: last year through five years ahead
+ *
+ * @returns {Array<number>}
+ */
+export const getYearOptions = () => {
+  const currentYear = new Date().getFullYear();
+  return Array.from({ length: 7 }, (_, i) => currentYear - 1 + i);
+};
+
+// How long a budget lasts; monthly, quarterly and yearly follow the calendar
+export const PERIOD_OPTIONS = [
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'yearly', label: 'Yearly' },
+  { value: 'custom', label: 'Custom dates' },
+];
+
+export const QUARTER_OPTIONS = [1, 2, 3, 4].map((quarter) => ({ value: quarter, label: `Q${quarter}` }));
+
+/**
+ * Day of a date as "YYYY-MM-DD"
+ *
+ * @param {Date|string} date - Date from the API, or a local Date
+ * @returns {string}
+ */
+export const toDayKey = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Period picker values for a budget form
+ *
+ * @param {Object} [budget] - Budget being edited
+ * @returns {Object} { period, month, year, quarter, startDate, endDate }
+ */
+export const getInitialPeriodValues = (budget) => {
+  const today = new Date();
+  const month = budget?.month || today.getMonth() + 1;
+  return {
+    period: budget?.period || 'monthly',
+    month,
+    year: budget?.year || today.getFullYear(),
+    quarter: Math.floor((month - 1) / 3) + 1,
+    startDate: budget?.startDate ? toDayKey(budget.startDate) : toDayKey(today),
+    endDate: budget?.endDate ? toDayKey(budget.endDate) : '',
+  };
+};
+
+/**
+ * Problems with period picker values
+ *
+ * @param {Object} values - See getInitialPeriodValues
+ * @returns {Object} Error messages by field (empty when valid)
+ */
+export const validatePeriodValues = (values) => {
+  const errors = {};
+  if (['weekly', 'custom'].includes(values.period) && !values.startDate) {
+    errors.startDate = 'Start date is required';
+  }
+  if (values.period === 'custom') {
+    if (!values.endDate) {
+      errors.endDate = 'End date is required';
+    } else if (values.endDate < values.startDate) {
+      errors.endDate = 'End date must be on or after the start date';
+    }
+  }
+  return errors;
+};
+
+/**
+ * Period fields to send to the API
+ * Only the fields that pick the chosen kind of period are included.
+ *
+ * @param {Object} values - See getInitialPeriodValues
+ * @returns {Object} { period, startDate, endDate } or { period, month, year }
+ */
+export const getPeriodPayload = (values) => {
+  const year = parseInt(values.year, 10);
+  switch (values.period) {
+    case 'weekly':
+      return { period: 'weekly', startDate: values.startDate };
+    case 'quarterly':
+      return { period: 'quarterly', startDate: `${year}-${String(values.quarter * 3 - 2).padStart(2, '0')}-01` };
+    case 'yearly':
+      return { period: 'yearly', startDate: `${year}-01-01` };
+    case 'custom':
+      return { period: 'custom', startDate: values.startDate, endDate: values.endDate };
+    default:
+      return { period: 'monthly', month: parseInt(values.month, 10), year };
+  }
+};
+
+// Alert thresholds new budgets start with (percent of the budget spent)
+export const DEFAULT_ALERT_THRESHOLDS = [50, 80, 100];
+
+/**
+ * Alert thresholds as text for a form field
+ *
+ * @param {Array<number>} [thresholds] - The budget's thresholds (defaults when missing)
+ * @returns {string} e.g. "50, 80, 100"
+ */
+export const formatAlertThresholds = (thresholds = DEFAULT_ALERT_THRESHOLDS) => thresholds.join(', ');
+
+/**
+ * Read alert thresholds typed as comma-separated percentages
+ * Empty text turns alerts off.
+ *
+ * @param {string} text - e.g. "50, 80, 100"
+ * @returns {Object} { thresholds } sorted without repeats, or { error }
+ */
+export const parseAlertThresholds = (text) => {
+  const parts = text.split(',').map((part) => part.trim().replace(/%$/, '')).filter(Boolean);
+  const thresholds = parts.map(Number);
+  if (thresholds.some((value) => !Number.isInteger(value) || value < 1 || value > 1000)) {
+    return { error: 'Use whole percentages from 1 to 1000, separated by commas' };
+  }
+  return { thresholds: [...new Set(thresholds)].sort((a, b) => a - b) };
+};
+
+// Show a "YYYY-MM-DD" day without shifting it into the local time zone
+const formatDay = (day, options) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+/**
+ * Human-readable period of a budget
+ *
+ * @param {Object} budget - { period, startDate, endDate, month, year }
+ * @returns {string} e.g. "March 2026", "Q2 2026", "Week of Mar 2, 2026"
+ */
+export const formatBudgetPeriod = (budget) => {
+  const period = budget.period || 'monthly';
+  if (!budget.startDate) {
+    return formatDay(`${budget.year}-${String(budget.month).padStart(2, '0')}-01`, { month: 'long', year: 'numeric' });
+  }
+
+  const start = toDayKey(budget.startDate);
+  const end = toDayKey(budget.endDate);
+  switch (period) {
+    case 'weekly':
+      return `Week of ${formatDay(start, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    case 'quarterly':
+      return `Q${Math.floor((budget.month - 1) / 3) + 1} ${budget.year}`;
+    case 'yearly':
+      return String(budget.year);
+    case 'custom':
+      return `${formatDay(start, { month: 'short', day: 'numeric', year: 'numeric' })} – ${formatDay(end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    default:
+      return formatDay(start, { month: 'long', year: 'numeric' });
+  }
+};
+
+// Ways the Budgets page can show budgets: spending limits per category, or
+// envelopes that income is assigned to
+export const BUDGET_VIEWS = [
+  { value: 'categories', label: 'Category Budgets' },
+  { value: 'envelopes', label: 'Envelopes' },
+];
+
+// Windows the Budgets page can compare spending over, each the current one
+export const COMPARISON_WINDOWS = [
+  { value: 'week', label: 'This week' },
+  { value: 'month', label: 'This month' },
+  { value: 'quarter', label: 'This quarter' },
+  { value: 'year', label: 'This year' },
+];
+
+/**
+ * First and last day of the current week (from Monday), month, quarter or year
+ *
+ * @param {string} window - One of COMPARISON_WINDOWS
+ * @param {Date} [today=new Date()]
+ * @returns {Object} { startDate, endDate } as "YYYY-MM-DD"
+ */
+export const getComparisonWindow = (window, today = new Date()) => {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  let start;
+  let end;
+
+  if (window === 'week') {
+    start = new Date(year, month, today.getDate() - ((today.getDay() + 6) % 7));
+    end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+  } else if (window === 'quarter') {
+    start = new Date(year, month - (month % 3), 1);
+    end = new Date(year, month - (month % 3) + 3, 0);
+  } else if (window === 'year') {
+    start = new Date(year, 0, 1);
+    end = new Date(year, 11, 31);
+  } else {
+    start = new Date(year, month, 1);
+    end = new Date(year, month + 1, 0);
+  }
+
+  return { startDate: toDayKey(start), endDate: toDayKey(end) };
+};
+
+// What happens when a category already has a budget in the target month
+export const CONFLICT_OPTIONS = [
+  { value: 'skip', label: 'Keep the existing budget' },
+  { value: 'overwrite', label: 'Replace the existing budget' },
+  { value: 'add', label: 'Add to the existing budget' },
+];
+
+/**
+ * Summary of copying budgets or applying a template
+ *
+ * @param {Object} result - { created, overwritten, added, skipped, unavailable } from the API
+ * @returns {string} e.g. "Budgets: 3 created, 1 kept as they were."
+ */
+export const describeApplyResult = (result) => {
+  const parts = [
+    result.created > 0 && `${result.created} created`,
+    result.overwritten > 0 && `${result.overwritten} replaced`,
+    result.added > 0 && `${result.added} added to`,
+    result.skipped > 0 && `${result.skipped} kept as they were`,
+    result.unavailable > 0 && `${result.unavailable} left out (category deleted or archived)`,
+  ].filter(Boolean);
+
+  return parts.length > 0 ? `Budgets: ${parts.join(', ')}.` : 'No budgets were changed.';
+};
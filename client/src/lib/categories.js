@@ -0,0 +1,100 @@
+/**
+ * Category Utilities Module
+ *
+ * Helpers for the category hierarchy. Categories can have subcategories one
+ * level deep: a subcategory has a parentId, and its spending rolls up into
+ * the parent in reports and in the parent's budget.
+ */
+
+import { getRefId } from './transactions';
+
+/**
+ * Order categories with each subcategory right after its parent
+ *
+ * @param {Array<Object>} categories - Categories from the API
+ * @returns {Array<Object>} The same categories in tree order, each with a
+ *          `depth` (0 for top-level, 1 for subcategories)
+ *
+ * @example
+ * sortCategoriesAsTree([{ _id: 'g', name: 'Groceries', parentId: 'f' }, { _id: 'f', name: 'Food' }])
+ * // Returns [{ _id: 'f', ..., depth: 0 }, { _id: 'g', ..., depth: 1 }]
+ */
+export const sortCategoriesAsTree = (categories) => {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const ids = new Set(categories.map((category) => category._id));
+  const isTopLevel = (category) => !category.parentId || !ids.has(getRefId(category.parentId));
+
+  return [...categories]
+    .filter(isTopLevel)
+    .sort(byName)
+    .flatMap((parent) => [
+      { ...parent, depth: 0 },
+      ...categories
+        .filter((category) => !isTopLevel(category) && getRefId(category.parentId) === parent._id)
+        .sort(byName)
+        .map((child) => ({ ...child, depth: 1 })),
+    ]);
+};
+
+/**
+ * IDs of a category and its subcategories
+ *
+ * @param {Array<Object>} categories - Categories from the API
+ * @param {string} categoryId - Category to look up
+ * @returns {Array<string>} The category ID followed by its subcategory IDs
+ */
+export const getCategoryFamilyIds = (categories, categoryId) => [
+  categoryId,
+  ...categories
+    .filter((category) => getRefId(category.parentId) === categoryId)
+    .map((category) => category._id),
+];
+
+/**
+ * Full name of a category, including its parent
+ *
+ * @param {Array<Object>} categories - Categories from the API
+ * @param {Object|string} categoryRef - Category or category ID
+ * @returns {string} e.g. "Food & Dining › Groceries", or "Uncategorized"
+ */
+export const getCategoryPath = (categories, categoryRef) => {
+  const id = getRefId(categoryRef);
+  const category = categories.find((cat) => cat._id === id);
+  if (!category) return 'Uncategorized';
+
+  const parent = category.parentId && categories.find((cat) => cat._id === getRefId(category.parentId));
+  return parent ? `${parent.name} › ${category.name}` : category.name;
+};
+
+/**
+ * Total spending per top-level category, for charts
+ * Subcategory spending is rolled up into the parent and also listed in
+ * `subcategories` (including the parent's own spending) for drilling down.
+ *
+ * @param {Array<Object>} categories - Categories from the API
+ * @param {Array<Object>} allocations - { categoryId, amount } (see getCategoryAllocations)
+ * @returns {Array<Object>} { id, name, amount, subcategories: [{ id, name, amount }] }
+ *          for categories with spending (amounts positive)
+ */
+export const rollUpCategorySpending = (categories, allocations) => {
+  const spentIn = (categoryId) => allocations
+    .filter((a) => a.categoryId === categoryId && a.amount < 0)
+    .reduce((sum, a) => sum + Math.abs(a.amount), 0);
+
+  return sortCategoriesAsTree(categories)
+    .filter((category) => category.depth === 0)
+    .map((parent) => {
+      const family = getCategoryFamilyIds(categories, parent._id)
+        .map((id) => ({ id, name: categories.find((cat) => cat._id === id).name, amount: spentIn(id) }))
+        .filter((entry) => entry.amount > 0);
+
+      return {
+        id: parent._id,
+        name: parent.name,
+        amount: family.reduce((sum, entry) => sum + entry.amount, 0),
+        // Only worth drilling into when a subcategory had spending
+        subcategories: family.some((entry) => entry.id !== parent._id) ? family : [],
+      };
+    })
+    .filter((entry) => entry.amount > 0);
+};
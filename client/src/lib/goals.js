@@ -0,0 +1,37 @@
+/**
+ * Goal Utilities Module
+ *
+ * Wording and colors shared by the Goals page and the Dashboard widget.
+ * Progress is computed by the API; see goalAPI.
+ */
+
+// How a goal is doing, as reported in progress.status
+export const GOAL_STATUSES = {
+  completed: { label: 'Reached', className: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' },
+  'on-track': { label: 'On track', className: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400' },
+  behind: { label: 'Behind', className: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400' },
+  overdue: { label: 'Overdue', className: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400' },
+  'in-progress': { label: 'In progress', className: 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300' },
+};
+
+// Predefined color options for goal progress bars
+export const GOAL_COLORS = [
+  { label: 'Green', value: '#10b981' },
+  { label: 'Blue', value: '#3b82f6' },
+  { label: 'Amber', value: '#f59e0b' },
+  { label: 'Purple', value: '#8b5cf6' },
+  { label: 'Red', value: '#ef4444' },
+  { label: 'Cyan', value: '#06b6d4' },
+];
+
+/**
+ * What a goal's contributions are tracked from
+ *
+ * @param {Object} goal - Goal from the API, with accountId or categoryId populated
+ * @returns {string} e.g. "Account: Savings", or "Manual contributions"
+ */
+export const describeGoalLink = (goal) => {
+  if (goal.accountId) return `Account: ${goal.accountId.name || 'deleted account'}`;
+  if (goal.categoryId) return `Category: ${goal.categoryId.name || 'deleted category'}`;
+  return 'Manual contributions';
+};
@@ -0,0 +1,75 @@
+/**
+ * Transaction Utilities Module
+ *
+ * Helpers for reading transaction data returned by the API, where references
+ * may be populated objects or plain IDs and a transaction may be split across
+ * several categories.
+ */
+
+/**
+ * Get the ID of a reference that may be a populated object or a plain ID
+ *
+ * @param {Object|string|null} ref - Reference from the API
+ * @returns {string} The ID or empty string
+ *
+ * @example
+ * getRefId({ _id: 'abc', name: 'Food' })  // Returns "abc"
+ * getRefId('abc')                         // Returns "abc"
+ * getRefId(null)                          // Returns ""
+ */
+export const getRefId = (ref) => {
+  if (typeof ref === 'object' && ref !== null) return ref._id;
+  return ref || '';
+};
+
+/**
+ * Check whether a transaction is split across several categories
+ *
+ * @param {Object} transaction - Transaction from the API
+ * @returns {boolean} True when the transaction has splits
+ */
+export const isSplitTransaction = (transaction) => {
+  return Array.isArray(transaction?.splits) && transaction.splits.length > 0;
+};
+
+/**
+ * Break a transaction down into the amount attributed to each category
+ *
+ * Split transactions yield one entry per split; other transactions yield
+ * a single entry for their category.
+ *
+ * @param {Object} transaction - Transaction from the API
+ * @returns {Array<{categoryId: string, amount: number}>} Category allocations
+ *
+ * @example
+ * getCategoryAllocations({ amount: -50, categoryId: 'food' })
+ * // Returns [{ categoryId: 'food', amount: -50 }]
+ */
+export const getCategoryAllocations = (transaction) => {
+  if (isSplitTransaction(transaction)) {
+    return transaction.splits.map((split) => ({
+      categoryId: getRefId(split.categoryId),
+      amount: split.amount,
+    }));
+  }
+
+  return [{ categoryId: getRefId(transaction.categoryId), amount: transaction.amount }];
+};
+
+/**
+ * Normalize a tag the way the server stores it
+ *
+ * @param {string} tag - Tag as typed
+ * @returns {string} Lowercase tag without a leading #, with dashes for spaces
+ *          and only letters, digits, dashes and underscores (may be empty)
+ *
+ * @example
+ * normalizeTag('#Vacation 2026')  // Returns "vacation-2026"
+ */
+export const normalizeTag = (tag) => String(tag)
+  .trim()
+  .toLowerCase()
+  .replace(/^#+/, '')
+  .replace(/\s+/g, '-')
+  .replace(/[^\p{L}\p{N}_-]/gu, '')
+  .slice(0, 40);
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { PageContainer, PageHeader } from '../components/layout/layout';
+import { Button } from '../components/ui/button';
+import { Card, CardContent } from '../components/ui/card';
+import { AccountList } from '../components/accounts/AccountList';
+import { AccountForm } from '../components/accounts/AccountForm';
+import { SummaryCard } from '../components/dashboard/SummaryCards';
+import { useAccounts } from '../context/AccountContext';
+import { useTransactions } from '../context/TransactionContext';
+
+const Accounts = () => {
+  const { accounts, deleteAccount, refreshAccounts, loading } = useAccounts();
+  const { transactions } = useTransactions();
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [currentAccount, setCurrentAccount] = useState(null);
+  
+  // Balances are computed on the server, so refresh them when transactions change
+  useEffect(() => {
+    refreshAccounts();
+  }, [transactions, refreshAccounts]);
+  
+  // Ensure accounts is an array
+  const safeAccounts = Array.isArray(accounts) ? accounts : [];
+  
+  // Net worth is the sum of all balances (liabilities are negative)
+  const netWorth = safeAccounts.reduce((sum, a) => sum + (a.currentBalance || 0), 0);
+  const assets = safeAccounts
+    .filter(a => a.currentBalance > 0)
+    .reduce((sum, a) => sum + a.currentBalance, 0);
+  const liabilities = safeAccounts
+    .filter(a => a.currentBalance < 0)
+    .reduce((sum, a) => sum + Math.abs(a.currentBalance), 0);
+  
+  const handleOpenForm = () => {
+    setCurrentAccount(null);
+    setIsFormOpen(true);
+  };
+  
+  const handleEditAccount = (account) => {
+    setCurrentAccount(account);
+    setIsFormOpen(true);
+  };
+  
+  const handleDeleteAccount = async (id) => {
+    if (window.confirm('Are you sure you want to delete this account?')) {
+      try {
+        await deleteAccount(id);
+      } catch (error) {
+        console.error('Error deleting account:', error);
+        alert(error.message || 'Failed to delete account');
+      }
+    }
+  };
+  
+  const handleFormSave = () => {
+    setIsFormOpen(false);
+    setCurrentAccount(null);
+  };
+  
+  const handleFormCancel = () => {
+    setIsFormOpen(false);
+    setCurrentAccount(null);
+  };
+  
+  return (
+    <PageContainer>
+      <PageHeader title="Accounts" description="Where your money is held and what each account is worth" />
+      
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        <SummaryCard title="Net Worth" value={netWorth} highlight={true} loading={loading && safeAccounts.length === 0} />
+        <SummaryCard title="Assets" value={assets} changeType="positive" loading={loading && safeAccounts.length === 0} />
+        <SummaryCard title="Liabilities" value={liabilities} changeType="negative" loading={loading && safeAccounts.length === 0} />
+      </div>
+      
+      <div className="flex justify-end mb-6">
+        <Button onClick={handleOpenForm}>Add Account</Button>
+      </div>
+      
+      {isFormOpen ? (
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <h3 className="text-lg font-medium mb-4">
+              {currentAccount ? 'Edit Account' : 'New Account'}
+            </h3>
+            <AccountForm
+              account={currentAccount}
+              onSave={handleFormSave}
+              onCancel={handleFormCancel}
+            />
+          </CardContent>
+        </Card>
+      ) : null}
+      
+      <AccountList
+        accounts={safeAccounts}
+        onEdit={handleEditAccount}
+        onDelete={handleDeleteAccount}
+      />
+    </PageContainer>
+  );
+};
+
+export default Accounts;
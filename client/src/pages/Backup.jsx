@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { PageContainer, PageHeader } from '../components/layout/layout';
+import { Button } from '../components/ui/button';
+import { Card, CardContent } from '../components/ui/card';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectOption } from '../components/ui/select';
+import { useTransactions } from '../context/TransactionContext';
+import { useCategories } from '../context/CategoryContext';
+import { useBudgets } from '../context/BudgetContext';
+import { useAccounts } from '../context/AccountContext';
+import { backupAPI } from '../api/api';
+import { formatDate } from '../lib/format';
+
+// Display names for the entities in a backup
+const ENTITY_LABELS = {
+  accounts: 'Accounts',
+  categories: 'Categories',
+  categoryRules: 'Categorization rules',
+  payees: 'Payees',
+  recurringRules: 'Recurring rules',
+  transactions: 'Transactions',
+  budgets: 'Budgets',
+  globalBudgets: 'Total budgets',
+  budgetTemplates: 'Budget templates',
+  goals: 'Savings goals',
+  notifications: 'Notifications',
+};
+
+const MODE_DESCRIPTIONS = {
+  merge: 'Adds records from the backup that you do not have yet. Nothing is changed or deleted.',
+  replace: 'Deletes all your current data, including attachments, and replaces it with the backup.',
+};
+
+/**
+ * Backup and restore
+ * Download everything as one JSON file, or restore such a file by merging
+ * it with the current data or replacing the current data. A restore is
+ * always checked with a dry run first.
+ */
+const Backup = () => {
+  const { refreshTransactions } = useTransactions();
+  const { refreshCategories } = useCategories();
+  const { refreshBudgets } = useBudgets();
+  const { refreshAccounts } = useAccounts();
+
+  const [downloading, setDownloading] = useState(false);
+  const [file, setFile] = useState(null); // { name, backup }
+  const [mode, setMode] = useState('merge');
+  const [check, setCheck] = useState(null); // dry run result for the current file and mode
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null); // { message, details }
+  const [busy, setBusy] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await backupAPI.download();
+    } catch (err) {
+      console.error('Error downloading backup:', err);
+      alert(err.message || 'Failed to download the backup');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0];
+    setError(null);
+    setCheck(null);
+    setResult(null);
+    if (!selected) {
+      setFile(null);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setFile({ name: selected.name, backup: JSON.parse(reader.result) });
+      } catch {
+        setFile(null);
+        setError({ message: 'The file is not valid JSON' });
+      }
+    };
+    reader.onerror = () => setError({ message: 'Could not read the file' });
+    reader.readAsText(selected);
+  };
+
+  const handleModeChange = (e) => {
+    setMode(e.target.value);
+    setCheck(null);
+    setResult(null);
+  };
+
+  // Send the file to the server; a dry run only reports what would happen
+  const runRestore = async (dryRun) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await backupAPI.restore({ backup: file.backup, mode, dryRun });
+      if (dryRun) {
+        setCheck(response);
+        return;
+      }
+
+      setResult(response);
+      setCheck(null);
+      await Promise.all([refreshTransactions(), refreshCategories(), refreshBudgets(), refreshAccounts()]);
+    } catch (err) {
+      console.error('Error restoring backup:', err);
+      setError({
+        message: err.message || 'Failed to restore the backup',
+        details: Array.isArray(err.data?.errors) ? err.data.errors.map((e) => e.msg) : [],
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = () => {
+    if (mode === 'replace' && !window.confirm('Delete all your current data and replace it with this backup?')) {
+      return;
+    }
+    runRestore(false);
+  };
+
+  const renderCounts = (summary) => (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-muted-light dark:text-muted-dark">
+          <th className="py-1 font-medium">Records</th>
+          <th className="py-1 font-medium text-right">In backup</th>
+          <th className="py-1 font-medium text-right">{summary.dryRun ? 'To add' : 'Added'}</th>
+          <th className="py-1 font-medium text-right">{summary.dryRun ? 'Already present' : 'Skipped'}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(summary.entities).map(([key, counts]) => (
+          <tr key={key} className="border-t border-border-light dark:border-border-dark">
+            <td className="py-1">{ENTITY_LABELS[key] || key}</td>
+            <td className="py-1 text-right">{counts.total}</td>
+            <td className="py-1 text-right">{counts.created}</td>
+            <td className="py-1 text-right">{counts.skipped}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <PageContainer>
+      <PageHeader
+        title="Backup & Restore"
+        description="Save all your accounts, categories, transactions and budgets to one file, or restore them from one"
+      />
+
+      <Card className="mb-6">
+        <CardContent className="p-6 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div>
+            <h2 className="font-semibold">Download a backup</h2>
+            <p className="text-sm text-muted-light dark:text-muted-dark">
+              Take one before importing, restoring or reseeding the database.
+              Receipts and other attachments are not included.
+            </p>
+          </div>
+          <Button onClick={handleDownload} disabled={downloading}>
+            {downloading ? 'Preparing…' : 'Download Backup'}
+          </Button>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="p-6 space-y-6">
+          <h2 className="font-semibold">Restore from a backup</h2>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="backup-file">Backup file</Label>
+              <Input id="backup-file" type="file" accept=".json,application/json" onChange={handleFileChange} />
+              {file?.backup?.createdAt && (
+                <p className="text-sm text-muted-light dark:text-muted-dark mt-1">
+                  {file.name} · created {formatDate(file.backup.createdAt, 'medium')}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <Label htmlFor="backup-mode">Mode</Label>
+              <Select id="backup-mode" value={mode} onChange={handleModeChange}>
+                <SelectOption value="merge">Merge with my data</SelectOption>
+                <SelectOption value="replace">Replace my data</SelectOption>
+              </Select>
+              <p className="text-sm text-muted-light dark:text-muted-dark mt-1">{MODE_DESCRIPTIONS[mode]}</p>
+            </div>
+          </div>
+
+          {check && (
+            <div className="space-y-2">
+              <p className="text-sm">The backup is valid. Restoring it will make these changes:</p>
+              {renderCounts(check)}
+            </div>
+          )}
+
+          {result && (
+            <div className="space-y-2">
+              <p className="text-sm text-emerald-600 dark:text-emerald-400">Backup restored.</p>
+              {renderCounts(result)}
+            </div>
+          )}
+
+          {(check || result)?.warnings?.map((warning) => (
+            <p key={warning} className="text-sm text-amber-600 dark:text-amber-400">{warning}</p>
+          ))}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+              {error.message}
+              {error.details?.length > 0 && (
+                <ul className="list-disc ml-5 mt-2 text-sm">
+                  {error.details.map((detail) => (
+                    <li key={detail}>{detail}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row justify-end gap-2">
+            <Button variant="outline" onClick={() => runRestore(true)} disabled={busy || !file}>
+              {busy && !check ? 'Checking…' : 'Check File'}
+            </Button>
+            <Button
+              variant={mode === 'replace' ? 'destructive' : 'default'}
+              onClick={handleRestore}
+              disabled={busy || !check}
+            >
+              {busy && check ? 'Restoring…' : 'Restore'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </PageContainer>
+  );
+};
+
+export default Backup;
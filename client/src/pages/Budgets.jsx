@@ -3,52 +3,79 @@ import { PageContainer, PageHeader } from '../components/layout/layout';
 import { Button } from '../components/ui/button';
 import { Card, CardContent } from '../components/ui/card';
 import { Input } from '../components/ui/input';
+import { Select, SelectOption } from '../components/ui/select';
 import { BudgetList } from '../components/budgets/BudgetList';
 import { BudgetForm } from '../components/budgets/BudgetForm';
+import { CopyBudgetsForm } from '../components/budgets/CopyBudgetsForm';
+import { BudgetTemplates } from '../components/budgets/BudgetTemplates';
+import { GlobalBudgetSummary } from '../components/budgets/GlobalBudgetSummary';
+import { EnvelopeView } from '../components/budgets/EnvelopeView';
 import { BudgetComparisonChart } from '../components/charts/BudgetComparisonChart';
 import { useBudgets } from '../context/BudgetContext';
 import { useCategories } from '../context/CategoryContext';
 import { useTransactions } from '../context/TransactionContext';
 import { analyticsAPI } from '../api/api';
-import { getCurrentMonthYear } from '../lib/format';
+import { getCategoryAllocations } from '../lib/transactions';
+import { getCategoryFamilyIds } from '../lib/categories';
+import { COMPARISON_WINDOWS, BUDGET_VIEWS, getComparisonWindow, toDayKey } from '../lib/budgets';
+
+// localStorage key remembering whether budgets or envelopes are shown
+const VIEW_STORAGE_KEY = 'budgetView';
 
 const Budgets = () => {
-  const { budgets, deleteBudget } = useBudgets();
+  const { budgets, globalBudgets, deleteBudget, refreshBudgets } = useBudgets();
   const { categories } = useCategories();
   const { transactions } = useTransactions();
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [currentBudget, setCurrentBudget] = useState(null);
+  // Open planning panel ('copy' or 'templates'), and the result of the last copy
+  const [planningPanel, setPlanningPanel] = useState(null);
+  const [planningNotice, setPlanningNotice] = useState('');
   const [comparisonData, setComparisonData] = useState([]);
+  // The comparison's 'total' row when a global budget covers the period
+  const [totalRow, setTotalRow] = useState(null);
+  // Current week, month, quarter or year the comparison covers
+  const [comparisonWindow, setComparisonWindow] = useState('month');
   const [isLoading, setIsLoading] = useState(true);
+  // 'categories' for spending limits, 'envelopes' for envelope budgeting
+  const [view, setView] = useState(() => localStorage.getItem(VIEW_STORAGE_KEY) || 'categories');
   
-  const currentDate = getCurrentMonthYear();
+  // Carry-over depends on spending, which may have changed since budgets were loaded
+  useEffect(() => {
+    refreshBudgets();
+  }, [refreshBudgets]);
   
   useEffect(() => {
     const fetchBudgetComparison = async () => {
       try {
         setIsLoading(true);
-        console.log('Fetching budget comparison for month:', currentDate.month + 1, 'year:', currentDate.year);
+        const range = getComparisonWindow(comparisonWindow);
+        console.log('Fetching budget comparison from', range.startDate, 'to', range.endDate);
         
-        const data = await analyticsAPI.getBudgetComparison(
-          currentDate.month + 1,
-          currentDate.year
-        );
+        const data = await analyticsAPI.getBudgetComparison(range);
         
         console.log('Raw budget comparison data:', data);
         
+        setTotalRow(data.find(item => item.scope === 'total') || null);
+        
         // Transform the data to match what BudgetComparisonChart expects
-        const transformedData = Array.isArray(data) ? data.map(item => ({
+        const categoryRows = data.filter(item => item.scope !== 'total');
+        const transformedData = categoryRows.map(item => ({
           category: item.category?.name || 'Uncategorized',
           categoryColor: item.category?.color || '#6B7280',
+          // budgeted is the available amount: base plus carry-over
           budgetAmount: typeof item.budgeted === 'number' ? item.budgeted : 0,
+          baseAmount: typeof item.baseAmount === 'number' ? item.baseAmount : 0,
+          rolloverIn: typeof item.rolloverIn === 'number' ? item.rolloverIn : 0,
+          prorated: !!item.prorated,
           actualExpenses: typeof item.actual === 'number' ? Math.abs(item.actual) : 0,
           percentage: item.percentage || 0,
           difference: item.difference || 0,
           status: item.status || (
             (item.budgeted || 0) >= Math.abs(item.actual || 0) ? 'within' : 'exceeded'
           )
-        })) : [];
+        }));
         
         console.log('Transformed budget comparison data:', transformedData);
         setComparisonData(transformedData);
@@ -57,11 +84,12 @@ const Budgets = () => {
         console.error('Error fetching budget comparison data:', error);
         setIsLoading(false);
         setComparisonData([]);
+        setTotalRow(null);
       }
     };
     
     fetchBudgetComparison();
-  }, [budgets, transactions, currentDate.month, currentDate.year]);
+  }, [budgets, globalBudgets, transactions, comparisonWindow]);
   
   // Ensure budgets, categories and transactions are arrays
   const safeBudgets = Array.isArray(budgets) ? budgets : [];
@@ -75,29 +103,37 @@ const Budgets = () => {
       : categoryId;
   };
 
+  // Amount attributed to each category, keeping the transaction date
+  // Split transactions count once per split
+  const allocations = safeTransactions.flatMap(t =>
+    getCategoryAllocations(t).map(a => ({ ...a, date: t.date }))
+  );
+
   // Filter budgets based on search term and calculate spent amounts
   const filteredBudgets = safeBudgets.filter(budget => {
     const budgetCategoryId = getCategoryId(budget.categoryId);
     const category = safeCategories.find(c => c._id === budgetCategoryId);
     return category && category.name.toLowerCase().includes(searchTerm.toLowerCase());
   }).map(budget => {
-    // Calculate amount spent for this budget's category in the same month/year
-    const startDate = new Date(budget.year, budget.month - 1, 1);
-    const endDate = new Date(budget.year, budget.month, 0);
+    // Calculate amount spent for this budget's category during its period
+    // A budget on a top-level category also covers its subcategories
+    const startDay = toDayKey(budget.startDate);
+    const endDay = toDayKey(budget.endDate);
     
     const budgetCategoryId = getCategoryId(budget.categoryId);
+    const budgetCategory = safeCategories.find(c => c._id === budgetCategoryId);
+    const coveredIds = budgetCategory?.parentId
+      ? [budgetCategoryId]
+      : getCategoryFamilyIds(safeCategories, budgetCategoryId);
     
-    const spent = safeTransactions
-      .filter(t => {
-        const transactionCategoryId = getCategoryId(t.categoryId);
-        return (
-          transactionCategoryId === budgetCategoryId &&
-          new Date(t.date) >= startDate &&
-          new Date(t.date) <= endDate &&
-          t.amount < 0
-        );
-      })
-      .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+    const spent = allocations
+      .filter(a => (
+        coveredIds.includes(a.categoryId) &&
+        toDayKey(a.date) >= startDay &&
+        toDayKey(a.date) <= endDay &&
+        a.amount < 0
+      ))
+      .reduce((sum, a) => sum + Math.abs(a.amount), 0);
     
     return {
       ...budget,
@@ -105,18 +141,19 @@ const Budgets = () => {
     };
   });
   
-  // Sort budgets by year and month (newest first)
-  const sortedBudgets = [...filteredBudgets].sort((a, b) => {
-    if (a.year !== b.year) return b.year - a.year;
-    return b.month - a.month;
-  });
+  // Sort budgets by when their period starts (newest first)
+  const sortedBudgets = [...filteredBudgets].sort((a, b) =>
+    toDayKey(b.startDate).localeCompare(toDayKey(a.startDate))
+  );
   
   const handleOpenForm = () => {
+    setPlanningPanel(null);
     setCurrentBudget(null);
     setIsFormOpen(true);
   };
   
   const handleEditBudget = (budget) => {
+    setPlanningPanel(null);
     setCurrentBudget(budget);
     setIsFormOpen(true);
   };
@@ -131,6 +168,17 @@ const Budgets = () => {
     }
   };
   
+  const handleOpenPanel = (panel) => {
+    setIsFormOpen(false);
+    setPlanningNotice('');
+    setPlanningPanel(planningPanel === panel ? null : panel);
+  };
+  
+  const handleCopyDone = (summary) => {
+    setPlanningPanel(null);
+    setPlanningNotice(summary);
+  };
+  
   const handleFormSave = () => {
     setIsFormOpen(false);
     setCurrentBudget(null);
@@ -141,65 +189,136 @@ const Budgets = () => {
     setCurrentBudget(null);
   };
   
+  const handleViewChange = (newView) => {
+    localStorage.setItem(VIEW_STORAGE_KEY, newView);
+    setView(newView);
+  };
+  
   return (
     <PageContainer>
       <PageHeader title="Budgets" description="Set and track your spending limits" />
       
-      <div className="mb-8">
-        <Card>
-          <CardContent className="p-4 sm:p-6">
-            <h3 className="text-lg font-medium mb-4">Budget vs. Actual Spending</h3>
-            {isLoading ? (
-              <div className="flex items-center justify-center h-[200px]">
-                <p>Loading budget data...</p>
-              </div>
-            ) : comparisonData.length > 0 ? (
-              <div className="w-full overflow-x-auto">
-                <div className="min-w-[480px]">
-                  <BudgetComparisonChart data={comparisonData} />
-                </div>
-              </div>
-            ) : (
-              <div className="flex items-center justify-center h-[200px]">
-                <p className="text-muted">No budget comparison data available</p>
-              </div>
-            )}
-          </CardContent>
-        </Card>
+      <div className="flex gap-2 mb-6">
+        {BUDGET_VIEWS.map((option) => (
+          <Button
+            key={option.value}
+            size="sm"
+            variant={view === option.value ? 'default' : 'outline'}
+            onClick={() => handleViewChange(option.value)}
+          >
+            {option.label}
+          </Button>
+        ))}
       </div>
       
-      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
-        <div className="w-full sm:w-auto flex-1">
-          <Input
-            type="text"
-            placeholder="Search budgets by category name..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+      {view === 'envelopes' ? (
+        <EnvelopeView />
+      ) : (
+        <>
+          <GlobalBudgetSummary total={totalRow} />
+          
+          <div className="mb-8">
+            <Card>
+              <CardContent className="p-4 sm:p-6">
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+                  <h3 className="text-lg font-medium">Budget vs. Actual Spending</h3>
+                  <div className="sm:w-40">
+                    <Select
+                      aria-label="Comparison period"
+                      value={comparisonWindow}
+                      onChange={(e) => setComparisonWindow(e.target.value)}
+                    >
+                      {COMPARISON_WINDOWS.map((option) => (
+                        <SelectOption key={option.value} value={option.value}>
+                          {option.label}
+                        </SelectOption>
+                      ))}
+                    </Select>
+                  </div>
+                </div>
+                {isLoading ? (
+                  <div className="flex items-center justify-center h-[200px]">
+                    <p>Loading budget data...</p>
+                  </div>
+                ) : comparisonData.length > 0 ? (
+                  <div className="w-full overflow-x-auto">
+                    <div className="min-w-[480px]">
+                      <BudgetComparisonChart data={comparisonData} />
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-center h-[200px]">
+                    <p className="text-muted">No budget comparison data available</p>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+          
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+            <div className="w-full sm:w-auto flex-1">
+              <Input
+                type="text"
+                placeholder="Search budgets by category name..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
+            </div>
+            <div className="flex gap-2 w-full sm:w-auto">
+              <Button variant="outline" onClick={() => handleOpenPanel('copy')} className="flex-1 sm:flex-none">
+                Copy Last Month
+              </Button>
+              <Button variant="outline" onClick={() => handleOpenPanel('templates')} className="flex-1 sm:flex-none">
+                Templates
+              </Button>
+              <Button onClick={handleOpenForm} className="flex-1 sm:flex-none">Add Budget</Button>
+            </div>
+          </div>
+          
+          {planningNotice && (
+            <p className="mb-6 text-sm text-green-600 dark:text-green-400">{planningNotice}</p>
+          )}
+          
+          {planningPanel === 'copy' ? (
+            <Card className="mb-6">
+              <CardContent className="p-6">
+                <h3 className="text-lg font-medium mb-4">Copy Budgets</h3>
+                <CopyBudgetsForm onDone={handleCopyDone} onCancel={() => setPlanningPanel(null)} />
+              </CardContent>
+            </Card>
+          ) : null}
+          
+          {planningPanel === 'templates' ? (
+            <Card className="mb-6">
+              <CardContent className="p-6">
+                <h3 className="text-lg font-medium mb-4">Budget Templates</h3>
+                <BudgetTemplates onClose={() => setPlanningPanel(null)} />
+              </CardContent>
+            </Card>
+          ) : null}
+          
+          {isFormOpen ? (
+            <Card className="mb-6">
+              <CardContent className="p-6">
+                <h3 className="text-lg font-medium mb-4">
+                  {currentBudget ? 'Edit Budget' : 'New Budget'}
+                </h3>
+                <BudgetForm
+                  budget={currentBudget}
+                  onSave={handleFormSave}
+                  onCancel={handleFormCancel}
+                />
+              </CardContent>
+            </Card>
+          ) : null}
+          
+          <BudgetList
+            budgets={sortedBudgets}
+            onEdit={handleEditBudget}
+            onDelete={handleDeleteBudget}
           />
-        </div>
-        <Button onClick={handleOpenForm}>Add Budget</Button>
-      </div>
-      
-      {isFormOpen ? (
-        <Card className="mb-6">
-          <CardContent className="p-6">
-            <h3 className="text-lg font-medium mb-4">
-              {currentBudget ? 'Edit Budget' : 'New Budget'}
-            </h3>
-            <BudgetForm
-              budget={currentBudget}
-              onSave={handleFormSave}
-              onCancel={handleFormCancel}
-            />
-          </CardContent>
-        </Card>
-      ) : null}
-      
-      <BudgetList
-        budgets={sortedBudgets}
-        onEdit={handleEditBudget}
-        onDelete={handleDeleteBudget}
-      />
+        </>
+      )}
     </PageContainer>
   );
 };
@@ -1,28 +1,48 @@
 import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { PageContainer, PageHeader } from '../components/layout/layout';
 import { Button } from '../components/ui/button';
 import { Card, CardContent } from '../components/ui/card';
 import { Input } from '../components/ui/input';
 import { CategoryList } from '../components/categories/CategoryList';
 import { CategoryForm } from '../components/categories/CategoryForm';
+import { CategoryDeleteForm } from '../components/categories/CategoryDeleteForm';
+import { ArchivedCategoryList } from '../components/categories/ArchivedCategoryList';
 import { CategoryPieChart } from '../components/charts/CategoryPieChart';
 import { useCategories } from '../context/CategoryContext';
 import { useTransactions } from '../context/TransactionContext';
+import { useBudgets } from '../context/BudgetContext';
+import { categoryAPI } from '../api/api';
+import { getCategoryAllocations, getRefId } from '../lib/transactions';
+import { rollUpCategorySpending } from '../lib/categories';
 
 const Categories = () => {
-  const { categories, deleteCategory } = useCategories();
-  const { transactions } = useTransactions();
+  const navigate = useNavigate();
+  const { categories, deleteCategory, archiveCategory, restoreCategory } = useCategories();
+  const { transactions, refreshTransactions } = useTransactions();
+  const { refreshBudgets } = useBudgets();
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [currentCategory, setCurrentCategory] = useState(null);
+  // Category being deleted while still in use, with its usage counts
+  const [pendingDelete, setPendingDelete] = useState(null);
   
   // Ensure categories is an array before filtering
   const safeCategories = Array.isArray(categories) ? categories : [];
   
-  // Filter categories based on search term
-  const filteredCategories = safeCategories.filter(category => 
+  // Filter categories based on search term, keeping the parents of matching
+  // subcategories so they are shown in place
+  const matchingCategories = safeCategories.filter(category => 
     category.name.toLowerCase().includes(searchTerm.toLowerCase())
   );
+  const filteredCategories = safeCategories.filter(category =>
+    matchingCategories.includes(category) ||
+    matchingCategories.some(match => getRefId(match.parentId) === category._id)
+  );
+  
+  // Archived categories get their own section below the active ones
+  const activeFiltered = filteredCategories.filter(category => !category.archived);
+  const archivedFiltered = filteredCategories.filter(category => category.archived);
   
   // Ensure transactions is an array before filtering
   const safeTransactions = Array.isArray(transactions) ? transactions : [];
@@ -32,50 +52,41 @@ const Categories = () => {
   console.log('- Categories:', safeCategories);
   console.log('- Transactions:', safeTransactions);
   
-  // Calculate category totals for pie chart
-  const categoryData = safeCategories.map(category => {
-    const categoryId = category._id;
-    
-    // Handle both cases: when categoryId is a string or when it's an object with _id
-    const total = safeTransactions
-      .filter(t => {
-        // Handle cases where categoryId could be an object with _id or a string
-        const transactionCategoryId = typeof t.categoryId === 'object' && t.categoryId !== null
-          ? t.categoryId._id
-          : t.categoryId;
-        
-        return transactionCategoryId === categoryId && t.amount < 0;
-      })
-      .reduce((sum, t) => sum + Math.abs(t.amount), 0);
-    
-    return {
-      name: category.name,
-      amount: total,
-    };
-  }).filter(cat => cat.amount > 0);
+  // Amount attributed to each category (split transactions count once per split)
+  const allocations = safeTransactions.flatMap(getCategoryAllocations);
+  
+  // Calculate category totals for pie chart, subcategories rolled up into their parent
+  const categoryData = rollUpCategorySpending(safeCategories, allocations);
   
   const handleOpenForm = () => {
+    setPendingDelete(null);
     setCurrentCategory(null);
     setIsFormOpen(true);
   };
   
   const handleEditCategory = (category) => {
+    setPendingDelete(null);
     setCurrentCategory(category);
     setIsFormOpen(true);
   };
   
   const handleDeleteCategory = async (id) => {
-    // Check if the category has transactions
-    const hasTransactions = safeTransactions.some(t => {
-      const transactionCategoryId = typeof t.categoryId === 'object' && t.categoryId !== null
-        ? t.categoryId._id
-        : t.categoryId;
-      
-      return transactionCategoryId === id;
-    });
+    const category = safeCategories.find(c => c._id === id);
+    if (!category) return;
+    
+    let usage;
+    try {
+      usage = await categoryAPI.getUsage(id);
+    } catch (error) {
+      console.error('Error checking category usage:', error);
+      alert(error.message || 'Failed to check whether the category is in use');
+      return;
+    }
     
-    if (hasTransactions) {
-      alert('This category has transactions. Please reassign them before deleting.');
+    // Anything still using the category has to be moved somewhere first
+    if (Object.values(usage).some(count => count > 0)) {
+      setIsFormOpen(false);
+      setPendingDelete({ category, usage });
       return;
     }
     
@@ -84,10 +95,41 @@ const Categories = () => {
         await deleteCategory(id);
       } catch (error) {
         console.error('Error deleting category:', error);
+        alert(error.message || 'Failed to delete category');
       }
     }
   };
   
+  const handleArchiveCategory = async (id) => {
+    if (safeCategories.some(category => getRefId(category.parentId) === id)
+      && !window.confirm('Its subcategories will be archived too. Continue?')) {
+      return;
+    }
+    
+    try {
+      await archiveCategory(id);
+    } catch (error) {
+      console.error('Error archiving category:', error);
+      alert(error.message || 'Failed to archive category');
+    }
+  };
+  
+  const handleRestoreCategory = async (id) => {
+    try {
+      await restoreCategory(id);
+    } catch (error) {
+      console.error('Error restoring category:', error);
+      alert(error.message || 'Failed to restore category');
+    }
+  };
+  
+  // Transactions and budgets now point at another category
+  const handleMergeDone = () => {
+    setPendingDelete(null);
+    refreshTransactions();
+    refreshBudgets();
+  };
+  
   const handleFormSave = () => {
     setIsFormOpen(false);
     setCurrentCategory(null);
@@ -130,7 +172,15 @@ const Categories = () => {
             onChange={(e) => setSearchTerm(e.target.value)}
           />
         </div>
-        <Button onClick={handleOpenForm}>Add Category</Button>
+        <div className="flex gap-2 w-full sm:w-auto">
+          <Button variant="outline" onClick={() => navigate('/rules')} className="flex-1 sm:flex-none">
+            Rules
+          </Button>
+          <Button variant="outline" onClick={() => navigate('/payees')} className="flex-1 sm:flex-none">
+            Payees
+          </Button>
+          <Button onClick={handleOpenForm} className="flex-1 sm:flex-none">Add Category</Button>
+        </div>
       </div>
       
       {isFormOpen ? (
@@ -148,9 +198,31 @@ const Categories = () => {
         </Card>
       ) : null}
       
+      {pendingDelete ? (
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <h3 className="text-lg font-medium mb-4">Delete Category</h3>
+            <CategoryDeleteForm
+              category={pendingDelete.category}
+              usage={pendingDelete.usage}
+              onDone={handleMergeDone}
+              onCancel={() => setPendingDelete(null)}
+            />
+          </CardContent>
+        </Card>
+      ) : null}
+      
       <CategoryList
-        categories={filteredCategories}
+        categories={activeFiltered}
         onEdit={handleEditCategory}
+        onArchive={handleArchiveCategory}
+        onDelete={handleDeleteCategory}
+      />
+      
+      <ArchivedCategoryList
+        categories={safeCategories}
+        archived={archivedFiltered}
+        onRestore={handleRestoreCategory}
         onDelete={handleDeleteCategory}
       />
     </PageContainer>
@@ -2,16 +2,23 @@ import React, { useState, useEffect } from 'react';
 import { PageContainer, PageHeader } from '../components/layout/layout';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { SummaryCard, RecentTransactionCard, CategoryBreakdownCard } from '../components/dashboard/SummaryCards';
+import { GoalsWidget } from '../components/dashboard/GoalsWidget';
 import { MonthlyExpensesChart } from '../components/charts/MonthlyExpensesChart';
 import { CategoryPieChart } from '../components/charts/CategoryPieChart';
+import { Select, SelectOption } from '../components/ui/select';
 import { useTransactions } from '../context/TransactionContext';
 import { useCategories } from '../context/CategoryContext';
+import { useAccounts } from '../context/AccountContext';
+import { getCategoryAllocations } from '../lib/transactions';
+import { rollUpCategorySpending } from '../lib/categories';
 import { analyticsAPI } from '../api/api';
 
 const Dashboard = () => {
   const { transactions, loading: transactionsLoading } = useTransactions();
   const { categories } = useCategories();
+  const { accounts, loading: accountsLoading } = useAccounts();
   
+  const [accountFilter, setAccountFilter] = useState('');
   const [monthlyData, setMonthlyData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -37,17 +44,32 @@ const Dashboard = () => {
     fetchDashboardData();
   }, []);
   
-  // Ensure transactions and categories are arrays
-  const safeTransactions = Array.isArray(transactions) ? transactions : [];
+  // Ensure transactions, categories and accounts are arrays
+  const allTransactions = Array.isArray(transactions) ? transactions : [];
   const safeCategories = Array.isArray(categories) ? categories : [];
+  const safeAccounts = Array.isArray(accounts) ? accounts : [];
+  
+  // Limit the totals below to the selected account
+  const safeTransactions = accountFilter
+    ? allTransactions.filter(t => {
+        const transactionAccountId = typeof t.accountId === 'object' && t.accountId !== null
+          ? t.accountId._id
+          : t.accountId;
+        
+        return transactionAccountId === accountFilter;
+      })
+    : allTransactions;
+  
+  // Transfers only move money between accounts, so they count as neither
+  const incomeAndExpenses = safeTransactions.filter(t => t.type !== 'transfer');
   
   // Calculate total expenses (negative amounts)
-  const totalExpenses = safeTransactions
+  const totalExpenses = incomeAndExpenses
     .filter(t => t.amount < 0)
     .reduce((sum, t) => sum + Math.abs(t.amount), 0);
   
   // Calculate total income (positive amounts)
-  const totalIncome = safeTransactions
+  const totalIncome = incomeAndExpenses
     .filter(t => t.amount > 0)
     .reduce((sum, t) => sum + t.amount, 0);
   
@@ -62,27 +84,12 @@ const Dashboard = () => {
   console.log('- Transactions:', safeTransactions);
   console.log('- Monthly Data:', monthlyData);
 
-  // Calculate category totals for pie chart
+  // Amount attributed to each category (split transactions count once per split)
+  const allocations = incomeAndExpenses.flatMap(getCategoryAllocations);
+  
+  // Calculate category totals for pie chart, subcategories rolled up into their parent
   const categoryTotals = safeCategories.length > 0 && safeTransactions.length > 0
-    ? safeCategories.map(category => {
-        const categoryId = category._id;
-        
-        const total = safeTransactions
-          .filter(t => {
-            // Check if categoryId is an object or a string ID
-            const transactionCategoryId = typeof t.categoryId === 'object' && t.categoryId !== null
-              ? t.categoryId._id
-              : t.categoryId;
-              
-            return transactionCategoryId === categoryId && t.amount < 0;
-          })
-          .reduce((sum, t) => sum + Math.abs(t.amount), 0);
-        
-        return {
-          name: category.name,
-          amount: total,
-        };
-      }).filter(cat => cat.amount > 0)
+    ? rollUpCategorySpending(safeCategories, allocations)
     : [];
   
   if (error) {
@@ -105,14 +112,30 @@ const Dashboard = () => {
     <PageContainer>
       <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-8 gap-3">
         <PageHeader title="Financial Dashboard" description="Overview of your personal finances" className="mb-0 pb-0 border-0" />
-        <div className="text-xs sm:text-sm text-muted-light dark:text-muted-dark shrink-0">
-          Last updated: {new Date().toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-          })}
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3 shrink-0">
+          {safeAccounts.length > 0 && (
+            <Select
+              aria-label="Filter by account"
+              value={accountFilter}
+              onChange={(e) => setAccountFilter(e.target.value)}
+            >
+              <SelectOption value="">All accounts</SelectOption>
+              {safeAccounts.map((account) => (
+                <SelectOption key={account._id} value={account._id}>
+                  {account.name}
+                </SelectOption>
+              ))}
+            </Select>
+          )}
+          <div className="text-xs sm:text-sm text-muted-light dark:text-muted-dark">
+            Last updated: {new Date().toLocaleDateString('en-US', {
+              year: 'numeric',
+              month: 'short',
+              day: 'numeric',
+              hour: '2-digit',
+              minute: '2-digit'
+            })}
+          </div>
         </div>
       </div>
       
@@ -155,6 +178,21 @@ const Dashboard = () => {
         />
       </div>
       
+      {safeAccounts.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+          {safeAccounts.map((account) => (
+            <SummaryCard
+              key={account._id}
+              title={account.name}
+              value={account.currentBalance}
+              changeType={account.currentBalance >= 0 ? 'positive' : 'negative'}
+              loading={accountsLoading}
+              highlight={account._id === accountFilter}
+            />
+          ))}
+        </div>
+      )}
+      
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
         <Card className="shadow-md hover:shadow-xl transition-all duration-300">
           <CardHeader className="pb-2">
@@ -241,6 +279,10 @@ const Dashboard = () => {
           </CardContent>
         </Card>
       </div>
+      
+      <div className="mt-8">
+        <GoalsWidget />
+      </div>
     </PageContainer>
   );
 };
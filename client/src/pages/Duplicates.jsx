@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { PageContainer, PageHeader } from '../components/layout/layout';
+import { Button } from '../components/ui/button';
+import { Card, CardContent } from '../components/ui/card';
+import { Label } from '../components/ui/label';
+import { Select, SelectOption } from '../components/ui/select';
+import { useTransactions } from '../context/TransactionContext';
+import { transactionAPI } from '../api/api';
+import { formatCurrency, formatDate } from '../lib/format';
+import { isSplitTransaction } from '../lib/transactions';
+
+// How far apart duplicates may be, in days
+const DAY_WINDOWS = [1, 3, 7, 14];
+
+// How far back to search, in days
+const LOOKBACKS = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 182, label: 'Last 6 months' },
+  { days: 365, label: 'Last year' },
+];
+
+// Name of a transaction's category, or a summary of its splits
+const describeCategory = (transaction) => {
+  if (isSplitTransaction(transaction)) {
+    return `Split: ${transaction.splits.map((split) => split.categoryId?.name || 'Unknown').join(', ')}`;
+  }
+  return transaction.categoryId?.name || 'Uncategorized';
+};
+
+/**
+ * Review groups of likely duplicate transactions
+ * Each group can be merged into the transaction the user keeps, or dismissed
+ */
+const Duplicates = () => {
+  const { mergeDuplicates } = useTransactions();
+  const [days, setDays] = useState(3);
+  const [lookback, setLookback] = useState(90);
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // Transaction to keep in each group, keyed by the group's first transaction
+  const [keepIds, setKeepIds] = useState({});
+  const [busyGroup, setBusyGroup] = useState(null);
+
+  const loadGroups = useCallback(async () => {
+    setLoading(true);
+    const result = await transactionAPI.getDuplicates(days, lookback);
+    setGroups(result);
+    setKeepIds({});
+    setLoading(false);
+  }, [days, lookback]);
+
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups]);
+
+  const groupKey = (group) => group.transactions[0]._id;
+
+  const removeGroup = (group) => {
+    setGroups((prev) => prev.filter((g) => groupKey(g) !== groupKey(group)));
+  };
+
+  const handleMerge = async (group) => {
+    const keepId = keepIds[groupKey(group)] || groupKey(group);
+    const mergeIds = group.transactions.map((t) => t._id).filter((id) => id !== keepId);
+
+    setBusyGroup(groupKey(group));
+    try {
+      await mergeDuplicates(keepId, mergeIds);
+      removeGroup(group);
+    } catch (error) {
+      console.error('Error merging duplicates:', error);
+      alert(error.message || 'Failed to merge transactions');
+    } finally {
+      setBusyGroup(null);
+    }
+  };
+
+  const handleDismiss = async (group) => {
+    setBusyGroup(groupKey(group));
+    try {
+      await transactionAPI.dismissDuplicates(group.transactions.map((t) => t._id));
+      removeGroup(group);
+    } catch (error) {
+      console.error('Error dismissing duplicates:', error);
+      alert(error.message || 'Failed to dismiss duplicates');
+    } finally {
+      setBusyGroup(null);
+    }
+  };
+
+  return (
+    <PageContainer>
+      <PageHeader
+        title="Duplicate Transactions"
+        description="Transactions with the same amount, close dates and similar descriptions"
+      />
+
+      <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4 mb-6">
+        <div className="flex flex-col sm:flex-row gap-4">
+          <div className="w-full sm:w-56">
+            <Label htmlFor="duplicates-lookback">Search</Label>
+            <Select id="duplicates-lookback" value={lookback} onChange={(e) => setLookback(Number(e.target.value))}>
+              {LOOKBACKS.map((option) => (
+                <SelectOption key={option.days} value={option.days}>
+                  {option.label}
+                </SelectOption>
+              ))}
+            </Select>
+          </div>
+          <div className="w-full sm:w-56">
+            <Label htmlFor="duplicates-days">Dates within</Label>
+            <Select id="duplicates-days" value={days} onChange={(e) => setDays(Number(e.target.value))}>
+              {DAY_WINDOWS.map((window) => (
+                <SelectOption key={window} value={window}>
+                  {window} {window === 1 ? 'day' : 'days'}
+                </SelectOption>
+              ))}
+            </Select>
+          </div>
+        </div>
+        <Button variant="outline" onClick={loadGroups} disabled={loading}>
+          {loading ? 'Searching…' : 'Search Again'}
+        </Button>
+      </div>
+
+      {loading && groups.length === 0 ? (
+        <div className="flex justify-center py-12">
+          <div className="spinner"></div>
+        </div>
+      ) : groups.length === 0 ? (
+        <Card>
+          <CardContent className="p-6 text-center text-muted-light dark:text-muted-dark">
+            No likely duplicates found.
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {groups.map((group) => {
+            const key = groupKey(group);
+            const keepId = keepIds[key] || key;
+            return (
+              <Card key={key}>
+                <CardContent className="p-4 space-y-3">
+                  <p className="text-sm font-medium">
+                    {group.transactions.length} transactions of {formatCurrency(group.amount)}
+                  </p>
+                  <ul className="space-y-2">
+                    {group.transactions.map((transaction) => (
+                      <li key={transaction._id}>
+                        <label className="flex items-start gap-3 text-sm cursor-pointer">
+                          <input
+                            type="radio"
+                            name={`keep-${key}`}
+                            className="mt-1"
+                            checked={keepId === transaction._id}
+                            onChange={() => setKeepIds((prev) => ({ ...prev, [key]: transaction._id }))}
+                          />
+                          <span className="min-w-0">
+                            <span className="font-medium">{transaction.description}</span>
+                            <span className="block text-xs text-muted-light dark:text-muted-dark">
+                              {formatDate(transaction.date, 'medium')} · {describeCategory(transaction)}
+                              {transaction.accountId?.name && ` · ${transaction.accountId.name}`}
+                              {transaction.notes && ` · ${transaction.notes}`}
+                            </span>
+                          </span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="flex flex-col sm:flex-row justify-end gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleDismiss(group)}
+                      disabled={busyGroup === key}
+                    >
+                      Not Duplicates
+                    </Button>
+                    <Button size="sm" onClick={() => handleMerge(group)} disabled={busyGroup === key}>
+                      Keep Selected and Merge
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </PageContainer>
+  );
+};
+
+export default Duplicates;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { PageContainer, PageHeader } from '../components/layout/layout';
+import { Button } from '../components/ui/button';
+import { Card, CardContent } from '../components/ui/card';
+import { SummaryCard } from '../components/dashboard/SummaryCards';
+import { GoalList } from '../components/goals/GoalList';
+import { GoalForm } from '../components/goals/GoalForm';
+import { useTransactions } from '../context/TransactionContext';
+import { goalAPI } from '../api/api';
+
+/**
+ * Goals
+ * Savings goals with how far each has come and what still has to be set
+ * aside every month to reach it in time
+ */
+const Goals = () => {
+  const { transactions } = useTransactions();
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [currentGoal, setCurrentGoal] = useState(null);
+
+  const loadGoals = useCallback(async () => {
+    setLoading(true);
+    setGoals(await goalAPI.getAll());
+    setLoading(false);
+  }, []);
+
+  // Progress is computed on the server, so reload it when transactions change
+  useEffect(() => {
+    loadGoals();
+  }, [transactions, loadGoals]);
+
+  const activeGoals = goals.filter((goal) => goal.progress.status !== 'completed');
+  const totalSaved = goals.reduce((sum, goal) => sum + goal.progress.savedAmount, 0);
+  const totalRemaining = activeGoals.reduce((sum, goal) => sum + goal.progress.remaining, 0);
+  const monthlyNeeded = activeGoals.reduce((sum, goal) => sum + (goal.progress.requiredMonthly || 0), 0);
+
+  const handleOpenForm = () => {
+    setCurrentGoal(null);
+    setIsFormOpen(true);
+  };
+
+  const handleEditGoal = (goal) => {
+    setCurrentGoal(goal);
+    setIsFormOpen(true);
+  };
+
+  const handleDeleteGoal = async (goal) => {
+    if (window.confirm(`Delete the goal "${goal.name}"? Its transactions are kept.`)) {
+      try {
+        await goalAPI.delete(goal._id);
+        setGoals((prev) => prev.filter((g) => g._id !== goal._id));
+      } catch (error) {
+        console.error('Error deleting goal:', error);
+        alert(error.message || 'Failed to delete goal');
+      }
+    }
+  };
+
+  // A changed target date can move the goal in the list, so reload it
+  const handleFormSave = () => {
+    setIsFormOpen(false);
+    setCurrentGoal(null);
+    loadGoals();
+  };
+
+  const handleFormCancel = () => {
+    setIsFormOpen(false);
+    setCurrentGoal(null);
+  };
+
+  const handleGoalChange = (updated) => {
+    setGoals((prev) => prev.map((goal) => (goal._id === updated._id ? updated : goal)));
+  };
+
+  return (
+    <PageContainer>
+      <PageHeader title="Goals" description="Save toward what matters and see what it takes each month" />
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        <SummaryCard title="Saved" value={totalSaved} highlight={true} loading={loading && goals.length === 0} />
+        <SummaryCard title="Still to Save" value={totalRemaining} loading={loading && goals.length === 0} />
+        <SummaryCard title="Needed per Month" value={monthlyNeeded} loading={loading && goals.length === 0} />
+      </div>
+
+      <div className="flex justify-end mb-6">
+        <Button onClick={handleOpenForm}>Add Goal</Button>
+      </div>
+
+      {isFormOpen ? (
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <h3 className="text-lg font-medium mb-4">
+              {currentGoal ? 'Edit Goal' : 'New Goal'}
+            </h3>
+            <GoalForm
+              key={currentGoal ? currentGoal._id : 'new'}
+              goal={currentGoal}
+              onSave={handleFormSave}
+              onCancel={handleFormCancel}
+            />
+          </CardContent>
+        </Card>
+      ) : null}
+
+      {loading && goals.length === 0 ? (
+        <p>Loading goals...</p>
+      ) : (
+        <GoalList
+          goals={goals}
+          onEdit={handleEditGoal}
+          onDelete={handleDeleteGoal}
+          onGoalChange={handleGoalChange}
+        />
+      )}
+    </PageContainer>
+  );
+};
+
+export default Goals;
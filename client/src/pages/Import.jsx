@@ -0,0 +1,443 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { PageContainer, PageHeader } from '../components/layout/layout';
+import { Button } from '../components/ui/button';
+import { Card, CardContent } from '../components/ui/card';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectOption } from '../components/ui/select';
+import { ColumnMapping, DATE_FORMATS } from '../components/import/ColumnMapping';
+import { ImportPreview } from '../components/import/ImportPreview';
+import { useTransactions } from '../context/TransactionContext';
+import { useAccounts } from '../context/AccountContext';
+import { transactionAPI } from '../api/api';
+
+// File formats by extension; anything else is read as CSV
+const FORMATS_BY_EXTENSION = {
+  ofx: 'ofx',
+  qfx: 'qfx',
+  qif: 'qif',
+};
+
+const STEPS = [
+  { id: 'upload', label: 'Upload' },
+  { id: 'map', label: 'Map columns' },
+  { id: 'review', label: 'Review' },
+  { id: 'done', label: 'Confirm' },
+];
+
+const DEFAULT_OPTIONS = {
+  delimiter: '',
+  hasHeader: true,
+  amountMode: 'single',
+  dateFormat: 'YYYY-MM-DD',
+  decimalSeparator: '.',
+  invertAmounts: false,
+};
+
+// Mapping fields that only apply to one way of reading amounts
+const AMOUNT_MODE_FIELDS = {
+  single: ['amount'],
+  split: ['debit', 'credit'],
+};
+
+/**
+ * Import wizard
+ * Upload a file, map its columns (CSV only), review a dry run, then import the valid rows
+ */
+const Import = () => {
+  const navigate = useNavigate();
+  const { refreshTransactions } = useTransactions();
+  const { accounts, refreshAccounts } = useAccounts();
+  const safeAccounts = Array.isArray(accounts) ? accounts : [];
+
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null); // { name, text, format }
+  const [fileInfo, setFileInfo] = useState(null); // { delimiter, headers, sample, rowCount }
+  const [mapping, setMapping] = useState({});
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [accountId, setAccountId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0];
+    setErrors({});
+    if (!selected) {
+      setFile(null);
+      return;
+    }
+
+    const extension = selected.name.split('.').pop().toLowerCase();
+    const format = FORMATS_BY_EXTENSION[extension] || 'csv';
+    setOptions((prev) => ({ ...prev, dateFormat: format === 'qif' ? 'MM/DD/YYYY' : 'YYYY-MM-DD' }));
+
+    const reader = new FileReader();
+    reader.onload = () => setFile({ name: selected.name, text: reader.result, format });
+    reader.onerror = () => setErrors({ form: 'Could not read the file' });
+    reader.readAsText(selected);
+  };
+
+  const handleOptionsChange = (name, value) => {
+    setOptions((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleMappingChange = (name, value) => {
+    setMapping((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  // File, mapping and options as the server expects them
+  const buildPayload = (dryRun) => {
+    const payload = {
+      content: file.text,
+      format: file.format,
+      options: {
+        dateFormat: options.dateFormat,
+        decimalSeparator: options.decimalSeparator,
+      },
+      accountId: accountId || undefined,
+      dryRun,
+    };
+    if (file.format !== 'csv') return payload;
+
+    const unusedFields = options.amountMode === 'single' ? AMOUNT_MODE_FIELDS.split : AMOUNT_MODE_FIELDS.single;
+    payload.mapping = Object.fromEntries(
+      Object.entries(mapping).filter(([field, column]) => column !== '' && !unusedFields.includes(field))
+    );
+    payload.options = {
+      ...payload.options,
+      delimiter: fileInfo.delimiter,
+      hasHeader: options.hasHeader,
+      invertAmounts: options.amountMode === 'single' && options.invertAmounts,
+    };
+    return payload;
+  };
+
+  // Dry run of the import with the current file, mapping and options
+  const runPreview = async () => {
+    setBusy(true);
+    try {
+      setPreview(await transactionAPI.import(buildPayload(true)));
+      setErrors({});
+      setStep('review');
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      setErrors({ form: error.message || 'Failed to preview the import' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Step 1 -> 2: read the headers and a suggested mapping from the server.
+  // Bank statement formats need no mapping and go straight to the review.
+  const handleReadFile = async () => {
+    if (!file) {
+      setErrors({ form: 'Choose a file to import' });
+      return;
+    }
+
+    if (file.format !== 'csv') {
+      await runPreview();
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const info = await transactionAPI.import({
+        content: file.text,
+        format: 'csv',
+        options: {
+          delimiter: options.delimiter || undefined,
+          hasHeader: options.hasHeader,
+        },
+      });
+
+      const suggested = Object.fromEntries(
+        Object.entries(info.suggestedMapping || {}).map(([field, column]) => [field, String(column)])
+      );
+      setFileInfo(info);
+      setMapping(suggested);
+      setOptions((prev) => ({
+        ...prev,
+        amountMode: suggested.amount === undefined && (suggested.debit || suggested.credit) ? 'split' : 'single',
+      }));
+      setErrors({});
+      setStep('map');
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setErrors({ form: error.message || 'Failed to read the file' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Step 2 -> 3: dry run
+  const handlePreview = async () => {
+    const newErrors = {};
+    if (!mapping.date) newErrors.date = 'Choose the date column';
+    if (!mapping.description) newErrors.description = 'Choose the description column';
+    if (options.amountMode === 'single' && !mapping.amount) {
+      newErrors.amount = 'Choose the amount column';
+    }
+    if (options.amountMode === 'split' && !mapping.debit && !mapping.credit) {
+      newErrors.debit = 'Choose a debit or credit column';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    await runPreview();
+  };
+
+  // Step 3 -> 4: import the valid rows
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      setResult(await transactionAPI.import(buildPayload(false)));
+      setErrors({});
+      setStep('done');
+      refreshTransactions();
+      refreshAccounts();
+    } catch (error) {
+      console.error('Error importing transactions:', error);
+      setErrors({ form: error.message || 'Failed to import transactions' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReset = () => {
+    setStep('upload');
+    setFile(null);
+    setFileInfo(null);
+    setMapping({});
+    setOptions(DEFAULT_OPTIONS);
+    setPreview(null);
+    setResult(null);
+    setErrors({});
+  };
+
+  const stepIndex = STEPS.findIndex((s) => s.id === step);
+
+  return (
+    <PageContainer>
+      <PageHeader
+        title="Import Transactions"
+        description="Bring in transactions from your bank's CSV, OFX/QFX or QIF export"
+      />
+
+      <ol className="flex flex-wrap gap-2 mb-6 text-sm">
+        {STEPS.map((s, index) => (
+          <li
+            key={s.id}
+            className={`px-3 py-1 rounded-full border ${
+              index === stepIndex
+                ? 'border-primary-500 text-primary-600 dark:text-primary-400 font-medium'
+                : index < stepIndex
+                  ? 'border-emerald-500 text-emerald-600 dark:text-emerald-400'
+                  : 'border-border-light dark:border-border-dark text-muted-light dark:text-muted-dark'
+            }`}
+          >
+            {index + 1}. {s.label}
+          </li>
+        ))}
+      </ol>
+
+      <Card className="mb-6">
+        <CardContent className="p-6 space-y-6">
+          {step === 'upload' && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="sm:col-span-2">
+                <Label htmlFor="import-file">File</Label>
+                <Input
+                  id="import-file"
+                  type="file"
+                  accept=".csv,.txt,.ofx,.qfx,.qif,text/csv"
+                  onChange={handleFileChange}
+                />
+                {file && (
+                  <p className="text-sm text-muted-light dark:text-muted-dark mt-1">
+                    {file.name} · {file.format.toUpperCase()}
+                  </p>
+                )}
+              </div>
+
+              {(!file || file.format === 'csv') && (
+                <>
+                  <div>
+                    <Label htmlFor="import-delimiter">Delimiter</Label>
+                    <Select
+                      id="import-delimiter"
+                      value={options.delimiter}
+                      onChange={(e) => handleOptionsChange('delimiter', e.target.value)}
+                    >
+                      <SelectOption value="">Detect automatically</SelectOption>
+                      <SelectOption value=",">Comma (,)</SelectOption>
+                      <SelectOption value=";">Semicolon (;)</SelectOption>
+                      <SelectOption value={'\t'}>Tab</SelectOption>
+                      <SelectOption value="|">Pipe (|)</SelectOption>
+                    </Select>
+                  </div>
+
+                  <label className="flex items-center gap-2 text-sm sm:mt-6">
+                    <input
+                      type="checkbox"
+                      checked={options.hasHeader}
+                      onChange={(e) => handleOptionsChange('hasHeader', e.target.checked)}
+                    />
+                    First row contains column names
+                  </label>
+                </>
+              )}
+
+              {/* QIF dates and amounts follow the locale of the program that wrote them */}
+              {file?.format === 'qif' && (
+                <>
+                  <div>
+                    <Label htmlFor="import-dateFormat">Date format</Label>
+                    <Select
+                      id="import-dateFormat"
+                      value={options.dateFormat}
+                      onChange={(e) => handleOptionsChange('dateFormat', e.target.value)}
+                    >
+                      {DATE_FORMATS.map((format) => (
+                        <SelectOption key={format} value={format}>
+                          {format}
+                        </SelectOption>
+                      ))}
+                    </Select>
+                  </div>
+
+                  <div>
+                    <Label htmlFor="import-decimalSeparator">Decimal separator</Label>
+                    <Select
+                      id="import-decimalSeparator"
+                      value={options.decimalSeparator}
+                      onChange={(e) => handleOptionsChange('decimalSeparator', e.target.value)}
+                    >
+                      <SelectOption value=".">Point (1,234.56)</SelectOption>
+                      <SelectOption value=",">Comma (1.234,56)</SelectOption>
+                    </Select>
+                  </div>
+                </>
+              )}
+
+              <div>
+                <Label htmlFor="import-accountId">Import into account</Label>
+                <Select id="import-accountId" value={accountId} onChange={(e) => setAccountId(e.target.value)}>
+                  <SelectOption value="">No account</SelectOption>
+                  {safeAccounts.map((account) => (
+                    <SelectOption key={account._id} value={account._id}>
+                      {account.name}
+                    </SelectOption>
+                  ))}
+                </Select>
+              </div>
+            </div>
+          )}
+
+          {step === 'map' && fileInfo && (
+            <>
+              <p className="text-sm text-muted-light dark:text-muted-dark">
+                {file.name} · {fileInfo.rowCount} rows
+              </p>
+              <ColumnMapping
+                headers={fileInfo.headers}
+                sample={fileInfo.sample}
+                mapping={mapping}
+                options={options}
+                errors={errors}
+                onMappingChange={handleMappingChange}
+                onOptionsChange={handleOptionsChange}
+              />
+            </>
+          )}
+
+          {step === 'review' && preview && (
+            <>
+              {preview.statementAccount?.accountNumber && (
+                <p className="text-sm text-muted-light dark:text-muted-dark">
+                  Statement for account ending {preview.statementAccount.accountNumber.slice(-4)}
+                  {preview.statementAccount.currency && ` (${preview.statementAccount.currency})`}
+                </p>
+              )}
+              <p className="text-sm">
+                <span className="font-medium">{preview.valid}</span> of {preview.total} rows are ready to import
+                {preview.duplicates > 0 && (
+                  <span className="text-amber-600 dark:text-amber-400">
+                    {' '}· {preview.duplicates} already imported
+                  </span>
+                )}
+                {preview.invalid > 0 && (
+                  <span className="text-red-500 dark:text-red-400">
+                    {' '}· {preview.invalid} have errors
+                  </span>
+                )}
+              </p>
+              <ImportPreview rows={preview.rows} />
+            </>
+          )}
+
+          {step === 'done' && result && (
+            <>
+              <p className="text-sm">
+                Imported <span className="font-medium">{result.imported}</span> transactions
+                {result.duplicates > 0 && `, skipped ${result.duplicates} already imported`}
+                {result.invalid > 0 && `, skipped ${result.invalid} rows with errors`}.
+              </p>
+              {result.rows.length > 0 && <ImportPreview rows={result.rows} />}
+            </>
+          )}
+
+          {errors.form && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+              {errors.form}
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row justify-end gap-2">
+            {step === 'upload' && (
+              <Button onClick={handleReadFile} disabled={busy || !file}>
+                {busy ? 'Reading…' : file && file.format !== 'csv' ? 'Preview Import' : 'Continue'}
+              </Button>
+            )}
+            {step === 'map' && (
+              <>
+                <Button variant="outline" onClick={() => setStep('upload')} disabled={busy}>Back</Button>
+                <Button onClick={handlePreview} disabled={busy}>
+                  {busy ? 'Checking…' : 'Preview Import'}
+                </Button>
+              </>
+            )}
+            {step === 'review' && (
+              <>
+                <Button
+                  variant="outline"
+                  onClick={() => setStep(file.format === 'csv' ? 'map' : 'upload')}
+                  disabled={busy}
+                >
+                  Back
+                </Button>
+                <Button onClick={handleImport} disabled={busy || !preview || preview.valid === 0}>
+                  {busy ? 'Importing…' : `Import ${preview?.valid ?? 0} Transactions`}
+                </Button>
+              </>
+            )}
+            {step === 'done' && (
+              <>
+                <Button variant="outline" onClick={handleReset}>Import Another File</Button>
+                <Button onClick={() => navigate('/transactions')}>View Transactions</Button>
+              </>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    </PageContainer>
+  );
+};
+
+export default Import;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { PageContainer, PageHeader } from '../components/layout/layout';
+import { Button } from '../components/ui/button';
+import { Card, CardContent } from '../components/ui/card';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Select, SelectOption } from '../components/ui/select';
+import { PayeeForm } from '../components/payees/PayeeForm';
+import { useTransactions } from '../context/TransactionContext';
+import { payeeAPI, analyticsAPI } from '../api/api';
+import { formatCurrency, formatDate } from '../lib/format';
+
+// Periods the top payees can be shown for, as the number of months back
+const PERIODS = [
+  { value: '1', label: 'This month' },
+  { value: '3', label: 'Last 3 months' },
+  { value: '12', label: 'Last 12 months' },
+];
+
+// First day of the month `monthsBack - 1` months ago, as YYYY-MM-DD
+const periodStart = (monthsBack) => {
+  const now = new Date();
+  const start = new Date(now.getFullYear(), now.getMonth() - (monthsBack - 1), 1);
+  return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-01`;
+};
+
+/**
+ * Payees
+ * Manage payees and the aliases that link transactions to them, and see
+ * which payees the money goes to
+ */
+const Payees = () => {
+  const { refreshTransactions } = useTransactions();
+  const [payees, setPayees] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [currentPayee, setCurrentPayee] = useState(null);
+
+  const [period, setPeriod] = useState('1');
+  const [topPayees, setTopPayees] = useState([]);
+
+  const loadPayees = useCallback(async () => {
+    setLoading(true);
+    setPayees(await payeeAPI.getAll());
+    setLoading(false);
+  }, []);
+
+  const loadTopPayees = useCallback(async () => {
+    setTopPayees(await analyticsAPI.getTopPayees({
+      startDate: periodStart(Number(period)),
+      endDate: new Date().toISOString(),
+      limit: 10,
+    }));
+  }, [period]);
+
+  useEffect(() => {
+    loadPayees();
+  }, [loadPayees]);
+
+  useEffect(() => {
+    loadTopPayees();
+  }, [loadTopPayees]);
+
+  const handleOpenForm = () => {
+    setCurrentPayee(null);
+    setIsFormOpen(true);
+  };
+
+  const handleEditPayee = (payee) => {
+    setCurrentPayee(payee);
+    setIsFormOpen(true);
+  };
+
+  // Saving a payee may link existing transactions to it
+  const handleFormSave = () => {
+    setIsFormOpen(false);
+    setCurrentPayee(null);
+    loadPayees();
+    loadTopPayees();
+    refreshTransactions();
+  };
+
+  const handleFormCancel = () => {
+    setIsFormOpen(false);
+    setCurrentPayee(null);
+  };
+
+  const handleDeletePayee = async (payee) => {
+    if (window.confirm(`Delete ${payee.name}? Its transactions are kept but no longer linked to it.`)) {
+      try {
+        await payeeAPI.delete(payee._id);
+        loadPayees();
+        loadTopPayees();
+        refreshTransactions();
+      } catch (error) {
+        console.error('Error deleting payee:', error);
+        alert(error.message || 'Failed to delete payee');
+      }
+    }
+  };
+
+  const filteredPayees = payees.filter((payee) => payee.name.toLowerCase().includes(searchTerm.toLowerCase()));
+  const largestTotal = Math.max(...topPayees.map((entry) => Math.abs(entry.total)), 0);
+
+  return (
+    <PageContainer>
+      <PageHeader
+        title="Payees"
+        description="Recognize the same merchant however the bank describes it"
+      />
+
+      <Card className="mb-8">
+        <CardContent className="p-6 space-y-4">
+          <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+            <h3 className="text-lg font-medium">Where the money goes</h3>
+            <div className="w-full sm:w-48">
+              <Label htmlFor="top-payees-period">Period</Label>
+              <Select id="top-payees-period" value={period} onChange={(e) => setPeriod(e.target.value)}>
+                {PERIODS.map((option) => (
+                  <SelectOption key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectOption>
+                ))}
+              </Select>
+            </div>
+          </div>
+
+          {topPayees.length === 0 ? (
+            <p className="text-sm text-muted-light dark:text-muted-dark">No spending in this period.</p>
+          ) : (
+            <ul className="space-y-3">
+              {topPayees.map((entry) => (
+                <li key={entry.payeeId || `description-${entry.name}`}>
+                  <div className="flex justify-between gap-4 text-sm">
+                    <span className="truncate">
+                      {entry.name}
+                      {!entry.payeeId && (
+                        <span className="ml-2 text-xs text-muted-light dark:text-muted-dark">(no payee)</span>
+                      )}
+                    </span>
+                    <span className="whitespace-nowrap font-medium">{formatCurrency(Math.abs(entry.total))}</span>
+                  </div>
+                  <div className="h-2 mt-1 rounded-full bg-border-light dark:bg-border-dark overflow-hidden">
+                    <div
+                      className="h-full bg-primary-500"
+                      style={{ width: `${largestTotal ? (Math.abs(entry.total) / largestTotal) * 100 : 0}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-muted-light dark:text-muted-dark mt-1">
+                    {entry.count} {entry.count === 1 ? 'transaction' : 'transactions'} · last on {formatDate(entry.lastDate, 'medium')}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+        <div className="w-full sm:w-auto flex-1">
+          <Input
+            type="text"
+            placeholder="Search payees..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+        <Button onClick={handleOpenForm} className="w-full sm:w-auto">Add Payee</Button>
+      </div>
+
+      {isFormOpen && (
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <h3 className="text-lg font-medium mb-4">{currentPayee ? 'Edit Payee' : 'New Payee'}</h3>
+            <PayeeForm payee={currentPayee} onSave={handleFormSave} onCancel={handleFormCancel} />
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardContent className="p-0">
+          {loading && payees.length === 0 ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : filteredPayees.length === 0 ? (
+            <p className="p-6 text-center text-muted-light dark:text-muted-dark">
+              {payees.length === 0
+                ? 'No payees yet. Add one to group transactions from the same merchant.'
+                : 'No payees match your search.'}
+            </p>
+          ) : (
+            <ul className="divide-y divide-border-light dark:divide-border-dark">
+              {filteredPayees.map((payee) => (
+                <li key={payee._id} className="p-4 flex flex-col sm:flex-row sm:items-center gap-3">
+                  <div className="min-w-0 flex-1">
+                    <p className="font-medium">
+                      {payee.name}
+                      <span className="ml-2 text-xs text-muted-light dark:text-muted-dark">
+                        {payee.transactionCount} {payee.transactionCount === 1 ? 'transaction' : 'transactions'}
+                      </span>
+                    </p>
+                    <p className="text-sm text-muted-light dark:text-muted-dark truncate">
+                      {payee.aliases.length > 0 ? payee.aliases.join(', ') : 'No aliases'}
+                      {payee.defaultCategoryId?.name && ` → ${payee.defaultCategoryId.name}`}
+                    </p>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <Button variant="outline" size="sm" onClick={() => handleEditPayee(payee)}>Edit</Button>
+                    <Button variant="destructive" size="sm" onClick={() => handleDeletePayee(payee)}>Delete</Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+    </PageContainer>
+  );
+};
+
+export default Payees;
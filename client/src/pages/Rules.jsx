@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { PageContainer, PageHeader } from '../components/layout/layout';
+import { Button } from '../components/ui/button';
+import { Card, CardContent } from '../components/ui/card';
+import { Label } from '../components/ui/label';
+import { Select, SelectOption } from '../components/ui/select';
+import { RuleForm, describeConditions } from '../components/rules/RuleForm';
+import { useTransactions } from '../context/TransactionContext';
+import { ruleAPI } from '../api/api';
+import { formatCurrency, formatDate } from '../lib/format';
+
+/**
+ * Categorization rules
+ * Create, edit and order the rules that pick a category for new transactions,
+ * and re-run them over existing transactions after previewing the changes
+ */
+const Rules = () => {
+  const { refreshTransactions } = useTransactions();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [currentRule, setCurrentRule] = useState(null);
+
+  // Re-run state: the preview and which of its changes to apply
+  const [scope, setScope] = useState('uncategorized');
+  const [preview, setPreview] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [runMessage, setRunMessage] = useState('');
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    setRules(await ruleAPI.getAll());
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  // A preview is stale once the rules or the scope change
+  const clearPreview = () => {
+    setPreview(null);
+    setSelectedIds([]);
+  };
+
+  const handleOpenForm = () => {
+    setCurrentRule(null);
+    setIsFormOpen(true);
+  };
+
+  const handleEditRule = (rule) => {
+    setCurrentRule(rule);
+    setIsFormOpen(true);
+  };
+
+  const handleFormSave = () => {
+    setIsFormOpen(false);
+    setCurrentRule(null);
+    clearPreview();
+    loadRules();
+  };
+
+  const handleFormCancel = () => {
+    setIsFormOpen(false);
+    setCurrentRule(null);
+  };
+
+  const handleToggleActive = async (rule) => {
+    try {
+      await ruleAPI.update(rule._id, { active: !rule.active });
+      clearPreview();
+      loadRules();
+    } catch (error) {
+      console.error('Error updating rule:', error);
+      alert(error.message || 'Failed to update rule');
+    }
+  };
+
+  const handleDeleteRule = async (id) => {
+    if (window.confirm('Are you sure you want to delete this rule?')) {
+      try {
+        await ruleAPI.delete(id);
+        clearPreview();
+        loadRules();
+      } catch (error) {
+        console.error('Error deleting rule:', error);
+        alert(error.message || 'Failed to delete rule');
+      }
+    }
+  };
+
+  const handlePreview = async () => {
+    setRunning(true);
+    setRunMessage('');
+    try {
+      const result = await ruleAPI.run({ dryRun: true, scope });
+      setPreview(result.changes);
+      setSelectedIds(result.changes.map((change) => change.transactionId));
+    } catch (error) {
+      console.error('Error previewing rules:', error);
+      alert(error.message || 'Failed to preview the rules');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setRunning(true);
+    try {
+      const result = await ruleAPI.run({ dryRun: false, scope, transactionIds: selectedIds });
+      setRunMessage(`Updated ${result.updated} ${result.updated === 1 ? 'transaction' : 'transactions'}.`);
+      clearPreview();
+      refreshTransactions();
+    } catch (error) {
+      console.error('Error applying rules:', error);
+      alert(error.message || 'Failed to apply the rules');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((selected) => selected !== id) : [...prev, id]));
+  };
+
+  return (
+    <PageContainer>
+      <PageHeader
+        title="Categorization Rules"
+        description="Pick categories automatically for new and imported transactions"
+      />
+
+      <div className="flex justify-end mb-6">
+        <Button onClick={handleOpenForm}>Add Rule</Button>
+      </div>
+
+      {isFormOpen && (
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <h3 className="text-lg font-medium mb-4">{currentRule ? 'Edit Rule' : 'New Rule'}</h3>
+            <RuleForm rule={currentRule} onSave={handleFormSave} onCancel={handleFormCancel} />
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="mb-8">
+        <CardContent className="p-0">
+          {loading && rules.length === 0 ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : rules.length === 0 ? (
+            <p className="p-6 text-center text-muted-light dark:text-muted-dark">
+              No rules yet. Add one to categorize transactions automatically.
+            </p>
+          ) : (
+            <ul className="divide-y divide-border-light dark:divide-border-dark">
+              {rules.map((rule) => (
+                <li key={rule._id} className={`p-4 flex flex-col sm:flex-row sm:items-center gap-3 ${rule.active ? '' : 'opacity-60'}`}>
+                  <div className="min-w-0 flex-1">
+                    <p className="font-medium">
+                      {rule.name}
+                      <span className="ml-2 text-xs text-muted-light dark:text-muted-dark">priority {rule.priority}</span>
+                      {!rule.active && <span className="ml-2 text-xs text-muted-light dark:text-muted-dark">(paused)</span>}
+                    </p>
+                    <p className="text-sm text-muted-light dark:text-muted-dark">
+                      {describeConditions(rule)} → {rule.categoryId?.name || 'Missing category'}
+                    </p>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <Button variant="outline" size="sm" onClick={() => handleToggleActive(rule)}>
+                      {rule.active ? 'Pause' : 'Resume'}
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => handleEditRule(rule)}>Edit</Button>
+                    <Button variant="destructive" size="sm" onClick={() => handleDeleteRule(rule._id)}>Delete</Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="p-6 space-y-4">
+          <div>
+            <h3 className="text-lg font-medium">Re-run rules on existing transactions</h3>
+            <p className="text-sm text-muted-light dark:text-muted-dark">
+              Preview what the active rules would change, then apply the changes you want.
+            </p>
+          </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <div className="w-full sm:w-72">
+              <Label htmlFor="rules-scope">Transactions</Label>
+              <Select
+                id="rules-scope"
+                value={scope}
+                onChange={(e) => {
+                  setScope(e.target.value);
+                  clearPreview();
+                }}
+              >
+                <SelectOption value="uncategorized">Only uncategorized</SelectOption>
+                <SelectOption value="all">All, including categorized</SelectOption>
+              </Select>
+            </div>
+            <Button variant="outline" onClick={handlePreview} disabled={running || rules.length === 0}>
+              {running && !preview ? 'Checking…' : 'Preview Changes'}
+            </Button>
+          </div>
+
+          {runMessage && <p className="text-sm text-emerald-600 dark:text-emerald-400">{runMessage}</p>}
+
+          {preview && (preview.length === 0 ? (
+            <p className="text-sm text-muted-light dark:text-muted-dark">The rules would not change any transactions.</p>
+          ) : (
+            <>
+              <div className="overflow-x-auto border border-border-light dark:border-border-dark rounded-md max-h-[28rem] overflow-y-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="sticky top-0 bg-background-light dark:bg-background-dark">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium">
+                        <input
+                          type="checkbox"
+                          aria-label="Select all"
+                          checked={selectedIds.length === preview.length}
+                          onChange={(e) => setSelectedIds(e.target.checked ? preview.map((change) => change.transactionId) : [])}
+                        />
+                      </th>
+                      <th className="px-3 py-2 text-left font-medium">Date</th>
+                      <th className="px-3 py-2 text-left font-medium">Description</th>
+                      <th className="px-3 py-2 text-right font-medium">Amount</th>
+                      <th className="px-3 py-2 text-left font-medium">Category</th>
+                      <th className="px-3 py-2 text-left font-medium">Rule</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.map((change) => (
+                      <tr key={change.transactionId} className="border-t border-border-light dark:border-border-dark">
+                        <td className="px-3 py-2">
+                          <input
+                            type="checkbox"
+                            aria-label={`Apply to ${change.description}`}
+                            checked={selectedIds.includes(change.transactionId)}
+                            onChange={() => toggleSelected(change.transactionId)}
+                          />
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">{formatDate(change.date, 'medium')}</td>
+                        <td className="px-3 py-2">{change.description}</td>
+                        <td className={`px-3 py-2 text-right whitespace-nowrap ${
+                          change.amount < 0 ? 'text-red-500 dark:text-red-400' : 'text-emerald-500 dark:text-emerald-400'
+                        }`}>
+                          {formatCurrency(change.amount)}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          <span className="text-muted-light dark:text-muted-dark">{change.from?.name || 'Uncategorized'}</span>
+                          {' → '}
+                          <span className="font-medium">{change.to.name}</span>
+                        </td>
+                        <td className="px-3 py-2 text-muted-light dark:text-muted-dark">{change.rule.name}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex justify-end">
+                <Button onClick={handleApply} disabled={running || selectedIds.length === 0}>
+                  {running ? 'Applying…' : `Apply ${selectedIds.length} ${selectedIds.length === 1 ? 'Change' : 'Changes'}`}
+                </Button>
+              </div>
+            </>
+          ))}
+        </CardContent>
+      </Card>
+    </PageContainer>
+  );
+};
+
+export default Rules;
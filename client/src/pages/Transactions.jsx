@@ -1,22 +1,64 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { PageContainer, PageHeader } from '../components/layout/layout';
 import { Button } from '../components/ui/button';
 import { Card, CardContent } from '../components/ui/card';
 import { Input } from '../components/ui/input';
+import { Select, SelectOption } from '../components/ui/select';
 import { TransactionList } from '../components/transactions/TransactionList';
 import { TransactionForm } from '../components/transactions/TransactionForm';
 import { MonthlyExpensesChart } from '../components/charts/MonthlyExpensesChart';
+import { RecurringRuleForm } from '../components/recurring/RecurringRuleForm';
+import { OccurrenceForm } from '../components/recurring/OccurrenceForm';
+import { UpcomingOccurrences } from '../components/recurring/UpcomingOccurrences';
 import { useTransactions } from '../context/TransactionContext';
-import { analyticsAPI } from '../api/api';
+import { useAccounts } from '../context/AccountContext';
+import { useCategories } from '../context/CategoryContext';
+import { analyticsAPI, recurringAPI, exportAPI, transactionAPI } from '../api/api';
+import { formatCurrency } from '../lib/format';
 import { useEffect } from 'react';
 
 const Transactions = () => {
-  const { transactions, deleteTransaction, loading: transactionsLoading } = useTransactions();
+  const navigate = useNavigate();
+  const { transactions, deleteTransaction, refreshTransactions } = useTransactions();
   const [isFormOpen, setIsFormOpen] = useState(false);
+  const { accounts, refreshAccounts } = useAccounts();
+  const { categories } = useCategories();
   const [searchTerm, setSearchTerm] = useState('');
+  const [accountFilter, setAccountFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  // Transactions matching the filters, loaded from the server
+  const [listedTransactions, setListedTransactions] = useState([]);
+  const [listLoading, setListLoading] = useState(true);
+  const [tags, setTags] = useState([]);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
   const [currentTransaction, setCurrentTransaction] = useState(null);
   const [monthlyData, setMonthlyData] = useState([]);
   
+  // Recurring rules and their upcoming occurrences
+  const [recurringRules, setRecurringRules] = useState([]);
+  const [upcomingOccurrences, setUpcomingOccurrences] = useState([]);
+  const [ruleForm, setRuleForm] = useState(null);               // { rule } while the rule form is open
+  const [editingOccurrence, setEditingOccurrence] = useState(null);
+  
+  const fetchRecurring = useCallback(async () => {
+    const [rules, upcoming] = await Promise.all([
+      recurringAPI.getAll(),
+      recurringAPI.getUpcoming(30),
+    ]);
+    setRecurringRules(rules);
+    setUpcomingOccurrences(upcoming);
+  }, []);
+  
+  useEffect(() => {
+    fetchRecurring();
+  }, [fetchRecurring]);
+  
   // Fetch monthly data for the chart
   useEffect(() => {
     const fetchMonthlyData = async () => {
@@ -32,18 +74,66 @@ const Transactions = () => {
     fetchMonthlyData();
   }, [transactions]);
   
-  // Ensure transactions is an array before filtering
-  const safeTransactions = Array.isArray(transactions) ? transactions : [];
+  // Tags in use, for the tag filter
+  useEffect(() => {
+    transactionAPI.getTags().then(setTags);
+  }, [transactions]);
   
-  // Filter transactions based on search term
-  const filteredTransactions = safeTransactions.filter(transaction => 
-    transaction.description.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  // Account balances are computed on the server, so refresh them when transactions change
+  useEffect(() => {
+    refreshAccounts();
+  }, [transactions, refreshAccounts]);
   
-  // Sort transactions by date (newest first)
-  const sortedTransactions = [...filteredTransactions].sort(
-    (a, b) => new Date(b.date) - new Date(a.date)
-  );
+  const safeAccounts = Array.isArray(accounts) ? accounts : [];
+  const selectedAccount = safeAccounts.find(a => a._id === accountFilter);
+  
+  // The list and the export both go through the server's transaction filters,
+  // so the export holds exactly the transactions listed
+  const filters = useMemo(() => ({
+    startDate,
+    endDate,
+    category: categoryFilter,
+    type: typeFilter,
+    account: accountFilter,
+    tags: tagFilter,
+    search: searchTerm,
+  }), [startDate, endDate, categoryFilter, typeFilter, accountFilter, tagFilter, searchTerm]);
+  
+  // Reload the list when the filters change (waiting for typing to pause)
+  // and after transactions are added, edited or deleted
+  useEffect(() => {
+    let cancelled = false;
+    setListLoading(true);
+    const timer = setTimeout(async () => {
+      const matching = await transactionAPI.getFiltered(filters);
+      if (!cancelled) {
+        setListedTransactions(matching);
+        setListLoading(false);
+      }
+    }, 300);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filters, transactions]);
+  
+  // Download the transactions listed below
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await exportAPI.download({
+        ...filters,
+        format: exportFormat,
+        dataset: 'transactions',
+      });
+    } catch (error) {
+      console.error('Error exporting transactions:', error);
+      alert(error.message || 'Failed to export transactions');
+    } finally {
+      setExporting(false);
+    }
+  };
   
   const handleOpenForm = () => {
     setCurrentTransaction(null);
@@ -75,6 +165,49 @@ const Transactions = () => {
     setCurrentTransaction(null);
   };
   
+  // Saving a rule may create transactions for occurrences already due
+  const handleRuleSave = (rule) => {
+    setRuleForm(null);
+    fetchRecurring();
+    if (rule?.generatedCount > 0) {
+      refreshTransactions();
+    }
+  };
+  
+  const handleDeleteRule = async (id) => {
+    if (window.confirm('Delete this recurring transaction? Transactions it already created are kept.')) {
+      try {
+        await recurringAPI.delete(id);
+        fetchRecurring();
+      } catch (error) {
+        console.error('Error deleting recurring rule:', error);
+      }
+    }
+  };
+  
+  const handleSkipOccurrence = async (occurrence) => {
+    try {
+      await recurringAPI.updateOccurrence(occurrence.ruleId, occurrence.date, { skip: true });
+      fetchRecurring();
+    } catch (error) {
+      console.error('Error skipping occurrence:', error);
+    }
+  };
+  
+  const handleRestoreOccurrence = async (occurrence) => {
+    try {
+      await recurringAPI.restoreOccurrence(occurrence.ruleId, occurrence.date);
+      fetchRecurring();
+    } catch (error) {
+      console.error('Error restoring occurrence:', error);
+    }
+  };
+  
+  const handleOccurrenceSave = () => {
+    setEditingOccurrence(null);
+    fetchRecurring();
+  };
+  
   return (
     <PageContainer>
       <PageHeader title="Transactions" description="Manage your income and expenses" />
@@ -98,7 +231,7 @@ const Transactions = () => {
         </Card>
       </div>
       
-      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+      <div className="flex flex-col sm:flex-row sm:flex-wrap justify-between items-start sm:items-center mb-6 gap-4">
         <div className="w-full sm:w-auto flex-1">
           <Input
             type="text"
@@ -107,10 +240,158 @@ const Transactions = () => {
             onChange={(e) => setSearchTerm(e.target.value)}
           />
         </div>
+        <div className="w-full sm:w-56">
+          <Select
+            aria-label="Filter by account"
+            value={accountFilter}
+            onChange={(e) => setAccountFilter(e.target.value)}
+          >
+            <SelectOption value="">All accounts</SelectOption>
+            {safeAccounts.map((account) => (
+              <SelectOption key={account._id} value={account._id}>
+                {account.name}
+              </SelectOption>
+            ))}
+          </Select>
+        </div>
+        {tags.length > 0 && (
+          <div className="w-full sm:w-44">
+            <Select
+              aria-label="Filter by tag"
+              value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
+            >
+              <SelectOption value="">All tags</SelectOption>
+              {tags.map(({ tag }) => (
+                <SelectOption key={tag} value={tag}>
+                  #{tag}
+                </SelectOption>
+              ))}
+            </Select>
+          </div>
+        )}
+        <div className="w-full sm:w-48">
+          <Select
+            aria-label="Filter by category"
+            value={categoryFilter}
+            onChange={(e) => setCategoryFilter(e.target.value)}
+          >
+            <SelectOption value="">All categories</SelectOption>
+            {categories.map((category) => (
+              <SelectOption key={category._id} value={category._id}>
+                {category.name}
+              </SelectOption>
+            ))}
+          </Select>
+        </div>
+        <div className="w-full sm:w-36">
+          <Select
+            aria-label="Filter by type"
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+          >
+            <SelectOption value="">All types</SelectOption>
+            <SelectOption value="expense">Expenses</SelectOption>
+            <SelectOption value="income">Income</SelectOption>
+            <SelectOption value="transfer">Transfers</SelectOption>
+          </Select>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Input
+            type="date"
+            aria-label="From date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="w-40"
+          />
+          <span className="text-muted">to</span>
+          <Input
+            type="date"
+            aria-label="To date"
+            value={endDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            className="w-40"
+          />
+        </div>
+        <div className="flex gap-2">
+          <Select
+            aria-label="Export format"
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="w-24"
+          >
+            <SelectOption value="csv">CSV</SelectOption>
+            <SelectOption value="xlsx">XLSX</SelectOption>
+            <SelectOption value="json">JSON</SelectOption>
+          </Select>
+          <Button variant="outline" onClick={handleExport} disabled={exporting || listLoading}>
+            {exporting ? 'Exporting…' : 'Export'}
+          </Button>
+        </div>
+        <Button variant="outline" onClick={() => navigate('/import')}>Import</Button>
+        <Button variant="outline" onClick={() => navigate('/duplicates')}>Find Duplicates</Button>
+        <Button variant="outline" onClick={() => setRuleForm({ rule: null })}>Add Recurring</Button>
         <Button onClick={handleOpenForm}>Add Transaction</Button>
       </div>
       
-      {transactionsLoading && (
+      {selectedAccount && (
+        <Card className="mb-6">
+          <CardContent className="p-4 flex justify-between items-center">
+            <span className="font-medium">{selectedAccount.name} balance</span>
+            <span className={`text-lg font-semibold ${
+              selectedAccount.currentBalance < 0
+                ? 'text-red-500 dark:text-red-400'
+                : 'text-emerald-500 dark:text-emerald-400'
+            }`}>
+              {formatCurrency(selectedAccount.currentBalance)}
+            </span>
+          </CardContent>
+        </Card>
+      )}
+      
+      {ruleForm && (
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <h3 className="text-lg font-medium mb-4">
+              {ruleForm.rule ? 'Edit Recurring Transaction' : 'New Recurring Transaction'}
+            </h3>
+            <RecurringRuleForm
+              rule={ruleForm.rule}
+              onSave={handleRuleSave}
+              onCancel={() => setRuleForm(null)}
+            />
+          </CardContent>
+        </Card>
+      )}
+      
+      {editingOccurrence && (
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <h3 className="text-lg font-medium mb-4">
+              Edit {editingOccurrence.description} on {editingOccurrence.date}
+            </h3>
+            <OccurrenceForm
+              occurrence={editingOccurrence}
+              onSave={handleOccurrenceSave}
+              onCancel={() => setEditingOccurrence(null)}
+            />
+          </CardContent>
+        </Card>
+      )}
+      
+      {(recurringRules.length > 0 || upcomingOccurrences.length > 0) && (
+        <UpcomingOccurrences
+          rules={recurringRules}
+          occurrences={upcomingOccurrences}
+          onSkip={handleSkipOccurrence}
+          onRestore={handleRestoreOccurrence}
+          onEditOccurrence={setEditingOccurrence}
+          onEditRule={(rule) => setRuleForm({ rule })}
+          onDeleteRule={handleDeleteRule}
+        />
+      )}
+      
+      {listLoading && listedTransactions.length === 0 && (
         <Card className="mb-6">
           <CardContent className="p-6 text-center">
             <p>Loading transactions...</p>
@@ -133,8 +414,8 @@ const Transactions = () => {
         </Card>
       ) : null}
       
-      {!transactionsLoading && (
-        sortedTransactions.length === 0 ? (
+      {(!listLoading || listedTransactions.length > 0) && (
+        listedTransactions.length === 0 ? (
           <Card>
             <CardContent className="p-6 text-center">
               <p className="text-muted">No transactions found</p>
@@ -142,7 +423,7 @@ const Transactions = () => {
           </Card>
         ) : (
           <TransactionList
-            transactions={sortedTransactions}
+            transactions={listedTransactions}
             onEdit={handleEditTransaction}
             onDelete={handleDeleteTransaction}
           />
@@ -8,8 +8,9 @@
  * - Connecting to MongoDB database
  * - Setting up security middleware (CORS, Helmet)
  * - Configuring logging and request parsing
- * - Registering API routes
+ * - Registering API routes (data routes behind authentication)
  * - Handling errors
+ * - Starting the recurring transaction scheduler
  * - Starting the HTTP server
  */
 
@@ -23,11 +24,36 @@ const helmet = require('helmet');    // Security middleware
 const morgan = require('morgan');    // HTTP request logger
 const mongoose = require('mongoose'); // MongoDB ODM
 
+// Authentication middleware that scopes requests to the signed-in user
+const { auth } = require('./middleware/auth');
+
 // Import route modules for API endpoints
+const authRoutes = require('./routes/auth');
 const transactionRoutes = require('./routes/transactions');
 const categoryRoutes = require('./routes/categories');
 const budgetRoutes = require('./routes/budgets');
+const budgetTemplateRoutes = require('./routes/budgetTemplates');
 const analyticsRoutes = require('./routes/analytics');
+const accountRoutes = require('./routes/accounts');
+const recurringRoutes = require('./routes/recurring');
+const exportRoutes = require('./routes/export');
+const backupRoutes = require('./routes/backup');
+const ruleRoutes = require('./routes/rules');
+const payeeRoutes = require('./routes/payees');
+const notificationRoutes = require('./routes/notifications');
+const goalRoutes = require('./routes/goals');
+
+// Creates transactions for due recurring rules
+const { startRecurringScheduler } = require('./utils/recurringScheduler');
+
+// Fills in period dates on budgets created before budgets had periods
+const { migrateBudgetPeriods } = require('./utils/budgets');
+
+// Gives data from before user accounts to a user and drops old category indexes
+const { migrateOwnerlessData } = require('./utils/legacyData');
+
+// Replaces the budget alert index from before alerts could be deactivated
+const { migrateBudgetAlerts } = require('./utils/budgetAlerts');
 
 // Initialize Express application
 const app = express();
@@ -38,7 +64,21 @@ const PORT = process.env.PORT || 5001;
 // Connect to MongoDB database
 // Uses connection string from environment variable or fallback to local database
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finance-tracker')
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    
+    // Data saved before user accounts existed gets an owner, then budgets
+    // saved before budget periods existed get their dates
+    migrateOwnerlessData()
+      .catch(err => console.error('Ownerless data migration failed:', err))
+      .then(() => migrateBudgetPeriods())
+      .catch(err => console.error('Budget period migration failed:', err));
+    migrateBudgetAlerts()
+      .catch(err => console.error('Budget alert migration failed:', err));
+    
+    // Generate due recurring transactions now and then periodically
+    startRecurringScheduler();
+  })
   .catch(err => {
     // Exit process with failure if database connection fails
     console.error('MongoDB connection error:', err);
@@ -50,7 +90,8 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finance-t
 app.use(helmet()); // Add security headers to protect against common vulnerabilities
 
 // 2. CORS configuration to allow cross-origin requests from client applications
-app.use(cors());
+// Content-Disposition is exposed so the client can read export file names
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 // app.use(cors({
 //   origin: ['http://localhost:3000', 'http://localhost:3001'], // Allow React development servers
 //   methods: ['GET', 'POST', 'PUT', 'DELETE'],                  // Allowed HTTP methods
@@ -61,14 +102,30 @@ app.use(cors());
 app.use(morgan('dev')); // Log HTTP requests in development format
 
 // 4. Request body parsers
-app.use(express.json()); // Parse incoming JSON request bodies
+// JSON bodies keep the default size limit; file imports and backup restores
+// are parsed by their own routes, after sign-in, with a larger one
+const LARGE_BODY_PATHS = ['/api/transactions/import', '/api/backup/restore'];
+const parseJson = express.json();
+app.use((req, res, next) => (LARGE_BODY_PATHS.includes(req.path) ? next() : parseJson(req, res, next)));
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded form data
 
 // Register API Routes - each path is handled by a dedicated router module
-app.use('/api/transactions', transactionRoutes);  // Transaction CRUD operations
-app.use('/api/categories', categoryRoutes);       // Category management
-app.use('/api/budgets', budgetRoutes);            // Budget planning and tracking
-app.use('/api/analytics', analyticsRoutes);       // Financial analytics and reporting
+app.use('/api/auth', authRoutes);                       // Registration and login (public)
+
+// Data routes require a valid token; every query is scoped to req.user
+app.use('/api/transactions', auth, transactionRoutes);  // Transaction CRUD operations
+app.use('/api/categories', auth, categoryRoutes);       // Category management
+app.use('/api/budgets', auth, budgetRoutes);            // Budget planning and tracking
+app.use('/api/budget-templates', auth, budgetTemplateRoutes); // Named sets of budgets
+app.use('/api/analytics', auth, analyticsRoutes);       // Financial analytics and reporting
+app.use('/api/accounts', auth, accountRoutes);          // Accounts and running balances
+app.use('/api/recurring', auth, recurringRoutes);       // Recurring transaction rules
+app.use('/api/rules', auth, ruleRoutes);                // Auto-categorization rules
+app.use('/api/payees', auth, payeeRoutes);              // Payees and their aliases
+app.use('/api/export', auth, exportRoutes);             // CSV, JSON and XLSX downloads
+app.use('/api/backup', auth, backupRoutes);             // Full backup and restore
+app.use('/api/notifications', auth, notificationRoutes); // Budget alerts and read state
+app.use('/api/goals', auth, goalRoutes);                // Savings goals and contributions
 
 // Root route - simple health check endpoint
 app.get('/', (req, res) => {
@@ -0,0 +1,63 @@
+/**
+ * Authentication middleware
+ *
+ * Verifies the JSON Web Token sent in the Authorization header and attaches
+ * the signed-in user to the request. Every data route is mounted behind this
+ * middleware so that queries can be scoped with `ownerId: req.user._id`.
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Secret used to sign and verify tokens
+// Only development (NODE_ENV=development) may run without one: a published
+// fallback would let anyone sign a token for any user
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'development') {
+  throw new Error('JWT_SECRET must be set (or NODE_ENV=development to use a local development secret)');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-only-finance-tracker-secret';
+
+// How long an issued token stays valid
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+/**
+ * Issue a signed token for a user
+ *
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT containing the user's ID
+ */
+const signToken = (user) => {
+  return jwt.sign({ id: user._id.toString() }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+};
+
+/**
+ * Require a valid bearer token
+ *
+ * On success sets req.user to the user document (without password).
+ * Responds with 401 when the token is missing, invalid, expired or
+ * belongs to a user that no longer exists.
+ */
+const auth = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(payload.id);
+
+    if (!user) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+};
+
+module.exports = { auth, signToken };
@@ -0,0 +1,64 @@
+/**
+ * Account Model
+ *
+ * Represents a place where money is held: a bank account, a credit card,
+ * a wallet of cash or a loan. Transactions reference an account through
+ * their accountId field, and the current balance of an account is the
+ * opening balance plus the sum of its transaction amounts.
+ *
+ * Balances are signed like transaction amounts: assets are positive and
+ * liabilities (credit cards, loans) are normally negative.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const AccountSchema = new Schema({
+  // User who owns this account
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Display name, e.g. "Chase Checking"
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true
+  },
+
+  // Kind of account, used for grouping and icons in the UI
+  type: {
+    type: String,
+    enum: ['checking', 'savings', 'credit_card', 'cash', 'loan'],
+    default: 'checking'
+  },
+
+  // Balance before the first tracked transaction
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+
+  // Visual color for cards and badges
+  color: {
+    type: String,
+    default: '#6E7582',
+    trim: true
+  },
+
+  // Additional details about the account
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Account names are unique per user
+AccountSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Account', AccountSchema);
@@ -1,12 +1,23 @@
 /**
  * Budget model
- * Represents monthly budget settings for categories (used in Stage 3)
+ * Represents budget settings for categories over a period (used in Stage 3):
+ * a week, a calendar month, quarter or year, or custom dates
  */
 
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { PERIOD_TYPES, applyPeriodDates } = require('../utils/budgetPeriods');
+
+// Alert thresholds a budget starts with
+const DEFAULT_ALERT_THRESHOLDS = [50, 80, 100];
 
 const BudgetSchema = new Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
   categoryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -17,6 +28,22 @@ const BudgetSchema = new Schema({
     required: [true, 'Budget amount is required'],
     min: [0, 'Budget amount must be positive']
   },
+  // See utils/budgetPeriods for how each period type maps to dates
+  period: {
+    type: String,
+    enum: PERIOD_TYPES,
+    default: 'monthly'
+  },
+  // First and last day covered, both at UTC midnight
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Month and year the period starts in, kept in step with startDate
   month: {
     type: Number,
     required: [true, 'Month is required'],
@@ -29,6 +56,23 @@ const BudgetSchema = new Schema({
     min: 2000,
     max: 2100
   },
+  // What is left at the end of the period carries into the category's
+  // budget for the period that starts the next day:
+  // - none: nothing carries over
+  // - unspent: only money left unspent
+  // - all: unspent money, and overspending (which lowers the next budget)
+  rollover: {
+    type: String,
+    enum: ['none', 'unspent', 'all'],
+    default: 'none'
+  },
+  // Percentages of the available amount at which spending creates a
+  // notification (see utils/budgetAlerts); empty turns alerts off
+  alertThresholds: {
+    type: [Number],
+    default: () => [...DEFAULT_ALERT_THRESHOLDS],
+    set: (thresholds) => [...new Set(thresholds.map(Number))].sort((a, b) => a - b)
+  },
   notes: {
     type: String,
     trim: true
@@ -37,7 +81,22 @@ const BudgetSchema = new Schema({
   timestamps: true
 });
 
-// Compound index to ensure unique budget per category and month/year
-BudgetSchema.index({ categoryId: 1, month: 1, year: 1 }, { unique: true });
+// Budgets may be given just a month and year, which makes them monthly.
+// The period's dates are snapped to its type, and month/year follow them.
+BudgetSchema.pre('validate', function(next) {
+  applyPeriodDates(this);
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+  next();
+});
+
+// One budget per category and start date; overlapping periods for the same
+// category are rejected by the routes. Categories belong to a single user,
+// so this is also unique per user
+BudgetSchema.index({ categoryId: 1, startDate: 1 }, { unique: true });
+
+// Index for finding a user's budgets that overlap a date range
+BudgetSchema.index({ ownerId: 1, startDate: 1, endDate: 1 });
 
 module.exports = mongoose.model('Budget', BudgetSchema);
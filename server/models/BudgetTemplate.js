@@ -0,0 +1,62 @@
+/**
+ * BudgetTemplate Model
+ *
+ * A named set of category budgets ("Normal month", "Holiday month") that can
+ * be applied to any month. Applying a template creates one Budget per item
+ * for that month (see utils/budgets applyBudgetItems).
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One category budget in a template
+const TemplateItemSchema = new Schema({
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: [0, 'Budget amount must be positive']
+  },
+  rollover: {
+    type: String,
+    enum: ['none', 'unspent', 'all'],
+    default: 'none'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const BudgetTemplateSchema = new Schema({
+  // User who owns this template
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Display name, e.g. "Holiday month"
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+
+  items: {
+    type: [TemplateItemSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Template names are unique per user
+BudgetTemplateSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('BudgetTemplate', BudgetTemplateSchema);
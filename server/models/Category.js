@@ -6,10 +6,13 @@
  * budgeting, and analytics purposes.
  * 
  * Features:
- * - Name validation with uniqueness constraint
+ * - Name validation with per-user uniqueness constraint
  * - Visual properties (color, icon) for UI representation
  * - Support for both expense and income categorization
  * - Distinction between default (system) and custom (user) categories
+ * - Optional parent for subcategories ("Food & Dining" > "Groceries"),
+ *   one level deep (see utils/categoryTree)
+ * - Archiving, which hides a category from pickers but keeps its history
  * - Automatic timestamps for auditing
  */
 
@@ -22,15 +25,25 @@ const Schema = mongoose.Schema;
  * Structure for storing category information in MongoDB
  */
 const CategorySchema = new Schema({
+  /**
+   * User who owns this category
+   * Each user has their own independent set of categories
+   */
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+  
   /**
    * Category name - primary identifier visible to users
-   * Must be unique across the system (case-insensitive uniqueness enforced via pre-save hook)
+   * Must be unique per user (case-insensitive uniqueness enforced via pre-save hook)
    */
   name: {
     type: String,
     required: [true, 'Category name is required'],
-    trim: true,         // Remove whitespace
-    unique: true        // Enforce uniqueness at database level
+    trim: true          // Remove whitespace
   },
   
   /**
@@ -66,6 +79,26 @@ const CategorySchema = new Schema({
     default: 'expense'                   // Most categories are for expenses
   },
   
+  /**
+   * Parent category, for subcategories
+   * - null: top-level category
+   * - set: subcategory whose spending rolls up into the parent in reports
+   */
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  
+  /**
+   * Archived categories are hidden when picking a category for new data,
+   * but existing transactions keep them and reports still show them
+   */
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  
   /**
    * Indicates if this is a system-provided default category
    * - true: Pre-defined category, typically protected from deletion
@@ -79,6 +112,12 @@ const CategorySchema = new Schema({
   timestamps: true      // Automatically add createdAt and updatedAt fields
 });
 
+// Enforce name uniqueness per user at database level
+CategorySchema.index({ ownerId: 1, name: 1 }, { unique: true });
+
+// Index for finding the subcategories of a category
+CategorySchema.index({ ownerId: 1, parentId: 1 });
+
 /**
  * Pre-save hook for case-insensitive uniqueness validation
  * 
@@ -88,7 +127,7 @@ const CategorySchema = new Schema({
  * 
  * This hook runs before each document save and:
  * 1. Checks if the name field is being modified
- * 2. Searches for existing categories with the same name (case-insensitive)
+ * 2. Searches the owner's categories for the same name (case-insensitive)
  * 3. Excludes the current document from the search (for updates)
  * 4. Rejects the save operation if a duplicate is found
  */
@@ -100,6 +139,7 @@ CategorySchema.pre('save', async function(next) {
     // Case-insensitive search using RegExp
     // The pattern matches the exact string but ignores case
     const existingCategory = await mongoose.models.Category.findOne({
+      ownerId: category.ownerId,
       name: { $regex: new RegExp(`^${category.name}$`, 'i') },
       _id: { $ne: category._id } // Exclude this document (important for updates)
     });
@@ -0,0 +1,104 @@
+/**
+ * CategoryRule Model
+ *
+ * A user-defined rule that picks the category of a transaction, such as
+ * "description contains UBER -> Transportation" or
+ * "amount over 1000 and type is income -> Salary".
+ *
+ * Rules are applied to new transactions that arrive without a category
+ * (typed in or imported) and can be re-run over existing transactions.
+ * Active rules are tried from the highest priority down, and the first rule
+ * whose conditions match sets the category.
+ *
+ * Conditions:
+ * - description / notes: contains, notContains, equals, startsWith, endsWith
+ *   (case-insensitive)
+ * - amount: equals, gt, gte, lt, lte, compared with the size of the amount,
+ *   so "amount > 1000" matches both 1500 of income and 1500 of spending
+ * - type: equals 'expense' or 'income'
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One test against a field of the transaction
+const ConditionSchema = new Schema({
+  field: {
+    type: String,
+    enum: ['description', 'notes', 'amount', 'type'],
+    required: [true, 'Condition field is required']
+  },
+  operator: {
+    type: String,
+    enum: ['contains', 'notContains', 'equals', 'startsWith', 'endsWith', 'gt', 'gte', 'lt', 'lte'],
+    required: [true, 'Condition operator is required']
+  },
+  // Text for description/notes/type, a number for amount
+  value: {
+    type: Schema.Types.Mixed,
+    required: [true, 'Condition value is required']
+  }
+}, { _id: false });
+
+const CategoryRuleSchema = new Schema({
+  // User who owns this rule
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Display name, e.g. "Uber rides"
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+
+  // Rules with a higher priority are tried first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  // Whether all conditions or any one of them must match
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+
+  conditions: {
+    type: [ConditionSchema],
+    default: []
+  },
+
+  // Category given to matching transactions
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+
+  // Inactive rules are kept but never applied
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// A rule without conditions would match every transaction
+CategoryRuleSchema.pre('validate', function(next) {
+  if (!this.conditions || this.conditions.length === 0) {
+    this.invalidate('conditions', 'A rule needs at least one condition');
+  }
+  next();
+});
+
+// Used to load a user's rules in the order they are applied
+CategoryRuleSchema.index({ ownerId: 1, priority: -1 });
+
+module.exports = mongoose.model('CategoryRule', CategoryRuleSchema);
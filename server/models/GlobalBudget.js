@@ -0,0 +1,72 @@
+/**
+ * GlobalBudget model
+ * A cap on total spending over a period ("at most $3,000 this month"),
+ * independent of categories. Periods work as for category budgets.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { PERIOD_TYPES, applyPeriodDates } = require('../utils/budgetPeriods');
+
+const GlobalBudgetSchema = new Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: [0, 'Budget amount must be positive']
+  },
+  // See utils/budgetPeriods for how each period type maps to dates
+  period: {
+    type: String,
+    enum: PERIOD_TYPES,
+    default: 'monthly'
+  },
+  // First and last day covered, both at UTC midnight
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Month and year the period starts in, kept in step with startDate
+  month: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  year: {
+    type: Number,
+    min: 2000,
+    max: 2100
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Same period handling as category budgets (see Budget)
+GlobalBudgetSchema.pre('validate', function(next) {
+  applyPeriodDates(this);
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+  next();
+});
+
+// One global budget per start date; overlapping periods are rejected by the routes
+GlobalBudgetSchema.index({ ownerId: 1, startDate: 1 }, { unique: true });
+
+// Index for finding a user's global budgets that overlap a date range
+GlobalBudgetSchema.index({ ownerId: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('GlobalBudget', GlobalBudgetSchema);
@@ -0,0 +1,108 @@
+/**
+ * Goal model
+ * A savings goal: an amount to reach, optionally by a target date.
+ *
+ * Progress comes from transactions and manual contributions. A goal linked to
+ * an account counts money moved into that account; a goal linked to a
+ * category counts what was spent in it (e.g. a "Vacation fund" category).
+ * Either way only transactions from the goal's start date on are counted
+ * (see utils/goals).
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { startOfDay } = require('../utils/recurrence');
+
+// Money set aside for the goal outside any tracked transaction
+const ContributionSchema = new Schema({
+  date: {
+    type: Date,
+    required: [true, 'Contribution date is required']
+  },
+
+  // Negative to take money back out of the goal
+  amount: {
+    type: Number,
+    required: [true, 'Contribution amount is required']
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  }
+});
+
+const GoalSchema = new Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Display name, e.g. "Emergency fund"
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true
+  },
+
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [0.01, 'Target amount must be positive']
+  },
+
+  // Day the goal should be reached by, at UTC midnight (optional)
+  targetDate: {
+    type: Date,
+    default: null
+  },
+
+  // Transactions before this day do not count toward the goal
+  startDate: {
+    type: Date,
+    default: () => startOfDay(new Date())
+  },
+
+  // Where contributions are tracked; a goal links to an account or a
+  // category, or to neither and relies on manual contributions only
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  contributions: [ContributionSchema],
+
+  // Visual color for progress bars
+  color: {
+    type: String,
+    default: '#10b981',
+    trim: true
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+GoalSchema.pre('validate', function(next) {
+  if (this.accountId && this.categoryId) {
+    this.invalidate('categoryId', 'A goal can be linked to an account or a category, not both');
+  }
+  next();
+});
+
+// Goal names are unique per user
+GoalSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Goal', GoalSchema);
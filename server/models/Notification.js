@@ -0,0 +1,83 @@
+/**
+ * Notification model
+ * A message for the user, shown under the bell in the header. Budget alerts
+ * are created when spending reaches one of a budget's alert thresholds
+ * (see utils/budgetAlerts).
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const NotificationSchema = new Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['budget-threshold'],
+    default: 'budget-threshold'
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Budget alerts: the budget, its category and the threshold reached
+  budgetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  threshold: {
+    type: Number
+  },
+  // Share of the budget spent when the alert was created (null when nothing was available)
+  percentage: {
+    type: Number,
+    default: null
+  },
+  // The budget's amount and period when the alert was created; an alert for
+  // an amount or period the budget no longer has is no longer active
+  budgetAmount: {
+    type: Number
+  },
+  budgetStartDate: {
+    type: Date
+  },
+  budgetEndDate: {
+    type: Date
+  },
+  // Budget alerts stop being active when the budget changes or spending
+  // falls back below the threshold, so crossing it again alerts again
+  active: {
+    type: Boolean,
+    default: true
+  },
+  read: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's notifications, newest first
+NotificationSchema.index({ ownerId: 1, createdAt: -1 });
+
+// A budget has at most one active alert per threshold
+NotificationSchema.index(
+  { budgetId: 1, threshold: 1 },
+  { unique: true, partialFilterExpression: { budgetId: { $exists: true }, active: true } }
+);
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,67 @@
+/**
+ * Payee Model
+ *
+ * The merchant or person on the other side of a transaction. Bank statements
+ * describe the same payee in many ways ("AMZN Mktp US*2K4", "Amazon.com"),
+ * so a payee lists alias patterns, and transactions whose description
+ * matches one of them are linked to it through their payeeId field.
+ *
+ * Alias patterns are case-insensitive. A plain pattern matches descriptions
+ * that contain it; `*` matches any run of characters, so "AMZN*" only matches
+ * descriptions starting with AMZN.
+ *
+ * A payee may have a default category, given to its new transactions when
+ * neither the user nor a categorization rule chose one.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PayeeSchema = new Schema({
+  // User who owns this payee
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Display name, e.g. "Amazon"
+  name: {
+    type: String,
+    required: [true, 'Payee name is required'],
+    trim: true
+  },
+
+  // Description patterns that identify the payee
+  aliases: {
+    type: [{ type: String, trim: true }],
+    default: []
+  },
+
+  // Category given to new transactions with this payee
+  defaultCategoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Drop empty and repeated aliases
+PayeeSchema.pre('validate', function(next) {
+  const seen = new Set();
+  this.aliases = this.aliases.filter(alias => {
+    const key = alias.toLowerCase();
+    if (!alias || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  next();
+});
+
+// Payee names are unique per user
+PayeeSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Payee', PayeeSchema);
@@ -0,0 +1,157 @@
+/**
+ * RecurringRule Model
+ *
+ * Describes a transaction that repeats on a schedule, such as rent, salary or
+ * a subscription. The recurring scheduler turns due occurrences into
+ * Transaction documents; each generated transaction records the rule and the
+ * occurrence date it came from so an occurrence is never created twice.
+ *
+ * Schedules:
+ * - daily / weekly / monthly / yearly, every `interval` periods
+ * - monthly on the nth weekday (weekOfMonth + dayOfWeek), e.g. the last Friday
+ * - optional end date
+ *
+ * Single occurrences can be skipped or edited through `exceptions`.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Change to one occurrence of a rule, identified by its date
+const ExceptionSchema = new Schema({
+  // Occurrence date (UTC midnight)
+  date: {
+    type: Date,
+    required: true
+  },
+
+  // Skip the occurrence entirely
+  skip: {
+    type: Boolean,
+    default: false
+  },
+
+  // Values used instead of the rule's own for this occurrence
+  amount: Number,
+  description: {
+    type: String,
+    trim: true
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const RecurringRuleSchema = new Schema({
+  // User who owns this rule
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Template for the generated transactions
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  type: {
+    type: String,
+    enum: ['expense', 'income'],
+    default: 'expense'
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Schedule
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    required: [true, 'Frequency is required']
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    default: 1
+  },
+  // Monthly rules only: which weekday of the month (1-5, or -1 for the last)
+  weekOfMonth: {
+    type: Number,
+    enum: [-1, 1, 2, 3, 4, 5],
+    default: null
+  },
+  // Monthly rules only: day of the week for weekOfMonth (0 = Sunday)
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+
+  // Skipped or edited occurrences
+  exceptions: {
+    type: [ExceptionSchema],
+    default: []
+  },
+
+  // Paused rules generate nothing
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Last occurrence date the scheduler has processed
+  lastGeneratedDate: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// An nth-weekday rule needs to know which weekday
+RecurringRuleSchema.pre('validate', function(next) {
+  if (this.weekOfMonth && this.frequency !== 'monthly') {
+    this.invalidate('weekOfMonth', 'Week of month only applies to monthly rules');
+  }
+  if (this.weekOfMonth && (this.dayOfWeek === undefined || this.dayOfWeek === null)) {
+    this.invalidate('dayOfWeek', 'Day of week is required with week of month');
+  }
+  if (this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Used by the scheduler to find rules with due occurrences
+RecurringRuleSchema.index({ active: 1, startDate: 1 });
+
+module.exports = mongoose.model('RecurringRule', RecurringRuleSchema);
@@ -2,12 +2,34 @@
  * Transaction Model
  * 
  * Represents a financial transaction in the system with comprehensive details
- * This is a core data model that tracks all money movements (expenses & income)
+ * This is a core data model that tracks all money movements (expenses, income & transfers)
+ * 
+ * A transfer between two accounts is stored as two linked legs of type
+ * 'transfer': a negative leg on the source account and a positive leg on
+ * the destination account. Each leg points at the other through
+ * linkedTransactionId, and transfers are left out of income/expense analytics.
+ * 
+ * A transaction can also be split across several categories. Each split has
+ * its own category and amount (signed like the transaction amount), and the
+ * splits must add up to the transaction amount. When splits are present they
+ * replace categoryId for reporting purposes.
+ * 
+ * Tags are free-form labels that cut across categories (vacation-2026,
+ * reimbursable, kids). They are stored normalized, see normalizeTags.
+ * 
+ * Receipts and other documents can be attached. Only their metadata lives
+ * here; the files themselves are kept by the attachment storage
+ * (utils/attachments/storage), under a key derived from the owner and the
+ * attachment ID.
+ * 
+ * Transactions imported from bank statements keep the bank's ID for them
+ * (the OFX FITID, or a derived ID for QIF) in externalId. It is unique per
+ * account, so importing the same statement twice does not create duplicates.
  * 
  * Schema Design:
  * - Basic transaction details: amount, description, date, type
- * - Relational data: links to categories
- * - Extended properties: payment method, notes
+ * - Relational data: links to categories, accounts and payees
+ * - Extended properties: tags, attachments, payment method, notes
  * - Auto-managed timestamps
  * - Performance-optimized indexes
  */
@@ -15,7 +37,91 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Largest rounding difference allowed between the splits and the total
+const SPLIT_TOLERANCE = 0.005;
+
+// Longest tag accepted, after normalization
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normalize tags for storage: "#Vacation 2026" becomes "vacation-2026"
+ * Tags are lowercased, lose a leading #, use dashes for spaces and keep only
+ * letters, digits, dashes and underscores. Empty and repeated tags are dropped.
+ *
+ * @param {Array<string>|string} tags - Tags as given
+ * @returns {Array<string>} Normalized tags
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : [tags];
+  const normalized = list
+    .filter(tag => tag !== null && tag !== undefined)
+    .map(tag => String(tag)
+      .trim()
+      .toLowerCase()
+      .replace(/^#+/, '')
+      .replace(/\s+/g, '-')
+      .replace(/[^\p{L}\p{N}_-]/gu, '')
+      .slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+// One part of a transaction attributed to a single category
+const SplitSchema = new Schema({
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Split category is required']
+  },
+  
+  // Signed like the parent amount (negative for expenses)
+  amount: {
+    type: Number,
+    required: [true, 'Split amount is required']
+  },
+  
+  notes: {
+    type: String,
+    trim: true
+  }
+});
+
+// A receipt or document attached to a transaction
+const AttachmentSchema = new Schema({
+  // Name of the file as uploaded
+  filename: {
+    type: String,
+    required: [true, 'Attachment filename is required'],
+    trim: true
+  },
+  
+  contentType: {
+    type: String,
+    required: [true, 'Attachment content type is required']
+  },
+  
+  // Size in bytes
+  size: {
+    type: Number,
+    default: 0
+  },
+  
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const TransactionSchema = new Schema({
+  // User who owns this transaction
+  // Every query is scoped to the signed-in user's ID
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+  
   // The monetary value of the transaction
   // Positive for income, negative for expenses in the application logic
   amount: {
@@ -37,10 +143,10 @@ const TransactionSchema = new Schema({
     required: [true, 'Date is required']
   },
   
-  // Distinguishes between money coming in vs going out
+  // Distinguishes between money coming in, going out, or moving between accounts
   type: {
     type: String,
-    enum: ['expense', 'income'], // Restricts to valid transaction types
+    enum: ['expense', 'income', 'transfer'], // Restricts to valid transaction types
     default: 'expense'           // Most transactions are expenses
   },
   
@@ -52,6 +158,68 @@ const TransactionSchema = new Schema({
     // Will become required in Stage 2
   },
   
+  // Reference to the Account the money moved in or out of
+  // Optional so transactions recorded before accounts existed stay valid
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  
+  // Merchant or person paid, matched from the description by the payee's aliases
+  payeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee',
+    default: null
+  },
+  
+  // The other leg of a transfer (only set when type is 'transfer')
+  linkedTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  
+  // Cross-cutting labels, normalized when set
+  tags: {
+    type: [String],
+    default: [],
+    set: normalizeTags
+  },
+  
+  // Per-category breakdown of the amount (empty when not split)
+  splits: {
+    type: [SplitSchema],
+    default: []
+  },
+  
+  // Receipts and documents, stored by the attachment storage
+  attachments: {
+    type: [AttachmentSchema],
+    default: []
+  },
+  
+  // Recurring rule that generated this transaction, and which occurrence
+  // Together they are unique so the scheduler never creates an occurrence twice
+  recurringRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringRule'
+  },
+  occurrenceDate: {
+    type: Date
+  },
+  
+  // ID of the transaction in the bank statement it was imported from
+  externalId: {
+    type: String,
+    trim: true
+  },
+  
+  // Transactions the user reviewed and said are not duplicates of this one
+  dismissedDuplicateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  
   // Fields for future expansion (Stage 3)
   // How the transaction was paid for
   paymentMethod: {
@@ -70,12 +238,61 @@ const TransactionSchema = new Schema({
   timestamps: true, // Automatically adds createdAt and updatedAt fields
 });
 
+/**
+ * Check that splits add up to a transaction amount
+ * 
+ * @param {Array<Object>} splits - Splits with an amount each
+ * @param {number} amount - Transaction amount
+ * @returns {boolean} True when there are no splits or they match the amount
+ */
+TransactionSchema.statics.splitsMatchAmount = function(splits, amount) {
+  if (!splits || splits.length === 0) return true;
+  
+  const total = splits.reduce((sum, split) => sum + Number(split.amount), 0);
+  return Math.abs(total - Number(amount)) < SPLIT_TOLERANCE;
+};
+
+// Shared with routes that accept tags outside a document (filters, bulk updates)
+TransactionSchema.statics.normalizeTags = normalizeTags;
+
+// Reject splits that do not add up to the transaction amount
+TransactionSchema.pre('validate', function(next) {
+  if (!this.constructor.splitsMatchAmount(this.splits, this.amount)) {
+    this.invalidate('splits', 'Splits must add up to the transaction amount');
+  }
+  next();
+});
+
 // Database indexes for query optimization:
-// 1. Index on date field (descending) for quick date-based lookups and sorting
-TransactionSchema.index({ date: -1 });
+// 1. Index on owner + date (descending) for quick date-based lookups and sorting
+TransactionSchema.index({ ownerId: 1, date: -1 });
+
+// 2. Compound index for owner + category + date queries (common filtering pattern)
+TransactionSchema.index({ ownerId: 1, categoryId: 1, date: -1 });
+
+// 3. Index for computing account balances and filtering by account
+TransactionSchema.index({ ownerId: 1, accountId: 1 });
+
+// 4. Index for finding transactions split into a category
+TransactionSchema.index({ ownerId: 1, 'splits.categoryId': 1 });
+
+// 5. Index for payee lookups and spending per payee
+TransactionSchema.index({ ownerId: 1, payeeId: 1 });
+
+// 6. Index for filtering and grouping by tag
+TransactionSchema.index({ ownerId: 1, tags: 1 });
+
+// 7. One transaction per recurring rule occurrence
+TransactionSchema.index(
+  { recurringRuleId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringRuleId: { $type: 'objectId' } } }
+);
 
-// 2. Compound index for category + date queries (common filtering pattern)
-TransactionSchema.index({ category: 1, date: -1 });
+// 8. One transaction per imported statement entry and account
+TransactionSchema.index(
+  { ownerId: 1, accountId: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
 
 // Export the model to be used in other parts of the application
 module.exports = mongoose.model('Transaction', TransactionSchema);
@@ -0,0 +1,85 @@
+/**
+ * User Model
+ *
+ * Represents a person who signs in to the finance tracker.
+ * Every transaction, category and budget is owned by exactly one user
+ * (via its ownerId field), which keeps each person's ledger isolated
+ * when several people share one deployment.
+ *
+ * Features:
+ * - Case-insensitive unique email used as the login identifier
+ * - Password stored only as a bcrypt hash (never returned in JSON)
+ * - Helper for verifying a candidate password at login
+ * - Automatic timestamps for auditing
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Schema = mongoose.Schema;
+
+// Cost factor for bcrypt hashing
+const SALT_ROUNDS = 10;
+
+const UserSchema = new Schema({
+  // Display name shown in the application header
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+
+  // Login identifier, normalized to lowercase so lookups are case-insensitive
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+
+  // bcrypt hash of the user's password
+  // Excluded from queries by default so it never leaks into API responses
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [6, 'Password must be at least 6 characters'],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Pre-save hook that hashes the password whenever it is set or changed
+ */
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+  next();
+});
+
+/**
+ * Compare a plain-text password against the stored hash
+ * Requires the document to have been loaded with .select('+password')
+ *
+ * @param {string} candidate - Password supplied at login
+ * @returns {Promise<boolean>} True when the password matches
+ */
+UserSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Strip the password hash from any serialized representation
+ */
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,209 @@
+/**
+ * Account routes
+ * Handles all API endpoints for financial accounts and their balances
+ * All routes are scoped to the signed-in user's accounts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Goal = require('../models/Goal');
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'loan'];
+
+/**
+ * Sum transaction amounts per account for a user
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<ObjectId>} [accountIds] - Limit the totals to these accounts
+ * @returns {Promise<Map<string, number>>} Map of account ID to transaction total
+ */
+const getTransactionTotals = async (ownerId, accountIds) => {
+  const match = { ownerId, accountId: { $ne: null } };
+  if (accountIds) match.accountId = { $in: accountIds };
+
+  const totals = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$accountId',
+        total: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(totals.map(t => [t._id.toString(), t]));
+};
+
+/**
+ * Attach currentBalance and transactionCount to account documents
+ *
+ * @param {Array<Object>} accounts - Account documents
+ * @param {Map<string, Object>} totals - Output of getTransactionTotals
+ * @returns {Array<Object>} Plain account objects with computed fields
+ */
+const withBalances = (accounts, totals) => accounts.map(account => {
+  const entry = totals.get(account._id.toString());
+  return {
+    ...account.toObject(),
+    currentBalance: account.openingBalance + (entry ? entry.total : 0),
+    transactionCount: entry ? entry.count : 0
+  };
+});
+
+/**
+ * @route   GET /api/accounts
+ * @desc    Get all accounts with their current balances
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await Account.find({ ownerId: req.user._id }).sort({ name: 1 });
+    const totals = await getTransactionTotals(req.user._id);
+
+    res.json(withBalances(accounts, totals));
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/accounts/:id
+ * @desc    Get account by ID with its current balance
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, ownerId: req.user._id });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const totals = await getTransactionTotals(req.user._id, [account._id]);
+    res.json(withBalances([account], totals)[0]);
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/accounts
+ * @desc    Create a new account
+ * @access  Private
+ */
+router.post('/', [
+  check('name', 'Name is required').not().isEmpty(),
+  check('type', `Type must be one of: ${ACCOUNT_TYPES.join(', ')}`).optional().isIn(ACCOUNT_TYPES),
+  check('openingBalance', 'Opening balance must be a number').optional().isNumeric(),
+  check('color', 'Color must be a valid hex code').optional().matches(/^#([0-9A-F]{3}){1,2}$/i)
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const existingAccount = await Account.findOne({
+      ownerId: req.user._id,
+      name: req.body.name.trim()
+    });
+
+    if (existingAccount) {
+      return res.status(400).json({ message: 'Account already exists' });
+    }
+
+    const newAccount = new Account({ ...req.body, ownerId: req.user._id });
+    const savedAccount = await newAccount.save();
+
+    // A new account has no transactions yet
+    res.status(201).json(withBalances([savedAccount], new Map())[0]);
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/accounts/:id
+ * @desc    Update an account
+ * @access  Private
+ */
+router.put('/:id', [
+  check('name', 'Name is required').optional().not().isEmpty(),
+  check('type', `Type must be one of: ${ACCOUNT_TYPES.join(', ')}`).optional().isIn(ACCOUNT_TYPES),
+  check('openingBalance', 'Opening balance must be a number').optional().isNumeric(),
+  check('color', 'Color must be a valid hex code').optional().matches(/^#([0-9A-F]{3}){1,2}$/i)
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Ownership cannot be changed through the API
+    const { ownerId, ...updates } = req.body;
+
+    const account = await Account.findOneAndUpdate(
+      { _id: req.params.id, ownerId: req.user._id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const totals = await getTransactionTotals(req.user._id, [account._id]);
+    res.json(withBalances([account], totals)[0]);
+  } catch (error) {
+    console.error('Error updating account:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/accounts/:id
+ * @desc    Delete an account that has no transactions
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, ownerId: req.user._id });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    // Refuse to orphan transactions that reference this account
+    const transactionCount = await Transaction.countDocuments({
+      ownerId: req.user._id,
+      accountId: account._id
+    });
+    if (transactionCount > 0) {
+      return res.status(400).json({
+        message: `Cannot delete account. It is used in ${transactionCount} transactions.`
+      });
+    }
+
+    // Goals tracking the account keep their manual contributions
+    await Goal.updateMany(
+      { ownerId: req.user._id, accountId: account._id },
+      { $set: { accountId: null } }
+    );
+    await account.deleteOne();
+    res.json({ message: 'Account removed' });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,91 @@
 /**
  * Analytics routes
  * Provides aggregated financial data for visualization and insights
+ * Every pipeline is scoped to the signed-in user's transactions
+ * Transfers between accounts are neither income nor expenses and are left out
+ * Spending in subcategories rolls up into the parent category
  */
 
 const express = require('express');
 const router = express.Router();
 const Transaction = require('../models/Transaction');
 const Budget = require('../models/Budget');
-const mongoose = require('mongoose');
+const GlobalBudget = require('../models/GlobalBudget');
+const { loadCategoryHierarchy, getRootId, getSubtreeIds } = require('../utils/categoryTree');
+const { EXPAND_SPLITS } = require('../utils/aggregations');
+const {
+  getCoveredCategoryIds,
+  getRolloversIn,
+  loadDailySpending,
+  spentBetween,
+  roundAmount
+} = require('../utils/budgets');
+const { getMonthRange, getQueryRange, getOverlap, coversDay } = require('../utils/budgetPeriods');
+
+/**
+ * Total the amounts of matching transactions per category
+ * Split transactions count toward the category of each split.
+ *
+ * @param {Object} match - $match filter (must include ownerId)
+ * @returns {Promise<Array<Object>>} { _id: categoryId or null, total }
+ */
+const totalsByCategory = (match) => Transaction.aggregate([
+  { $match: match },
+  ...EXPAND_SPLITS,
+  {
+    $group: {
+      _id: '$categoryId',
+      total: { $sum: '$amount' }
+    }
+  }
+]);
+
+/**
+ * Roll per-category totals up into their top-level categories
+ *
+ * @param {Array<Object>} totals - { _id: categoryId or null, total }
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @returns {Array<Object>} { _id: top-level category ID or null, total, breakdown: totals rolled into it }
+ */
+const rollUpTotals = (totals, hierarchy) => {
+  const groups = new Map();
+  totals.forEach(row => {
+    const rootId = getRootId(hierarchy, row._id);
+    const key = rootId || 'uncategorized';
+    if (!groups.has(key)) groups.set(key, { _id: rootId, total: 0, breakdown: [] });
+    const group = groups.get(key);
+    group.total += row.total;
+    group.breakdown.push(row);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * How a category is shown in reports
+ * Totals for deleted categories are reported as uncategorized.
+ *
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @param {ObjectId|null} categoryId - Category to describe
+ * @returns {Object} { id, name, color, icon, parentId }
+ */
+const describeCategory = (hierarchy, categoryId) => {
+  const category = categoryId ? hierarchy.byId.get(String(categoryId)) : null;
+  if (!category) {
+    return { id: categoryId || 'uncategorized', name: 'Uncategorized', color: '#6E7582', icon: 'tag', parentId: null };
+  }
+  return {
+    id: category._id,
+    name: category.name,
+    color: category.color,
+    icon: category.icon,
+    parentId: category.parentId || null
+  };
+};
 
 /**
  * @route   GET /api/analytics/monthly-summary
  * @desc    Get monthly expense/income summary for bar chart (Stage 1)
- * @access  Public
+ * @access  Private
  */
 router.get('/monthly-summary', async (req, res) => {
   try {
@@ -21,8 +94,10 @@ router.get('/monthly-summary', async (req, res) => {
     // Create aggregation pipeline for monthly data
     const monthlySummary = await Transaction.aggregate([
       {
-        // Filter by year
+        // Filter by year, ignoring transfers between accounts
         $match: {
+          ownerId: req.user._id,
+          type: { $ne: 'transfer' },
           date: {
             $gte: new Date(`${year}-01-01`),
             $lte: new Date(`${year}-12-31`)
@@ -103,75 +178,202 @@ router.get('/monthly-summary', async (req, res) => {
   }
 });
 
+// Order report entries by size, whatever their sign
+const byLargestValue = (a, b) => Math.abs(b.value) - Math.abs(a.value);
+
 /**
  * @route   GET /api/analytics/category-summary
  * @desc    Get category-wise expense summary for pie chart (Stage 2)
- * @access  Public
+ *          Totals are per top-level category, with the subcategories' spending
+ *          rolled up and listed in `subcategories` for drilling down.
+ *          Query: startDate, endDate, type ('expense' by default),
+ *          parent (only that category and its subcategories, not rolled up)
+ *          and rollup ('false' for one entry per category)
+ * @access  Private
  */
 router.get('/category-summary', async (req, res) => {
   try {
     const { 
       startDate = new Date(new Date().getFullYear(), new Date().getMonth(), 1), 
       endDate = new Date(),
-      type = 'expense'
+      type = 'expense',
+      parent,
+      rollup = 'true'
     } = req.query;
     
     // Create date objects from string parameters
     const start = new Date(startDate);
     const end = new Date(endDate);
     
-    const categorySummary = await Transaction.aggregate([
+    const hierarchy = await loadCategoryHierarchy(req.user._id);
+    let totals = await totalsByCategory({
+      ownerId: req.user._id,
+      date: { $gte: start, $lte: end },
+      type
+    });
+    
+    const toEntry = (categoryId, total) => ({
+      ...describeCategory(hierarchy, categoryId),
+      value: total
+    });
+    
+    let categorySummary;
+    if (parent || rollup === 'false') {
+      if (parent) {
+        const subtree = getSubtreeIds(hierarchy, parent);
+        totals = totals.filter(row => row._id && subtree.includes(String(row._id)));
+      }
+      categorySummary = totals.map(row => toEntry(row._id, row.total));
+    } else {
+      categorySummary = rollUpTotals(totals, hierarchy).map(group => ({
+        ...toEntry(group._id, group.total),
+        // Only worth drilling into when a subcategory had spending
+        subcategories: group.breakdown.some(row => String(row._id) !== String(group._id))
+          ? group.breakdown.map(row => toEntry(row._id, row.total)).sort(byLargestValue)
+          : []
+      }));
+    }
+    
+    // Largest amounts first (expenses are negative)
+    categorySummary.sort(byLargestValue);
+    
+    res.json(categorySummary);
+  } catch (error) {
+    console.error('Error fetching category summary:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/analytics/top-payees
+ * @desc    Get the payees that received (or paid) the most over a date range
+ *          Query: startDate and endDate (default: this month so far),
+ *          type ('expense' by default, or 'income') and limit (default 10)
+ *          Transactions not linked to a payee are grouped by description,
+ *          with payeeId null, so large unmatched spending still shows up.
+ * @access  Private
+ */
+router.get('/top-payees', async (req, res) => {
+  try {
+    const {
+      startDate = new Date(new Date().getFullYear(), new Date().getMonth(), 1),
+      endDate = new Date(),
+      type = 'expense'
+    } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    const topPayees = await Transaction.aggregate([
       {
         // Filter by date range and transaction type
         $match: {
-          date: { $gte: start, $lte: end },
-          type
+          ownerId: req.user._id,
+          date: { $gte: new Date(startDate), $lte: new Date(endDate) },
+          type: type === 'income' ? 'income' : 'expense'
         }
       },
       {
-        // Join with categories collection
+        // One group per payee, or per description for unlinked transactions
+        $group: {
+          _id: {
+            payeeId: '$payeeId',
+            description: { $cond: [{ $ifNull: ['$payeeId', false] }, null, '$description'] }
+          },
+          total: { $sum: '$amount' },
+          count: { $sum: 1 },
+          lastDate: { $max: '$date' }
+        }
+      },
+      { $addFields: { size: { $abs: '$total' } } },
+      { $sort: { size: -1 } },
+      { $limit: limit },
+      {
+        // Join with payees collection
         $lookup: {
-          from: 'categories',
-          localField: 'category',
+          from: 'payees',
+          localField: '_id.payeeId',
           foreignField: '_id',
-          as: 'categoryInfo'
+          as: 'payeeInfo'
         }
       },
       {
-        // Unwind category array from lookup
         $unwind: {
-          path: '$categoryInfo',
+          path: '$payeeInfo',
           preserveNullAndEmptyArrays: true
         }
       },
-      {
-        // Group by category
-        $group: {
-          _id: '$category',
-          categoryName: { $first: { $ifNull: ['$categoryInfo.name', 'Uncategorized'] } },
-          categoryColor: { $first: { $ifNull: ['$categoryInfo.color', '#6E7582'] } },
-          total: { $sum: '$amount' }
-        }
-      },
-      {
-        // Sort by total amount
-        $sort: { total: -1 }
-      },
       {
         // Project final shape
         $project: {
           _id: 0,
-          id: { $ifNull: ['$_id', 'uncategorized'] },
-          name: '$categoryName',
-          color: '$categoryColor',
-          value: '$total'
+          payeeId: { $ifNull: ['$_id.payeeId', null] },
+          name: { $ifNull: ['$payeeInfo.name', '$_id.description'] },
+          total: 1,
+          count: 1,
+          lastDate: 1
         }
       }
     ]);
-    
-    res.json(categorySummary);
+
+    res.json(topPayees);
   } catch (error) {
-    console.error('Error fetching category summary:', error);
+    console.error('Error fetching top payees:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/analytics/tag-summary
+ * @desc    Get spending (or income) per tag over a date range
+ *          Query: startDate and endDate (default: this month so far) and
+ *          type ('expense' by default, or 'income')
+ *          A transaction with several tags counts toward each of them, so the
+ *          totals can add up to more than was spent; untaggedTotal is what no
+ *          tag covers.
+ * @access  Private
+ */
+router.get('/tag-summary', async (req, res) => {
+  try {
+    const {
+      startDate = new Date(new Date().getFullYear(), new Date().getMonth(), 1),
+      endDate = new Date(),
+      type = 'expense'
+    } = req.query;
+
+    const match = {
+      ownerId: req.user._id,
+      date: { $gte: new Date(startDate), $lte: new Date(endDate) },
+      type: type === 'income' ? 'income' : 'expense'
+    };
+
+    const [tags, untagged] = await Promise.all([
+      Transaction.aggregate([
+        { $match: { ...match, 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        {
+          // Group by tag
+          $group: {
+            _id: '$tags',
+            total: { $sum: '$amount' },
+            count: { $sum: 1 }
+          }
+        },
+        { $addFields: { size: { $abs: '$total' } } },
+        { $sort: { size: -1, _id: 1 } },
+        { $project: { _id: 0, tag: '$_id', total: 1, count: 1 } }
+      ]),
+      Transaction.aggregate([
+        { $match: { ...match, 'tags.0': { $exists: false } } },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      tags,
+      untaggedTotal: untagged[0] ? untagged[0].total : 0,
+      untaggedCount: untagged[0] ? untagged[0].count : 0
+    });
+  } catch (error) {
+    console.error('Error fetching tag summary:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -179,7 +381,7 @@ router.get('/category-summary', async (req, res) => {
 /**
  * @route   GET /api/analytics/monthly-expenses
  * @desc    Get monthly expense data for line/bar chart (used in Dashboard)
- * @access  Public
+ * @access  Private
  */
 router.get('/monthly-expenses', async (req, res) => {
   try {
@@ -188,8 +390,10 @@ router.get('/monthly-expenses', async (req, res) => {
     // Create aggregation pipeline for monthly expense data
     const monthlyExpenses = await Transaction.aggregate([
       {
-        // Filter by year and negative amounts (expenses)
+        // Filter by year and negative amounts (expenses), ignoring transfers
         $match: {
+          ownerId: req.user._id,
+          type: { $ne: 'transfer' },
           date: {
             $gte: new Date(`${year}-01-01`),
             $lte: new Date(`${year}-12-31`)
@@ -251,7 +455,7 @@ router.get('/monthly-expenses', async (req, res) => {
 /**
  * @route   GET /api/analytics/dashboard-summary
  * @desc    Get summary data for dashboard (Stage 2)
- * @access  Public
+ * @access  Private
  */
 router.get('/dashboard-summary', async (req, res) => {
   try {
@@ -268,6 +472,8 @@ router.get('/dashboard-summary', async (req, res) => {
     const currentMonthSummary = await Transaction.aggregate([
       {
         $match: {
+          ownerId: req.user._id,
+          type: { $ne: 'transfer' },
           date: { $gte: currentMonthStart, $lte: currentMonthEnd }
         }
       },
@@ -283,6 +489,8 @@ router.get('/dashboard-summary', async (req, res) => {
     const prevMonthSummary = await Transaction.aggregate([
       {
         $match: {
+          ownerId: req.user._id,
+          type: { $ne: 'transfer' },
           date: { $gte: prevMonthStart, $lte: prevMonthEnd }
         }
       },
@@ -294,55 +502,23 @@ router.get('/dashboard-summary', async (req, res) => {
       }
     ]);
     
-    // Get top 3 spending categories for current month
-    const topCategories = await Transaction.aggregate([
-      {
-        $match: {
-          type: 'expense',
-          date: { $gte: currentMonthStart, $lte: currentMonthEnd }
-        }
-      },
-      {
-        $lookup: {
-          from: 'categories',
-          localField: 'categoryId',
-          foreignField: '_id',
-          as: 'categoryInfo'
-        }
-      },
-      {
-        $unwind: {
-          path: '$categoryInfo',
-          preserveNullAndEmptyArrays: true
-        }
-      },
-      {
-        $group: {
-          _id: '$categoryId',
-          categoryName: { $first: { $ifNull: ['$categoryInfo.name', 'Uncategorized'] } },
-          categoryColor: { $first: { $ifNull: ['$categoryInfo.color', '#6E7582'] } },
-          total: { $sum: '$amount' }
-        }
-      },
-      {
-        $sort: { total: -1 }
-      },
-      {
-        $limit: 3
-      },
-      {
-        $project: {
-          _id: 0,
-          id: { $ifNull: ['$_id', 'uncategorized'] },
-          name: '$categoryName',
-          color: '$categoryColor',
-          amount: '$total'
-        }
-      }
-    ]);
+    // Get top 3 spending categories for current month, subcategories rolled up
+    const hierarchy = await loadCategoryHierarchy(req.user._id);
+    const currentMonthCategoryTotals = await totalsByCategory({
+      ownerId: req.user._id,
+      type: 'expense',
+      date: { $gte: currentMonthStart, $lte: currentMonthEnd }
+    });
+    const topCategories = rollUpTotals(currentMonthCategoryTotals, hierarchy)
+      .sort((a, b) => Math.abs(b.total) - Math.abs(a.total))
+      .slice(0, 3)
+      .map(group => {
+        const { id, name, color } = describeCategory(hierarchy, group._id);
+        return { id, name, color, amount: group.total };
+      });
     
     // Get 5 most recent transactions
-    const recentTransactions = await Transaction.find()
+    const recentTransactions = await Transaction.find({ ownerId: req.user._id })
       .sort({ date: -1 })
       .limit(5)
       .populate('categoryId', 'name color icon');
@@ -385,66 +561,169 @@ router.get('/dashboard-summary', async (req, res) => {
   }
 });
 
+/**
+ * Comparison row for the global budgets covering a window
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} window - { startDate, endDate }
+ * @param {Map} spending - Result of loadDailySpending for the window
+ * @param {Array<Object>} rows - The window's category rows
+ * @returns {Promise<Object|null>} The 'total' row, or null without a global budget
+ */
+const getTotalRow = async (ownerId, window, spending, rows) => {
+  const globalBudgets = await GlobalBudget.find({
+    ownerId,
+    startDate: { $lte: window.endDate },
+    endDate: { $gte: window.startDate }
+  }).sort({ startDate: 1 });
+  if (globalBudgets.length === 0) return null;
+  
+  // Prorated like category budgets; spending of every category counts
+  const allCategoryIds = [...spending.keys()];
+  const totals = globalBudgets.reduce((sum, globalBudget) => {
+    const overlap = getOverlap(globalBudget, window);
+    return {
+      amount: sum.amount + globalBudget.amount * overlap.share,
+      actual: sum.actual + spentBetween(spending, allCategoryIds, overlap.startDate, overlap.endDate),
+      prorated: sum.prorated || overlap.share < 1
+    };
+  }, { amount: 0, actual: 0, prorated: false });
+  
+  const budgetedIds = new Set(rows.map(row => String(row.category.id)));
+  const allocated = roundAmount(rows
+    .filter(row => row.status !== 'unbudgeted')
+    .filter(row => !row.category.parentId || !budgetedIds.has(String(row.category.parentId)))
+    .reduce((sum, row) => sum + row.baseAmount, 0));
+  
+  const amount = roundAmount(totals.amount);
+  const actual = roundAmount(totals.actual);
+  const difference = roundAmount(amount - actual);
+  const percentage = amount > 0 ? (actual / amount) * 100 : (actual > 0 ? 100 : 0);
+  const periods = [...new Set(globalBudgets.map(globalBudget => globalBudget.period))];
+  
+  return {
+    id: 'total',
+    scope: 'total',
+    budgetIds: globalBudgets.map(globalBudget => globalBudget._id),
+    category: null,
+    period: periods.length === 1 ? periods[0] : 'mixed',
+    prorated: totals.prorated,
+    budgeted: amount,
+    baseAmount: amount,
+    rolloverIn: 0,
+    available: amount,
+    rollover: 'none',
+    actual,
+    difference,
+    percentage: Math.min(percentage, 100), // Cap at 100%
+    status: difference >= 0 ? 'within' : 'exceeded',
+    allocated,
+    unallocated: roundAmount(amount - allocated)
+  };
+};
+
 /**
  * @route   GET /api/analytics/budget-comparison
  * @desc    Get budget vs actual comparison (Stage 3)
- * @access  Public
+ *          The window is startDate-endDate, a month (month and year), a year,
+ *          or the current month by default. A budget whose period only partly
+ *          overlaps the window counts in proportion to the days that overlap
+ *          (a yearly budget seen over one month), and budgets of the same
+ *          category in the window are added up (weekly budgets seen over a
+ *          month); actual spending is counted over the same days.
+ *          A budget on a top-level category covers its subcategories too; a
+ *          budget on a subcategory covers only that subcategory. Spending no
+ *          budget covers is listed per top-level category as 'unbudgeted'.
+ *          Each row reports its baseAmount, the rolloverIn carried from
+ *          earlier periods, and the available total (budgeted) that spending
+ *          is compared against.
+ *          When a global budget covers the window, a first row with scope
+ *          'total' compares it with all spending, and reports how much of it
+ *          category budgets take up (allocated) and what is left (unallocated).
+ *          A subcategory's budget counts as allocated only when its parent has
+ *          no budget, as the parent's budget already covers it.
+ * @access  Private
  */
 router.get('/budget-comparison', async (req, res) => {
   try {
-    const { month = new Date().getMonth() + 1, year = new Date().getFullYear() } = req.query;
-    
-    // Create date range for the month
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0);
+    const now = new Date();
+    const window = getQueryRange(req.query) || getMonthRange(now.getMonth() + 1, now.getFullYear());
+    if (window.error) {
+      return res.status(400).json({ message: window.error });
+    }
     
-    // Get all budgets for the month/year
+    // Get all budgets whose period overlaps the window
     const budgets = await Budget.find({
-      month: parseInt(month),
-      year: parseInt(year)
-    }).populate('categoryId', 'name color icon');
-    
-    // Get all expense transactions for the month grouped by category
-    const actualExpenses = await Transaction.aggregate([
-      {
-        $match: {
-          type: 'expense',
-          date: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: '$categoryId',
-          actual: { $sum: '$amount' }
-        }
-      }
-    ]);
+      ownerId: req.user._id,
+      startDate: { $lte: window.endDate },
+      endDate: { $gte: window.startDate }
+    })
+      .sort({ startDate: 1 })
+      .populate('categoryId', 'name color icon parentId');
+    
+    // Spending per category per day in the window (positive amounts)
+    const hierarchy = await loadCategoryHierarchy(req.user._id);
+    const spending = await loadDailySpending(req.user._id, window.startDate, window.endDate);
+    const rollovers = await getRolloversIn(req.user._id, budgets, hierarchy);
+    
+    // Budgets per category, oldest period first
+    const budgetsByCategory = new Map();
+    budgets.forEach(budget => {
+      const categoryId = String(budget.categoryId._id);
+      if (!budgetsByCategory.has(categoryId)) budgetsByCategory.set(categoryId, []);
+      budgetsByCategory.get(categoryId).push(budget);
+    });
     
-    // Create comparison data
-    const comparison = budgets.map(budget => {
-      // Find actual expense for this budget's category
-      const expense = actualExpenses.find(e => 
-        e._id && budget.categoryId._id.equals(e._id)
-      );
+    // Create comparison data, one row per budgeted category
+    const comparison = [...budgetsByCategory.values()].map(group => {
+      const category = group[0].categoryId;
+      
+      // A parent's budget includes what was spent in its subcategories
+      const coveredIds = getCoveredCategoryIds(hierarchy, category._id);
+      
+      // Each budget's share of the window, with what it carried in from
+      // earlier periods, and the spending over the days it covers
+      const totals = group.reduce((sum, budget) => {
+        const overlap = getOverlap(budget, window);
+        return {
+          baseAmount: sum.baseAmount + budget.amount * overlap.share,
+          rolloverIn: sum.rolloverIn + (rollovers.get(String(budget._id)) || 0) * overlap.share,
+          actual: sum.actual + spentBetween(spending, coveredIds, overlap.startDate, overlap.endDate),
+          prorated: sum.prorated || overlap.share < 1
+        };
+      }, { baseAmount: 0, rolloverIn: 0, actual: 0, prorated: false });
       
-      // Calculate actual amount (default to 0 if no transactions found)
-      const actualAmount = expense ? expense.actual : 0;
+      const baseAmount = roundAmount(totals.baseAmount);
+      const rolloverIn = roundAmount(totals.rolloverIn);
+      const available = roundAmount(totals.baseAmount + totals.rolloverIn);
+      const actualAmount = roundAmount(totals.actual);
       
       // Calculate difference and percentage
-      const difference = budget.amount - actualAmount;
-      const percentage = budget.amount > 0 
-        ? (actualAmount / budget.amount) * 100 
-        : 0;
+      const difference = available - actualAmount;
+      const percentage = available > 0 
+        ? (actualAmount / available) * 100 
+        : (actualAmount > 0 ? 100 : 0);
+      
+      const periods = [...new Set(group.map(budget => budget.period || 'monthly'))];
       
       return {
-        id: budget._id,
+        id: group.length === 1 ? group[0]._id : `category-${category._id}`,
+        scope: 'category',
+        budgetIds: group.map(budget => budget._id),
         category: {
-          id: budget.categoryId._id,
-          name: budget.categoryId.name,
-          color: budget.categoryId.color,
-          icon: budget.categoryId.icon
+          id: category._id,
+          name: category.name,
+          color: category.color,
+          icon: category.icon,
+          parentId: category.parentId || null
         },
-        budgeted: budget.amount,
+        period: periods.length === 1 ? periods[0] : 'mixed',
+        prorated: totals.prorated,
+        budgeted: available,
+        baseAmount,
+        rolloverIn,
+        available,
+        rollover: group[group.length - 1].rollover || 'none',
         actual: actualAmount,
         difference,
         percentage: Math.min(percentage, 100), // Cap at 100%
@@ -452,50 +731,49 @@ router.get('/budget-comparison', async (req, res) => {
       };
     });
     
-    // Add categories with expenses but no budget
-    const categoriesWithoutBudget = actualExpenses
-      .filter(expense => expense._id && // Filter out null categories
-        !budgets.some(budget => 
-          budget.categoryId._id.equals(expense._id)
-        )
-      );
-    
-    // If we have categories with expenses but no budget, fetch their details
-    if (categoriesWithoutBudget.length > 0) {
-      // Get category details
-      const categoryIds = categoriesWithoutBudget.map(e => e._id);
-      
-      const categories = await mongoose.model('Category').find({
-        _id: { $in: categoryIds }
-      });
-      
-      // Add to comparison data
-      categoriesWithoutBudget.forEach(expense => {
-        const category = categories.find(c => c._id.equals(expense._id));
-        
-        if (category) {
-          comparison.push({
-            id: `unbudgeted-${category._id}`,
-            category: {
-              id: category._id,
-              name: category.name,
-              color: category.color,
-              icon: category.icon
-            },
-            budgeted: 0,
-            actual: expense.actual,
-            difference: -expense.actual,
-            percentage: 100, // Always 100% as there's no budget
-            status: 'unbudgeted'
-          });
-        }
+    // Spending on days not covered by a budget on its category or its
+    // parent, grouped by top-level category
+    const isBudgeted = (categoryId, day) => (budgetsByCategory.get(categoryId) || [])
+      .some(budget => coversDay(budget, day));
+    const uncovered = [];
+    spending.forEach((days, categoryId) => {
+      if (!hierarchy.byId.has(categoryId)) return;
+      const rootId = getRootId(hierarchy, categoryId);
+      const total = days
+        .filter(({ day }) => !isBudgeted(categoryId, day) && !isBudgeted(rootId, day))
+        .reduce((sum, { amount }) => sum + amount, 0);
+      if (total > 0) uncovered.push({ _id: categoryId, total });
+    });
+    
+    rollUpTotals(uncovered, hierarchy)
+      .forEach(group => {
+        const { id, name, color, icon, parentId } = describeCategory(hierarchy, group._id);
+        const actual = roundAmount(group.total);
+        comparison.push({
+          id: `unbudgeted-${id}`,
+          scope: 'category',
+          budgetIds: [],
+          category: { id, name, color, icon, parentId },
+          period: null,
+          prorated: false,
+          budgeted: 0,
+          baseAmount: 0,
+          rolloverIn: 0,
+          available: 0,
+          rollover: 'none',
+          actual,
+          difference: -actual,
+          percentage: 100, // Always 100% as there's no budget
+          status: 'unbudgeted'
+        });
       });
-    }
     
     // Sort by percentage (highest first)
     comparison.sort((a, b) => b.percentage - a.percentage);
     
-    res.json(comparison);
+    const total = await getTotalRow(req.user._id, window, spending, comparison);
+    
+    res.json(total ? [total, ...comparison] : comparison);
   } catch (error) {
     console.error('Error fetching budget comparison:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -505,7 +783,7 @@ router.get('/budget-comparison', async (req, res) => {
 /**
  * @route   GET /api/analytics/insights
  * @desc    Get spending insights (Stage 3)
- * @access  Public
+ * @access  Private
  */
 router.get('/insights', async (req, res) => {
   try {
@@ -523,6 +801,7 @@ router.get('/insights', async (req, res) => {
     const currentMonthSpending = await Transaction.aggregate([
       {
         $match: {
+          ownerId: req.user._id,
           type: 'expense',
           date: { $gte: thisMonthStart, $lte: now }
         }
@@ -540,6 +819,7 @@ router.get('/insights', async (req, res) => {
     const lastMonthSpending = await Transaction.aggregate([
       {
         $match: {
+          ownerId: req.user._id,
           type: 'expense',
           date: { $gte: lastMonthStart, $lte: lastMonthEnd }
         }
@@ -557,6 +837,7 @@ router.get('/insights', async (req, res) => {
     const dailySpending = await Transaction.aggregate([
       {
         $match: {
+          ownerId: req.user._id,
           type: 'expense',
           date: { $gte: thisMonthStart, $lte: now }
         }
@@ -576,75 +857,31 @@ router.get('/insights', async (req, res) => {
       }
     ]);
     
-    // Get category with the most significant increase
-    const currentMonthCategorySpending = await Transaction.aggregate([
-      {
-        $match: {
-          type: 'expense',
-          date: { $gte: thisMonthStart, $lte: now }
-        }
-      },
-      {
-        $lookup: {
-          from: 'categories',
-          localField: 'category',
-          foreignField: '_id',
-          as: 'categoryInfo'
-        }
-      },
-      {
-        $unwind: {
-          path: '$categoryInfo',
-          preserveNullAndEmptyArrays: true
-        }
-      },
-      {
-        $group: {
-          _id: '$category',
-          categoryName: { $first: { $ifNull: ['$categoryInfo.name', 'Uncategorized'] } },
-          total: { $sum: '$amount' }
-        }
-      }
-    ]);
+    // Get category with the most significant increase, subcategories rolled up
+    const hierarchy = await loadCategoryHierarchy(req.user._id);
+    const toSpending = group => ({
+      _id: group._id,
+      categoryName: describeCategory(hierarchy, group._id).name,
+      total: group.total
+    });
     
-    const lastMonthCategorySpending = await Transaction.aggregate([
-      {
-        $match: {
-          type: 'expense',
-          date: { $gte: lastMonthStart, $lte: lastMonthEnd }
-        }
-      },
-      {
-        $lookup: {
-          from: 'categories',
-          localField: 'category',
-          foreignField: '_id',
-          as: 'categoryInfo'
-        }
-      },
-      {
-        $unwind: {
-          path: '$categoryInfo',
-          preserveNullAndEmptyArrays: true
-        }
-      },
-      {
-        $group: {
-          _id: '$category',
-          categoryName: { $first: { $ifNull: ['$categoryInfo.name', 'Uncategorized'] } },
-          total: { $sum: '$amount' }
-        }
-      }
-    ]);
+    const currentMonthCategorySpending = rollUpTotals(await totalsByCategory({
+      ownerId: req.user._id,
+      type: 'expense',
+      date: { $gte: thisMonthStart, $lte: now }
+    }), hierarchy).map(toSpending);
+    
+    const lastMonthCategorySpending = rollUpTotals(await totalsByCategory({
+      ownerId: req.user._id,
+      type: 'expense',
+      date: { $gte: lastMonthStart, $lte: lastMonthEnd }
+    }), hierarchy).map(toSpending);
     
     // Calculate category spending differences
     const categoryChanges = [];
     
     currentMonthCategorySpending.forEach(current => {
-      const lastMonth = lastMonthCategorySpending.find(last => 
-        (current._id && last._id && current._id.equals(last._id)) ||
-        (current._id === null && last._id === null)
-      );
+      const lastMonth = lastMonthCategorySpending.find(last => String(last._id) === String(current._id));
       
       const lastMonthTotal = lastMonth ? lastMonth.total : 0;
       const change = lastMonthTotal === 0 
@@ -664,10 +901,7 @@ router.get('/insights', async (req, res) => {
     
     // Also check for categories that had spending last month but not this month
     lastMonthCategorySpending.forEach(last => {
-      const hasCurrent = currentMonthCategorySpending.some(current => 
-        (current._id && last._id && current._id.equals(last._id)) ||
-        (current._id === null && last._id === null)
-      );
+      const hasCurrent = currentMonthCategorySpending.some(current => String(current._id) === String(last._id));
       
       if (!hasCurrent && last.total > 0) {
         categoryChanges.push({
@@ -0,0 +1,96 @@
+/**
+ * Auth routes
+ * Handles registration, login and retrieval of the signed-in user
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { auth, signToken } = require('../middleware/auth');
+const { buildDefaultCategories } = require('../utils/defaultCategories');
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Create a user account and return a token
+ * @access  Public
+ */
+router.post('/register', [
+  check('name', 'Name is required').not().isEmpty(),
+  check('email', 'A valid email is required').isEmail(),
+  check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, email, password } = req.body;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+
+    const user = await new User({ name, email, password }).save();
+
+    // Give every new account its own copy of the default categories; an
+    // account left without them is removed so the email can register again
+    try {
+      await Category.insertMany(buildDefaultCategories(user._id));
+    } catch (error) {
+      await Category.deleteMany({ ownerId: user._id });
+      await User.deleteOne({ _id: user._id });
+      throw error;
+    }
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Authenticate with email and password and return a token
+ * @access  Public
+ */
+router.post('/login', [
+  check('email', 'A valid email is required').isEmail(),
+  check('password', 'Password is required').not().isEmpty()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the currently signed-in user
+ * @access  Private
+ */
+router.get('/me', auth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
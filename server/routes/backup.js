@@ -0,0 +1,86 @@
+/**
+ * Backup routes
+ * Downloads everything the signed-in user owns as one versioned JSON file,
+ * and restores such a file by replacing or merging with the current data
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { RESTORE_MODES, createBackup, validateBackup, restoreBackup } = require('../utils/backup');
+const { toDateKey } = require('../utils/recurrence');
+
+// Backups hold everything a user owns, so restores accept large bodies
+// (server/index.js leaves this route to this parser)
+const parseBackupBody = express.json({ limit: '50mb' });
+
+/**
+ * @route   GET /api/backup
+ * @desc    Download a backup of all the user's data
+ *          (accounts, categories, recurring rules, transactions, budgets)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const backup = await createBackup(req.user._id);
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="finance-backup-${toDateKey(new Date())}.json"`);
+    res.send(JSON.stringify(backup, null, 2));
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/backup/restore
+ * @desc    Restore a backup file
+ *          Body:
+ *          - backup: parsed contents of a file from GET /api/backup
+ *          - mode: 'merge' (default) adds records the user does not have yet;
+ *            'replace' deletes all the user's data first
+ *          - dryRun: validate and report counts without writing anything
+ *          Responds with 400 and the problems found when the file is not valid
+ * @access  Private
+ */
+router.post('/restore', parseBackupBody, [
+  check('backup', 'Backup is required').isObject(),
+  check('mode', `Mode must be one of: ${RESTORE_MODES.join(', ')}`).optional().isIn(RESTORE_MODES),
+  check('dryRun', 'Dry run must be true or false').optional().isBoolean()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { backup, mode = 'merge', dryRun = false } = req.body;
+
+    const { errors: problems, warnings } = await validateBackup(backup);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        message: 'Backup file is not valid',
+        errors: problems.map(msg => ({ msg })),
+        warnings
+      });
+    }
+
+    const entities = await restoreBackup(backup, req.user._id, { mode, dryRun: Boolean(dryRun) });
+
+    res.json({
+      mode,
+      dryRun: Boolean(dryRun),
+      version: backup.version,
+      createdAt: backup.createdAt || null,
+      entities,
+      warnings
+    });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
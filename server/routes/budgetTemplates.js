@@ -0,0 +1,238 @@
+/**
+ * Budget template routes
+ * Manages named sets of category budgets ("Normal month", "Holiday month")
+ * and applies them to a month
+ * All routes are scoped to the signed-in user's templates
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const BudgetTemplate = require('../models/BudgetTemplate');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const { ROLLOVER_MODES, CONFLICT_MODES, applyBudgetItems } = require('../utils/budgets');
+
+// Category fields shown with each template item
+const CATEGORY_FIELDS = 'name color parentId archived';
+
+/**
+ * Validation shared by create and update
+ * On update every field is optional
+ */
+const templateValidation = (optional = false) => [
+  optional
+    ? check('name', 'Name is required').optional().trim().not().isEmpty()
+    : check('name', 'Name is required').trim().not().isEmpty(),
+  check('items', 'Items must be a list').optional().isArray(),
+  check('items.*.categoryId', 'Invalid category').isMongoId(),
+  check('items.*.amount', 'Amount must be a positive number').isFloat({ min: 0 }),
+  check('items.*.rollover', 'Rollover must be none, unspent or all')
+    .optional()
+    .isIn(['none', ...ROLLOVER_MODES])
+];
+
+/**
+ * Check that every item's category belongs to the user
+ *
+ * @param {Array<Object>} items - Template items from the request body
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<boolean>} True when all categories are the user's
+ */
+const ownsItemCategories = async (items, ownerId) => {
+  const categoryIds = [...new Set(items.map(item => String(item.categoryId)))];
+  const owned = await Category.countDocuments({ ownerId, _id: { $in: categoryIds } });
+  return owned === categoryIds.length;
+};
+
+/**
+ * Keep only the item fields a client may set
+ */
+const pickItems = (items) => items.map(({ categoryId, amount, rollover, notes }) => ({
+  categoryId,
+  amount: parseFloat(amount),
+  rollover: rollover || 'none',
+  notes
+}));
+
+/**
+ * Check that no other template of the user has this name
+ */
+const nameTaken = (name, ownerId, exceptId) => BudgetTemplate.exists({
+  ownerId,
+  name: name.trim(),
+  ...(exceptId ? { _id: { $ne: exceptId } } : {})
+});
+
+/**
+ * @route   GET /api/budget-templates
+ * @desc    Get all budget templates with their items' categories
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await BudgetTemplate.find({ ownerId: req.user._id })
+      .sort({ name: 1 })
+      .populate('items.categoryId', CATEGORY_FIELDS);
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching budget templates:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/budget-templates
+ * @desc    Create a budget template
+ *          Body: { name, items: [{ categoryId, amount, rollover, notes }] },
+ *          or { name, fromMonth, fromYear } to save that month's monthly budgets
+ * @access  Private
+ */
+router.post('/', [
+  ...templateValidation(),
+  check('fromMonth', 'Month must be between 1-12').optional().isInt({ min: 1, max: 12 }),
+  check('fromYear', 'Year must be valid').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (await nameTaken(req.body.name, req.user._id)) {
+      return res.status(400).json({ message: 'A template with this name already exists' });
+    }
+
+    let items;
+    if (req.body.fromMonth && req.body.fromYear) {
+      items = await Budget.find({
+        ownerId: req.user._id,
+        period: 'monthly',
+        month: parseInt(req.body.fromMonth, 10),
+        year: parseInt(req.body.fromYear, 10)
+      }).lean();
+      if (items.length === 0) {
+        return res.status(400).json({ message: 'There are no monthly budgets in that month to save' });
+      }
+    } else {
+      items = req.body.items || [];
+      if (!(await ownsItemCategories(items, req.user._id))) {
+        return res.status(400).json({ message: 'Invalid category' });
+      }
+    }
+
+    const template = await BudgetTemplate.create({
+      ownerId: req.user._id,
+      name: req.body.name,
+      items: pickItems(items)
+    });
+    await template.populate('items.categoryId', CATEGORY_FIELDS);
+
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error creating budget template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/budget-templates/:id
+ * @desc    Rename a template or replace its items
+ * @access  Private
+ */
+router.put('/:id', templateValidation(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const template = await BudgetTemplate.findOne({ _id: req.params.id, ownerId: req.user._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (req.body.name !== undefined) {
+      if (await nameTaken(req.body.name, req.user._id, template._id)) {
+        return res.status(400).json({ message: 'A template with this name already exists' });
+      }
+      template.name = req.body.name;
+    }
+
+    if (req.body.items !== undefined) {
+      if (!(await ownsItemCategories(req.body.items, req.user._id))) {
+        return res.status(400).json({ message: 'Invalid category' });
+      }
+      template.items = pickItems(req.body.items);
+    }
+
+    await template.save();
+    await template.populate('items.categoryId', CATEGORY_FIELDS);
+    res.json(template);
+  } catch (error) {
+    console.error('Error updating budget template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/budget-templates/:id
+ * @desc    Delete a budget template (budgets created from it are kept)
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await BudgetTemplate.findOneAndDelete({ _id: req.params.id, ownerId: req.user._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ message: 'Template removed' });
+  } catch (error) {
+    console.error('Error deleting budget template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/budget-templates/:id/apply
+ * @desc    Create the template's budgets as monthly budgets for a month
+ *          Body: { month, year, onConflict }. When the month already has a
+ *          budget for a category, onConflict decides: skip (default) keeps
+ *          it, overwrite replaces it, add adds the template's amount to it.
+ *          Items for deleted or archived categories are left out.
+ * @access  Private
+ */
+router.post('/:id/apply', [
+  check('month', 'Month is required').isInt({ min: 1, max: 12 }),
+  check('year', 'Year is required').isInt({ min: 2000, max: 2100 }),
+  check('onConflict', 'onConflict must be skip, overwrite or add').optional().isIn(CONFLICT_MODES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const template = await BudgetTemplate.findOne({ _id: req.params.id, ownerId: req.user._id }).lean();
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const month = parseInt(req.body.month, 10);
+    const year = parseInt(req.body.year, 10);
+    const result = await applyBudgetItems(
+      req.user._id,
+      template.items,
+      month,
+      year,
+      req.body.onConflict || 'skip'
+    );
+    res.json({ to: { month, year }, ...result });
+  } catch (error) {
+    console.error('Error applying budget template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
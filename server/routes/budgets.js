@@ -1,56 +1,363 @@
 /**
  * Budget routes
  * Handles all API endpoints for budget operations (Stage 3)
+ * All routes are scoped to the signed-in user's budgets
  */
 
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const Budget = require('../models/Budget');
+const GlobalBudget = require('../models/GlobalBudget');
+const Category = require('../models/Category');
+const { loadCategoryHierarchy } = require('../utils/categoryTree');
+const { ROLLOVER_MODES, CONFLICT_MODES, withRollovers, applyBudgetItems, roundAmount } = require('../utils/budgets');
+const { PERIOD_TYPES, resolvePeriod, getQueryRange } = require('../utils/budgetPeriods');
+const { getEnvelopes, validateMove, findMoveBudgets, moveEnvelopeMoney } = require('../utils/envelopes');
+
+const ROLLOVER_MESSAGE = 'Rollover must be none, unspent or all';
+const CONFLICT_MESSAGE = 'onConflict must be skip, overwrite or add';
+const PERIOD_MESSAGE = 'Period must be weekly, monthly, quarterly, yearly or custom';
+const OVERLAP_MESSAGE = 'This category already has a budget for part of that period';
+const GLOBAL_OVERLAP_MESSAGE = 'There is already a total budget for part of that period';
+
+// Fields that decide a budget's dates
+const PERIOD_FIELDS = ['period', 'startDate', 'endDate', 'month', 'year'];
+
+/**
+ * Validation shared by create and update for the budget's period
+ */
+const periodValidation = [
+  check('period', PERIOD_MESSAGE).optional().isIn(PERIOD_TYPES),
+  check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid date').optional().isISO8601(),
+  check('month', 'Month must be between 1-12').optional().isInt({ min: 1, max: 12 }),
+  check('year', 'Year must be valid').optional().isInt({ min: 2000, max: 2100 })
+];
+
+/**
+ * Validation shared by create and update for budget alert thresholds
+ */
+const alertValidation = [
+  check('alertThresholds', 'Alert thresholds must be a list').optional().isArray({ max: 10 }),
+  check('alertThresholds.*', 'Alert thresholds must be whole percentages from 1 to 1000').isInt({ min: 1, max: 1000 })
+];
+
+/**
+ * Find another budget whose period overlaps the given dates
+ *
+ * @param {Model} Model - Budget or GlobalBudget
+ * @param {Object} filter - Owner, and category for category budgets
+ * @param {Object} range - { startDate, endDate }
+ * @param {ObjectId} [exceptId] - Budget being updated
+ */
+const findOverlapping = (Model, filter, { startDate, endDate }, exceptId) => Model.findOne({
+  ...filter,
+  startDate: { $lte: endDate },
+  endDate: { $gte: startDate },
+  ...(exceptId ? { _id: { $ne: exceptId } } : {})
+});
+
+/**
+ * New period of a budget being updated
+ * Period fields that are not sent keep the budget's values; month and year
+ * without a startDate move the budget to that month.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} budget - The budget as it is now
+ * @returns {Object|null} Result of resolvePeriod, or null when the period is unchanged
+ */
+const resolveUpdatedPeriod = (body, budget) => {
+  if (!PERIOD_FIELDS.some(field => body[field] !== undefined)) return null;
+
+  const movesMonth = !body.startDate && (body.month || body.year);
+  return resolvePeriod({
+    period: body.period || budget.period,
+    startDate: body.startDate || (movesMonth ? undefined : budget.startDate),
+    endDate: body.endDate || budget.endDate,
+    month: body.month || budget.month,
+    year: body.year || budget.year
+  });
+};
+
+/**
+ * MongoDB filter for documents whose period overlaps a query's date range
+ *
+ * @param {Object} query - Request query (see getQueryRange)
+ * @returns {Object} { filter } or { error }
+ */
+const overlapFilter = (query) => {
+  const range = getQueryRange(query);
+  if (!range) return { filter: {} };
+  if (range.error) return { error: range.error };
+  return { filter: { startDate: { $lte: range.endDate }, endDate: { $gte: range.startDate } } };
+};
+
+/**
+ * Add rolloverIn and available to budgets before sending them
+ */
+const addRollovers = async (ownerId, budgets) =>
+  withRollovers(ownerId, budgets, await loadCategoryHierarchy(ownerId));
 
 /**
  * @route   GET /api/budgets
- * @desc    Get all budgets with optional filtering by month/year
- * @access  Public
+ * @desc    Get all budgets, optionally only those whose period overlaps
+ *          startDate-endDate, a month (month and year) or a year
+ *          Each budget includes rolloverIn (carried from earlier periods) and
+ *          available (amount plus rolloverIn)
+ * @access  Private
  */
 router.get('/', async (req, res) => {
   try {
-    const { month, year } = req.query;
-    
-    // Build filter object
-    const filter = {};
+    const range = overlapFilter(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
     
-    // Month/year filter
-    if (month) filter.month = parseInt(month);
-    if (year) filter.year = parseInt(year);
+    // Build filter object, always restricted to the signed-in user
+    const filter = { ownerId: req.user._id, ...range.filter };
     
     // Execute query with population
     const budgets = await Budget.find(filter)
-      .populate('categoryId', 'name color icon type')
-      .sort({ 'categoryId.name': 1 });
+      .populate('categoryId', 'name color icon type parentId')
+      .sort({ startDate: -1 });
     
-    res.json(budgets);
+    res.json(await addRollovers(req.user._id, budgets));
   } catch (error) {
     console.error('Error fetching budgets:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+/**
+ * @route   GET /api/budgets/global
+ * @desc    Get global budgets (caps on total spending, whatever the category),
+ *          optionally only those whose period overlaps startDate-endDate, a
+ *          month (month and year) or a year
+ * @access  Private
+ */
+router.get('/global', async (req, res) => {
+  try {
+    const range = overlapFilter(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+    
+    const globalBudgets = await GlobalBudget.find({ ownerId: req.user._id, ...range.filter })
+      .sort({ startDate: -1 });
+    res.json(globalBudgets);
+  } catch (error) {
+    console.error('Error fetching global budgets:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/budgets/global
+ * @desc    Create a global budget
+ *          The period works as for category budgets. Global budgets cannot
+ *          overlap each other.
+ * @access  Private
+ */
+router.post('/global', [
+  check('amount', 'Amount is required').not().isEmpty(),
+  check('amount', 'Amount must be a positive number').isFloat({ min: 0 }),
+  ...periodValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const period = resolvePeriod(req.body);
+    if (period.error) {
+      return res.status(400).json({ message: period.error });
+    }
+    
+    if (await findOverlapping(GlobalBudget, { ownerId: req.user._id }, period)) {
+      return res.status(400).json({ message: GLOBAL_OVERLAP_MESSAGE });
+    }
+    
+    const globalBudget = await GlobalBudget.create({
+      ownerId: req.user._id,
+      amount: parseFloat(req.body.amount),
+      notes: req.body.notes,
+      ...period
+    });
+    res.status(201).json(globalBudget);
+  } catch (error) {
+    console.error('Error creating global budget:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/budgets/global/:id
+ * @desc    Update a global budget's amount, period or notes
+ * @access  Private
+ */
+router.put('/global/:id', [
+  check('amount', 'Amount must be a positive number').optional().isFloat({ min: 0 }),
+  ...periodValidation
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const globalBudget = await GlobalBudget.findOne({ _id: req.params.id, ownerId: req.user._id });
+    if (!globalBudget) {
+      return res.status(404).json({ message: 'Global budget not found' });
+    }
+    
+    const period = resolveUpdatedPeriod(req.body, globalBudget);
+    if (period && period.error) {
+      return res.status(400).json({ message: period.error });
+    }
+    if (period) {
+      if (await findOverlapping(GlobalBudget, { ownerId: req.user._id }, period, globalBudget._id)) {
+        return res.status(400).json({ message: GLOBAL_OVERLAP_MESSAGE });
+      }
+      globalBudget.set(period);
+    }
+    
+    if (req.body.amount !== undefined) globalBudget.amount = parseFloat(req.body.amount);
+    if (req.body.notes !== undefined) globalBudget.notes = req.body.notes;
+    
+    await globalBudget.save();
+    res.json(globalBudget);
+  } catch (error) {
+    console.error('Error updating global budget:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/budgets/global/:id
+ * @desc    Delete a global budget
+ * @access  Private
+ */
+router.delete('/global/:id', async (req, res) => {
+  try {
+    const globalBudget = await GlobalBudget.findOneAndDelete({ _id: req.params.id, ownerId: req.user._id });
+    if (!globalBudget) {
+      return res.status(404).json({ message: 'Global budget not found' });
+    }
+    
+    res.json({ message: 'Global budget removed' });
+  } catch (error) {
+    console.error('Error deleting global budget:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * Month and year asked for, the current (UTC) month by default
+ */
+const getRequestedMonth = ({ month, year }) => {
+  const now = new Date();
+  return {
+    month: month ? parseInt(month, 10) : now.getUTCMonth() + 1,
+    year: year ? parseInt(year, 10) : now.getUTCFullYear()
+  };
+};
+
+/**
+ * @route   GET /api/budgets/envelopes
+ * @desc    Get envelopes for a month (month and year, default the current
+ *          month): each top-level expense category with what was carried in
+ *          from earlier months, assigned and spent this month, and its
+ *          balance, plus the ready-to-assign pool that income fills
+ *          (see utils/envelopes)
+ * @access  Private
+ */
+router.get('/envelopes', [
+  check('month', 'Month must be between 1-12').optional().isInt({ min: 1, max: 12 }),
+  check('year', 'Year must be valid').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { month, year } = getRequestedMonth(req.query);
+    const hierarchy = await loadCategoryHierarchy(req.user._id);
+    res.json(await getEnvelopes(req.user._id, hierarchy, month, year));
+  } catch (error) {
+    console.error('Error fetching envelopes:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/budgets/envelopes/move
+ * @desc    Move money between envelopes in a month
+ *          Leave out fromCategoryId to assign money from the ready-to-assign
+ *          pool (no more than it holds), or toCategoryId to return it there.
+ *          The envelopes' monthly budgets change by the amount moved; an
+ *          envelope without a budget that month gets one. Responds with the
+ *          month's envelopes.
+ * @access  Private
+ */
+router.post('/envelopes/move', [
+  check('amount', 'Amount must be a positive number').isFloat({ gt: 0 }),
+  check('month', 'Month must be between 1-12').optional().isInt({ min: 1, max: 12 }),
+  check('year', 'Year must be valid').optional().isInt({ min: 2000, max: 2100 }),
+  check('fromCategoryId', 'Invalid category').optional({ values: 'falsy' }).isMongoId(),
+  check('toCategoryId', 'Invalid category').optional({ values: 'falsy' }).isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const move = {
+      ...getRequestedMonth(req.body),
+      fromCategoryId: req.body.fromCategoryId || null,
+      toCategoryId: req.body.toCategoryId || null,
+      amount: roundAmount(parseFloat(req.body.amount))
+    };
+    
+    // Only the user's own categories are in the hierarchy
+    const hierarchy = await loadCategoryHierarchy(req.user._id);
+    const budgets = await findMoveBudgets(req.user._id, move);
+    // Only assigning from the pool needs to know what it holds
+    const readyToAssign = move.fromCategoryId
+      ? null
+      : (await getEnvelopes(req.user._id, hierarchy, move.month, move.year)).readyToAssign;
+    const reason = validateMove(hierarchy, move, budgets, readyToAssign);
+    if (reason) {
+      return res.status(400).json({ message: reason });
+    }
+    
+    await moveEnvelopeMoney(req.user._id, move, budgets);
+    res.json(await getEnvelopes(req.user._id, hierarchy, move.month, move.year));
+  } catch (error) {
+    console.error('Error moving envelope money:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   GET /api/budgets/:id
  * @desc    Get budget by ID
- * @access  Public
+ * @access  Private
  */
 router.get('/:id', async (req, res) => {
   try {
-    const budget = await Budget.findById(req.params.id)
-      .populate('categoryId', 'name color icon type');
+    const budget = await Budget.findOne({ _id: req.params.id, ownerId: req.user._id })
+      .populate('categoryId', 'name color icon type parentId');
     
     if (!budget) {
       return res.status(404).json({ message: 'Budget not found' });
     }
     
-    res.json(budget);
+    const [withRollover] = await addRollovers(req.user._id, [budget]);
+    res.json(withRollover);
   } catch (error) {
     console.error('Error fetching budget:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -60,14 +367,18 @@ router.get('/:id', async (req, res) => {
 /**
  * @route   POST /api/budgets
  * @desc    Create a new budget
- * @access  Public
+ *          The period defaults to monthly. Give startDate (and endDate for a
+ *          custom period), or month and year for a monthly budget. A category
+ *          cannot have two budgets whose periods overlap.
+ * @access  Private
  */
 router.post('/', [
   check('categoryId', 'Category is required').not().isEmpty(),
   check('amount', 'Amount is required').not().isEmpty(),
   check('amount', 'Amount must be a positive number').isFloat({ min: 0 }),
-  check('month', 'Month is required').isInt({ min: 1, max: 12 }),
-  check('year', 'Year is required').isInt({ min: 2000, max: 2100 })
+  ...periodValidation,
+  ...alertValidation,
+  check('rollover', ROLLOVER_MESSAGE).optional().isIn(['none', ...ROLLOVER_MODES])
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -76,43 +387,112 @@ router.post('/', [
   }
 
   try {
-    // Check if budget already exists for this category/month/year
-    const existingBudget = await Budget.findOne({
-      categoryId: req.body.categoryId,
-      month: req.body.month,
-      year: req.body.year
-    });
+    // Budgets can only be set on the user's own categories
+    const category = await Category.exists({ _id: req.body.categoryId, ownerId: req.user._id });
+    if (!category) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+    
+    const period = resolvePeriod(req.body);
+    if (period.error) {
+      return res.status(400).json({ message: period.error });
+    }
+    
+    // Check if the category already has a budget during this period
+    const existingBudget = await findOverlapping(
+      Budget,
+      { ownerId: req.user._id, categoryId: req.body.categoryId },
+      period
+    );
     
     if (existingBudget) {
-      return res.status(400).json({ 
-        message: 'Budget already exists for this category and month/year' 
-      });
+      return res.status(400).json({ message: OVERLAP_MESSAGE });
     }
     
     // Create new budget
-    const newBudget = new Budget(req.body);
+    const newBudget = new Budget({ ...req.body, ...period, ownerId: req.user._id });
     const savedBudget = await newBudget.save();
     
     // Populate category details and return
     const populatedBudget = await Budget.findById(savedBudget._id)
-      .populate('categoryId', 'name color icon type');
+      .populate('categoryId', 'name color icon type parentId');
     
-    res.status(201).json(populatedBudget);
+    const [withRollover] = await addRollovers(req.user._id, [populatedBudget]);
+    res.status(201).json(withRollover);
   } catch (error) {
     console.error('Error creating budget:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+/**
+ * @route   POST /api/budgets/copy
+ * @desc    Copy one month's monthly budgets to another month
+ *          The source month (fromMonth/fromYear) defaults to the month before
+ *          toMonth/toYear. When the target month already has a budget for a
+ *          category, onConflict decides: skip (default) keeps it, overwrite
+ *          replaces it, add adds the copied amount to it.
+ * @access  Private
+ */
+router.post('/copy', [
+  check('toMonth', 'Month is required').isInt({ min: 1, max: 12 }),
+  check('toYear', 'Year is required').isInt({ min: 2000, max: 2100 }),
+  check('fromMonth', 'Month must be between 1-12').optional().isInt({ min: 1, max: 12 }),
+  check('fromYear', 'Year must be valid').optional().isInt({ min: 2000, max: 2100 }),
+  check('onConflict', CONFLICT_MESSAGE).optional().isIn(CONFLICT_MODES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const toMonth = parseInt(req.body.toMonth, 10);
+    const toYear = parseInt(req.body.toYear, 10);
+    const previous = new Date(toYear, toMonth - 2, 1);
+    const fromMonth = req.body.fromMonth ? parseInt(req.body.fromMonth, 10) : previous.getMonth() + 1;
+    const fromYear = req.body.fromYear ? parseInt(req.body.fromYear, 10) : previous.getFullYear();
+    
+    if (fromMonth === toMonth && fromYear === toYear) {
+      return res.status(400).json({ message: 'Choose a different month to copy to' });
+    }
+    
+    const source = await Budget.find({
+      ownerId: req.user._id,
+      period: 'monthly',
+      month: fromMonth,
+      year: fromYear
+    }).lean();
+    if (source.length === 0) {
+      return res.status(400).json({ message: 'There are no monthly budgets to copy in that month' });
+    }
+    
+    const result = await applyBudgetItems(
+      req.user._id,
+      source,
+      toMonth,
+      toYear,
+      req.body.onConflict || 'skip'
+    );
+    res.json({ from: { month: fromMonth, year: fromYear }, to: { month: toMonth, year: toYear }, ...result });
+  } catch (error) {
+    console.error('Error copying budgets:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   PUT /api/budgets/:id
  * @desc    Update a budget
- * @access  Public
+ *          Period fields that are not sent keep their current values; month
+ *          and year without a startDate move the budget to that month.
+ * @access  Private
  */
 router.put('/:id', [
   check('amount', 'Amount must be a positive number').optional().isFloat({ min: 0 }),
-  check('month', 'Month must be between 1-12').optional().isInt({ min: 1, max: 12 }),
-  check('year', 'Year must be valid').optional().isInt({ min: 2000, max: 2100 })
+  ...periodValidation,
+  ...alertValidation,
+  check('rollover', ROLLOVER_MESSAGE).optional().isIn(['none', ...ROLLOVER_MODES])
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -121,40 +501,57 @@ router.put('/:id', [
   }
 
   try {
-    // Check for uniqueness constraint if changing category, month or year
-    if (req.body.category || req.body.month || req.body.year) {
-      const budget = await Budget.findById(req.params.id);
-      
-      if (!budget) {
-        return res.status(404).json({ message: 'Budget not found' });
+    // Budgets can only be moved to the user's own categories
+    if (req.body.categoryId) {
+      const category = await Category.exists({ _id: req.body.categoryId, ownerId: req.user._id });
+      if (!category) {
+        return res.status(400).json({ message: 'Invalid category' });
       }
-      
-      const existingBudget = await Budget.findOne({
-        categoryId: req.body.categoryId || budget.categoryId,
-        month: req.body.month || budget.month,
-        year: req.body.year || budget.year,
-        _id: { $ne: req.params.id }
-      });
+    }
+    
+    const budget = await Budget.findOne({ _id: req.params.id, ownerId: req.user._id });
+    
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+    
+    // Work out the new period from the fields sent and the budget's own
+    const period = resolveUpdatedPeriod(req.body, budget) || {};
+    if (period.error) {
+      return res.status(400).json({ message: period.error });
+    }
+    
+    // Check for an overlapping budget if changing category or period
+    if (req.body.categoryId || period.startDate) {
+      const existingBudget = await findOverlapping(
+        Budget,
+        { ownerId: req.user._id, categoryId: req.body.categoryId || budget.categoryId },
+        period.startDate ? period : budget,
+        budget._id
+      );
       
       if (existingBudget) {
-        return res.status(400).json({ 
-          message: 'Budget already exists for this category and month/year' 
-        });
+        return res.status(400).json({ message: OVERLAP_MESSAGE });
       }
     }
     
+    // Ownership cannot be changed through the API
+    // rolloverIn and available are computed, not stored
+    const { ownerId, rolloverIn, available, ...updates } = req.body;
+    
     // Find and update the budget
-    const updatedBudget = await Budget.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
+    const updatedBudget = await Budget.findOneAndUpdate(
+      { _id: req.params.id, ownerId: req.user._id },
+      { $set: { ...updates, ...period } },
       { new: true, runValidators: true }
-    ).populate('categoryId', 'name color icon type');
+    ).populate('categoryId', 'name color icon type parentId');
     
     if (!updatedBudget) {
       return res.status(404).json({ message: 'Budget not found' });
     }
     
-    res.json(updatedBudget);
+    const [withRollover] = await addRollovers(req.user._id, [updatedBudget]);
+    res.json(withRollover);
   } catch (error) {
     console.error('Error updating budget:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -164,11 +561,11 @@ router.put('/:id', [
 /**
  * @route   DELETE /api/budgets/:id
  * @desc    Delete a budget
- * @access  Public
+ * @access  Private
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const budget = await Budget.findById(req.params.id);
+    const budget = await Budget.findOne({ _id: req.params.id, ownerId: req.user._id });
     
     if (!budget) {
       return res.status(404).json({ message: 'Budget not found' });
@@ -1,23 +1,41 @@
 /**
  * Category routes
  * Handles all API endpoints for category operations (Stage 2)
+ * All routes are scoped to the signed-in user's categories
  */
 
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const Category = require('../models/Category');
-const Transaction = require('../models/Transaction');
+const Payee = require('../models/Payee');
+const BudgetTemplate = require('../models/BudgetTemplate');
+const Goal = require('../models/Goal');
+const { buildCategoryTree, validateParent } = require('../utils/categoryTree');
+const {
+  getCategoryUsage,
+  validateMerge,
+  findBudgetConflicts,
+  mergeCategory
+} = require('../utils/categoryMerge');
 
 /**
  * @route   GET /api/categories
  * @desc    Get all categories
- * @access  Public
+ *          A flat list by default, where subcategories carry their parentId;
+ *          with ?tree=true, the top-level categories with their subcategories
+ *          nested in `children`. Archived categories are included (reports
+ *          still need their names) unless ?archived=false.
+ * @access  Private
  */
 router.get('/', async (req, res) => {
   try {
-    const categories = await Category.find().sort({ name: 1 });
-    res.json(categories);
+    const filter = { ownerId: req.user._id };
+    if (req.query.archived === 'false') filter.archived = { $ne: true };
+    if (req.query.archived === 'true') filter.archived = true;
+    
+    const categories = await Category.find(filter).sort({ name: 1 }).lean();
+    res.json(req.query.tree === 'true' ? buildCategoryTree(categories) : categories);
   } catch (error) {
     console.error('Error fetching categories:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -27,11 +45,11 @@ router.get('/', async (req, res) => {
 /**
  * @route   GET /api/categories/:id
  * @desc    Get category by ID
- * @access  Public
+ * @access  Private
  */
 router.get('/:id', async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findOne({ _id: req.params.id, ownerId: req.user._id });
     
     if (!category) {
       return res.status(404).json({ message: 'Category not found' });
@@ -47,12 +65,15 @@ router.get('/:id', async (req, res) => {
 /**
  * @route   POST /api/categories
  * @desc    Create a new category
- * @access  Public
+ *          Send parentId to create a subcategory; it takes the parent's type
+ *          unless one is given.
+ * @access  Private
  */
 router.post('/', [
   check('name', 'Name is required').not().isEmpty(),
   check('type', 'Type must be expense, income, or both').optional().isIn(['expense', 'income', 'both']),
-  check('color', 'Color must be a valid hex code').optional().matches(/^#([0-9A-F]{3}){1,2}$/i)
+  check('color', 'Color must be a valid hex code').optional().matches(/^#([0-9A-F]{3}){1,2}$/i),
+  check('parentId', 'Invalid parent category').optional({ values: 'falsy' }).isMongoId()
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -63,15 +84,32 @@ router.post('/', [
   try {
     // Check if category already exists (case insensitive)
     const existingCategory = await Category.findOne({
+      ownerId: req.user._id,
       name: { $regex: new RegExp(`^${req.body.name}$`, 'i') }
     });
     
     if (existingCategory) {
-      return res.status(400).json({ message: 'Category already exists' });
+      return res.status(400).json({
+        message: existingCategory.archived
+          ? 'An archived category with this name already exists. Restore it instead.'
+          : 'Category already exists'
+      });
+    }
+    
+    const { parent, error: parentError } = await validateParent(req.body.parentId, req.user._id);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
     }
     
-    // Create new category
-    const newCategory = new Category(req.body);
+    // Create new category owned by the signed-in user
+    // isDefault is reserved for categories created at registration
+    const newCategory = new Category({
+      ...req.body,
+      parentId: parent ? parent._id : null,
+      type: req.body.type || (parent ? parent.type : undefined),
+      isDefault: false,
+      ownerId: req.user._id
+    });
     const savedCategory = await newCategory.save();
     
     // Return the saved category
@@ -85,12 +123,19 @@ router.post('/', [
 /**
  * @route   PUT /api/categories/:id
  * @desc    Update a category
- * @access  Public
+ *          parentId moves it under another top-level category (null or ''
+ *          makes it top-level); a category with subcategories stays top-level.
+ *          archived hides it from pickers (or brings it back). Archiving a
+ *          category archives its subcategories, restoring it restores them,
+ *          and restoring a subcategory also restores its parent.
+ * @access  Private
  */
 router.put('/:id', [
   check('name', 'Name is required').optional().not().isEmpty(),
   check('type', 'Type must be expense, income, or both').optional().isIn(['expense', 'income', 'both']),
-  check('color', 'Color must be a valid hex code').optional().matches(/^#([0-9A-F]{3}){1,2}$/i)
+  check('color', 'Color must be a valid hex code').optional().matches(/^#([0-9A-F]{3}){1,2}$/i),
+  check('parentId', 'Invalid parent category').optional({ values: 'falsy' }).isMongoId(),
+  check('archived', 'Archived must be true or false').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -100,24 +145,55 @@ router.put('/:id', [
 
   try {
     // Check if trying to update a default category
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findOne({ _id: req.params.id, ownerId: req.user._id });
     
     if (!category) {
       return res.status(404).json({ message: 'Category not found' });
     }
     
-    // Prevent modification of default categories except for color
-    if (category.isDefault && (req.body.name || req.body.type)) {
+    // Prevent renaming default categories or changing their type
+    const renamed = req.body.name !== undefined && req.body.name !== category.name;
+    const retyped = req.body.type !== undefined && req.body.type !== category.type;
+    if (category.isDefault && (renamed || retyped)) {
       return res.status(403).json({ message: 'Cannot modify name or type of default categories' });
     }
     
+    // Ownership and default status cannot be changed through the API
+    const { ownerId, isDefault, ...updates } = req.body;
+    
+    const parentChanged = updates.parentId !== undefined
+      && String(updates.parentId || '') !== String(category.parentId || '');
+    if (parentChanged) {
+      const { parent, error: parentError } = await validateParent(updates.parentId, req.user._id, category._id);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+      updates.parentId = parent ? parent._id : null;
+    } else {
+      delete updates.parentId;
+    }
+    
     // Find and update the category
-    const updatedCategory = await Category.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
+    const updatedCategory = await Category.findOneAndUpdate(
+      { _id: req.params.id, ownerId: req.user._id },
+      { $set: updates },
       { new: true, runValidators: true }
     );
     
+    // Keep subcategories and their parent in the same archived state
+    if (updates.archived !== undefined && updates.archived !== category.archived) {
+      await Category.updateMany(
+        { ownerId: req.user._id, parentId: category._id },
+        { $set: { archived: updates.archived } }
+      );
+      if (!updates.archived && updatedCategory.parentId) {
+        await Category.updateOne(
+          { _id: updatedCategory.parentId, ownerId: req.user._id },
+          { $set: { archived: false } }
+        );
+      }
+    }
+    
     res.json(updatedCategory);
   } catch (error) {
     console.error('Error updating category:', error);
@@ -125,14 +201,102 @@ router.put('/:id', [
   }
 });
 
+/**
+ * @route   GET /api/categories/:id/usage
+ * @desc    Count the transactions, budgets, rules, recurring rules and
+ *          subcategories that refer to a category
+ * @access  Private
+ */
+router.get('/:id/usage', async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, ownerId: req.user._id });
+    
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
+    res.json(await getCategoryUsage(req.user._id, category._id));
+  } catch (error) {
+    console.error('Error counting category usage:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * Merge a category into the target with the given ID and respond with
+ * what was moved
+ */
+const mergeInto = async (req, res, source, targetId) => {
+  const target = await Category.findOne({ _id: targetId, ownerId: req.user._id });
+  if (!target) {
+    return res.status(400).json({ message: 'Invalid target category' });
+  }
+  
+  const reason = await validateMerge(source, target);
+  if (reason) {
+    return res.status(400).json({ message: reason });
+  }
+  
+  // Checked before anything moves, so a refused merge leaves both untouched
+  const conflicts = await findBudgetConflicts(req.user._id, source._id, target._id);
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      message: `${source.name} has budgets that overlap ${target.name}'s budgets for different periods; change or delete them first`,
+      conflicts
+    });
+  }
+  
+  const moved = await mergeCategory(source, target);
+  res.json({ message: `${source.name} merged into ${target.name}`, moved });
+};
+
+/**
+ * @route   POST /api/categories/:id/merge
+ * @desc    Move all transactions, budgets, rules, payee defaults, recurring
+ *          rules and subcategories of a category to another category, then
+ *          remove it. Budgets for the same period are added together; budgets
+ *          that overlap the target's for a different period are refused with 409.
+ * @access  Private
+ */
+router.post('/:id/merge', [
+  check('targetId', 'Target category is required').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const category = await Category.findOne({ _id: req.params.id, ownerId: req.user._id });
+    
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
+    await mergeInto(req, res, category, req.body.targetId);
+  } catch (error) {
+    console.error('Error merging category:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   DELETE /api/categories/:id
  * @desc    Delete a category
- * @access  Public
+ *          Refused while the category is in use, unless ?reassignTo=<id>
+ *          names a category to move everything to first (see merge)
+ * @access  Private
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', [
+  check('reassignTo', 'Invalid category to reassign to').optional({ values: 'falsy' }).isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findOne({ _id: req.params.id, ownerId: req.user._id });
     
     if (!category) {
       return res.status(404).json({ message: 'Category not found' });
@@ -143,14 +307,41 @@ router.delete('/:id', async (req, res) => {
       return res.status(403).json({ message: 'Cannot delete default categories' });
     }
     
-    // Check if category is being used in transactions
-    const transactionCount = await Transaction.countDocuments({ category: req.params.id });
-    if (transactionCount > 0) {
-      return res.status(400).json({ 
-        message: `Cannot delete category. It is used in ${transactionCount} transactions.` 
+    if (req.query.reassignTo) {
+      return await mergeInto(req, res, category, req.query.reassignTo);
+    }
+    
+    const usage = await getCategoryUsage(req.user._id, category._id);
+    
+    // Subcategories would otherwise lose their parent
+    if (usage.subcategories > 0) {
+      return res.status(400).json({
+        message: `Cannot delete category. It has ${usage.subcategories} subcategories.`,
+        usage
+      });
+    }
+    
+    // Transactions, budgets and rules would otherwise point at a missing category
+    if (usage.transactions > 0 || usage.budgets > 0 || usage.rules > 0 || usage.recurringRules > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete category while it is in use. Move its transactions, budgets and rules to another category first.',
+        usage
       });
     }
     
+    await Payee.updateMany(
+      { ownerId: req.user._id, defaultCategoryId: category._id },
+      { $set: { defaultCategoryId: null } }
+    );
+    await BudgetTemplate.updateMany(
+      { ownerId: req.user._id },
+      { $pull: { items: { categoryId: category._id } } }
+    );
+    // Goals keep their manual contributions
+    await Goal.updateMany(
+      { ownerId: req.user._id, categoryId: category._id },
+      { $set: { categoryId: null } }
+    );
     await category.deleteOne();
     res.json({ message: 'Category removed' });
   } catch (error) {
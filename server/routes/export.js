@@ -0,0 +1,86 @@
+/**
+ * Export routes
+ * Downloads the signed-in user's transactions, categories and budgets as
+ * CSV, JSON or XLSX. Transactions accept the same filters as GET /api/transactions.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { DATASETS } = require('../utils/export/datasets');
+const { toCsv } = require('../utils/export/csv');
+const { createWorkbook } = require('../utils/export/xlsx');
+const { toDateKey } = require('../utils/recurrence');
+
+const FORMATS = ['csv', 'json', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * @route   GET /api/export
+ * @desc    Download data as a file
+ *          Query:
+ *          - format: csv (default), json or xlsx
+ *          - dataset: transactions (default), categories, budgets, or all
+ *            (all is one sheet per dataset in XLSX and one key per dataset in JSON)
+ *          - startDate, endDate, category, type, account, search: transaction
+ *            filters as in GET /api/transactions; the date range also limits budgets
+ * @access  Private
+ */
+router.get('/', [
+  check('format', `Format must be one of: ${FORMATS.join(', ')}`).optional().isIn(FORMATS),
+  check('dataset', `Dataset must be one of: ${[...Object.keys(DATASETS), 'all'].join(', ')}`)
+    .optional()
+    .isIn([...Object.keys(DATASETS), 'all']),
+  check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid date').optional().isISO8601(),
+  check('category', 'Invalid category').optional().isMongoId(),
+  check('account', 'Invalid account').optional().isMongoId(),
+  check('type', 'Type must be expense, income or transfer').optional().isIn(['expense', 'income', 'transfer'])
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const format = req.query.format || 'csv';
+    const dataset = req.query.dataset || 'transactions';
+
+    if (format === 'csv' && dataset === 'all') {
+      return res.status(400).json({ message: 'CSV exports one dataset at a time' });
+    }
+
+    const names = dataset === 'all' ? Object.keys(DATASETS) : [dataset];
+    const sheets = await Promise.all(names.map(name => DATASETS[name](req.user._id, req.query)));
+
+    const filename = `finance-${dataset}-${toDateKey(new Date())}.${format}`;
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      // Byte order mark so spreadsheet programs read the file as UTF-8
+      return res.send(`\uFEFF${toCsv(sheets[0].columns, sheets[0].rows)}`);
+    }
+
+    if (format === 'xlsx') {
+      return res.send(createWorkbook(sheets));
+    }
+
+    const data = { exportedAt: new Date().toISOString() };
+    names.forEach((name, index) => {
+      data[name] = sheets[index].rows;
+    });
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+/**
+ * Goal routes
+ * Handles all API endpoints for savings goals and their manual contributions
+ * Every goal is returned with its progress (see utils/goals)
+ * All routes are scoped to the signed-in user's goals
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Goal = require('../models/Goal');
+const { ownsCategory, ownsAccount } = require('../utils/ownership');
+const { loadCategoryHierarchy } = require('../utils/categoryTree');
+const { withProgress } = require('../utils/goals');
+const { startOfDay } = require('../utils/recurrence');
+
+// Fields a client may set on a goal
+const GOAL_FIELDS = ['name', 'targetAmount', 'targetDate', 'startDate', 'accountId', 'categoryId', 'color', 'notes'];
+
+/**
+ * Validation shared by create and update
+ * On update every field is optional
+ */
+const goalValidation = (optional = false) => {
+  const field = (name, message) => (optional
+    ? check(name, message).optional()
+    : check(name, message));
+
+  return [
+    field('name', 'Name is required').not().isEmpty(),
+    field('targetAmount', 'Target amount must be a positive number').isFloat({ gt: 0 }),
+    check('targetDate', 'Target date must be a valid date').optional({ values: 'falsy' }).isISO8601(),
+    check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+    check('accountId', 'Invalid account').optional({ values: 'falsy' }).isMongoId(),
+    check('categoryId', 'Invalid category').optional({ values: 'falsy' }).isMongoId(),
+    check('color', 'Color must be a valid hex code').optional().matches(/^#([0-9A-F]{3}){1,2}$/i)
+  ];
+};
+
+/**
+ * Keep only the fields a client may set, normalizing dates to UTC midnight
+ * and empty links to null
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Goal fields
+ */
+const pickGoalFields = (body) => {
+  const fields = {};
+  GOAL_FIELDS.forEach(name => {
+    if (body[name] !== undefined) fields[name] = body[name];
+  });
+
+  ['targetDate', 'accountId', 'categoryId'].forEach(name => {
+    if (fields[name] === '') fields[name] = null;
+  });
+  if (fields.targetDate) fields.targetDate = startOfDay(fields.targetDate);
+  if (fields.startDate) fields.startDate = startOfDay(fields.startDate);
+  if (fields.name) fields.name = fields.name.trim();
+  return fields;
+};
+
+/**
+ * Check a goal's links and name
+ *
+ * @param {Object} goal - Goal document with the changes applied
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const checkGoal = async (goal, ownerId) => {
+  if (goal.accountId && goal.categoryId) {
+    return 'Link a goal to an account or a category, not both';
+  }
+  if (!(await ownsAccount(goal.accountId, ownerId))) return 'Invalid account';
+  if (!(await ownsCategory(goal.categoryId, ownerId))) return 'Invalid category';
+  if (goal.targetDate && goal.targetDate < goal.startDate) {
+    return 'Target date must be on or after the start date';
+  }
+
+  const duplicate = await Goal.exists({ ownerId, name: goal.name, _id: { $ne: goal._id } });
+  if (duplicate) return 'A goal with this name already exists';
+  return null;
+};
+
+/**
+ * Find one of the signed-in user's goals
+ */
+const findGoal = (id, ownerId) => Goal.findOne({ _id: id, ownerId });
+
+/**
+ * Goals with their progress and linked account and category
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} filter - Extra conditions
+ * @returns {Promise<Array<Object>>} Result of withProgress
+ */
+const loadGoals = async (ownerId, filter = {}) => {
+  const [goals, hierarchy] = await Promise.all([
+    Goal.find({ ...filter, ownerId })
+      .sort({ targetDate: 1, name: 1 })
+      .populate('accountId', 'name type color')
+      .populate('categoryId', 'name color icon type'),
+    loadCategoryHierarchy(ownerId)
+  ]);
+  return withProgress(ownerId, goals, hierarchy);
+};
+
+/**
+ * @route   GET /api/goals
+ * @desc    Get all goals with their progress
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await loadGoals(req.user._id));
+  } catch (error) {
+    console.error('Error fetching goals:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/goals/:id
+ * @desc    Get a goal by ID with its progress
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const [goal] = await loadGoals(req.user._id, { _id: req.params.id });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json(goal);
+  } catch (error) {
+    console.error('Error fetching goal:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/goals
+ * @desc    Create a goal
+ *          Transactions count toward it from startDate (default today)
+ * @access  Private
+ */
+router.post('/', goalValidation(), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const goal = new Goal({ ...pickGoalFields(req.body), ownerId: req.user._id });
+
+    const goalError = await checkGoal(goal, req.user._id);
+    if (goalError) {
+      return res.status(400).json({ message: goalError });
+    }
+
+    await goal.save();
+    const [created] = await loadGoals(req.user._id, { _id: goal._id });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/goals/:id
+ * @desc    Update a goal
+ * @access  Private
+ */
+router.put('/:id', goalValidation(true), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const goal = await findGoal(req.params.id, req.user._id);
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    goal.set(pickGoalFields(req.body));
+
+    const goalError = await checkGoal(goal, req.user._id);
+    if (goalError) {
+      return res.status(400).json({ message: goalError });
+    }
+
+    await goal.save();
+    const [updated] = await loadGoals(req.user._id, { _id: goal._id });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/goals/:id
+ * @desc    Delete a goal
+ *          Linked transactions are left as they are
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({ _id: req.params.id, ownerId: req.user._id });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({ message: 'Goal removed' });
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/goals/:id/contributions
+ * @desc    Record a manual contribution ({ amount, date, notes })
+ *          A negative amount takes money back out of the goal; date defaults to today
+ * @access  Private
+ */
+router.post('/:id/contributions', [
+  check('amount', 'Amount must be a non-zero number').isFloat().custom(value => Number(value) !== 0),
+  check('date', 'Date must be a valid date').optional({ values: 'falsy' }).isISO8601()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const goal = await findGoal(req.params.id, req.user._id);
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    goal.contributions.push({
+      amount: Number(req.body.amount),
+      date: startOfDay(req.body.date || new Date()),
+      notes: req.body.notes
+    });
+    await goal.save();
+
+    const [updated] = await loadGoals(req.user._id, { _id: goal._id });
+    res.status(201).json(updated);
+  } catch (error) {
+    console.error('Error adding goal contribution:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/goals/:id/contributions/:contributionId
+ * @desc    Remove a manual contribution
+ * @access  Private
+ */
+router.delete('/:id/contributions/:contributionId', async (req, res) => {
+  try {
+    const goal = await findGoal(req.params.id, req.user._id);
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const contribution = goal.contributions.id(req.params.contributionId);
+    if (!contribution) {
+      return res.status(404).json({ message: 'Contribution not found' });
+    }
+
+    contribution.deleteOne();
+    await goal.save();
+
+    const [updated] = await loadGoals(req.user._id, { _id: goal._id });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error removing goal contribution:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
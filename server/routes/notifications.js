@@ -0,0 +1,120 @@
+/**
+ * Notification routes
+ * Lists the user's notifications (such as budget alerts) and keeps track of
+ * which ones were read
+ * All routes are scoped to the signed-in user's notifications
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+
+// Most notifications returned at once
+const MAX_LIMIT = 200;
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get notifications, newest first, with the number still unread
+ *          unread=true lists only unread ones; limit caps how many are
+ *          returned (default 50)
+ * @access  Private
+ */
+router.get('/', [
+  query('unread', 'unread must be true or false').optional().isBoolean(),
+  query('limit', `Limit must be between 1 and ${MAX_LIMIT}`).optional().isInt({ min: 1, max: MAX_LIMIT })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const filter = { ownerId: req.user._id };
+    if (req.query.unread === 'true') filter.read = false;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(req.query.limit ? parseInt(req.query.limit, 10) : 50),
+      Notification.countDocuments({ ownerId: req.user._id, read: false })
+    ]);
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark every notification as read
+ * @access  Private
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ownerId: req.user._id, read: false },
+      { $set: { read: true } }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:id
+ * @desc    Mark a notification as read or unread ({ read })
+ * @access  Private
+ */
+router.put('/:id', [
+  check('read', 'read must be true or false').isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, ownerId: req.user._id },
+      { $set: { read: req.body.read === true || req.body.read === 'true' } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, ownerId: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification removed' });
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+/**
+ * Payee routes
+ * Manages payees (merchants and people paid) and their alias patterns
+ * Saving a payee links the existing transactions whose description matches it
+ * All routes are scoped to the signed-in user's payees
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Payee = require('../models/Payee');
+const Transaction = require('../models/Transaction');
+const { ownsCategory } = require('../utils/ownership');
+const { compileAlias, linkExistingTransactions } = require('../utils/payees');
+
+// Fields a client may set on a payee
+const PAYEE_FIELDS = ['name', 'aliases', 'defaultCategoryId'];
+
+/**
+ * Validation shared by create and update
+ * On update every field is optional
+ */
+const payeeValidation = (optional = false) => [
+  optional
+    ? check('name', 'Name is required').optional().trim().not().isEmpty()
+    : check('name', 'Name is required').trim().not().isEmpty(),
+  check('aliases', 'Aliases must be a list').optional().isArray(),
+  check('aliases.*', 'Each alias must be text with more than wildcards')
+    .isString()
+    .custom(alias => compileAlias(alias) !== null),
+  check('defaultCategoryId', 'Invalid default category').optional({ values: 'null' }).isMongoId()
+];
+
+/**
+ * Keep only the fields a client may set
+ * An empty default category clears it
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Payee fields
+ */
+const pickPayeeFields = (body) => {
+  const fields = {};
+  PAYEE_FIELDS.forEach(name => {
+    if (body[name] !== undefined) fields[name] = body[name];
+  });
+
+  if (fields.defaultCategoryId === '') fields.defaultCategoryId = null;
+  return fields;
+};
+
+/**
+ * Count the transactions linked to each payee
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<ObjectId>} [payeeIds] - Limit the counts to these payees
+ * @returns {Promise<Map<string, number>>} Map of payee ID to transaction count
+ */
+const getTransactionCounts = async (ownerId, payeeIds) => {
+  const match = { ownerId, payeeId: payeeIds ? { $in: payeeIds } : { $ne: null } };
+  const counts = await Transaction.aggregate([
+    { $match: match },
+    { $group: { _id: '$payeeId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+/**
+ * Attach transactionCount to payee documents
+ *
+ * @param {Array<Object>} payees - Payee documents
+ * @param {Map<string, number>} counts - Output of getTransactionCounts
+ * @returns {Array<Object>} Plain payee objects with the count
+ */
+const withCounts = (payees, counts) => payees.map(payee => ({
+  ...payee.toObject(),
+  transactionCount: counts.get(payee._id.toString()) || 0
+}));
+
+/**
+ * Check that no other payee of the user has this name
+ */
+const nameTaken = (name, ownerId, exceptId) => Payee.exists({
+  ownerId,
+  name: name.trim(),
+  ...(exceptId ? { _id: { $ne: exceptId } } : {})
+});
+
+/**
+ * @route   GET /api/payees
+ * @desc    Get all payees with the number of transactions linked to each
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const payees = await Payee.find({ ownerId: req.user._id })
+      .sort({ name: 1 })
+      .populate('defaultCategoryId', 'name color');
+    const counts = await getTransactionCounts(req.user._id);
+
+    res.json(withCounts(payees, counts));
+  } catch (error) {
+    console.error('Error fetching payees:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/payees
+ * @desc    Create a payee and link the existing transactions that match it
+ *          Body: { name, aliases, defaultCategoryId }
+ * @access  Private
+ */
+router.post('/', payeeValidation(), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const fields = pickPayeeFields(req.body);
+
+    if (await nameTaken(fields.name, req.user._id)) {
+      return res.status(400).json({ message: 'Payee already exists' });
+    }
+
+    if (!(await ownsCategory(fields.defaultCategoryId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    const payee = new Payee({ ...fields, ownerId: req.user._id });
+    await payee.save();
+    await linkExistingTransactions(req.user._id, payee);
+
+    await payee.populate('defaultCategoryId', 'name color');
+    const counts = await getTransactionCounts(req.user._id, [payee._id]);
+    res.status(201).json(withCounts([payee], counts)[0]);
+  } catch (error) {
+    console.error('Error creating payee:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/payees/:id
+ * @desc    Update a payee and link the existing transactions that now match it
+ *          Transactions already linked to it stay linked.
+ * @access  Private
+ */
+router.put('/:id', payeeValidation(true), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payee = await Payee.findOne({ _id: req.params.id, ownerId: req.user._id });
+
+    if (!payee) {
+      return res.status(404).json({ message: 'Payee not found' });
+    }
+
+    const fields = pickPayeeFields(req.body);
+
+    if (fields.name && await nameTaken(fields.name, req.user._id, payee._id)) {
+      return res.status(400).json({ message: 'Payee already exists' });
+    }
+
+    if (!(await ownsCategory(fields.defaultCategoryId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    payee.set(fields);
+    await payee.save();
+    await linkExistingTransactions(req.user._id, payee);
+
+    await payee.populate('defaultCategoryId', 'name color');
+    const counts = await getTransactionCounts(req.user._id, [payee._id]);
+    res.json(withCounts([payee], counts)[0]);
+  } catch (error) {
+    console.error('Error updating payee:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/payees/:id
+ * @desc    Delete a payee; its transactions are kept and unlinked
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const payee = await Payee.findOne({ _id: req.params.id, ownerId: req.user._id });
+
+    if (!payee) {
+      return res.status(404).json({ message: 'Payee not found' });
+    }
+
+    await Transaction.updateMany(
+      { ownerId: req.user._id, payeeId: payee._id },
+      { $set: { payeeId: null } }
+    );
+    await payee.deleteOne();
+    res.json({ message: 'Payee removed' });
+  } catch (error) {
+    console.error('Error deleting payee:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
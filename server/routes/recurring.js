@@ -0,0 +1,367 @@
+/**
+ * Recurring rule routes
+ * Handles recurring transactions (rent, salary, subscriptions), their upcoming
+ * occurrences, and skipping or editing a single occurrence
+ * All routes are scoped to the signed-in user's rules
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const RecurringRule = require('../models/RecurringRule');
+const { ownsCategory, ownsAccount } = require('../utils/ownership');
+const { startOfDay, toDateKey, getOccurrences } = require('../utils/recurrence');
+const { buildOccurrence, findException, generateDueTransactions } = require('../utils/recurringScheduler');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields a client may set on a rule
+const RULE_FIELDS = [
+  'description', 'amount', 'type', 'categoryId', 'accountId', 'notes',
+  'frequency', 'interval', 'weekOfMonth', 'dayOfWeek', 'startDate', 'endDate', 'active'
+];
+
+// Fields that can be changed for a single occurrence
+const OCCURRENCE_FIELDS = ['amount', 'description', 'categoryId', 'notes'];
+
+/**
+ * Validation shared by create and update
+ * On update every field is optional
+ */
+const ruleValidation = (optional = false) => {
+  const field = (name, message) => (optional
+    ? check(name, message).optional({ values: 'null' })
+    : check(name, message));
+
+  return [
+    field('description', 'Description is required').not().isEmpty(),
+    field('amount', 'Amount must be a number').isNumeric(),
+    field('frequency', `Frequency must be one of: ${FREQUENCIES.join(', ')}`).isIn(FREQUENCIES),
+    field('startDate', 'Valid start date is required').isISO8601().toDate(),
+    check('type', 'Type must be expense or income').optional().isIn(['expense', 'income']),
+    check('interval', 'Interval must be a whole number of at least 1').optional().isInt({ min: 1 }),
+    check('weekOfMonth', 'Week of month must be 1-5 or -1 (last)').optional({ values: 'null' }).isIn([-1, 1, 2, 3, 4, 5]),
+    check('dayOfWeek', 'Day of week must be 0 (Sunday) to 6').optional({ values: 'null' }).isInt({ min: 0, max: 6 }),
+    check('endDate', 'End date must be a valid date').optional({ values: 'null' }).isISO8601().toDate()
+  ];
+};
+
+/**
+ * Keep only the fields a client may set, normalizing dates to UTC midnight
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Rule fields
+ */
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(name => {
+    if (body[name] !== undefined) fields[name] = body[name];
+  });
+
+  if (fields.startDate) fields.startDate = startOfDay(fields.startDate);
+  if (fields.endDate) fields.endDate = startOfDay(fields.endDate);
+  return fields;
+};
+
+/**
+ * Check the category and account referenced by a rule or occurrence
+ *
+ * @param {Object} fields - Fields from the request body
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const checkReferences = async (fields, ownerId) => {
+  if (!(await ownsCategory(fields.categoryId, ownerId))) return 'Invalid category';
+  if (!(await ownsAccount(fields.accountId, ownerId))) return 'Invalid account';
+  return null;
+};
+
+/**
+ * Find one of the signed-in user's rules
+ */
+const findRule = (id, ownerId) => RecurringRule.findOne({ _id: id, ownerId });
+
+/**
+ * @route   GET /api/recurring
+ * @desc    Get all recurring rules
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await RecurringRule.find({ ownerId: req.user._id })
+      .sort({ description: 1 })
+      .populate('categoryId', 'name color icon')
+      .populate('accountId', 'name type color');
+
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching recurring rules:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/recurring/upcoming
+ * @desc    Get occurrences of active rules that have not been created yet
+ *          Query: days (default 30) - how far ahead to look
+ *          Skipped occurrences are included with skipped: true so they can be restored
+ * @access  Private
+ */
+router.get('/upcoming', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+    const today = startOfDay(new Date());
+    const until = new Date(today.getTime() + days * DAY_MS);
+
+    const rules = await RecurringRule.find({ ownerId: req.user._id, active: true })
+      .populate('categoryId', 'name color icon')
+      .populate('accountId', 'name type color');
+
+    const upcoming = [];
+    rules.forEach(rule => {
+      // Occurrences up to lastGeneratedDate already exist as transactions
+      const nextUngenerated = rule.lastGeneratedDate
+        ? new Date(startOfDay(rule.lastGeneratedDate).getTime() + DAY_MS)
+        : today;
+      const from = nextUngenerated > today ? nextUngenerated : today;
+
+      getOccurrences(rule, from, until).forEach(date => {
+        const exception = findException(rule, date);
+        const occurrence = buildOccurrence(rule, date);
+
+        upcoming.push({
+          ruleId: rule._id,
+          date: toDateKey(date),
+          description: occurrence ? occurrence.description : rule.description,
+          amount: occurrence ? occurrence.amount : rule.amount,
+          type: rule.type,
+          categoryId: occurrence ? occurrence.categoryId : rule.categoryId,
+          accountId: rule.accountId,
+          notes: occurrence ? occurrence.notes : rule.notes,
+          skipped: !occurrence,
+          modified: !!exception && !exception.skip
+        });
+      });
+    });
+
+    upcoming.sort((a, b) => a.date.localeCompare(b.date));
+    res.json(upcoming);
+  } catch (error) {
+    console.error('Error fetching upcoming occurrences:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/recurring/:id
+ * @desc    Get a recurring rule by ID
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, req.user._id)
+      .populate('categoryId', 'name color icon')
+      .populate('accountId', 'name type color');
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error fetching recurring rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/recurring
+ * @desc    Create a recurring rule
+ *          Occurrences already due (start date today or earlier) are created immediately
+ * @access  Private
+ */
+router.post('/', ruleValidation(), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const fields = pickRuleFields(req.body);
+
+    const referenceError = await checkReferences(fields, req.user._id);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const rule = new RecurringRule({ ...fields, ownerId: req.user._id });
+    await rule.save();
+
+    const generatedCount = await generateDueTransactions(rule);
+
+    res.status(201).json({ ...rule.toObject(), generatedCount });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating recurring rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/recurring/:id
+ * @desc    Update a recurring rule
+ *          Only future occurrences are affected; transactions already created are kept
+ * @access  Private
+ */
+router.put('/:id', ruleValidation(true), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rule = await findRule(req.params.id, req.user._id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring rule not found' });
+    }
+
+    const fields = pickRuleFields(req.body);
+
+    const referenceError = await checkReferences(fields, req.user._id);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    rule.set(fields);
+    await rule.save();
+
+    const generatedCount = await generateDueTransactions(rule);
+
+    res.json({ ...rule.toObject(), generatedCount });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating recurring rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/recurring/:id
+ * @desc    Delete a recurring rule (transactions it already created are kept)
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, req.user._id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring rule not found' });
+    }
+
+    await rule.deleteOne();
+    res.json({ message: 'Recurring rule removed' });
+  } catch (error) {
+    console.error('Error deleting recurring rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/recurring/:id/occurrences/:date
+ * @desc    Skip or edit one occurrence of a rule
+ *          Body: { skip: true } or any of { amount, description, categoryId, notes }
+ * @access  Private
+ */
+router.put('/:id/occurrences/:date', [
+  check('date', 'Date must be in YYYY-MM-DD format').isISO8601(),
+  check('skip', 'Skip must be true or false').optional().isBoolean(),
+  check('amount', 'Amount must be a number').optional().isNumeric()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rule = await findRule(req.params.id, req.user._id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring rule not found' });
+    }
+
+    const date = startOfDay(req.params.date);
+    if (getOccurrences(rule, date, date).length === 0) {
+      return res.status(400).json({ message: 'The rule has no occurrence on this date' });
+    }
+
+    if (rule.lastGeneratedDate && date <= startOfDay(rule.lastGeneratedDate)) {
+      return res.status(400).json({
+        message: 'This occurrence has already been created. Edit or delete the transaction instead.'
+      });
+    }
+
+    const changes = { skip: req.body.skip === true || req.body.skip === 'true' };
+    OCCURRENCE_FIELDS.forEach(name => {
+      if (req.body[name] !== undefined) changes[name] = req.body[name];
+    });
+
+    const referenceError = await checkReferences(changes, req.user._id);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    // Replace any earlier exception for the same occurrence
+    const key = toDateKey(date);
+    rule.exceptions = rule.exceptions.filter(exception => toDateKey(exception.date) !== key);
+    rule.exceptions.push({ ...changes, date });
+    await rule.save();
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating occurrence:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/recurring/:id/occurrences/:date
+ * @desc    Restore one occurrence to the rule's defaults (undo skip or edit)
+ * @access  Private
+ */
+router.delete('/:id/occurrences/:date', [
+  check('date', 'Date must be in YYYY-MM-DD format').isISO8601()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rule = await findRule(req.params.id, req.user._id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring rule not found' });
+    }
+
+    const key = toDateKey(req.params.date);
+    rule.exceptions = rule.exceptions.filter(exception => toDateKey(exception.date) !== key);
+    await rule.save();
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error restoring occurrence:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+/**
+ * Categorization rule routes
+ * Manages the rules that pick a category for new transactions, and re-runs
+ * them over existing transactions with a preview of what would change
+ * All routes are scoped to the signed-in user's rules
+ */
+
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const CategoryRule = require('../models/CategoryRule');
+const { ownsCategory } = require('../utils/ownership');
+const { conditionError, normalizeCondition, previewRuleRun, applyRuleRun } = require('../utils/categoryRules');
+
+// Fields a client may set on a rule
+const RULE_FIELDS = ['name', 'priority', 'match', 'conditions', 'categoryId', 'active'];
+
+// Transactions a re-run looks at
+const RUN_SCOPES = ['uncategorized', 'all'];
+
+/**
+ * Validation shared by create and update
+ * On update every field is optional
+ */
+const ruleValidation = (optional = false) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('name', 'Name is required').trim().not().isEmpty(),
+    field('categoryId', 'Valid category is required').isMongoId(),
+    field('conditions', 'At least one condition is required').isArray({ min: 1 }),
+    check('conditions').optional().custom(conditions => {
+      if (!Array.isArray(conditions)) return true;
+      const error = conditions.map(conditionError).find(Boolean);
+      if (error) throw new Error(error);
+      return true;
+    }),
+    check('priority', 'Priority must be a whole number').optional().isInt(),
+    check('match', 'Match must be all or any').optional().isIn(['all', 'any']),
+    check('active', 'Active must be true or false').optional().isBoolean()
+  ];
+};
+
+/**
+ * Keep only the fields a client may set
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Rule fields
+ */
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(name => {
+    if (body[name] !== undefined) fields[name] = body[name];
+  });
+
+  if (fields.conditions) fields.conditions = fields.conditions.map(normalizeCondition);
+  return fields;
+};
+
+/**
+ * Find one of the signed-in user's rules
+ */
+const findRule = (id, ownerId) => CategoryRule.findOne({ _id: id, ownerId });
+
+/**
+ * @route   GET /api/rules
+ * @desc    Get all categorization rules in the order they are applied
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await CategoryRule.find({ ownerId: req.user._id })
+      .sort({ priority: -1, createdAt: 1 })
+      .populate('categoryId', 'name color icon');
+
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/rules
+ * @desc    Create a categorization rule
+ *          Body: { name, categoryId, conditions: [{ field, operator, value }],
+ *                  match ('all' or 'any'), priority, active }
+ * @access  Private
+ */
+router.post('/', ruleValidation(), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const fields = pickRuleFields(req.body);
+
+    if (!(await ownsCategory(fields.categoryId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    const rule = new CategoryRule({ ...fields, ownerId: req.user._id });
+    await rule.save();
+
+    res.status(201).json(await rule.populate('categoryId', 'name color icon'));
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/rules/run
+ * @desc    Re-run the active rules over existing transactions
+ *          Body:
+ *          - dryRun: only list the changes (default true)
+ *          - scope: 'uncategorized' (default) or 'all' to also change
+ *            transactions that already have a category
+ *          - startDate, endDate: limit the transactions looked at
+ *          - transactionIds: apply only these changes from the preview
+ *          Responds with { dryRun, changes, updated }, where each change is
+ *          { transactionId, date, description, amount, from, to, rule }
+ * @access  Private
+ */
+router.post('/run', [
+  check('dryRun', 'Dry run must be true or false').optional().isBoolean(),
+  check('scope', `Scope must be one of: ${RUN_SCOPES.join(', ')}`).optional().isIn(RUN_SCOPES),
+  check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid date').optional().isISO8601(),
+  check('transactionIds', 'Transaction IDs must be a list').optional().isArray(),
+  check('transactionIds.*', 'Invalid transaction ID').isMongoId()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { dryRun = true, scope, startDate, endDate, transactionIds } = req.body;
+
+    let changes = await previewRuleRun(req.user._id, { scope, startDate, endDate });
+    if (dryRun) {
+      return res.json({ dryRun: true, changes, updated: 0 });
+    }
+
+    if (Array.isArray(transactionIds)) {
+      const selected = new Set(transactionIds.map(String));
+      changes = changes.filter(change => selected.has(String(change.transactionId)));
+    }
+
+    const updated = await applyRuleRun(req.user._id, changes);
+    res.json({ dryRun: false, changes, updated });
+  } catch (error) {
+    console.error('Error running rules:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/rules/:id
+ * @desc    Update a categorization rule
+ * @access  Private
+ */
+router.put('/:id', ruleValidation(true), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rule = await findRule(req.params.id, req.user._id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    const fields = pickRuleFields(req.body);
+
+    if (!(await ownsCategory(fields.categoryId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    rule.set(fields);
+    await rule.save();
+
+    res.json(await rule.populate('categoryId', 'name color icon'));
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/rules/:id
+ * @desc    Delete a categorization rule
+ *          Transactions it already categorized keep their category
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, req.user._id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    await rule.deleteOne();
+    res.json({ message: 'Rule removed' });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
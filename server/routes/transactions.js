@@ -2,10 +2,18 @@
  * Transaction Routes Module
  * 
  * Handles all API endpoints for transaction CRUD operations
+ * All routes require authentication and only touch the signed-in user's data
  * Features:
  * - Comprehensive filtering and pagination
  * - Data validation
  * - Category population
+ * - Transfers stored as two linked legs
+ * - Splitting a transaction across several categories
+ * - Importing CSV, OFX/QFX and QIF files with a dry-run preview
+ * - Finding, merging and dismissing likely duplicates
+ * - Suggesting categories learned from past transactions
+ * - Linking transactions to payees by their description
+ * - Tagging transactions with cross-cutting labels
  * - Error handling
  * 
  * All endpoints are prefixed with /api/transactions from main server
@@ -13,8 +21,123 @@
 
 const express = require('express');
 const router = express.Router();
-const { check, validationResult } = require('express-validator'); // For input validation
+const { check, body, query, validationResult } = require('express-validator'); // For input validation
 const Transaction = require('../models/Transaction');             // Transaction data model
+const Category = require('../models/Category');                   // Used to verify split categories
+const Account = require('../models/Account');                     // Used to verify transfer accounts
+const { ownsCategory, ownsAccount, ownsPayee } = require('../utils/ownership');
+const { buildTransactionFilter } = require('../utils/transactionFilters');
+const { parseCsv, detectDelimiter, suggestMapping, readCsv } = require('../utils/import/csv');
+const { DATE_FORMATS } = require('../utils/import/values');
+const { isOfx, readOfx } = require('../utils/import/ofx');
+const { isQif, readQif } = require('../utils/import/qif');
+const { prepareImport, summarizeImport, commitImport } = require('../utils/import/importer');
+const {
+  DEFAULT_DAY_WINDOW,
+  DEFAULT_LOOKBACK_DAYS,
+  MAX_LOOKBACK_DAYS,
+  findDuplicatesOf,
+  findDuplicateGroups
+} = require('../utils/duplicates');
+const { loadRules, categorize } = require('../utils/categoryRules');
+const { suggestCategory } = require('../utils/categorySuggestions');
+const { loadPayees, findPayee } = require('../utils/payees');
+const { checkBudgetAlerts } = require('../utils/budgetAlerts');
+const { getStorage, attachmentKey, removeAttachmentFiles } = require('../utils/attachments/storage');
+const { MAX_ATTACHMENTS, receiveAttachments } = require('../utils/attachments/upload');
+
+// Largest number of rows accepted in one import
+const MAX_IMPORT_ROWS = 20000;
+
+// Imported files are sent as JSON, so the import route accepts large bodies
+// (server/index.js leaves this route to this parser)
+const parseImportBody = express.json({ limit: '50mb' });
+
+// File formats accepted by the import route
+const IMPORT_FORMATS = ['csv', 'ofx', 'qfx', 'qif'];
+
+// Recognise OFX/QFX and QIF by their headers; anything else is read as CSV
+const detectFormat = (content) => {
+  if (isOfx(content)) return 'ofx';
+  if (isQif(content)) return 'qif';
+  return 'csv';
+};
+
+/**
+ * Check the splits of a transaction
+ *
+ * @param {Array<Object>} splits - Splits from the request body ({ categoryId, amount })
+ * @param {number} amount - Transaction amount the splits must add up to
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<string|null>} Error message, or null when the splits are valid
+ */
+const validateSplits = async (splits, amount, ownerId) => {
+  if (!splits || splits.length === 0) return null;
+  
+  if (splits.some(split => !split.categoryId || isNaN(Number(split.amount)))) {
+    return 'Each split needs a category and an amount';
+  }
+  
+  if (!Transaction.splitsMatchAmount(splits, amount)) {
+    return 'Splits must add up to the transaction amount';
+  }
+  
+  const categoryIds = [...new Set(splits.map(split => split.categoryId.toString()))];
+  const count = await Category.countDocuments({ _id: { $in: categoryIds }, ownerId });
+  return count === categoryIds.length ? null : 'Invalid category';
+};
+
+/**
+ * Populate the references shown by the client on a transaction query
+ *
+ * @param {Query} query - Mongoose query returning transactions
+ * @param {boolean} [withFullLinkedLeg=false] - Return the whole linked transfer leg
+ *        instead of just its account and amount
+ * @returns {Query} The populated query
+ */
+const populateTransaction = (query, withFullLinkedLeg = false) => query
+  .populate('categoryId', 'name color icon')
+  .populate('splits.categoryId', 'name color icon')
+  .populate('accountId', 'name type color')
+  .populate('payeeId', 'name')
+  .populate('linkedTransactionId', withFullLinkedLeg ? undefined : 'accountId amount');
+
+/**
+ * Check the accounts of a transfer
+ *
+ * @param {string} fromAccountId - Account the money leaves
+ * @param {string} toAccountId - Account the money arrives in
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<string|null>} Error message, or null when both accounts are valid
+ */
+const validateTransferAccounts = async (fromAccountId, toAccountId, ownerId) => {
+  if (!fromAccountId || !toAccountId) {
+    return 'Transfers need both a source and a destination account';
+  }
+  
+  if (fromAccountId.toString() === toAccountId.toString()) {
+    return 'Cannot transfer to the same account';
+  }
+  
+  const count = await Account.countDocuments({
+    _id: { $in: [fromAccountId, toAccountId] },
+    ownerId
+  });
+  return count === 2 ? null : 'Invalid account';
+};
+
+/**
+ * Split a transfer into its outgoing and incoming legs
+ *
+ * @param {Object} leg - Either leg of the transfer
+ * @param {Object} linkedLeg - The other leg
+ * @returns {Object} { outLeg, inLeg }
+ */
+const orderTransferLegs = (leg, linkedLeg) => {
+  return leg.amount < 0
+    ? { outLeg: leg, inLeg: linkedLeg }
+    : { outLeg: linkedLeg, inLeg: leg };
+};
 
 /**
  * GET /api/transactions
@@ -23,15 +146,20 @@ const Transaction = require('../models/Transaction');             // Transaction
  * 
  * Query Parameters:
  * @param {number} page - Page number for pagination (default: 1)
- * @param {number} limit - Number of results per page (default: 10)
+ * @param {number} limit - Number of results per page (default: 10; 0 returns every match)
  * @param {string} sortBy - Field to sort by (default: date)
  * @param {string} sortOrder - Sort direction: 'asc' or 'desc' (default: desc)
  * @param {string} startDate - Filter transactions after this date (ISO format)
  * @param {string} endDate - Filter transactions before this date (ISO format)
- * @param {string} category - Filter by category ID
- * @param {string} type - Filter by transaction type (expense/income)
+ * @param {string} category - Filter by category ID (also matches split transactions)
+ * @param {string} type - Filter by transaction type (expense/income/transfer)
+ * @param {string} account - Filter by account ID
+ * @param {string} payee - Filter by payee ID
+ * @param {string} tags - Comma-separated tags the transactions must all have
+ * @param {string} search - Filter by text in the description
  * 
  * @returns {Object} Paginated transaction list with metadata
+ * @access Private
  */
 router.get('/', async (req, res) => {
   try {
@@ -40,51 +168,31 @@ router.get('/', async (req, res) => {
       page = 1,          // Current page number
       limit = 10,        // Items per page
       sortBy = 'date',   // Default sort field
-      sortOrder = 'desc', // Default sort direction (newest first)
-      startDate,         // Optional date range start
-      endDate,           // Optional date range end
-      category,          // Optional category filter
-      type               // Optional transaction type filter
+      sortOrder = 'desc' // Default sort direction (newest first)
     } = req.query;
 
-    // Build MongoDB filter object based on query parameters
-    const filter = {};
-    
-    // Apply date range filter if provided
-    if (startDate || endDate) {
-      filter.date = {};
-      // Greater than or equal to start date
-      if (startDate) filter.date.$gte = new Date(startDate);
-      // Less than or equal to end date
-      if (endDate) filter.date.$lte = new Date(endDate);
-    }
-    
-    // Filter by category if provided
-    if (category) filter.categoryId = category;
-    
-    // Filter by transaction type if provided (expense/income)
-    if (type) filter.type = type;
+    // Build MongoDB filter object based on query parameters (date range,
+    // category, type, account, search); always restricted to the signed-in user
+    const filter = buildTransactionFilter(req.query, req.user._id);
 
     // Get total count for pagination metadata
     const total = await Transaction.countDocuments(filter);
     
     // Execute main query with all filters, sorting and pagination
-    const transactions = await Transaction.find(filter)
+    // Category, account, payee and other transfer leg are populated instead of just IDs
+    const transactions = await populateTransaction(Transaction.find(filter)
       // Dynamic sorting based on query params
       .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
-      // Apply pagination
+      // Apply pagination (a limit of 0 means no limit in MongoDB)
       .limit(limit * 1)  // Convert to number
-      .skip((page - 1) * limit)
-      // Populate category details instead of just IDs
-      .populate('categoryId', 'name color icon')
-      .exec();
+      .skip((page - 1) * limit));
 
     // Return structured response with:
     // 1. The actual transaction data
     // 2. Pagination metadata for the client
     res.json({
       transactions,                            // Transaction array
-      totalPages: Math.ceil(total / limit),    // Calculate total pages
+      totalPages: limit * 1 === 0 ? 1 : Math.ceil(total / limit), // Calculate total pages
       currentPage: parseInt(page),             // Current page number
       totalTransactions: total                 // Total count of matching records
     });
@@ -100,6 +208,233 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/transactions/duplicates
+ * @desc    Find groups of likely duplicate transactions: same amount, dates
+ *          within `days` of each other (default 3) and similar descriptions.
+ *          Searches the last `lookback` days (default 90), or startDate to
+ *          endDate; at most 366 days are searched.
+ * @access  Private
+ */
+router.get('/duplicates', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10);
+    const lookbackDays = parseInt(req.query.lookback, 10);
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : undefined;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : undefined;
+    if ([startDate, endDate].some(date => date && Number.isNaN(date.getTime()))) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const groups = await findDuplicateGroups(req.user._id, {
+      days: days >= 0 && days <= 31 ? days : DEFAULT_DAY_WINDOW,
+      lookbackDays: lookbackDays > 0 && lookbackDays <= MAX_LOOKBACK_DAYS ? lookbackDays : DEFAULT_LOOKBACK_DAYS,
+      startDate,
+      endDate
+    });
+    
+    res.json(groups.map(transactions => ({
+      amount: transactions[0].amount,
+      transactions
+    })));
+  } catch (error) {
+    console.error('Error finding duplicate transactions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/transactions/duplicates/merge
+ * @desc    Merge duplicates into one transaction
+ *          Body: { keepId, mergeIds }
+ *          The kept transaction takes the category, account, payee, notes and
+ *          external ID of the merged ones where it has none, and all of their
+ *          tags and attachments; the merged ones are deleted.
+ * @access  Private
+ */
+router.post('/duplicates/merge', [
+  check('keepId', 'Transaction to keep is required').isMongoId(),
+  check('mergeIds', 'Transactions to merge are required').isArray({ min: 1 }),
+  check('mergeIds.*', 'Invalid transaction ID').isMongoId()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { keepId } = req.body;
+    const mergeIds = [...new Set(req.body.mergeIds)].filter(id => id !== keepId);
+    if (mergeIds.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one other transaction to merge' });
+    }
+    
+    const keep = await Transaction.findOne({ _id: keepId, ownerId: req.user._id });
+    const merged = await Transaction.find({ _id: { $in: mergeIds }, ownerId: req.user._id });
+    if (!keep || merged.length !== mergeIds.length) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    if ([keep, ...merged].some(transaction => transaction.type === 'transfer')) {
+      return res.status(400).json({ message: 'Transfers cannot be merged' });
+    }
+    
+    // Fill in what the kept transaction is missing
+    merged.forEach(transaction => {
+      const hasCategory = keep.categoryId || keep.splits.length > 0;
+      if (!hasCategory && (transaction.categoryId || transaction.splits.length > 0)) {
+        keep.categoryId = transaction.categoryId;
+        keep.splits = transaction.splits;
+      }
+      if (!keep.accountId && transaction.accountId) keep.accountId = transaction.accountId;
+      if (!keep.payeeId && transaction.payeeId) keep.payeeId = transaction.payeeId;
+      keep.tags = [...keep.tags, ...transaction.tags];
+      // Files are stored by owner and attachment ID, so they move with the record
+      keep.attachments.push(...transaction.attachments);
+      if (!keep.externalId && transaction.externalId) keep.externalId = transaction.externalId;
+      if (transaction.notes && !(keep.notes || '').includes(transaction.notes)) {
+        keep.notes = keep.notes ? `${keep.notes}\n${transaction.notes}` : transaction.notes;
+      }
+    });
+    
+    // Clear the merged external IDs so one moved to the kept transaction does
+    // not clash with the unique index, and put them back if the save fails.
+    // The merged transactions are only deleted once the kept one is saved.
+    const withExternalId = merged.filter(transaction => transaction.externalId);
+    await Transaction.updateMany(
+      { _id: { $in: withExternalId.map(transaction => transaction._id) } },
+      { $unset: { externalId: 1 } }
+    );
+    try {
+      await keep.save();
+    } catch (error) {
+      await Promise.all(withExternalId.map(transaction => Transaction.updateOne(
+        { _id: transaction._id },
+        { $set: { externalId: transaction.externalId } }
+      )));
+      throw error;
+    }
+    await Transaction.deleteMany({ _id: { $in: mergeIds }, ownerId: req.user._id });
+    
+    // Removing double-counted spending can take a budget back below a threshold
+    await checkBudgetAlerts(req.user._id, [keep, ...merged])
+      .catch(error => console.error('Error checking budget alerts:', error));
+    
+    const transaction = await populateTransaction(Transaction.findById(keep._id));
+    res.json({ transaction, removedIds: mergeIds });
+  } catch (error) {
+    console.error('Error merging transactions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/transactions/duplicates/dismiss
+ * @desc    Mark a group of transactions as not duplicates of each other
+ *          Body: { ids }
+ * @access  Private
+ */
+router.post('/duplicates/dismiss', [
+  check('ids', 'At least two transactions are required').isArray({ min: 2 }),
+  check('ids.*', 'Invalid transaction ID').isMongoId()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const ids = [...new Set(req.body.ids)];
+    const count = await Transaction.countDocuments({ _id: { $in: ids }, ownerId: req.user._id });
+    if (count !== ids.length) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    await Transaction.bulkWrite(ids.map(id => ({
+      updateOne: {
+        filter: { _id: id, ownerId: req.user._id },
+        update: { $addToSet: { dismissedDuplicateIds: { $each: ids.filter(other => other !== id) } } }
+      }
+    })));
+    
+    res.json({ dismissed: ids });
+  } catch (error) {
+    console.error('Error dismissing duplicates:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/transactions/suggest-category
+ * @desc    Suggest a category for a description, learned from the user's
+ *          own categorized transactions (see utils/categorySuggestions)
+ *          Query: description, optional type ('expense' or 'income') and amount
+ *          Responds with { suggestion, alternatives, trainedOn }, where each
+ *          suggestion is { categoryId, category, confidence } and suggestion
+ *          is null when there is too little history to go on. A matching
+ *          categorization rule wins with confidence 1 and its `rule`.
+ * @access  Private
+ */
+router.get('/suggest-category', [
+  query('description', 'Description is required').trim().not().isEmpty(),
+  query('type', 'Type must be expense or income').optional().isIn(['expense', 'income']),
+  query('amount', 'Amount must be a number').optional().isFloat()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { description, type, amount } = req.query;
+    const result = await suggestCategory(req.user._id, description, type);
+
+    // The rules would categorize the transaction anyway, so they take precedence
+    const rule = categorize(await loadRules(req.user._id), { description, type, amount });
+    if (rule) {
+      const { _id, name, color } = rule.categoryId;
+      result.suggestion = {
+        categoryId: String(_id),
+        category: { _id, name, color },
+        confidence: 1,
+        rule: { _id: rule._id, name: rule.name }
+      };
+      result.alternatives = [];
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error suggesting category:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/transactions/tags
+ * @desc    List the tags in use with how many transactions have each,
+ *          most used first (for autocomplete and filters)
+ * @access  Private
+ */
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await Transaction.aggregate([
+      { $match: { ownerId: req.user._id, 'tags.0': { $exists: true } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+    
+    res.json(tags);
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * GET /api/transactions/:id
  * 
@@ -111,12 +446,14 @@ router.get('/', async (req, res) => {
  * @returns {Object} Transaction object with populated category data
  * @returns {404} If transaction not found
  * @returns {500} If server error occurs
+ * @access Private
  */
 router.get('/:id', async (req, res) => {
   try {
-    // Find transaction by ID and populate category details
-    const transaction = await Transaction.findById(req.params.id)
-      .populate('categoryId', 'name color icon'); // Get category name, color and icon
+    // Find transaction by ID and populate category, account and payee details
+    const transaction = await populateTransaction(
+      Transaction.findOne({ _id: req.params.id, ownerId: req.user._id })
+    );
     
     // Handle case when transaction doesn't exist
     if (!transaction) {
@@ -141,14 +478,30 @@ router.get('/:id', async (req, res) => {
 /**
  * @route   POST /api/transactions
  * @desc    Create a new transaction
- * @access  Public
+ *          A transfer (type 'transfer') takes the amount moved, accountId as the
+ *          source and toAccountId as the destination, and creates two linked legs.
+ *          The outgoing leg is returned with the incoming leg in linkedTransactionId.
+ *          Other transactions are checked for likely duplicates first; when any
+ *          are found nothing is saved and a 409 lists them, unless the request
+ *          sets allowDuplicate: true.
+ *          A transaction sent without a payeeId is linked to the payee whose
+ *          aliases match its description. One sent without a category (and
+ *          without splits) gets the category of the first categorization rule
+ *          it matches, or else the payee's default category.
+ * @access  Private
  */
 router.post('/', [
   check('amount', 'Amount is required').not().isEmpty(),
   check('amount', 'Amount must be a number').isNumeric(),
   check('description', 'Description is required').not().isEmpty(),
   check('date', 'Valid date is required').isISO8601().toDate(),
-  check('type', 'Type must be expense or income').isIn(['expense', 'income'])
+  check('type', 'Type must be expense, income or transfer').isIn(['expense', 'income', 'transfer']),
+  check('splits', 'Splits must be a list').optional().isArray(),
+  check('tags', 'Tags must be a list').optional().isArray(),
+  check('tags.*', 'Each tag must be text').isString(),
+  body('amount', 'Transfer amount cannot be zero')
+    .if(body('type').equals('transfer'))
+    .custom(value => Number(value) !== 0)
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -157,10 +510,98 @@ router.post('/', [
   }
 
   try {
-    // Create new transaction
-    const newTransaction = new Transaction(req.body);
+    if (req.body.type === 'transfer') {
+      const { accountId, toAccountId, description, date, notes, tags } = req.body;
+      
+      const accountError = await validateTransferAccounts(accountId, toAccountId, req.user._id);
+      if (accountError) {
+        return res.status(400).json({ message: accountError });
+      }
+      
+      // Both legs share everything except the account and the sign of the amount
+      const amount = Math.abs(Number(req.body.amount));
+      const shared = {
+        ownerId: req.user._id,
+        type: 'transfer',
+        description,
+        date,
+        notes,
+        tags,
+        paymentMethod: 'transfer'
+      };
+      const outLeg = new Transaction({ ...shared, amount: -amount, accountId });
+      const inLeg = new Transaction({ ...shared, amount, accountId: toAccountId });
+      outLeg.linkedTransactionId = inLeg._id;
+      inLeg.linkedTransactionId = outLeg._id;
+      
+      await Transaction.insertMany([outLeg, inLeg]);
+      
+      const savedTransfer = await populateTransaction(Transaction.findById(outLeg._id), true);
+      return res.status(201).json(savedTransfer);
+    }
+    
+    if (!(await ownsCategory(req.body.categoryId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+    
+    if (!(await ownsAccount(req.body.accountId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid account' });
+    }
+    
+    if (!(await ownsPayee(req.body.payeeId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid payee' });
+    }
+    
+    const splitError = await validateSplits(req.body.splits, req.body.amount, req.user._id);
+    if (splitError) {
+      return res.status(400).json({ message: splitError });
+    }
+    
+    // Warn before saving the same purchase twice
+    if (req.body.allowDuplicate !== true) {
+      const duplicates = await findDuplicatesOf(req.user._id, req.body);
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          message: 'This looks like a transaction that is already recorded',
+          duplicates
+        });
+      }
+    }
+    
+    // Only transfers have a linked leg, and splits replace the single category
+    const isSplit = Array.isArray(req.body.splits) && req.body.splits.length > 0;
+    
+    // Link the payee the description names, unless one was chosen
+    const payee = req.body.payeeId
+      ? null
+      : findPayee(await loadPayees(req.user._id), req.body.description);
+    const payeeId = req.body.payeeId || (payee ? payee._id : null);
+    
+    // Let the user's rules, then the payee, pick a category when none was chosen
+    let categoryId = isSplit ? null : req.body.categoryId || null;
+    if (!isSplit && !categoryId) {
+      const rule = categorize(await loadRules(req.user._id), req.body);
+      if (rule) categoryId = rule.categoryId._id;
+      else if (payee && payee.defaultCategoryId) categoryId = payee.defaultCategoryId;
+    }
+    
+    // Attachments are only added through the attachment routes
+    const { attachments, ...fields } = req.body;
+    
+    // Create new transaction owned by the signed-in user
+    const newTransaction = new Transaction({
+      ...fields,
+      categoryId,
+      payeeId,
+      ownerId: req.user._id,
+      linkedTransactionId: null
+    });
     const savedTransaction = await newTransaction.save();
     
+    // Tell the user when this takes a budget past one of its alert thresholds
+    await checkBudgetAlerts(req.user._id, [savedTransaction])
+      .catch(error => console.error('Error checking budget alerts:', error));
+    
     // Return the saved transaction
     res.status(201).json(savedTransaction);
   } catch (error) {
@@ -169,15 +610,276 @@ router.post('/', [
   }
 });
 
+/**
+ * @route   POST /api/transactions/import
+ * @desc    Import transactions from a CSV, OFX/QFX or QIF file
+ *          Body:
+ *          - content: file contents
+ *          - format: 'csv', 'ofx', 'qfx' or 'qif' (detected from the contents when omitted)
+ *          - mapping (CSV only): { date, description, amount } or { date, description, debit, credit },
+ *            plus optional category and notes (header names or column indexes)
+ *          - options: { delimiter, hasHeader, invertAmounts } for CSV, and
+ *            { dateFormat, decimalSeparator } for CSV and QIF
+ *          - accountId: account to import into (optional)
+ *          - dryRun: defaults to true; nothing is saved and every row is previewed
+ *          A CSV sent without a mapping only returns its headers, a suggested
+ *          mapping and sample rows. Entries whose external ID (OFX FITID) was
+ *          already imported into the account are reported as duplicates and skipped.
+ *          Rows without a (known) category are categorized by the user's rules.
+ * @access  Private
+ */
+router.post('/import', parseImportBody, [
+  check('content', 'File content is required').isString().notEmpty(),
+  check('format', `Format must be one of: ${IMPORT_FORMATS.join(', ')}`).optional().isIn(IMPORT_FORMATS),
+  check('mapping', 'Mapping must be an object').optional().isObject(),
+  check('options', 'Options must be an object').optional().isObject(),
+  check('options.dateFormat', `Date format must be one of: ${DATE_FORMATS.join(', ')}`).optional().isIn(DATE_FORMATS),
+  check('options.decimalSeparator', 'Decimal separator must be "." or ","').optional().isIn(['.', ',']),
+  check('dryRun', 'dryRun must be true or false').optional().isBoolean()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { content, mapping, options = {}, accountId } = req.body;
+    const format = req.body.format || detectFormat(content);
+    const dryRun = req.body.dryRun !== false;
+    
+    if (!(await ownsAccount(accountId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid account' });
+    }
+    
+    let records;
+    let statementAccount = null;
+    
+    if (format === 'csv') {
+      // First step of the wizard: describe the file so columns can be mapped
+      if (!mapping) {
+        const delimiter = options.delimiter || detectDelimiter(content);
+        const rows = parseCsv(content, delimiter);
+        const hasHeader = options.hasHeader !== false;
+        const width = Math.max(0, ...rows.map(row => row.length));
+        const headers = hasHeader && rows.length > 0
+          ? rows[0]
+          : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+        
+        return res.json({
+          format,
+          delimiter,
+          headers,
+          suggestedMapping: hasHeader ? suggestMapping(headers) : {},
+          sample: rows.slice(hasHeader ? 1 : 0, hasHeader ? 6 : 5),
+          rowCount: Math.max(0, rows.length - (hasHeader ? 1 : 0))
+        });
+      }
+      
+      const hasAmount = mapping.amount !== undefined && mapping.amount !== '';
+      const hasDebitCredit = [mapping.debit, mapping.credit].some(c => c !== undefined && c !== '');
+      if (mapping.date === undefined || mapping.description === undefined || !(hasAmount || hasDebitCredit)) {
+        return res.status(400).json({
+          message: 'Map the date, description and either an amount or debit/credit columns'
+        });
+      }
+      
+      ({ records } = readCsv(content, mapping, options));
+    } else if (format === 'qif') {
+      ({ records, account: statementAccount } = readQif(content, options));
+    } else {
+      ({ records, account: statementAccount } = readOfx(content));
+    }
+    
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        message: `Imports are limited to ${MAX_IMPORT_ROWS} rows. Split the file and try again.`
+      });
+    }
+    
+    const rows = await prepareImport(records, req.user._id, { accountId });
+    const summary = summarizeImport(rows);
+    
+    if (dryRun) {
+      return res.json({ dryRun: true, format, statementAccount, ...summary, rows });
+    }
+    
+    const imported = await commitImport(rows, req.user._id, { accountId });
+    await checkBudgetAlerts(req.user._id, rows.filter(row => row.status === 'ok'))
+      .catch(error => console.error('Error checking budget alerts:', error));
+    
+    // Only the rows that were left out need to be shown after a real import
+    res.status(201).json({
+      dryRun: false,
+      format,
+      statementAccount,
+      ...summary,
+      imported,
+      rows: rows.filter(row => row.status !== 'ok')
+    });
+  } catch (error) {
+    console.error('Error importing transactions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/transactions/:id/attachments
+ * @desc    List the receipts and documents attached to a transaction
+ * @access  Private
+ */
+router.get('/:id/attachments', async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: req.params.id, ownerId: req.user._id })
+      .select('attachments');
+    
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    res.json(transaction.attachments);
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/transactions/:id/attachments
+ * @desc    Attach receipts or documents to a transaction
+ *          Multipart form with up to 5 images or PDFs in the `files` field,
+ *          10 MB each. Returns the transaction's attachments.
+ * @access  Private
+ */
+router.post('/:id/attachments', receiveAttachments, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one file to attach' });
+    }
+    
+    const transaction = await Transaction.findOne({ _id: req.params.id, ownerId: req.user._id });
+    
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    if (transaction.attachments.length + files.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        message: `A transaction can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+    
+    // Store the files first so a saved record always has its file
+    const added = files.map(file => transaction.attachments.create({
+      filename: file.originalname,
+      contentType: file.mimetype,
+      size: file.size
+    }));
+    const storage = getStorage();
+    await Promise.all(added.map((attachment, index) => storage.save(
+      attachmentKey(req.user._id, attachment._id),
+      files[index].buffer,
+      attachment.contentType
+    )));
+    
+    transaction.attachments.push(...added);
+    try {
+      await transaction.save();
+    } catch (error) {
+      await removeAttachmentFiles(req.user._id, added);
+      throw error;
+    }
+    
+    res.status(201).json(transaction.attachments);
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/transactions/:id/attachments/:attachmentId
+ * @desc    Get the file of an attachment
+ *          Served inline (so images can be shown) unless ?download=1 is set.
+ * @access  Private
+ */
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: req.params.id, ownerId: req.user._id })
+      .select('attachments');
+    const attachment = transaction && transaction.attachments.id(req.params.attachmentId);
+    
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    
+    const stream = await getStorage().read(attachmentKey(req.user._id, attachment._id));
+    if (!stream) {
+      return res.status(404).json({ message: 'File is missing' });
+    }
+    
+    res.type(attachment.contentType);
+    if (req.query.download === '1') {
+      res.attachment(attachment.filename);
+    } else {
+      res.set('Content-Disposition', `inline; filename="${encodeURIComponent(attachment.filename)}"`);
+    }
+    
+    stream.on('error', error => {
+      console.error('Error reading attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/transactions/:id/attachments/:attachmentId
+ * @desc    Remove an attachment and its file
+ *          Returns the transaction's remaining attachments.
+ * @access  Private
+ */
+router.delete('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: req.params.id, ownerId: req.user._id });
+    const attachment = transaction && transaction.attachments.id(req.params.attachmentId);
+    
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    
+    attachment.deleteOne();
+    await transaction.save();
+    await removeAttachmentFiles(req.user._id, [attachment]);
+    
+    res.json(transaction.attachments);
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   PUT /api/transactions/:id
  * @desc    Update a transaction
- * @access  Public
+ *          Updating either leg of a transfer updates both legs. For transfers,
+ *          amount is the amount moved, accountId the source and toAccountId the
+ *          destination, whichever leg is addressed.
+ *          A changed description is linked to the payee it matches, unless
+ *          the request sets payeeId.
+ * @access  Private
  */
 router.put('/:id', [
   check('amount', 'Amount must be a number').optional().isNumeric(),
   check('date', 'Valid date is required').optional().isISO8601().toDate(),
-  check('type', 'Type must be expense or income').optional().isIn(['expense', 'income'])
+  check('type', 'Type must be expense, income or transfer').optional().isIn(['expense', 'income', 'transfer']),
+  check('splits', 'Splits must be a list').optional().isArray(),
+  check('tags', 'Tags must be a list').optional().isArray(),
+  check('tags.*', 'Each tag must be text').isString()
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -186,17 +888,117 @@ router.put('/:id', [
   }
 
   try {
+    const existing = await Transaction.findOne({ _id: req.params.id, ownerId: req.user._id });
+    
+    if (!existing) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    const isTransfer = existing.type === 'transfer';
+    if (req.body.type && (req.body.type === 'transfer') !== isTransfer) {
+      return res.status(400).json({
+        message: 'A transaction cannot be switched to or from a transfer. Delete it and create a new one instead.'
+      });
+    }
+    
+    if (isTransfer) {
+      const linkedLeg = await Transaction.findOne({
+        _id: existing.linkedTransactionId,
+        ownerId: req.user._id
+      });
+      
+      if (!linkedLeg) {
+        return res.status(404).json({ message: 'Linked transfer leg not found' });
+      }
+      
+      const { outLeg, inLeg } = orderTransferLegs(existing, linkedLeg);
+      const { amount, accountId, toAccountId } = req.body;
+      
+      const accountError = await validateTransferAccounts(
+        accountId || outLeg.accountId,
+        toAccountId || inLeg.accountId,
+        req.user._id
+      );
+      if (accountError) {
+        return res.status(400).json({ message: accountError });
+      }
+      
+      // Fields shared by both legs
+      ['description', 'date', 'notes', 'tags'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          outLeg[field] = req.body[field];
+          inLeg[field] = req.body[field];
+        }
+      });
+      
+      if (amount !== undefined) {
+        outLeg.amount = -Math.abs(Number(amount));
+        inLeg.amount = Math.abs(Number(amount));
+      }
+      if (accountId) outLeg.accountId = accountId;
+      if (toAccountId) inLeg.accountId = toAccountId;
+      
+      await Promise.all([outLeg.save(), inLeg.save()]);
+      
+      const updatedTransfer = await populateTransaction(Transaction.findById(existing._id), true);
+      return res.json(updatedTransfer);
+    }
+    
+    if (!(await ownsCategory(req.body.categoryId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+    
+    if (!(await ownsAccount(req.body.accountId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid account' });
+    }
+    
+    if (!(await ownsPayee(req.body.payeeId, req.user._id))) {
+      return res.status(400).json({ message: 'Invalid payee' });
+    }
+    
+    // Changing either the amount or the splits must keep them consistent
+    const splitError = await validateSplits(
+      req.body.splits !== undefined ? req.body.splits : existing.splits,
+      req.body.amount !== undefined ? req.body.amount : existing.amount,
+      req.user._id
+    );
+    if (splitError) {
+      return res.status(400).json({ message: splitError });
+    }
+    
+    // Ownership, transfer links and attachments cannot be changed through this route
+    const { ownerId, linkedTransactionId, attachments, ...updates } = req.body;
+    
+    // Splits replace the single category
+    if (Array.isArray(updates.splits) && updates.splits.length > 0) {
+      updates.categoryId = null;
+    }
+    
+    // A new description is matched to a payee again unless one is chosen
+    if (updates.payeeId === '') {
+      updates.payeeId = null;
+    } else if (updates.payeeId === undefined && updates.description !== undefined
+      && updates.description !== existing.description) {
+      const payee = findPayee(await loadPayees(req.user._id), updates.description);
+      updates.payeeId = payee ? payee._id : null;
+    }
+    
     // Find and update the transaction
-    const transaction = await Transaction.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
+    const transaction = await populateTransaction(Transaction.findOneAndUpdate(
+      { _id: req.params.id, ownerId: req.user._id },
+      { $set: updates },
       { new: true, runValidators: true }
-    ).populate('categoryId', 'name color icon');
+    ));
     
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found' });
     }
     
+    // The old version counts too: moving spending out of a budget can take
+    // it back below a threshold
+    await checkBudgetAlerts(req.user._id, [existing, transaction])
+      .catch(error => console.error('Error checking budget alerts:', error));
+    
     res.json(transaction);
   } catch (error) {
     console.error('Error updating transaction:', error);
@@ -206,18 +1008,35 @@ router.put('/:id', [
 
 /**
  * @route   DELETE /api/transactions/:id
- * @desc    Delete a transaction
- * @access  Public
+ * @desc    Delete a transaction (both legs when it is part of a transfer)
+ *          and the files attached to it
+ * @access  Private
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const transaction = await Transaction.findById(req.params.id);
+    const transaction = await Transaction.findOne({ _id: req.params.id, ownerId: req.user._id });
     
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found' });
     }
     
+    if (transaction.type === 'transfer') {
+      const legs = await Transaction.find({
+        _id: { $in: [transaction._id, transaction.linkedTransactionId] },
+        ownerId: req.user._id
+      });
+      await Transaction.deleteMany({ _id: { $in: legs.map(leg => leg._id) }, ownerId: req.user._id });
+      await removeAttachmentFiles(req.user._id, legs.flatMap(leg => leg.attachments));
+      return res.json({ message: 'Transfer removed' });
+    }
+    
     await transaction.deleteOne();
+    await removeAttachmentFiles(req.user._id, transaction.attachments);
+    
+    // Less spending can take a budget back below an alert threshold
+    await checkBudgetAlerts(req.user._id, [transaction])
+      .catch(error => console.error('Error checking budget alerts:', error));
+    
     res.json({ message: 'Transaction removed' });
   } catch (error) {
     console.error('Error deleting transaction:', error);
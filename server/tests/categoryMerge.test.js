@@ -0,0 +1,102 @@
+/**
+ * Category merge tests
+ * Run with `npm test`. Model methods are stubbed, so no database is needed.
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const BudgetTemplate = require('../models/BudgetTemplate');
+const CategoryRule = require('../models/CategoryRule');
+const Payee = require('../models/Payee');
+const RecurringRule = require('../models/RecurringRule');
+const Goal = require('../models/Goal');
+const { combineEntries, mergeCategory } = require('../utils/categoryMerge');
+
+const ownerId = new mongoose.Types.ObjectId();
+const sourceId = new mongoose.Types.ObjectId();
+const targetId = new mongoose.Types.ObjectId();
+const otherId = new mongoose.Types.ObjectId();
+
+// A query resolving to documents, or to plain copies of them through .lean()
+const query = (docs) => ({
+  lean: async () => docs.map(doc => (doc.toObject ? doc.toObject() : doc)),
+  then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+});
+
+let template;
+let savedTemplates;
+let restored;
+
+beforeEach(() => {
+  template = new BudgetTemplate({
+    ownerId,
+    name: 'Normal month',
+    items: [
+      { categoryId: targetId, amount: 300, rollover: 'unspent' },
+      { categoryId: otherId, amount: 50 },
+      { categoryId: sourceId, amount: 100, notes: 'Snacks' }
+    ]
+  });
+  savedTemplates = [];
+  restored = [];
+
+  const noChange = async () => ({ modifiedCount: 0 });
+  [Transaction, CategoryRule, Payee, RecurringRule, Goal, Category].forEach(model => {
+    mock.method(model, 'updateMany', noChange);
+  });
+  [Transaction, Budget, CategoryRule, Payee, RecurringRule, Goal, Category].forEach(model => {
+    mock.method(model, 'find', () => query([]));
+    mock.method(model, 'bulkWrite', async (ops) => { restored.push({ model, ops }); });
+  });
+  mock.method(BudgetTemplate, 'find', () => query([template]));
+  mock.method(BudgetTemplate, 'bulkWrite', async (ops) => { restored.push({ model: BudgetTemplate, ops }); });
+  mock.method(BudgetTemplate.prototype, 'save', async function() { savedTemplates.push(this.toObject()); return this; });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const categories = () => ({
+  source: { _id: sourceId, ownerId, deleteOne: async () => {} },
+  target: { _id: targetId, ownerId, parentId: null }
+});
+
+test('combineEntries keeps one entry for the target with the amounts added up', () => {
+  const combined = combineEntries(template.items, sourceId, targetId);
+
+  assert.strictEqual(combined.length, 2);
+  const targetItems = combined.filter(item => String(item.categoryId) === String(targetId));
+  assert.strictEqual(targetItems.length, 1);
+  assert.strictEqual(targetItems[0].amount, 400);
+  assert.strictEqual(targetItems[0].rollover, 'unspent');
+  assert.strictEqual(targetItems[0].notes, 'Snacks');
+});
+
+test('merging into a category a template already has does not duplicate its item', async () => {
+  const { source, target } = categories();
+  await mergeCategory(source, target);
+
+  assert.strictEqual(savedTemplates.length, 1);
+  const items = savedTemplates[0].items;
+  assert.deepStrictEqual(
+    items.map(item => [String(item.categoryId), item.amount]),
+    [[String(targetId), 400], [String(otherId), 50]]
+  );
+});
+
+test('a merge that fails partway through writes back what it changed', async () => {
+  const { source, target } = categories();
+  mock.method(Payee, 'updateMany', async () => { throw new Error('connection lost'); });
+
+  await assert.rejects(mergeCategory(source, target), /connection lost/);
+
+  const templateRestore = restored.find(entry => entry.model === BudgetTemplate);
+  assert.ok(templateRestore, 'the template is written back');
+  const replacement = templateRestore.ops[0].replaceOne.replacement;
+  assert.strictEqual(replacement.items.length, 3);
+});
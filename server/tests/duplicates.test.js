@@ -0,0 +1,19 @@
+/**
+ * Duplicate detection tests
+ * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeDescription, descriptionSimilarity } = require('../utils/duplicates');
+
+test('normalizeDescription drops punctuation and keeps letters and digits of any script', () => {
+  assert.strictEqual(normalizeDescription('Café  Zürich, 7-Eleven!'), 'café zürich 7 eleven');
+  assert.strictEqual(normalizeDescription('Магазин №5'), 'магазин 5');
+  assert.strictEqual(normalizeDescription('東京 ラーメン'), '東京 ラーメン');
+});
+
+test('descriptions without Latin letters can still match', () => {
+  assert.strictEqual(descriptionSimilarity('Пятёрочка', 'ПЯТЁРОЧКА.'), 1);
+  assert.ok(descriptionSimilarity('Пятёрочка', 'Магнит') < 0.6);
+});
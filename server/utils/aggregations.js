@@ -0,0 +1,36 @@
+/**
+ * Aggregation stages
+ *
+ * Pipeline pieces shared by the routes and utilities that total up
+ * transactions.
+ */
+
+/**
+ * Aggregation stages that turn each transaction into one document per category
+ * Split transactions yield one document per split, carrying the split's
+ * categoryId and amount; other transactions pass through unchanged.
+ */
+const EXPAND_SPLITS = [
+  {
+    $addFields: {
+      allocations: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          '$splits',
+          [{ categoryId: '$categoryId', amount: '$amount' }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$allocations' },
+  {
+    $addFields: {
+      categoryId: '$allocations.categoryId',
+      amount: '$allocations.amount'
+    }
+  }
+];
+
+module.exports = {
+  EXPAND_SPLITS
+};
@@ -0,0 +1,78 @@
+/**
+ * Local filesystem storage for attachments
+ *
+ * Files are written under one root directory (ATTACHMENT_DIR, by default
+ * server/uploads), at the path given by their storage key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'uploads');
+
+/**
+ * Create a local storage driver
+ *
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory files are stored in
+ * @returns {Object} Storage driver: { save, read, remove }
+ */
+const createLocalStorage = ({ root = process.env.ATTACHMENT_DIR || DEFAULT_ROOT } = {}) => {
+  const resolvedRoot = path.resolve(root);
+
+  // Keys are generated by the server, but never let one escape the root
+  const filePath = (key) => {
+    const resolved = path.resolve(resolvedRoot, key);
+    if (!resolved.startsWith(resolvedRoot + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  return {
+    /**
+     * Store a file, replacing any file with the same key
+     *
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @returns {Promise<void>}
+     */
+    save: async (key, buffer) => {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+    },
+
+    /**
+     * Open a stored file
+     *
+     * @param {string} key - Storage key
+     * @returns {Promise<ReadableStream|null>} File contents, or null when missing
+     */
+    read: async (key) => {
+      try {
+        const handle = await fs.promises.open(filePath(key), 'r');
+        return handle.createReadStream();
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Delete a stored file; a missing file is not an error
+     *
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
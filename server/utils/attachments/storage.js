@@ -0,0 +1,87 @@
+/**
+ * Attachment storage
+ *
+ * Receipts and documents attached to transactions are kept outside the
+ * database by a storage driver. The driver is chosen with ATTACHMENT_STORAGE
+ * (default 'local', see ./local); other backends such as object storage are
+ * plugged in with registerStorageDriver before the server starts.
+ *
+ * A driver is an object with:
+ *   save(key, buffer, contentType) -> Promise<void>
+ *   read(key) -> Promise<ReadableStream|null>   (null when the file is missing)
+ *   remove(key) -> Promise<void>                 (a missing file is not an error)
+ *
+ * Storage keys are derived from the owner and the attachment ID, never read
+ * from stored data, so a document (or a restored backup) cannot point at
+ * another user's files.
+ */
+
+const { createLocalStorage } = require('./local');
+
+// Driver factories by name
+const drivers = new Map([['local', createLocalStorage]]);
+
+// Driver in use, created on first use
+let storage = null;
+
+/**
+ * Make a storage driver available under a name
+ *
+ * @param {string} name - Value of ATTACHMENT_STORAGE that selects it
+ * @param {Function} factory - Returns the driver
+ */
+const registerStorageDriver = (name, factory) => {
+  drivers.set(name, factory);
+  storage = null;
+};
+
+/**
+ * Get the configured storage driver
+ *
+ * @returns {Object} Storage driver
+ * @throws {Error} When ATTACHMENT_STORAGE names an unknown driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    const factory = drivers.get(name);
+    if (!factory) throw new Error(`Unknown attachment storage: ${name}`);
+    storage = factory();
+  }
+  return storage;
+};
+
+/**
+ * Storage key of an attachment
+ *
+ * @param {ObjectId} ownerId - Owner of the transaction
+ * @param {ObjectId} attachmentId - ID of the attachment
+ * @returns {string} Key, e.g. "<ownerId>/<attachmentId>"
+ */
+const attachmentKey = (ownerId, attachmentId) => `${ownerId}/${attachmentId}`;
+
+/**
+ * Delete the stored files of some attachments
+ * Failures are logged rather than thrown: the records are already gone, and
+ * a leftover file is better than a failed request.
+ *
+ * @param {ObjectId} ownerId - Owner of the transactions
+ * @param {Array<Object>} attachments - Attachment records
+ * @returns {Promise<void>}
+ */
+const removeAttachmentFiles = async (ownerId, attachments) => {
+  await Promise.all(attachments.map(async attachment => {
+    try {
+      await getStorage().remove(attachmentKey(ownerId, attachment._id));
+    } catch (error) {
+      console.error(`Error removing attachment ${attachment._id}:`, error);
+    }
+  }));
+};
+
+module.exports = {
+  registerStorageDriver,
+  getStorage,
+  attachmentKey,
+  removeAttachmentFiles
+};
@@ -0,0 +1,66 @@
+/**
+ * Attachment uploads
+ *
+ * Multipart parsing for receipt and document uploads. Files are held in
+ * memory while the request is handled and then written to the configured
+ * storage (see ./storage).
+ */
+
+const multer = require('multer');
+
+// Kinds of files that can be attached
+const ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/heic',
+  'application/pdf'
+];
+
+// Largest file accepted
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Most files in one upload, and on one transaction
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS = 20;
+
+const UNSUPPORTED_TYPE = 'Only images (JPEG, PNG, GIF, WebP, HEIC) and PDFs can be attached';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, done) => {
+    if (ALLOWED_TYPES.includes(file.mimetype)) return done(null, true);
+    done(Object.assign(new Error(UNSUPPORTED_TYPE), { code: 'UNSUPPORTED_TYPE' }));
+  }
+});
+
+// Messages for upload errors a client can fix
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Files can be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`,
+  LIMIT_UNEXPECTED_FILE: 'Upload files in the "files" field'
+};
+
+/**
+ * Middleware that parses the `files` field of a multipart request into
+ * req.files, answering 400 when the upload is not acceptable
+ */
+const receiveAttachments = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, error => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError || error.code === 'UNSUPPORTED_TYPE') {
+      return res.status(400).json({ message: UPLOAD_ERRORS[error.code] || error.message });
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  MAX_FILE_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS,
+  receiveAttachments
+};
@@ -0,0 +1,466 @@
+/**
+ * Ledger backup and restore
+ *
+ * A backup is one JSON document holding every entity the signed-in user owns:
+ *
+ *   { format: 'finance-tracker-backup', version: 1, createdAt,
+ *     data: { accounts: [...], categories: [...], ... } }
+ *
+ * Documents keep their original _id, so the references between them
+ * (transaction -> category, budget -> category, transfer leg -> other leg,
+ * ...) survive a round trip. ownerId is left out; restored documents belong
+ * to whoever restores them. Attachments are left out too: the files are not
+ * in the backup, so restored transactions have none.
+ *
+ * New entities are added to BACKUP_ENTITIES. Bump BACKUP_VERSION when the
+ * shape of existing entities changes in a way older restores cannot read.
+ */
+
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Category = require('../models/Category');
+const CategoryRule = require('../models/CategoryRule');
+const Payee = require('../models/Payee');
+const RecurringRule = require('../models/RecurringRule');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const BudgetTemplate = require('../models/BudgetTemplate');
+const GlobalBudget = require('../models/GlobalBudget');
+const Goal = require('../models/Goal');
+const Notification = require('../models/Notification');
+const { getMonthRange } = require('./budgetPeriods');
+const { removeAttachmentFiles } = require('./attachments/storage');
+
+const BACKUP_FORMAT = 'finance-tracker-backup';
+const BACKUP_VERSION = 1;
+
+const RESTORE_MODES = ['replace', 'merge'];
+
+/**
+ * Entities included in a backup, in restore order: an entity only
+ * references entities listed before it (or itself).
+ *
+ * - refs: paths holding IDs of other backed-up documents, mapped to the
+ *   entity they point at. Paths through arrays apply to every element.
+ * - mergeKey: identifies a document that already exists under another ID,
+ *   so merging does not create a second "Groceries" category. Called with
+ *   the document after its references have been mapped.
+ * - omitted: fields of this entity left out of backups and restores
+ */
+const BACKUP_ENTITIES = [
+  {
+    key: 'accounts',
+    model: Account,
+    refs: {},
+    mergeKey: (doc) => String(doc.name).trim().toLowerCase()
+  },
+  {
+    key: 'categories',
+    model: Category,
+    refs: { parentId: 'categories' },
+    mergeKey: (doc) => String(doc.name).trim().toLowerCase()
+  },
+  {
+    key: 'categoryRules',
+    model: CategoryRule,
+    refs: { categoryId: 'categories' },
+    mergeKey: (doc) => String(doc.name).trim().toLowerCase()
+  },
+  {
+    key: 'payees',
+    model: Payee,
+    refs: { defaultCategoryId: 'categories' },
+    mergeKey: (doc) => String(doc.name).trim().toLowerCase()
+  },
+  {
+    key: 'recurringRules',
+    model: RecurringRule,
+    refs: {
+      categoryId: 'categories',
+      accountId: 'accounts',
+      'exceptions.categoryId': 'categories'
+    }
+  },
+  {
+    key: 'transactions',
+    model: Transaction,
+    refs: {
+      categoryId: 'categories',
+      accountId: 'accounts',
+      payeeId: 'payees',
+      'splits.categoryId': 'categories',
+      linkedTransactionId: 'transactions',
+      recurringRuleId: 'recurringRules',
+      dismissedDuplicateIds: 'transactions'
+    },
+    // Attachment files are not in backups, so neither is their metadata:
+    // restored transactions would point at files that do not exist
+    omitted: ['attachments']
+  },
+  {
+    key: 'budgets',
+    model: Budget,
+    refs: { categoryId: 'categories' },
+    // Backups made before budget periods existed only have month and year
+    mergeKey: (doc) => `${doc.categoryId}:${doc.startDate
+      ? new Date(doc.startDate).toISOString()
+      : getMonthRange(doc.month, doc.year).startDate.toISOString()}`
+  },
+  {
+    key: 'globalBudgets',
+    model: GlobalBudget,
+    refs: {},
+    mergeKey: (doc) => new Date(doc.startDate).toISOString()
+  },
+  {
+    key: 'budgetTemplates',
+    model: BudgetTemplate,
+    refs: { 'items.categoryId': 'categories' },
+    mergeKey: (doc) => String(doc.name).trim().toLowerCase()
+  },
+  {
+    key: 'goals',
+    model: Goal,
+    refs: { accountId: 'accounts', categoryId: 'categories' },
+    mergeKey: (doc) => String(doc.name).trim().toLowerCase()
+  },
+  {
+    // Budget alerts point at their budget, so a replace restore clears them too
+    key: 'notifications',
+    model: Notification,
+    refs: { budgetId: 'budgets', categoryId: 'categories' }
+  }
+];
+
+// Fields that are never written to or read from a backup
+const OMITTED_FIELDS = ['ownerId', '__v'];
+
+/**
+ * Apply a function to every value found at a dotted path
+ *
+ * Arrays along the way are walked element by element, so
+ * 'splits.categoryId' reaches the category of every split.
+ *
+ * @param {*} value - Document or part of one
+ * @param {Array<string>} parts - Remaining path segments
+ * @param {Function} update - Receives each non-empty value, returns its replacement
+ * @returns {*} Copy of value with the path updated
+ */
+const updatePath = (value, parts, update) => {
+  if (Array.isArray(value)) return value.map(item => updatePath(item, parts, update));
+  if (parts.length === 0) return value === null || value === undefined ? value : update(value);
+  if (value === null || typeof value !== 'object') return value;
+
+  const [head, ...rest] = parts;
+  if (!(head in value)) return value;
+  return { ...value, [head]: updatePath(value[head], rest, update) };
+};
+
+// Call visit for every reference in a document: (path, target entity key, id)
+const forEachRef = (entity, doc, visit) => {
+  Object.entries(entity.refs).forEach(([path, target]) => {
+    updatePath(doc, path.split('.'), (id) => {
+      visit(path, target, String(id));
+      return id;
+    });
+  });
+};
+
+// Replace every reference in a document using the ID maps built so far
+const mapRefs = (entity, doc, idMaps) => Object.entries(entity.refs).reduce(
+  (mapped, [path, target]) => updatePath(mapped, path.split('.'), (id) => idMaps[target].get(String(id)) || String(id)),
+  doc
+);
+
+const withoutOmittedFields = (entity, doc) => {
+  const copy = { ...doc };
+  [...OMITTED_FIELDS, ...(entity.omitted || [])].forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Create a backup of everything a user owns
+ *
+ * @param {ObjectId} ownerId - ID of the user to back up
+ * @returns {Promise<Object>} Backup document, ready for JSON.stringify
+ */
+const createBackup = async (ownerId) => {
+  const data = {};
+  for (const entity of BACKUP_ENTITIES) {
+    const docs = await entity.model.find({ ownerId }).sort({ _id: 1 }).lean();
+    data[entity.key] = docs.map(doc => withoutOmittedFields(entity, doc));
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    data
+  };
+};
+
+/**
+ * Check that a backup can be restored
+ *
+ * Checks the envelope, that every document has a unique valid _id, and that
+ * every document passes its model's validation. References to documents
+ * missing from the backup are reported as warnings and restored unchanged,
+ * the same way they were stored.
+ *
+ * @param {Object} backup - Parsed backup file
+ * @returns {Promise<Object>} { errors, warnings, counts } - errors is empty when valid
+ */
+const validateBackup = async (backup) => {
+  const errors = [];
+  const warnings = [];
+  const counts = {};
+
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    return { errors: ['Backup must be a JSON object'], warnings, counts };
+  }
+  if (backup.format !== BACKUP_FORMAT) {
+    return { errors: ['File is not a finance tracker backup'], warnings, counts };
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return { errors: ['Backup version is missing or invalid'], warnings, counts };
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return {
+      errors: [`Backup version ${backup.version} was made by a newer version of the app (this one reads up to ${BACKUP_VERSION})`],
+      warnings,
+      counts
+    };
+  }
+  if (!backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+    return { errors: ['Backup has no data'], warnings, counts };
+  }
+
+  const knownKeys = BACKUP_ENTITIES.map(entity => entity.key);
+  Object.keys(backup.data)
+    .filter(key => !knownKeys.includes(key))
+    .forEach(key => errors.push(`Unknown entity "${key}"`));
+
+  // IDs present in the backup, per entity
+  const ids = {};
+  for (const entity of BACKUP_ENTITIES) {
+    const docs = backup.data[entity.key] ?? [];
+    ids[entity.key] = new Set();
+
+    if (!Array.isArray(docs)) {
+      errors.push(`${entity.key} must be an array`);
+      continue;
+    }
+    counts[entity.key] = docs.length;
+
+    docs.forEach((doc, index) => {
+      const id = doc && typeof doc === 'object' ? String(doc._id) : '';
+      if (!mongoose.isObjectIdOrHexString(id)) {
+        errors.push(`${entity.key}[${index}]: missing or invalid _id`);
+      } else if (ids[entity.key].has(id)) {
+        errors.push(`${entity.key}[${index}]: duplicate _id ${id}`);
+      } else {
+        ids[entity.key].add(id);
+      }
+    });
+  }
+  if (errors.length > 0) return { errors, warnings, counts };
+
+  // Placeholder owner so required-owner validation passes
+  const ownerId = new mongoose.Types.ObjectId();
+  let dangling = 0;
+
+  for (const entity of BACKUP_ENTITIES) {
+    for (const [index, doc] of (backup.data[entity.key] ?? []).entries()) {
+      forEachRef(entity, doc, (path, target, id) => {
+        if (!mongoose.isObjectIdOrHexString(id)) {
+          errors.push(`${entity.key}[${index}].${path}: invalid ID ${id}`);
+        } else if (!ids[target].has(id)) {
+          dangling += 1;
+        }
+      });
+
+      try {
+        await new entity.model({ ...withoutOmittedFields(entity, doc), ownerId }).validate();
+      } catch (error) {
+        errors.push(`${entity.key}[${index}]: ${error.message}`);
+      }
+
+      // Keep the response readable for badly broken files
+      if (errors.length >= 50) {
+        errors.push('Too many errors; stopped checking');
+        return { errors, warnings, counts };
+      }
+    }
+  }
+
+  if (dangling > 0) {
+    warnings.push(`${dangling} reference(s) point to records that are not in the backup and will be kept as they are`);
+  }
+
+  return { errors, warnings, counts };
+};
+
+/**
+ * Remove everything a user owns, in reverse restore order
+ *
+ * @param {ObjectId} ownerId - ID of the user
+ * @returns {Promise<void>}
+ */
+const clearOwnerData = async (ownerId) => {
+  for (const entity of [...BACKUP_ENTITIES].reverse()) {
+    await entity.model.deleteMany({ ownerId });
+  }
+};
+
+/**
+ * Plan the documents to insert for each entity
+ *
+ * Documents keep their backup _id unless another document already uses it.
+ * In merge mode a document is skipped (and references to it point at the
+ * existing document) when the user already has it, either under the same
+ * _id or under the entity's merge key.
+ *
+ * @param {Object} data - Backup data keyed by entity
+ * @param {ObjectId} ownerId - ID of the restoring user
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Promise<Object>} { plan: { [key]: docs to insert }, summary: { [key]: { total, created, skipped } } }
+ */
+const planRestore = async (data, ownerId, mode) => {
+  const idMaps = {};
+  const plan = {};
+  const summary = {};
+
+  for (const entity of BACKUP_ENTITIES) {
+    const docs = data[entity.key] ?? [];
+    const idMap = new Map();
+    idMaps[entity.key] = idMap;
+
+    // IDs from the backup that are already used in the collection
+    const backupIds = docs.map(doc => String(doc._id));
+    const taken = await entity.model.find({ _id: { $in: backupIds } }).select('ownerId').lean();
+    const ownedIds = new Set(taken.filter(doc => String(doc.ownerId) === String(ownerId)).map(doc => String(doc._id)));
+    const takenIds = new Set(taken.map(doc => String(doc._id)));
+
+    // In merge mode, existing documents by merge key
+    const existingByKey = new Map();
+    if (mode === 'merge' && entity.mergeKey) {
+      const existing = await entity.model.find({ ownerId }).lean();
+      existing.forEach(doc => existingByKey.set(entity.mergeKey(doc), String(doc._id)));
+    }
+
+    // Self references (e.g. transfer legs) are mapped after every ID is known
+    const pending = [];
+    let skipped = 0;
+
+    for (const doc of docs) {
+      const backupId = String(doc._id);
+
+      if (mode === 'merge' && ownedIds.has(backupId)) {
+        idMap.set(backupId, backupId);
+        skipped += 1;
+        continue;
+      }
+
+      const mapped = mapRefs(entity, withoutOmittedFields(entity, doc), idMaps);
+      const existingId = mode === 'merge' && entity.mergeKey ? existingByKey.get(entity.mergeKey(mapped)) : null;
+      if (existingId) {
+        idMap.set(backupId, existingId);
+        skipped += 1;
+        continue;
+      }
+
+      const id = takenIds.has(backupId) ? String(new mongoose.Types.ObjectId()) : backupId;
+      idMap.set(backupId, id);
+      pending.push({ ...mapped, _id: id, ownerId });
+    }
+
+    plan[entity.key] = pending.map(doc => mapRefs(entity, doc, idMaps));
+    summary[entity.key] = { total: docs.length, created: pending.length, skipped };
+  }
+
+  return { plan, summary };
+};
+
+// Insert planned documents; documents clashing with a unique index are counted as skipped
+const insertPlan = async (plan, summary) => {
+  for (const entity of BACKUP_ENTITIES) {
+    const docs = plan[entity.key];
+    if (docs.length === 0) continue;
+
+    try {
+      await entity.model.insertMany(docs, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      const nonDuplicate = writeErrors.filter(writeError => (writeError.code ?? writeError.err?.code) !== 11000);
+      if (writeErrors.length === 0 || nonDuplicate.length > 0) throw error;
+
+      summary[entity.key].created -= writeErrors.length;
+      summary[entity.key].skipped += writeErrors.length;
+    }
+  }
+};
+
+/**
+ * Restore a backup for a user
+ *
+ * The backup must already have passed validateBackup.
+ *
+ * - replace: everything the user owns is deleted first. If writing the
+ *   backup fails, the user's previous data is written back; once it
+ *   succeeds, the files attached to the replaced transactions are deleted.
+ * - merge: records the user already has are kept as they are and only
+ *   the missing ones are added.
+ *
+ * @param {Object} backup - Validated backup
+ * @param {ObjectId} ownerId - ID of the restoring user
+ * @param {Object} [options]
+ * @param {string} [options.mode='merge'] - 'replace' or 'merge'
+ * @param {boolean} [options.dryRun=false] - Only report what would be restored
+ * @returns {Promise<Object>} Per-entity { total, created, skipped }
+ */
+const restoreBackup = async (backup, ownerId, { mode = 'merge', dryRun = false } = {}) => {
+  if (mode === 'merge' || dryRun) {
+    const { plan, summary } = await planRestore(backup.data, ownerId, mode);
+    if (!dryRun) await insertPlan(plan, summary);
+    return summary;
+  }
+
+  // Keep the current data in memory so a failed restore can be undone;
+  // attachments are kept aside since backups leave them out
+  const previous = await createBackup(ownerId);
+  const attached = await Transaction.find({ ownerId, 'attachments.0': { $exists: true } })
+    .select('attachments')
+    .lean();
+  await clearOwnerData(ownerId);
+
+  try {
+    const { plan, summary } = await planRestore(backup.data, ownerId, mode);
+    await insertPlan(plan, summary);
+    // The replaced transactions were the only ones pointing at these files
+    await removeAttachmentFiles(ownerId, attached.flatMap(transaction => transaction.attachments));
+    return summary;
+  } catch (error) {
+    await clearOwnerData(ownerId);
+    const { plan, summary } = await planRestore(previous.data, ownerId, mode);
+    await insertPlan(plan, summary);
+    if (attached.length > 0) {
+      await Transaction.bulkWrite(attached.map(transaction => ({
+        updateOne: {
+          filter: { _id: transaction._id, ownerId },
+          update: { $set: { attachments: transaction.attachments } }
+        }
+      })));
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BACKUP_ENTITIES,
+  RESTORE_MODES,
+  createBackup,
+  validateBackup,
+  restoreBackup
+};
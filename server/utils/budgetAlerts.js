@@ -0,0 +1,210 @@
+/**
+ * Budget alerts
+ *
+ * When new spending takes a budget to one of its alert thresholds (a
+ * percentage of what is available: the amount plus carry-over), a
+ * notification is created. Each budget alerts once per threshold, and
+ * spending that jumps past several thresholds at once only alerts about the
+ * highest of them.
+ *
+ * An alert stays active while the budget keeps the amount and period it was
+ * sent for and spending stays past its threshold. Once the budget changes or
+ * spending falls back below the threshold (a refund, a deleted or moved
+ * transaction), the alert is deactivated and crossing the threshold again
+ * alerts again.
+ */
+
+const Budget = require('../models/Budget');
+const Notification = require('../models/Notification');
+const { loadCategoryHierarchy, getRootId } = require('./categoryTree');
+const {
+  getCoveredCategoryIds,
+  loadDailySpending,
+  spentBetween,
+  getRolloversIn,
+  roundAmount
+} = require('./budgets');
+const { coversDay } = require('./budgetPeriods');
+const { startOfDay, toDateKey } = require('./recurrence');
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Categories and day an expense spends in
+ *
+ * @param {Object} transaction - Transaction fields (type, date, categoryId, splits);
+ *        categories may be populated
+ * @returns {Array<Object>} [{ categoryId, day: "YYYY-MM-DD" }], one per category
+ */
+const getSpendingEntries = (transaction) => {
+  if (transaction.type !== 'expense') return [];
+
+  const day = toDateKey(transaction.date);
+  const allocations = transaction.splits && transaction.splits.length > 0 ? transaction.splits : [transaction];
+  return allocations
+    .filter(allocation => allocation.categoryId)
+    .map(allocation => ({ categoryId: String(allocation.categoryId._id || allocation.categoryId), day }));
+};
+
+/**
+ * Describe a budget's period for a notification
+ *
+ * @param {Object} budget - Budget with period, startDate and endDate
+ * @returns {string} "October 2026", or "2026-10-01 to 2026-10-07"
+ */
+const describePeriod = (budget) => (budget.period === 'monthly'
+  ? budget.startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+  : `${toDateKey(budget.startDate)} to ${toDateKey(budget.endDate)}`);
+
+/**
+ * Notification fields for a budget that reached a threshold
+ *
+ * @param {Object} budget - The budget
+ * @param {string} categoryName - Name of its category
+ * @param {number} threshold - Highest threshold reached
+ * @param {number} spent - Spending the budget covers
+ * @param {number} available - Budget amount plus carry-over
+ * @returns {Object} Notification fields
+ */
+const buildAlert = (budget, categoryName, threshold, spent, available) => {
+  const percentage = available > 0 ? roundAmount((spent / available) * 100) : null;
+  return {
+    ownerId: budget.ownerId,
+    type: 'budget-threshold',
+    title: threshold >= 100
+      ? `${categoryName} budget is used up`
+      : `${categoryName} budget is ${threshold}% spent`,
+    message: available > 0
+      ? `${spent.toFixed(2)} of ${available.toFixed(2)} spent (${Math.round(percentage)}%) for ${describePeriod(budget)}`
+      : `${spent.toFixed(2)} spent with nothing available for ${describePeriod(budget)}`,
+    budgetId: budget._id,
+    categoryId: budget.categoryId,
+    threshold,
+    percentage,
+    budgetAmount: budget.amount,
+    budgetStartDate: budget.startDate,
+    budgetEndDate: budget.endDate
+  };
+};
+
+/**
+ * Whether an alert was sent for the budget's current amount and period
+ * Alerts from before the amount and period were recorded count as current.
+ *
+ * @param {Object} notification - Budget alert
+ * @param {Object} budget - The budget as it is now
+ * @returns {boolean}
+ */
+const isForCurrentBudget = (notification, budget) => {
+  if (notification.budgetAmount === undefined) return true;
+  return notification.budgetAmount === budget.amount &&
+    new Date(notification.budgetStartDate).getTime() === budget.startDate.getTime() &&
+    new Date(notification.budgetEndDate).getTime() === budget.endDate.getTime();
+};
+
+/**
+ * Create notifications for budgets that new or changed transactions took to
+ * one of their alert thresholds, and deactivate the alerts of budgets they
+ * took back below a threshold
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<Object>} transactions - Transactions that were saved, and the
+ *        previous or deleted versions of changed or deleted ones
+ * @returns {Promise<Array<Object>>} Notifications created
+ */
+const checkBudgetAlerts = async (ownerId, transactions) => {
+  const entries = transactions.flatMap(getSpendingEntries);
+  if (entries.length === 0) return [];
+
+  const hierarchy = await loadCategoryHierarchy(ownerId);
+  const days = entries.map(entry => entry.day).sort();
+
+  // Spending counts toward a budget on its category and on its parent
+  const candidateIds = [...new Set(entries.flatMap(entry => [entry.categoryId, getRootId(hierarchy, entry.categoryId)]))];
+  // Documents rather than plain objects, so budgets saved before alert
+  // thresholds existed get the default ones
+  const candidates = await Budget.find({
+    ownerId,
+    categoryId: { $in: candidateIds },
+    startDate: { $lte: startOfDay(days[days.length - 1]) },
+    endDate: { $gte: startOfDay(days[0]) }
+  });
+
+  const budgets = candidates.filter(budget => {
+    if (budget.alertThresholds.length === 0) return false;
+    const coveredIds = getCoveredCategoryIds(hierarchy, budget.categoryId);
+    return entries.some(entry => coveredIds.includes(entry.categoryId) && coversDay(budget, entry.day));
+  });
+  if (budgets.length === 0) return [];
+
+  const earliest = new Date(Math.min(...budgets.map(budget => budget.startDate)));
+  const latest = new Date(Math.max(...budgets.map(budget => budget.endDate)));
+  const [rollovers, spending, sent] = await Promise.all([
+    getRolloversIn(ownerId, budgets, hierarchy),
+    loadDailySpending(ownerId, earliest, latest),
+    Notification.find({
+      ownerId,
+      budgetId: { $in: budgets.map(budget => budget._id) },
+      active: { $ne: false }
+    })
+      .select('budgetId threshold budgetAmount budgetStartDate budgetEndDate')
+      .lean()
+  ]);
+
+  const created = [];
+  for (const budget of budgets) {
+    const available = roundAmount(budget.amount + (rollovers.get(String(budget._id)) || 0));
+    const spent = roundAmount(spentBetween(
+      spending,
+      getCoveredCategoryIds(hierarchy, budget.categoryId),
+      budget.startDate,
+      budget.endDate
+    ));
+    const percentage = available > 0 ? (spent / available) * 100 : Infinity;
+    const reached = spent > 0 ? budget.alertThresholds.filter(threshold => percentage >= threshold) : [];
+    const threshold = Math.max(0, ...reached);
+
+    // Alerts that no longer hold are deactivated first, so one for the same
+    // threshold can be sent again
+    const budgetAlerts = sent.filter(notification => String(notification.budgetId) === String(budget._id));
+    const holds = (notification) => isForCurrentBudget(notification, budget) && notification.threshold <= threshold;
+    const active = budgetAlerts.filter(holds);
+    const stale = budgetAlerts.filter(notification => !holds(notification));
+    if (stale.length > 0) {
+      await Notification.updateMany(
+        { _id: { $in: stale.map(notification => notification._id) } },
+        { $set: { active: false } }
+      );
+    }
+
+    if (threshold <= Math.max(0, ...active.map(notification => notification.threshold))) continue;
+
+    const category = hierarchy.byId.get(String(budget.categoryId));
+    try {
+      created.push(await Notification.create(
+        buildAlert(budget, category ? category.name : 'Uncategorized', threshold, spent, available)
+      ));
+    } catch (error) {
+      // A concurrent request already sent this alert
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Replace the budget alert index from before alerts could be deactivated
+ * Runs once the database is connected.
+ *
+ * @returns {Promise<void>}
+ */
+const migrateBudgetAlerts = async () => {
+  await Notification.syncIndexes();
+};
+
+module.exports = {
+  checkBudgetAlerts,
+  migrateBudgetAlerts
+};
@@ -0,0 +1,207 @@
+/**
+ * Budget periods
+ *
+ * A budget covers whole days, from its startDate to its endDate inclusive.
+ * Dates are held at UTC midnight, the same way transaction dates are, so a
+ * "YYYY-MM-DD" day key means the same day for both.
+ *
+ * - weekly: seven days from any start date
+ * - monthly, quarterly, yearly: a calendar month, quarter or year; any date
+ *   inside it selects it
+ * - custom: any start and end date
+ *
+ * A budget that only partly overlaps a report window counts in proportion to
+ * the days that overlap (see getOverlap).
+ */
+
+const { startOfDay, toDateKey } = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_TYPES = ['weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+
+/**
+ * Move a date by a number of days
+ *
+ * @param {Date|string} date - Starting day
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date} New date at UTC midnight
+ */
+const addDays = (date, days) => new Date(startOfDay(date).getTime() + days * DAY_MS);
+
+/**
+ * Number of days from one date to another, both included
+ *
+ * @param {Date|string} startDate - First day
+ * @param {Date|string} endDate - Last day
+ * @returns {number} Day count
+ */
+const countDays = (startDate, endDate) =>
+  Math.round((startOfDay(endDate) - startOfDay(startDate)) / DAY_MS) + 1;
+
+/**
+ * First and last day of a budget period
+ *
+ * @param {string} period - One of PERIOD_TYPES
+ * @param {Date|string} startDate - First day for weekly and custom periods,
+ *        any day inside the month, quarter or year otherwise
+ * @param {Date|string} [endDate] - Last day of a custom period
+ * @returns {Object} { startDate, endDate }
+ */
+const getPeriodRange = (period, startDate, endDate) => {
+  const start = startOfDay(startDate);
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+
+  switch (period) {
+    case 'weekly':
+      return { startDate: start, endDate: addDays(start, 6) };
+    case 'quarterly': {
+      const firstMonth = month - (month % 3);
+      return {
+        startDate: new Date(Date.UTC(year, firstMonth, 1)),
+        endDate: new Date(Date.UTC(year, firstMonth + 3, 0))
+      };
+    }
+    case 'yearly':
+      return { startDate: new Date(Date.UTC(year, 0, 1)), endDate: new Date(Date.UTC(year, 11, 31)) };
+    case 'custom':
+      return { startDate: start, endDate: startOfDay(endDate) };
+    default:
+      return { startDate: new Date(Date.UTC(year, month, 1)), endDate: new Date(Date.UTC(year, month + 1, 0)) };
+  }
+};
+
+/**
+ * First and last day of a calendar month
+ *
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Full year
+ * @returns {Object} { startDate, endDate }
+ */
+const getMonthRange = (month, year) => getPeriodRange('monthly', new Date(Date.UTC(year, month - 1, 1)));
+
+/**
+ * Keep a budget document's dates in step with its period
+ * A document with only a month and year (or a year) starts there; its dates
+ * are snapped to the period type, and month/year follow the start date.
+ * Called from the budget models' validate hooks.
+ *
+ * @param {Object} doc - Document with period, startDate, endDate, month and year
+ */
+const applyPeriodDates = (doc) => {
+  if (!doc.startDate && doc.year) {
+    doc.startDate = new Date(Date.UTC(doc.year, (doc.month || 1) - 1, 1));
+  }
+  if (!doc.startDate) return;
+
+  if (doc.period !== 'custom') {
+    Object.assign(doc, getPeriodRange(doc.period, doc.startDate));
+  }
+  doc.month = doc.startDate.getUTCMonth() + 1;
+  doc.year = doc.startDate.getUTCFullYear();
+};
+
+/**
+ * Work out a budget's period from a request body
+ * Without a start date, month and year (or year alone) pick the period.
+ *
+ * @param {Object} fields - { period, startDate, endDate, month, year }
+ * @returns {Object} { period, startDate, endDate, month, year }, or { error }
+ */
+const resolvePeriod = ({ period = 'monthly', startDate, endDate, month, year }) => {
+  const anchor = startDate
+    || (year ? new Date(Date.UTC(parseInt(year, 10), (parseInt(month, 10) || 1) - 1, 1)) : null);
+  if (!anchor) {
+    return { error: 'Start date is required' };
+  }
+  if (period === 'custom' && !endDate) {
+    return { error: 'End date is required for a custom period' };
+  }
+
+  const range = getPeriodRange(period, anchor, endDate);
+  if (range.endDate < range.startDate) {
+    return { error: 'End date must be on or after the start date' };
+  }
+
+  return {
+    period,
+    ...range,
+    month: range.startDate.getUTCMonth() + 1,
+    year: range.startDate.getUTCFullYear()
+  };
+};
+
+/**
+ * Date range asked for in a query string
+ * startDate and endDate ("YYYY-MM-DD") come first; otherwise month and year
+ * select a month, and year alone a whole year.
+ *
+ * @param {Object} query - { startDate, endDate, month, year }
+ * @returns {Object|null} { startDate, endDate }, { error }, or null when no range was given
+ */
+const getQueryRange = ({ startDate, endDate, month, year }) => {
+  if (startDate || endDate) {
+    if (!startDate || !endDate) {
+      return { error: 'Both startDate and endDate are required' };
+    }
+    const range = { startDate: startOfDay(startDate), endDate: startOfDay(endDate) };
+    if (isNaN(range.startDate) || isNaN(range.endDate)) {
+      return { error: 'Dates must be valid' };
+    }
+    if (range.endDate < range.startDate) {
+      return { error: 'End date must be on or after the start date' };
+    }
+    return range;
+  }
+
+  if (!year) return null;
+  const yearNumber = parseInt(year, 10);
+  const monthNumber = month ? parseInt(month, 10) : null;
+  if (isNaN(yearNumber) || (month && !(monthNumber >= 1 && monthNumber <= 12))) {
+    return { error: 'Month and year must be valid' };
+  }
+  return monthNumber
+    ? getMonthRange(monthNumber, yearNumber)
+    : getPeriodRange('yearly', new Date(Date.UTC(yearNumber, 0, 1)));
+};
+
+/**
+ * Part of a budget's period that falls inside a window
+ *
+ * @param {Object} budget - Anything with startDate and endDate
+ * @param {Object} window - { startDate, endDate }
+ * @returns {Object|null} { startDate, endDate, days, share } where share is
+ *          the fraction of the budget's days inside the window, or null when
+ *          they do not overlap
+ */
+const getOverlap = (budget, window) => {
+  const startDate = new Date(Math.max(startOfDay(budget.startDate), startOfDay(window.startDate)));
+  const endDate = new Date(Math.min(startOfDay(budget.endDate), startOfDay(window.endDate)));
+  if (endDate < startDate) return null;
+
+  const days = countDays(startDate, endDate);
+  return { startDate, endDate, days, share: days / countDays(budget.startDate, budget.endDate) };
+};
+
+/**
+ * Whether a day falls inside a budget's period
+ *
+ * @param {Object} budget - Anything with startDate and endDate
+ * @param {string} day - Day key ("YYYY-MM-DD")
+ * @returns {boolean}
+ */
+const coversDay = (budget, day) => day >= toDateKey(budget.startDate) && day <= toDateKey(budget.endDate);
+
+module.exports = {
+  PERIOD_TYPES,
+  addDays,
+  countDays,
+  getPeriodRange,
+  getMonthRange,
+  applyPeriodDates,
+  resolvePeriod,
+  getQueryRange,
+  getOverlap,
+  coversDay
+};
@@ -0,0 +1,314 @@
+/**
+ * Budget calculations
+ *
+ * Which spending a budget covers, and how much carries over between periods.
+ * A budget on a top-level category covers its subcategories too; a budget on
+ * a subcategory covers only that subcategory.
+ *
+ * Rollover: when a budget has rollover enabled, what is left of it at the
+ * end of its period (see Budget.rollover) is added to the category's budget
+ * for the period that starts the next day. Carry-over keeps flowing as long
+ * as the periods follow on from each other with rollover enabled.
+ *
+ * Copying a month forward and applying a budget template both create a set
+ * of monthly budgets (applyBudgetItems); a category that already has a
+ * budget that month is handled according to one of CONFLICT_MODES. A
+ * category whose budget for another period (say a yearly one) overlaps the
+ * month always keeps it.
+ */
+
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const { getSubtreeIds } = require('./categoryTree');
+const { EXPAND_SPLITS } = require('./aggregations');
+const { toDateKey } = require('./recurrence');
+const { addDays, getMonthRange } = require('./budgetPeriods');
+
+// Rollover modes that carry something into the next period
+const ROLLOVER_MODES = ['unspent', 'all'];
+
+// What to do when a category already has a budget for the month:
+// - skip: keep the existing budget
+// - overwrite: replace its amount, rollover and notes
+// - add: add the new amount to it
+const CONFLICT_MODES = ['skip', 'overwrite', 'add'];
+
+// How far back carry-over is followed
+const MAX_ROLLOVER_MONTHS = 24;
+
+// Round to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * IDs of the categories whose spending a budget covers
+ *
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @param {ObjectId|string} categoryId - The budget's category
+ * @returns {Array<string>} The category, plus its subcategories for a top-level category
+ */
+const getCoveredCategoryIds = (hierarchy, categoryId) => {
+  const category = hierarchy.byId.get(String(categoryId));
+  if (category && category.parentId && hierarchy.byId.has(String(category.parentId))) {
+    return [String(categoryId)];
+  }
+  return getSubtreeIds(hierarchy, categoryId);
+};
+
+/**
+ * Spending per category per day over a date range
+ * Uncategorized spending is listed under 'uncategorized'.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Date} startDate - First day
+ * @param {Date} endDate - Last day (included)
+ * @returns {Promise<Map>} Category ID (string) -> [{ day: "YYYY-MM-DD", amount (positive) }]
+ */
+const loadDailySpending = async (ownerId, startDate, endDate) => {
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        ownerId,
+        type: 'expense',
+        date: { $gte: startDate, $lt: addDays(endDate, 1) }
+      }
+    },
+    ...EXPAND_SPLITS,
+    {
+      $group: {
+        _id: {
+          categoryId: '$categoryId',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+        },
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  const spending = new Map();
+  rows.forEach(row => {
+    const categoryId = row._id.categoryId ? String(row._id.categoryId) : 'uncategorized';
+    if (!spending.has(categoryId)) spending.set(categoryId, []);
+    spending.get(categoryId).push({ day: row._id.day, amount: -row.total });
+  });
+  return spending;
+};
+
+/**
+ * Total spent in some categories between two days
+ *
+ * @param {Map} spending - Result of loadDailySpending
+ * @param {Array<string>} categoryIds - Categories to add up
+ * @param {Date} startDate - First day
+ * @param {Date} endDate - Last day (included)
+ * @returns {number} Amount spent (positive)
+ */
+const spentBetween = (spending, categoryIds, startDate, endDate) => {
+  const from = toDateKey(startDate);
+  const to = toDateKey(endDate);
+  return categoryIds.reduce((total, categoryId) => (spending.get(categoryId) || [])
+    .filter(row => row.day >= from && row.day <= to)
+    .reduce((sum, row) => sum + row.amount, total), 0);
+};
+
+/**
+ * Amount a budget passes on to the next period
+ *
+ * @param {string} rollover - The budget's rollover mode
+ * @param {number} available - Budget amount plus what it received
+ * @param {number} spent - Spending the budget covers (positive)
+ * @returns {number} Amount carried into the next period (negative for overspending)
+ */
+const getCarryOut = (rollover, available, spent) => {
+  const left = available - spent;
+  if (rollover === 'all') return left;
+  if (rollover === 'unspent') return Math.max(left, 0);
+  return 0;
+};
+
+/**
+ * Work out what each budget receives from the periods before it
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<Object>} budgets - Budgets to look up (categoryId may be populated)
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @returns {Promise<Map>} Budget ID (string) -> amount carried in
+ */
+const getRolloversIn = async (ownerId, budgets, hierarchy) => {
+  const rollovers = new Map(budgets.map(budget => [String(budget._id), 0]));
+  if (budgets.length === 0) return rollovers;
+
+  const categoryIdOf = (budget) => String(budget.categoryId?._id || budget.categoryId);
+  const starts = budgets.map(budget => new Date(budget.startDate).getTime());
+  const latest = new Date(Math.max(...starts));
+  const earliest = new Date(Math.min(...starts));
+  earliest.setUTCMonth(earliest.getUTCMonth() - MAX_ROLLOVER_MONTHS);
+
+  // Earlier budgets of the same categories that pass something on
+  const history = await Budget.find({
+    ownerId,
+    categoryId: { $in: [...new Set(budgets.map(categoryIdOf))] },
+    rollover: { $in: ROLLOVER_MODES },
+    startDate: { $gte: earliest },
+    endDate: { $lt: latest }
+  }).lean();
+  if (history.length === 0) return rollovers;
+
+  // Budgets by category and last day, to find the one right before a period
+  const key = (categoryId, date) => `${categoryId}:${toDateKey(date)}`;
+  const historyByEnd = new Map(history.map(budget => [key(String(budget.categoryId), budget.endDate), budget]));
+  const previousOf = (categoryId, budget) => historyByEnd.get(key(categoryId, addDays(budget.startDate, -1)));
+
+  const spending = await loadDailySpending(ownerId, earliest, addDays(latest, -1));
+
+  budgets.forEach(budget => {
+    const categoryId = categoryIdOf(budget);
+    const coveredIds = getCoveredCategoryIds(hierarchy, categoryId);
+
+    // Walk back over the unbroken run of periods that carry over, then add
+    // it up from the oldest period forward
+    const run = [];
+    for (let previous = previousOf(categoryId, budget); previous; previous = previousOf(categoryId, previous)) {
+      run.unshift(previous);
+    }
+
+    const carried = run.reduce((carry, period) => getCarryOut(
+      period.rollover,
+      period.amount + carry,
+      spentBetween(spending, coveredIds, period.startDate, period.endDate)
+    ), 0);
+    rollovers.set(String(budget._id), roundAmount(carried));
+  });
+
+  return rollovers;
+};
+
+/**
+ * Add rollover figures to budgets for API responses
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<Object>} budgets - Budget documents
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @returns {Promise<Array<Object>>} Plain budgets with rolloverIn and
+ *          available (amount plus rolloverIn)
+ */
+const withRollovers = async (ownerId, budgets, hierarchy) => {
+  const rollovers = await getRolloversIn(ownerId, budgets, hierarchy);
+  return budgets.map(budget => {
+    const plain = typeof budget.toObject === 'function' ? budget.toObject() : budget;
+    const rolloverIn = rollovers.get(String(budget._id)) || 0;
+    return { ...plain, rolloverIn, available: roundAmount(plain.amount + rolloverIn) };
+  });
+};
+
+/**
+ * Create monthly budgets for a month from a list of items
+ * Items whose category was deleted or archived are left out.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<Object>} items - { categoryId, amount, rollover?, notes? }
+ * @param {number} month - Month to create budgets for (1-12)
+ * @param {number} year - Year to create budgets for
+ * @param {string} [onConflict='skip'] - One of CONFLICT_MODES
+ * @returns {Promise<Object>} Counts: { created, overwritten, added, skipped, unavailable }
+ */
+const applyBudgetItems = async (ownerId, items, month, year, onConflict = 'skip') => {
+  const categoryIds = [...new Set(items.map(item => String(item.categoryId)))];
+  const available = new Set((await Category.find({
+    ownerId,
+    _id: { $in: categoryIds },
+    archived: { $ne: true }
+  }).select('_id').lean()).map(category => String(category._id)));
+
+  // Budgets overlapping the month: the month's own budget, or a budget over
+  // another period that leaves no room for one
+  const range = getMonthRange(month, year);
+  const existing = await Budget.find({
+    ownerId,
+    categoryId: { $in: categoryIds },
+    startDate: { $lte: range.endDate },
+    endDate: { $gte: range.startDate }
+  });
+  const budgetsByCategory = new Map(existing
+    .filter(budget => budget.period === 'monthly')
+    .map(budget => [String(budget.categoryId), budget]));
+  const otherPeriods = new Set(existing
+    .filter(budget => budget.period !== 'monthly')
+    .map(budget => String(budget.categoryId)));
+
+  const result = { created: 0, overwritten: 0, added: 0, skipped: 0, unavailable: 0 };
+  for (const item of items) {
+    const categoryId = String(item.categoryId);
+    if (!available.has(categoryId)) {
+      result.unavailable += 1;
+      continue;
+    }
+
+    const budget = budgetsByCategory.get(categoryId);
+    if (!budget && otherPeriods.has(categoryId)) {
+      result.skipped += 1;
+    } else if (!budget) {
+      budgetsByCategory.set(categoryId, await Budget.create({
+        ownerId,
+        categoryId,
+        amount: item.amount,
+        rollover: item.rollover || 'none',
+        notes: item.notes,
+        // Budgets copied from another month keep their alerts
+        ...(item.alertThresholds ? { alertThresholds: item.alertThresholds } : {}),
+        period: 'monthly',
+        ...range
+      }));
+      result.created += 1;
+    } else if (onConflict === 'overwrite') {
+      budget.amount = item.amount;
+      budget.rollover = item.rollover || 'none';
+      budget.notes = item.notes;
+      await budget.save();
+      result.overwritten += 1;
+    } else if (onConflict === 'add') {
+      budget.amount += item.amount;
+      await budget.save();
+      result.added += 1;
+    } else {
+      result.skipped += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Give budgets saved before budget periods existed their dates
+ * They were all monthly. Also swaps the old one-budget-per-month unique
+ * index for the current indexes. Runs once the database is connected.
+ *
+ * @returns {Promise<void>}
+ */
+const migrateBudgetPeriods = async () => {
+  const budgets = await Budget.find({ startDate: { $exists: false } }).select('month year').lean();
+  if (budgets.length > 0) {
+    await Budget.bulkWrite(budgets.map(budget => ({
+      updateOne: {
+        filter: { _id: budget._id },
+        update: { $set: { period: 'monthly', ...getMonthRange(budget.month, budget.year) } }
+      }
+    })));
+    console.log(`Added period dates to ${budgets.length} budgets`);
+  }
+  await Budget.syncIndexes();
+};
+
+module.exports = {
+  ROLLOVER_MODES,
+  CONFLICT_MODES,
+  applyBudgetItems,
+  getCoveredCategoryIds,
+  loadDailySpending,
+  spentBetween,
+  getCarryOut,
+  getRolloversIn,
+  withRollovers,
+  migrateBudgetPeriods,
+  roundAmount
+};
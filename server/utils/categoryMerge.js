@@ -0,0 +1,303 @@
+/**
+ * Category merging
+ *
+ * Merging category A into category B moves everything that points at A
+ * (transactions and their splits, budgets, budget template items, rules,
+ * payee defaults, recurring rules, savings goals and subcategories) over to
+ * B, then removes A. Deleting a category that is still in use goes through the same path.
+ * Entries already split or budgeted in both categories are added together, and
+ * a merge that fails partway through is undone.
+ */
+
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const BudgetTemplate = require('../models/BudgetTemplate');
+const CategoryRule = require('../models/CategoryRule');
+const Payee = require('../models/Payee');
+const RecurringRule = require('../models/RecurringRule');
+const Goal = require('../models/Goal');
+
+/**
+ * Count what still refers to a category
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {ObjectId|string} categoryId - Category to look up
+ * @returns {Promise<Object>} { transactions, budgets, rules, recurringRules, subcategories }
+ */
+const getCategoryUsage = async (ownerId, categoryId) => {
+  const [transactions, budgets, rules, recurringRules, subcategories] = await Promise.all([
+    Transaction.countDocuments({
+      ownerId,
+      $or: [{ categoryId }, { 'splits.categoryId': categoryId }]
+    }),
+    Budget.countDocuments({ ownerId, categoryId }),
+    CategoryRule.countDocuments({ ownerId, categoryId }),
+    RecurringRule.countDocuments({
+      ownerId,
+      $or: [{ categoryId }, { 'exceptions.categoryId': categoryId }]
+    }),
+    Category.countDocuments({ ownerId, parentId: categoryId })
+  ]);
+  return { transactions, budgets, rules, recurringRules, subcategories };
+};
+
+/**
+ * Check that one category can be merged into another
+ *
+ * @param {Object} source - Category being merged away
+ * @param {Object} target - Category receiving its data
+ * @returns {Promise<string|null>} Reason the merge is not allowed, or null
+ */
+const validateMerge = async (source, target) => {
+  if (String(source._id) === String(target._id)) {
+    return 'A category cannot be merged into itself';
+  }
+  if (source.isDefault) {
+    return 'Cannot merge away default categories';
+  }
+
+  // Subcategories of the source move under the target, which therefore has to
+  // end up top-level (it is top-level already, or a child of the source)
+  const targetStaysNested = target.parentId && String(target.parentId) !== String(source._id);
+  if (targetStaysNested && await Category.exists({ ownerId: source.ownerId, parentId: source._id })) {
+    return 'A category with subcategories can only be merged into a top-level category';
+  }
+
+  return null;
+};
+
+/**
+ * Find the category's budgets that cannot be combined with the target's
+ * Budgets for exactly the same period are added together, but one that only
+ * partly overlaps a target budget (or starts on the same day with a
+ * different period type) would leave the target with overlapping budgets.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {ObjectId} sourceId - Category being merged away
+ * @param {ObjectId} targetId - Category receiving the budgets
+ * @returns {Promise<Array<Object>>} Conflicting source budgets
+ */
+const findBudgetConflicts = async (ownerId, sourceId, targetId) => {
+  const [budgets, targetBudgets] = await Promise.all([
+    Budget.find({ ownerId, categoryId: sourceId }),
+    Budget.find({ ownerId, categoryId: targetId })
+  ]);
+
+  return budgets.filter(budget => targetBudgets.some(existing => {
+    const overlaps = existing.startDate <= budget.endDate && existing.endDate >= budget.startDate;
+    const samePeriod = existing.startDate.getTime() === budget.startDate.getTime() &&
+      existing.endDate.getTime() === budget.endDate.getTime();
+    return overlaps && !samePeriod;
+  }));
+};
+
+/**
+ * Move a category's budgets onto another category
+ * Where both have a budget for the same period, the amounts are added up on
+ * the target's budget. Call findBudgetConflicts first.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {ObjectId} sourceId - Category being merged away
+ * @param {ObjectId} targetId - Category receiving the budgets
+ * @returns {Promise<number>} Number of budgets moved or combined
+ */
+const mergeBudgets = async (ownerId, sourceId, targetId) => {
+  const budgets = await Budget.find({ ownerId, categoryId: sourceId });
+
+  for (const budget of budgets) {
+    const existing = await Budget.findOne({
+      ownerId,
+      categoryId: targetId,
+      startDate: budget.startDate,
+      endDate: budget.endDate
+    });
+
+    if (existing) {
+      existing.amount += budget.amount;
+      if (budget.notes) {
+        existing.notes = existing.notes ? `${existing.notes}\n${budget.notes}` : budget.notes;
+      }
+      await existing.save();
+      await budget.deleteOne();
+    } else {
+      budget.categoryId = targetId;
+      await budget.save();
+    }
+  }
+
+  return budgets.length;
+};
+
+/**
+ * Entries of a list (transaction splits, template items) with the source
+ * category's entries moved to the target, and all entries for the target
+ * added up into one
+ * The target's own entry is kept (with its other fields, such as a
+ * template item's rollover); the amounts and notes of the rest are added to it.
+ *
+ * @param {Array<Object>} entries - Subdocuments with categoryId, amount and notes
+ * @param {ObjectId} sourceId - Category being merged away
+ * @param {ObjectId} targetId - Category receiving the entries
+ * @returns {Array<Object>} Plain entries
+ */
+const combineEntries = (entries, sourceId, targetId) => {
+  const plain = entries.map(entry => (entry.toObject ? entry.toObject() : { ...entry }));
+  const isMerged = (entry) => [String(sourceId), String(targetId)].includes(String(entry.categoryId));
+  const kept = plain.find(entry => String(entry.categoryId) === String(targetId)) || plain.find(isMerged);
+  if (!kept) return plain;
+
+  kept.categoryId = targetId;
+  plain.filter(entry => entry !== kept && isMerged(entry)).forEach(entry => {
+    kept.amount += entry.amount;
+    if (entry.notes) {
+      kept.notes = kept.notes ? `${kept.notes}; ${entry.notes}` : entry.notes;
+    }
+  });
+
+  return plain.filter(entry => entry === kept || !isMerged(entry));
+};
+
+/**
+ * Copy everything a merge may change, so a failed merge can be undone
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {ObjectId} sourceId - Category being merged away
+ * @param {ObjectId} targetId - Category receiving its data
+ * @returns {Promise<Array<Object>>} [{ model, docs }]
+ */
+const snapshotMerge = async (ownerId, sourceId, targetId) => {
+  const affected = [
+    [Transaction, { ownerId, $or: [{ categoryId: sourceId }, { 'splits.categoryId': sourceId }] }],
+    [Budget, { ownerId, categoryId: { $in: [sourceId, targetId] } }],
+    [BudgetTemplate, { ownerId, 'items.categoryId': sourceId }],
+    [CategoryRule, { ownerId, categoryId: sourceId }],
+    [Payee, { ownerId, defaultCategoryId: sourceId }],
+    [RecurringRule, { ownerId, $or: [{ categoryId: sourceId }, { 'exceptions.categoryId': sourceId }] }],
+    [Goal, { ownerId, categoryId: sourceId }],
+    // By ID alone: a category from before user accounts has no owner yet
+    [Category, { $or: [{ _id: { $in: [sourceId, targetId] } }, { ownerId, parentId: sourceId }] }]
+  ];
+
+  return Promise.all(affected.map(async ([model, filter]) => ({ model, docs: await model.find(filter).lean() })));
+};
+
+// Write back the documents of a snapshot, recreating deleted ones
+const restoreSnapshot = async (snapshot) => {
+  for (const { model, docs } of snapshot) {
+    if (docs.length === 0) continue;
+    await model.bulkWrite(docs.map(doc => ({
+      replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true }
+    })));
+  }
+};
+
+// Move everything from the source category to the target and delete the source
+const applyMerge = async (source, target) => {
+  const ownerId = source.ownerId;
+  const sourceId = source._id;
+  const targetId = target._id;
+
+  const transactions = await Transaction.updateMany(
+    { ownerId, categoryId: sourceId },
+    { $set: { categoryId: targetId } }
+  );
+
+  // A transaction split across both categories would end up with two splits
+  // for the target, so those splits are added up instead
+  const splitAcrossBoth = await Transaction.find({
+    ownerId,
+    $and: [{ 'splits.categoryId': sourceId }, { 'splits.categoryId': targetId }]
+  });
+  for (const transaction of splitAcrossBoth) {
+    transaction.splits = combineEntries(transaction.splits, sourceId, targetId);
+    await transaction.save();
+  }
+  const splits = await Transaction.updateMany(
+    { ownerId, 'splits.categoryId': sourceId },
+    { $set: { 'splits.$[split].categoryId': targetId } },
+    { arrayFilters: [{ 'split.categoryId': sourceId }] }
+  );
+
+  const budgets = await mergeBudgets(ownerId, sourceId, targetId);
+  // Template items likewise: a template ends up with one item for the target
+  const templates = await BudgetTemplate.find({ ownerId, 'items.categoryId': sourceId });
+  for (const template of templates) {
+    template.items = combineEntries(template.items, sourceId, targetId);
+    await template.save();
+  }
+
+  const rules = await CategoryRule.updateMany(
+    { ownerId, categoryId: sourceId },
+    { $set: { categoryId: targetId } }
+  );
+  const payees = await Payee.updateMany(
+    { ownerId, defaultCategoryId: sourceId },
+    { $set: { defaultCategoryId: targetId } }
+  );
+  const recurringRules = await RecurringRule.updateMany(
+    { ownerId, categoryId: sourceId },
+    { $set: { categoryId: targetId } }
+  );
+  await RecurringRule.updateMany(
+    { ownerId, 'exceptions.categoryId': sourceId },
+    { $set: { 'exceptions.$[exception].categoryId': targetId } },
+    { arrayFilters: [{ 'exception.categoryId': sourceId }] }
+  );
+  await Goal.updateMany(
+    { ownerId, categoryId: sourceId },
+    { $set: { categoryId: targetId } }
+  );
+
+  // A subcategory merged into its parent leaves the parent where it was;
+  // a parent merged into one of its subcategories promotes that subcategory
+  if (target.parentId && String(target.parentId) === String(sourceId)) {
+    target.parentId = null;
+    await target.save();
+  }
+  const subcategories = await Category.updateMany(
+    { ownerId, parentId: sourceId },
+    { $set: { parentId: targetId } }
+  );
+
+  await source.deleteOne();
+
+  return {
+    transactions: transactions.modifiedCount,
+    splits: splitAcrossBoth.length + splits.modifiedCount,
+    budgets,
+    rules: rules.modifiedCount,
+    payees: payees.modifiedCount,
+    recurringRules: recurringRules.modifiedCount,
+    subcategories: subcategories.modifiedCount
+  };
+};
+
+/**
+ * Merge one category into another and remove it
+ * Call validateMerge and findBudgetConflicts first. The merge touches many
+ * collections one after another; if any step fails, everything it touched is
+ * written back as it was and the error is rethrown.
+ *
+ * @param {Object} source - Category document being merged away
+ * @param {Object} target - Category document receiving its data
+ * @returns {Promise<Object>} Counts of what was moved:
+ *          { transactions, splits, budgets, rules, payees, recurringRules, subcategories }
+ */
+const mergeCategory = async (source, target) => {
+  const snapshot = await snapshotMerge(source.ownerId, source._id, target._id);
+  try {
+    return await applyMerge(source, target);
+  } catch (error) {
+    await restoreSnapshot(snapshot);
+    throw error;
+  }
+};
+
+module.exports = {
+  getCategoryUsage,
+  validateMerge,
+  findBudgetConflicts,
+  combineEntries,
+  mergeCategory
+};
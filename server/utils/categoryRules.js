@@ -0,0 +1,228 @@
+/**
+ * Categorization rules engine
+ *
+ * Matches transactions against the user's CategoryRule documents. Rules are
+ * tried from the highest priority down and the first match wins. Only
+ * transactions that can hold a single category are categorized: transfers
+ * and split transactions are left alone.
+ *
+ * Used when transactions are created or imported without a category, and by
+ * POST /api/rules/run to re-run the rules over existing transactions.
+ */
+
+const CategoryRule = require('../models/CategoryRule');
+const Transaction = require('../models/Transaction');
+const { buildTransactionFilter } = require('./transactionFilters');
+
+const TEXT_OPERATORS = ['contains', 'notContains', 'equals', 'startsWith', 'endsWith'];
+const NUMBER_OPERATORS = ['equals', 'gt', 'gte', 'lt', 'lte'];
+
+// Operators that make sense for each condition field
+const OPERATORS_BY_FIELD = {
+  description: TEXT_OPERATORS,
+  notes: TEXT_OPERATORS,
+  amount: NUMBER_OPERATORS,
+  type: ['equals']
+};
+
+const RULE_TYPES = ['expense', 'income'];
+
+// Largest difference for amounts to count as equal
+const AMOUNT_TOLERANCE = 0.005;
+
+/**
+ * Check that a condition can be stored and evaluated
+ *
+ * @param {Object} condition - { field, operator, value }
+ * @returns {string|null} Error message, or null when valid
+ */
+const conditionError = (condition) => {
+  if (!condition || typeof condition !== 'object') return 'Each condition must be an object';
+
+  const { field, operator, value } = condition;
+  const operators = OPERATORS_BY_FIELD[field];
+  if (!operators) {
+    return `Condition field must be one of: ${Object.keys(OPERATORS_BY_FIELD).join(', ')}`;
+  }
+  if (!operators.includes(operator)) {
+    return `Operator for ${field} must be one of: ${operators.join(', ')}`;
+  }
+
+  if (field === 'amount') {
+    if (value === '' || value === null || !Number.isFinite(Number(value))) return 'Amount conditions need a number';
+  } else if (field === 'type') {
+    if (!RULE_TYPES.includes(value)) return `Type conditions need one of: ${RULE_TYPES.join(', ')}`;
+  } else if (typeof value !== 'string' || !value.trim()) {
+    return `Conditions on ${field} need some text`;
+  }
+  return null;
+};
+
+/**
+ * Normalize a valid condition for storage
+ * Amounts are compared by size, so they are stored without a sign
+ *
+ * @param {Object} condition - { field, operator, value }
+ * @returns {Object} Condition with a number or trimmed text value
+ */
+const normalizeCondition = ({ field, operator, value }) => ({
+  field,
+  operator,
+  value: field === 'amount' ? Math.abs(Number(value)) : String(value).trim()
+});
+
+// Evaluate one condition against a transaction
+const matchesCondition = ({ field, operator, value }, transaction) => {
+  if (field === 'amount') {
+    const amount = Math.abs(Number(transaction.amount));
+    const target = Number(value);
+    switch (operator) {
+      case 'equals': return Math.abs(amount - target) < AMOUNT_TOLERANCE;
+      case 'gt': return amount > target;
+      case 'gte': return amount >= target;
+      case 'lt': return amount < target;
+      case 'lte': return amount <= target;
+      default: return false;
+    }
+  }
+
+  const text = String(transaction[field] ?? '').trim().toLowerCase();
+  const expected = String(value).trim().toLowerCase();
+  switch (operator) {
+    case 'contains': return text.includes(expected);
+    case 'notContains': return !text.includes(expected);
+    case 'equals': return text === expected;
+    case 'startsWith': return text.startsWith(expected);
+    case 'endsWith': return text.endsWith(expected);
+    default: return false;
+  }
+};
+
+/**
+ * Check whether a rule matches a transaction
+ *
+ * @param {Object} rule - Rule with match ('all' or 'any') and conditions
+ * @param {Object} transaction - Transaction or transaction-like object
+ * @returns {boolean} True when the rule's conditions are met
+ */
+const matchesRule = (rule, transaction) => {
+  if (!rule.conditions || rule.conditions.length === 0) return false;
+  return rule.match === 'any'
+    ? rule.conditions.some(condition => matchesCondition(condition, transaction))
+    : rule.conditions.every(condition => matchesCondition(condition, transaction));
+};
+
+/**
+ * Find the first rule that matches a transaction
+ *
+ * @param {Array<Object>} rules - Rules in the order they are applied (see loadRules)
+ * @param {Object} transaction - Transaction or transaction-like object
+ * @returns {Object|null} Matching rule
+ */
+const findMatchingRule = (rules, transaction) => rules.find(rule => matchesRule(rule, transaction)) || null;
+
+/**
+ * Load a user's active rules in the order they are applied
+ * Rules whose category no longer exists are left out
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<Array<Object>>} Rules with categoryId populated (name, color)
+ */
+const loadRules = async (ownerId) => {
+  const rules = await CategoryRule.find({ ownerId, active: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .populate('categoryId', 'name color')
+    .lean();
+  return rules.filter(rule => rule.categoryId);
+};
+
+/**
+ * Pick a category for a new transaction that has none
+ *
+ * @param {Array<Object>} rules - Rules from loadRules
+ * @param {Object} transaction - { description, notes, amount, type, categoryId, splits }
+ * @returns {Object|null} Matching rule, or null when the transaction already has
+ *          a category, is a transfer or split, or no rule matches
+ */
+const categorize = (rules, transaction) => {
+  if (transaction.categoryId || transaction.type === 'transfer') return null;
+  if (Array.isArray(transaction.splits) && transaction.splits.length > 0) return null;
+  return findMatchingRule(rules, transaction);
+};
+
+/**
+ * Work out what re-running the rules over existing transactions would change
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} [options]
+ * @param {string} [options.scope='uncategorized'] - 'uncategorized', or 'all' to also
+ *        recategorize transactions that already have a category
+ * @param {string} [options.startDate] - Only transactions on or after this date
+ * @param {string} [options.endDate] - Only transactions on or before this date
+ * @returns {Promise<Array<Object>>} Changes, newest first:
+ *          { transactionId, date, description, amount, from, to, rule }
+ */
+const previewRuleRun = async (ownerId, { scope = 'uncategorized', startDate, endDate } = {}) => {
+  const rules = await loadRules(ownerId);
+  if (rules.length === 0) return [];
+
+  const filter = {
+    ...buildTransactionFilter({ startDate, endDate }, ownerId),
+    type: { $ne: 'transfer' },
+    'splits.0': { $exists: false }
+  };
+  if (scope !== 'all') filter.categoryId = null;
+
+  const transactions = await Transaction.find(filter)
+    .select('date description notes amount type categoryId')
+    .sort({ date: -1 })
+    .populate('categoryId', 'name color')
+    .lean();
+
+  return transactions.reduce((changes, transaction) => {
+    const rule = findMatchingRule(rules, transaction);
+    if (!rule || String(transaction.categoryId?._id) === String(rule.categoryId._id)) return changes;
+
+    changes.push({
+      transactionId: transaction._id,
+      date: transaction.date,
+      description: transaction.description,
+      amount: transaction.amount,
+      from: transaction.categoryId || null,
+      to: rule.categoryId,
+      rule: { _id: rule._id, name: rule.name }
+    });
+    return changes;
+  }, []);
+};
+
+/**
+ * Write changes from previewRuleRun
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<Object>} changes - Changes to apply
+ * @returns {Promise<number>} Number of transactions updated
+ */
+const applyRuleRun = async (ownerId, changes) => {
+  if (changes.length === 0) return 0;
+
+  const result = await Transaction.bulkWrite(changes.map(change => ({
+    updateOne: {
+      filter: { _id: change.transactionId, ownerId },
+      update: { $set: { categoryId: change.to._id } }
+    }
+  })));
+  return result.modifiedCount;
+};
+
+module.exports = {
+  OPERATORS_BY_FIELD,
+  conditionError,
+  normalizeCondition,
+  matchesRule,
+  findMatchingRule,
+  loadRules,
+  categorize,
+  previewRuleRun,
+  applyRuleRun
+};
@@ -0,0 +1,185 @@
+/**
+ * Learned category suggestions
+ *
+ * A multinomial naive Bayes classifier trained on the user's own history of
+ * description → category pairs. Training and prediction run in this process
+ * against the user's transactions; nothing is sent anywhere.
+ *
+ * Models are trained on demand and kept in memory for a short while, so a
+ * form asking for suggestions as the user types does not retrain on every
+ * keystroke.
+ */
+
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const { normalizeDescription } = require('./duplicates');
+
+// Most recent categorized transactions a model learns from
+const MAX_TRAINING_TRANSACTIONS = 5000;
+
+// Fewest categorized transactions before suggestions are made
+const MIN_TRAINING_TRANSACTIONS = 5;
+
+// How long a trained model is reused
+const MODEL_TTL_MS = 60 * 1000;
+
+// Laplace smoothing added to every word count
+const SMOOTHING = 1;
+
+// Suggestions returned besides the best one
+const MAX_ALTERNATIVES = 2;
+
+// Trained models by owner: { model, trainedAt }
+const modelCache = new Map();
+
+/**
+ * Split a description into the words the model learns from
+ * Numbers, punctuation and single letters are dropped.
+ *
+ * @param {string} description - Transaction description
+ * @returns {Array<string>} Words, possibly repeated
+ */
+const tokenize = (description) => normalizeDescription(description)
+  .split(' ')
+  .filter(word => word.length > 1 && !/^\p{N}+$/u.test(word));
+
+/**
+ * Train a classifier from categorized transactions
+ *
+ * @param {Array<Object>} examples - { description, categoryId, type }
+ * @returns {Object} Model: { total, vocabulary, classes }, where each class
+ *          (keyed by category ID) holds its document count, word counts,
+ *          total word count and the transaction types seen with it
+ */
+const trainModel = (examples) => {
+  const vocabulary = new Set();
+  const classes = new Map();
+
+  examples.forEach(({ description, categoryId, type }) => {
+    const key = String(categoryId);
+    if (!classes.has(key)) {
+      classes.set(key, { documents: 0, words: new Map(), wordTotal: 0, types: new Set() });
+    }
+
+    const entry = classes.get(key);
+    entry.documents += 1;
+    entry.types.add(type);
+    tokenize(description).forEach(word => {
+      vocabulary.add(word);
+      entry.words.set(word, (entry.words.get(word) || 0) + 1);
+      entry.wordTotal += 1;
+    });
+  });
+
+  return { total: examples.length, vocabulary, classes };
+};
+
+/**
+ * Rank categories for a description
+ *
+ * Words the model has never seen carry no information and are ignored; a
+ * description with no known words gets no predictions.
+ *
+ * @param {Object} model - Model from trainModel
+ * @param {string} description - Description to classify
+ * @param {string} [type] - 'expense' or 'income' to consider only categories
+ *        used with that type
+ * @returns {Array<Object>} { categoryId, confidence } best first, where the
+ *          confidences (0..1) of all candidates add up to 1
+ */
+const predict = (model, description, type) => {
+  const words = tokenize(description).filter(word => model.vocabulary.has(word));
+  if (words.length === 0) return [];
+
+  const scores = [];
+  model.classes.forEach((entry, categoryId) => {
+    if (type && !entry.types.has(type)) return;
+
+    const denominator = entry.wordTotal + SMOOTHING * model.vocabulary.size;
+    let score = Math.log(entry.documents / model.total);
+    words.forEach(word => {
+      score += Math.log(((entry.words.get(word) || 0) + SMOOTHING) / denominator);
+    });
+    scores.push({ categoryId, score });
+  });
+  if (scores.length === 0) return [];
+
+  // Turn log scores into probabilities without overflowing
+  const best = Math.max(...scores.map(({ score }) => score));
+  const weights = scores.map(({ score }) => Math.exp(score - best));
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+
+  return scores
+    .map(({ categoryId }, i) => ({ categoryId, confidence: weights[i] / sum }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Get a user's model, training it when there is none or it is stale
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<Object>} Model from trainModel
+ */
+const getModel = async (ownerId) => {
+  const key = String(ownerId);
+  const cached = modelCache.get(key);
+  if (cached && Date.now() - cached.trainedAt < MODEL_TTL_MS) return cached.model;
+
+  const examples = await Transaction.find({
+    ownerId,
+    categoryId: { $ne: null },
+    type: { $ne: 'transfer' }
+  })
+    .select('description categoryId type')
+    .sort({ date: -1 })
+    .limit(MAX_TRAINING_TRANSACTIONS)
+    .lean();
+
+  const model = trainModel(examples);
+  modelCache.set(key, { model, trainedAt: Date.now() });
+  return model;
+};
+
+/**
+ * Suggest a category for a description from the user's history
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {string} description - Description to classify
+ * @param {string} [type] - 'expense' or 'income'
+ * @returns {Promise<Object>} { suggestion, alternatives, trainedOn }, where
+ *          suggestion (or null) and each alternative are
+ *          { categoryId, category, confidence }
+ */
+const suggestCategory = async (ownerId, description, type) => {
+  const model = await getModel(ownerId);
+  if (model.total < MIN_TRAINING_TRANSACTIONS) {
+    return { suggestion: null, alternatives: [], trainedOn: model.total };
+  }
+
+  const ranked = predict(model, description, type).slice(0, MAX_ALTERNATIVES + 1);
+
+  // Categories deleted or archived since training are left out
+  const categories = await Category.find({
+    _id: { $in: ranked.map(({ categoryId }) => categoryId) },
+    ownerId,
+    archived: { $ne: true }
+  }).select('name color icon').lean();
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+
+  const [suggestion = null, ...alternatives] = ranked
+    .filter(({ categoryId }) => byId.has(categoryId))
+    .map(({ categoryId, confidence }) => ({
+      categoryId,
+      category: byId.get(categoryId),
+      confidence: Math.round(confidence * 1000) / 1000
+    }));
+
+  return { suggestion, alternatives, trainedOn: model.total };
+};
+
+module.exports = {
+  tokenize,
+  trainModel,
+  predict,
+  suggestCategory
+};
@@ -0,0 +1,124 @@
+/**
+ * Category hierarchy
+ *
+ * Categories can have subcategories ("Food & Dining" > "Groceries"), one
+ * level deep: a category with a parentId is a subcategory and cannot have
+ * subcategories of its own. Reports roll the spending of subcategories up
+ * into their parent.
+ */
+
+const Category = require('../models/Category');
+
+/**
+ * Load a user's categories indexed for walking the hierarchy
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<Object>} { categories, byId: Map(id -> category), childrenOf: Map(id -> [category]) }
+ */
+const loadCategoryHierarchy = async (ownerId) => {
+  const categories = await Category.find({ ownerId }).sort({ name: 1 }).lean();
+  return indexCategories(categories);
+};
+
+/**
+ * Index categories by ID and by parent
+ *
+ * @param {Array<Object>} categories - Plain category objects
+ * @returns {Object} { categories, byId, childrenOf }
+ */
+const indexCategories = (categories) => {
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+  const childrenOf = new Map();
+  categories.forEach(category => {
+    if (!category.parentId || !byId.has(String(category.parentId))) return;
+    const key = String(category.parentId);
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(category);
+  });
+  return { categories, byId, childrenOf };
+};
+
+/**
+ * Nest categories under their parents
+ * Categories whose parent is missing are treated as top-level.
+ *
+ * @param {Array<Object>} categories - Plain category objects, in display order
+ * @returns {Array<Object>} Top-level categories, each with a `children` array
+ */
+const buildCategoryTree = (categories) => {
+  const { byId, childrenOf } = indexCategories(categories);
+  return categories
+    .filter(category => !category.parentId || !byId.has(String(category.parentId)))
+    .map(category => ({
+      ...category,
+      children: (childrenOf.get(String(category._id)) || []).map(child => ({ ...child, children: [] }))
+    }));
+};
+
+/**
+ * ID of the top-level category a category rolls up into
+ *
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @param {ObjectId|string|null} categoryId - Category to look up
+ * @returns {string|null} Top-level category ID, or null for uncategorized
+ */
+const getRootId = (hierarchy, categoryId) => {
+  if (!categoryId) return null;
+  const category = hierarchy.byId.get(String(categoryId));
+  if (category && category.parentId && hierarchy.byId.has(String(category.parentId))) {
+    return String(category.parentId);
+  }
+  return String(categoryId);
+};
+
+/**
+ * IDs of a category and its subcategories
+ *
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @param {ObjectId|string} categoryId - Category to look up
+ * @returns {Array<string>} The category ID followed by its subcategory IDs
+ */
+const getSubtreeIds = (hierarchy, categoryId) => [
+  String(categoryId),
+  ...(hierarchy.childrenOf.get(String(categoryId)) || []).map(child => String(child._id))
+];
+
+/**
+ * Check a parent chosen for a category
+ *
+ * @param {ObjectId|string|null} parentId - Proposed parent ('' or null for none)
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {ObjectId|string} [categoryId] - Category being updated (omit when creating)
+ * @returns {Promise<Object>} { error } when the parent is not allowed, else { parent } (null for none)
+ */
+const validateParent = async (parentId, ownerId, categoryId) => {
+  if (!parentId) return { parent: null };
+
+  if (categoryId && String(parentId) === String(categoryId)) {
+    return { error: 'A category cannot be its own parent' };
+  }
+
+  const parent = await Category.findOne({ _id: parentId, ownerId });
+  if (!parent) return { error: 'Invalid parent category' };
+  if (parent.parentId) {
+    return { error: 'Subcategories cannot have subcategories of their own' };
+  }
+  if (parent.archived) {
+    return { error: 'Restore the parent category before adding subcategories to it' };
+  }
+
+  if (categoryId && await Category.exists({ ownerId, parentId: categoryId })) {
+    return { error: 'A category with subcategories cannot become a subcategory' };
+  }
+
+  return { parent };
+};
+
+module.exports = {
+  loadCategoryHierarchy,
+  indexCategories,
+  buildCategoryTree,
+  getRootId,
+  getSubtreeIds,
+  validateParent
+};
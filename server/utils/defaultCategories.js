@@ -0,0 +1,61 @@
+/**
+ * Default categories
+ * Starter set of expense and income categories given to every new user
+ * and used by the seed scripts. Subcategories name their parent in `parent`.
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_CATEGORIES = [
+  { name: 'Food & Dining', color: '#FF6B6B', icon: 'utensils', type: 'expense', isDefault: true },
+  { name: 'Transportation', color: '#4ECDC4', icon: 'car', type: 'expense', isDefault: true },
+  { name: 'Housing', color: '#45B7D1', icon: 'home', type: 'expense', isDefault: true },
+  { name: 'Utilities', color: '#FFA5AB', icon: 'bolt', type: 'expense', isDefault: true },
+  { name: 'Entertainment', color: '#FFBE0B', icon: 'film', type: 'expense', isDefault: true },
+  { name: 'Shopping', color: '#9381FF', icon: 'shopping-bag', type: 'expense', isDefault: true },
+  { name: 'Health & Medical', color: '#FB5607', icon: 'medkit', type: 'expense', isDefault: true },
+  { name: 'Personal Care', color: '#8AC926', icon: 'spa', type: 'expense', isDefault: true },
+  { name: 'Education', color: '#1982C4', icon: 'graduation-cap', type: 'expense', isDefault: true },
+  { name: 'Travel', color: '#6A4C93', icon: 'plane', type: 'expense', isDefault: true },
+  { name: 'Gifts & Donations', color: '#FF595E', icon: 'gift', type: 'expense', isDefault: true },
+  { name: 'Business', color: '#8EBBFF', icon: 'briefcase', type: 'expense', isDefault: true },
+  { name: 'Investments', color: '#52B788', icon: 'chart-line', type: 'expense', isDefault: true },
+  { name: 'Other', color: '#6E7582', icon: 'ellipsis-h', type: 'expense', isDefault: true },
+  
+  // Expense subcategories
+  { name: 'Groceries', parent: 'Food & Dining', color: '#FF8787', icon: 'shopping-cart', type: 'expense', isDefault: true },
+  { name: 'Restaurants', parent: 'Food & Dining', color: '#FA5252', icon: 'utensils', type: 'expense', isDefault: true },
+  { name: 'Coffee', parent: 'Food & Dining', color: '#C92A2A', icon: 'coffee', type: 'expense', isDefault: true },
+  { name: 'Fuel', parent: 'Transportation', color: '#38D9A9', icon: 'gas-pump', type: 'expense', isDefault: true },
+  { name: 'Public Transit', parent: 'Transportation', color: '#20C997', icon: 'bus', type: 'expense', isDefault: true },
+  { name: 'Rent', parent: 'Housing', color: '#4DABF7', icon: 'key', type: 'expense', isDefault: true },
+  { name: 'Electricity', parent: 'Utilities', color: '#FFC9C9', icon: 'bolt', type: 'expense', isDefault: true },
+  { name: 'Internet & Phone', parent: 'Utilities', color: '#FFA8A8', icon: 'wifi', type: 'expense', isDefault: true },
+  { name: 'Streaming', parent: 'Entertainment', color: '#FCC419', icon: 'tv', type: 'expense', isDefault: true },
+  
+  // Income categories
+  { name: 'Salary', color: '#52B788', icon: 'wallet', type: 'income', isDefault: true },
+  { name: 'Freelance', color: '#4CC9F0', icon: 'laptop-code', type: 'income', isDefault: true },
+  { name: 'Investment Income', color: '#8AC926', icon: 'chart-line', type: 'income', isDefault: true },
+  { name: 'Gifts Received', color: '#FF595E', icon: 'gift', type: 'income', isDefault: true },
+  { name: 'Other Income', color: '#6E7582', icon: 'ellipsis-h', type: 'income', isDefault: true },
+];
+
+/**
+ * Build the default category documents for a specific user
+ * IDs are assigned up front so subcategories can point at their parent.
+ *
+ * @param {ObjectId} ownerId - ID of the user who will own the categories
+ * @returns {Array<Object>} Category data ready for insertMany
+ */
+const buildDefaultCategories = (ownerId) => {
+  const idsByName = new Map(DEFAULT_CATEGORIES.map(category => [category.name, new mongoose.Types.ObjectId()]));
+  return DEFAULT_CATEGORIES.map(({ parent, ...category }) => ({
+    ...category,
+    _id: idsByName.get(category.name),
+    parentId: parent ? idsByName.get(parent) : null,
+    ownerId
+  }));
+};
+
+module.exports = { DEFAULT_CATEGORIES, buildDefaultCategories };
@@ -0,0 +1,232 @@
+/**
+ * Duplicate transaction detection
+ *
+ * Two transactions are likely duplicates when they have the same amount,
+ * fall within a few days of each other and have similar descriptions
+ * ("AMAZON MKTPLACE 1234" and "Amazon Marketplace"). Transfers are never
+ * considered, and pairs the user dismissed are remembered on both
+ * transactions in dismissedDuplicateIds.
+ */
+
+const Transaction = require('../models/Transaction');
+
+// How many days apart two duplicates may be recorded
+const DEFAULT_DAY_WINDOW = 3;
+
+// Smallest description similarity (0..1) for a match
+const SIMILARITY_THRESHOLD = 0.6;
+
+// Amounts closer than this are the same
+const AMOUNT_TOLERANCE = 0.005;
+
+// How far back a duplicate search looks by default, and at most, in days
+const DEFAULT_LOOKBACK_DAYS = 90;
+const MAX_LOOKBACK_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduce a description to the words that identify the payee
+ * Letters and digits of any script are kept; punctuation is dropped.
+ *
+ * @param {string} text - Transaction description
+ * @returns {string}
+ */
+const normalizeDescription = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Adjacent character pairs of a string, ignoring spaces
+const bigrams = (text) => {
+  const compact = text.replace(/\s/g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+/**
+ * Score how alike two descriptions are
+ *
+ * Uses the Dice coefficient of letter pairs, and treats a description that
+ * contains the other ("Netflix" in "Netflix.com Subscription") as a match.
+ *
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (same)
+ */
+const descriptionSimilarity = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const shorter = left.length <= right.length ? left : right;
+  const longer = shorter === left ? right : left;
+  if (shorter.length >= 4 && longer.includes(shorter)) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+
+  const counts = new Map();
+  leftPairs.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+
+  let shared = 0;
+  rightPairs.forEach(pair => {
+    const count = counts.get(pair) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(pair, count - 1);
+    }
+  });
+
+  return (2 * shared) / (leftPairs.length + rightPairs.length);
+};
+
+// Whether the user already said these two are not duplicates
+const isDismissed = (a, b) => {
+  const dismissed = (transaction, other) => (transaction.dismissedDuplicateIds || [])
+    .some(id => String(id) === String(other._id));
+  return dismissed(a, b) || dismissed(b, a);
+};
+
+/**
+ * Check whether two transactions are likely the same purchase
+ *
+ * @param {Object} a - Transaction (saved or about to be saved)
+ * @param {Object} b - Transaction
+ * @param {Object} [options]
+ * @param {number} [options.days=3] - Largest number of days between the two dates
+ * @returns {boolean}
+ */
+const isLikelyDuplicate = (a, b, { days = DEFAULT_DAY_WINDOW } = {}) => {
+  if (a._id && b._id && String(a._id) === String(b._id)) return false;
+  if (a.type === 'transfer' || b.type === 'transfer') return false;
+  if (Math.abs(Number(a.amount) - Number(b.amount)) >= AMOUNT_TOLERANCE) return false;
+  if (Math.abs(new Date(a.date) - new Date(b.date)) > days * DAY_MS) return false;
+  if (isDismissed(a, b)) return false;
+
+  return descriptionSimilarity(a.description, b.description) >= SIMILARITY_THRESHOLD;
+};
+
+/**
+ * Find saved transactions that a new transaction probably duplicates
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} candidate - { amount, date, description, type }
+ * @param {Object} [options]
+ * @param {number} [options.days=3] - Day window around the candidate's date
+ * @returns {Promise<Array<Object>>} Matching transactions, most recent first
+ */
+const findDuplicatesOf = async (ownerId, candidate, { days = DEFAULT_DAY_WINDOW } = {}) => {
+  if (candidate.type === 'transfer') return [];
+
+  const amount = Number(candidate.amount);
+  const date = new Date(candidate.date);
+  if (Number.isNaN(amount) || Number.isNaN(date.getTime())) return [];
+
+  const nearby = await Transaction.find({
+    ownerId,
+    type: { $ne: 'transfer' },
+    amount: { $gt: amount - AMOUNT_TOLERANCE, $lt: amount + AMOUNT_TOLERANCE },
+    date: { $gte: new Date(date.getTime() - days * DAY_MS), $lte: new Date(date.getTime() + days * DAY_MS) }
+  })
+    .populate('categoryId', 'name color icon')
+    .populate('accountId', 'name type color')
+    .sort({ date: -1 });
+
+  return nearby.filter(transaction => isLikelyDuplicate(candidate, transaction, { days }));
+};
+
+/**
+ * Group a user's transactions into sets of likely duplicates
+ *
+ * Matches are chained, so if A matches B and B matches C all three form one
+ * group for review. Only a window of dates is searched (the last 90 days
+ * unless startDate/endDate say otherwise, never more than 366 days), and
+ * transactions are only compared with others of the same amount.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} [options]
+ * @param {number} [options.days=3] - Largest number of days between duplicates
+ * @param {number} [options.lookbackDays=90] - Days before endDate to search when there is no startDate
+ * @param {Date} [options.startDate] - Only look at transactions on or after this date
+ * @param {Date} [options.endDate] - Only look at transactions on or before this date (default now)
+ * @returns {Promise<Array<Array<Object>>>} Groups of two or more transactions, oldest first
+ */
+const findDuplicateGroups = async (ownerId, {
+  days = DEFAULT_DAY_WINDOW,
+  lookbackDays = DEFAULT_LOOKBACK_DAYS,
+  startDate,
+  endDate
+} = {}) => {
+  const end = endDate || new Date();
+  const earliest = new Date(end.getTime() - MAX_LOOKBACK_DAYS * DAY_MS);
+  let start = startDate || new Date(end.getTime() - Math.min(lookbackDays, MAX_LOOKBACK_DAYS) * DAY_MS);
+  if (start < earliest) start = earliest;
+
+  // Only amounts recorded more than once in the window can have duplicates,
+  // so find those first and load just their transactions
+  const buckets = await Transaction.aggregate([
+    { $match: { ownerId, type: { $ne: 'transfer' }, date: { $gte: start, $lte: end } } },
+    { $group: { _id: { $round: ['$amount', 2] }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+  if (buckets.length === 0) return [];
+
+  const transactions = await Transaction.find({ _id: { $in: buckets.flatMap(bucket => bucket.ids) } })
+    .populate('categoryId', 'name color icon')
+    .populate('accountId', 'name type color')
+    .populate('splits.categoryId', 'name color icon')
+    .sort({ date: 1 });
+
+  // Same amount to the cent, oldest first
+  const byAmount = new Map();
+  transactions.forEach(transaction => {
+    const cents = Math.round(transaction.amount * 100);
+    if (!byAmount.has(cents)) byAmount.set(cents, []);
+    byAmount.get(cents).push(transaction);
+  });
+
+  const groups = [];
+  byAmount.forEach(bucket => {
+    // Union-find over indexes so chained matches end up in the same group
+    const parent = bucket.map((_, index) => index);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    // Sorted by date, so only transactions within the day window need comparing
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        if (bucket[j].date - bucket[i].date > days * DAY_MS) break;
+        if (isLikelyDuplicate(bucket[i], bucket[j], { days })) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const bucketGroups = new Map();
+    bucket.forEach((transaction, index) => {
+      const root = find(index);
+      if (!bucketGroups.has(root)) bucketGroups.set(root, []);
+      bucketGroups.get(root).push(transaction);
+    });
+    groups.push(...[...bucketGroups.values()].filter(group => group.length > 1));
+  });
+
+  return groups.sort((a, b) => b[0].date - a[0].date);
+};
+
+module.exports = {
+  DEFAULT_DAY_WINDOW,
+  DEFAULT_LOOKBACK_DAYS,
+  MAX_LOOKBACK_DAYS,
+  normalizeDescription,
+  descriptionSimilarity,
+  isLikelyDuplicate,
+  findDuplicatesOf,
+  findDuplicateGroups
+};
@@ -0,0 +1,255 @@
+/**
+ * Envelope budgeting
+ *
+ * Every top-level expense category is an envelope. Money goes into an
+ * envelope by assigning it: the category's monthly budget is what was
+ * assigned to it that month. Spending in the category and its subcategories
+ * comes out of the envelope, and whatever is left (or overspent) carries into
+ * the next month, whatever the budget's rollover setting.
+ *
+ * Income fills the "ready to assign" pool, and assigning money to envelopes
+ * empties it. Envelope balances and the pool both count from the envelope
+ * start: the first month anything was assigned to an envelope.
+ *
+ * Only monthly budgets on top-level categories take part. A category whose
+ * budget for another period (say a yearly one) overlaps a month cannot
+ * receive money that month.
+ */
+
+const Budget = require('../models/Budget');
+const Transaction = require('../models/Transaction');
+const { getSubtreeIds } = require('./categoryTree');
+const { loadDailySpending, spentBetween, roundAmount } = require('./budgets');
+const { addDays, getMonthRange } = require('./budgetPeriods');
+
+/**
+ * Whether a category can hold an envelope
+ *
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @param {Object} category - Plain category
+ * @returns {boolean} True for top-level expense categories
+ */
+const isEnvelopeCategory = (hierarchy, category) =>
+  category.type !== 'income' && !(category.parentId && hierarchy.byId.has(String(category.parentId)));
+
+/**
+ * Income received between two days
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Date} startDate - First day
+ * @param {Date} endDate - Last day (included)
+ * @returns {Promise<number>} Total income
+ */
+const incomeBetween = async (ownerId, startDate, endDate) => {
+  const [row] = await Transaction.aggregate([
+    {
+      $match: {
+        ownerId,
+        type: 'income',
+        date: { $gte: startDate, $lt: addDays(endDate, 1) }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return row ? row.total : 0;
+};
+
+/**
+ * Envelopes and the ready-to-assign pool for a month
+ * Archived categories are left out unless their envelope still holds money or
+ * had activity that month.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Full year
+ * @returns {Promise<Object>} { month, year, startDate, carriedIn, income,
+ *          assigned, readyToAssign, envelopes: [{ category, budgetId,
+ *          carriedIn, assigned, spent, balance }] }
+ */
+const getEnvelopes = async (ownerId, hierarchy, month, year) => {
+  const range = getMonthRange(month, year);
+  const envelopeCategories = hierarchy.categories.filter(category => isEnvelopeCategory(hierarchy, category));
+  const envelopeIds = envelopeCategories.map(category => category._id);
+
+  const budgets = await Budget.find({
+    ownerId,
+    period: 'monthly',
+    categoryId: { $in: envelopeIds },
+    startDate: { $lte: range.startDate }
+  }).lean();
+
+  const startDate = new Date(Math.min(range.startDate, ...budgets.map(budget => budget.startDate)));
+  const beforeMonth = addDays(range.startDate, -1);
+  const isThisMonth = (budget) => budget.startDate.getTime() === range.startDate.getTime();
+
+  const [spending, incomeBefore, income] = await Promise.all([
+    loadDailySpending(ownerId, startDate, range.endDate),
+    startDate < range.startDate ? incomeBetween(ownerId, startDate, beforeMonth) : 0,
+    incomeBetween(ownerId, range.startDate, range.endDate)
+  ]);
+
+  const assignedBefore = (categoryBudgets) => categoryBudgets
+    .filter(budget => !isThisMonth(budget))
+    .reduce((sum, budget) => sum + budget.amount, 0);
+
+  const envelopes = envelopeCategories.map(category => {
+    const categoryId = String(category._id);
+    const coveredIds = getSubtreeIds(hierarchy, categoryId);
+    const own = budgets.filter(budget => String(budget.categoryId) === categoryId);
+    const monthBudget = own.find(isThisMonth);
+
+    const carriedIn = startDate < range.startDate
+      ? assignedBefore(own) - spentBetween(spending, coveredIds, startDate, beforeMonth)
+      : 0;
+    const assigned = monthBudget ? monthBudget.amount : 0;
+    const spent = spentBetween(spending, coveredIds, range.startDate, range.endDate);
+
+    return {
+      category: {
+        _id: category._id,
+        name: category.name,
+        color: category.color,
+        icon: category.icon,
+        archived: !!category.archived
+      },
+      budgetId: monthBudget ? monthBudget._id : null,
+      carriedIn: roundAmount(carriedIn),
+      assigned: roundAmount(assigned),
+      spent: roundAmount(spent),
+      balance: roundAmount(carriedIn + assigned - spent)
+    };
+  }).filter(envelope => !envelope.category.archived
+    || envelope.balance !== 0 || envelope.assigned !== 0 || envelope.spent !== 0);
+
+  // Money assigned to envelopes that are no longer listed still left the pool
+  const carriedIn = incomeBefore - assignedBefore(budgets);
+  const assigned = budgets.filter(isThisMonth).reduce((sum, budget) => sum + budget.amount, 0);
+
+  return {
+    month,
+    year,
+    startDate,
+    carriedIn: roundAmount(carriedIn),
+    income: roundAmount(income),
+    assigned: roundAmount(assigned),
+    readyToAssign: roundAmount(carriedIn + income - assigned),
+    envelopes
+  };
+};
+
+/**
+ * Check that money can move between two envelopes in a month
+ *
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @param {Object} move - { fromCategoryId, toCategoryId, amount, month, year };
+ *        a missing category stands for the ready-to-assign pool
+ * @param {Object} budgets - Result of findMoveBudgets
+ * @param {number} readyToAssign - What the pool holds that month
+ * @returns {string|null} Why the move is not possible, or null
+ */
+const validateMove = (hierarchy, { fromCategoryId, toCategoryId, amount }, budgets, readyToAssign) => {
+  if (!fromCategoryId && !toCategoryId) {
+    return 'Choose an envelope to move money from or to';
+  }
+  if (fromCategoryId && String(fromCategoryId) === String(toCategoryId)) {
+    return 'Choose two different envelopes';
+  }
+
+  for (const categoryId of [fromCategoryId, toCategoryId].filter(Boolean)) {
+    const category = hierarchy.byId.get(String(categoryId));
+    if (!category || !isEnvelopeCategory(hierarchy, category)) {
+      return 'Envelopes are top-level expense categories';
+    }
+  }
+
+  const target = toCategoryId && hierarchy.byId.get(String(toCategoryId));
+  if (target && target.archived) {
+    return `${target.name} is archived`;
+  }
+  if (target && budgets.blocked) {
+    return `${target.name} has a budget for another period that covers this month`;
+  }
+  if (fromCategoryId && (!budgets.from || budgets.from.amount < amount)) {
+    const name = hierarchy.byId.get(String(fromCategoryId)).name;
+    const assigned = budgets.from ? budgets.from.amount : 0;
+    return `Only ${assigned.toFixed(2)} is assigned to ${name} this month`;
+  }
+  if (!fromCategoryId && readyToAssign < amount) {
+    return `Only ${Math.max(0, readyToAssign).toFixed(2)} is ready to assign this month`;
+  }
+  return null;
+};
+
+/**
+ * Find the monthly budgets a move takes money from and adds it to
+ * A budget over another period that overlaps the month is reported as
+ * blocking the target envelope.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} move - { fromCategoryId, toCategoryId, month, year }
+ * @returns {Promise<Object>} { from, to, blocked }
+ */
+const findMoveBudgets = async (ownerId, { fromCategoryId, toCategoryId, month, year }) => {
+  const range = getMonthRange(month, year);
+  const existing = await Budget.find({
+    ownerId,
+    categoryId: { $in: [fromCategoryId, toCategoryId].filter(Boolean) },
+    startDate: { $lte: range.endDate },
+    endDate: { $gte: range.startDate }
+  });
+
+  const monthlyOf = (categoryId) => categoryId && existing.find(budget =>
+    String(budget.categoryId) === String(categoryId) && budget.period === 'monthly');
+  const to = monthlyOf(toCategoryId);
+  const blocked = !!toCategoryId && !to && existing.some(budget => String(budget.categoryId) === String(toCategoryId));
+
+  return { from: monthlyOf(fromCategoryId) || null, to: to || null, blocked };
+};
+
+/**
+ * Move money between envelopes, or between an envelope and the pool
+ * Takes it off the source envelope's budget for the month and adds it to the
+ * target's, creating that budget when the envelope has none yet. If adding
+ * it to the target fails, the source envelope gets the money back.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} move - { fromCategoryId, toCategoryId, amount, month, year }
+ * @param {Object} budgets - Result of findMoveBudgets
+ * @returns {Promise<void>}
+ */
+const moveEnvelopeMoney = async (ownerId, { toCategoryId, amount, month, year }, budgets) => {
+  const fromAmount = budgets.from && budgets.from.amount;
+  if (budgets.from) {
+    budgets.from.amount = roundAmount(fromAmount - amount);
+    await budgets.from.save();
+  }
+
+  try {
+    if (budgets.to) {
+      budgets.to.amount = roundAmount(budgets.to.amount + amount);
+      await budgets.to.save();
+    } else if (toCategoryId) {
+      await Budget.create({
+        ownerId,
+        categoryId: toCategoryId,
+        amount,
+        period: 'monthly',
+        ...getMonthRange(month, year)
+      });
+    }
+  } catch (error) {
+    if (budgets.from) {
+      await Budget.updateOne({ _id: budgets.from._id }, { $set: { amount: fromAmount } });
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  isEnvelopeCategory,
+  getEnvelopes,
+  validateMove,
+  findMoveBudgets,
+  moveEnvelopeMoney
+};
@@ -0,0 +1,37 @@
+/**
+ * CSV writer for exports
+ */
+
+// Text that a spreadsheet would run as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value, type) => {
+  if (value === null || value === undefined) return '';
+
+  if (type === 'date') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+  }
+  if (type === 'number') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV
+ *
+ * @param {Array<Object>} columns - { key, header, type ('string', 'number' or 'date') }
+ * @param {Array<Object>} rows - Objects keyed by column key
+ * @returns {string} CSV text with a header row and CRLF line endings
+ */
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => formatCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => formatCell(row[column.key], column.type)).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = { toCsv };
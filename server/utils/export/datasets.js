@@ -0,0 +1,149 @@
+/**
+ * Export datasets
+ *
+ * Each dataset loads the signed-in user's documents and flattens them into
+ * rows with a fixed set of columns, so the same data can be written as CSV,
+ * JSON or an XLSX worksheet.
+ */
+
+const Transaction = require('../../models/Transaction');
+const Category = require('../../models/Category');
+const Budget = require('../../models/Budget');
+const { buildTransactionFilter } = require('../transactionFilters');
+
+const TRANSACTION_COLUMNS = [
+  { key: 'id', header: 'ID', width: 26 },
+  { key: 'date', header: 'Date', type: 'date', width: 12 },
+  { key: 'description', header: 'Description', width: 36 },
+  { key: 'amount', header: 'Amount', type: 'number', width: 12 },
+  { key: 'type', header: 'Type', width: 10 },
+  { key: 'category', header: 'Category', width: 20 },
+  { key: 'account', header: 'Account', width: 20 },
+  { key: 'payee', header: 'Payee', width: 20 },
+  { key: 'tags', header: 'Tags', width: 24 },
+  { key: 'splits', header: 'Splits', width: 36 },
+  { key: 'notes', header: 'Notes', width: 36 }
+];
+
+const CATEGORY_COLUMNS = [
+  { key: 'id', header: 'ID', width: 26 },
+  { key: 'name', header: 'Name', width: 24 },
+  { key: 'parent', header: 'Parent', width: 24 },
+  { key: 'type', header: 'Type', width: 10 },
+  { key: 'color', header: 'Color', width: 10 },
+  { key: 'icon', header: 'Icon', width: 14 },
+  { key: 'isDefault', header: 'Default', width: 10 },
+  { key: 'archived', header: 'Archived', width: 10 }
+];
+
+const BUDGET_COLUMNS = [
+  { key: 'id', header: 'ID', width: 26 },
+  { key: 'year', header: 'Year', type: 'number', width: 8 },
+  { key: 'month', header: 'Month', type: 'number', width: 8 },
+  { key: 'period', header: 'Period', width: 10 },
+  { key: 'startDate', header: 'Start Date', type: 'date', width: 12 },
+  { key: 'endDate', header: 'End Date', type: 'date', width: 12 },
+  { key: 'category', header: 'Category', width: 24 },
+  { key: 'amount', header: 'Amount', type: 'number', width: 12 },
+  { key: 'rollover', header: 'Rollover', width: 10 },
+  { key: 'notes', header: 'Notes', width: 36 }
+];
+
+/**
+ * Transactions matching the same filters as GET /api/transactions
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} query - startDate, endDate, category, type, account, payee, tags, search
+ * @returns {Promise<Object>} { name, columns, rows }
+ */
+const loadTransactions = async (ownerId, query) => {
+  const transactions = await Transaction.find(buildTransactionFilter(query, ownerId))
+    .sort({ date: -1 })
+    .populate('categoryId', 'name')
+    .populate('splits.categoryId', 'name')
+    .populate('accountId', 'name')
+    .populate('payeeId', 'name');
+
+  const rows = transactions.map(transaction => ({
+    id: String(transaction._id),
+    date: transaction.date,
+    description: transaction.description,
+    amount: transaction.amount,
+    type: transaction.type,
+    category: transaction.categoryId?.name || '',
+    account: transaction.accountId?.name || '',
+    payee: transaction.payeeId?.name || '',
+    tags: transaction.tags.join(', '),
+    splits: transaction.splits
+      .map(split => `${split.categoryId?.name || 'Unknown'}: ${split.amount.toFixed(2)}`)
+      .join('; '),
+    notes: transaction.notes || ''
+  }));
+
+  return { name: 'Transactions', columns: TRANSACTION_COLUMNS, rows };
+};
+
+/**
+ * All of the user's categories
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<Object>} { name, columns, rows }
+ */
+const loadCategories = async (ownerId) => {
+  const categories = await Category.find({ ownerId }).sort({ name: 1 });
+  const namesById = new Map(categories.map(category => [String(category._id), category.name]));
+
+  const rows = categories.map(category => ({
+    id: String(category._id),
+    name: category.name,
+    parent: category.parentId ? namesById.get(String(category.parentId)) || '' : '',
+    type: category.type,
+    color: category.color,
+    icon: category.icon,
+    isDefault: category.isDefault ? 'Yes' : 'No',
+    archived: category.archived ? 'Yes' : 'No'
+  }));
+
+  return { name: 'Categories', columns: CATEGORY_COLUMNS, rows };
+};
+
+/**
+ * The user's budgets, limited to those overlapping the date range when one is given
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} query - startDate and endDate select the budgets included
+ * @returns {Promise<Object>} { name, columns, rows }
+ */
+const loadBudgets = async (ownerId, query) => {
+  const filter = { ownerId };
+  if (query.endDate) filter.startDate = { $lte: new Date(query.endDate) };
+  if (query.startDate) filter.endDate = { $gte: new Date(query.startDate) };
+
+  const budgets = await Budget.find(filter)
+    .sort({ startDate: -1 })
+    .populate('categoryId', 'name');
+
+  const rows = budgets.map(budget => ({
+    id: String(budget._id),
+    year: budget.year,
+    month: budget.month,
+    period: budget.period || 'monthly',
+    startDate: budget.startDate,
+    endDate: budget.endDate,
+    category: budget.categoryId?.name || '',
+    amount: budget.amount,
+    rollover: budget.rollover || 'none',
+    notes: budget.notes || ''
+  }));
+
+  return { name: 'Budgets', columns: BUDGET_COLUMNS, rows };
+};
+
+// Dataset loaders by name
+const DATASETS = {
+  transactions: loadTransactions,
+  categories: loadCategories,
+  budgets: loadBudgets
+};
+
+module.exports = { DATASETS };
@@ -0,0 +1,219 @@
+/**
+ * Savings goal progress
+ *
+ * A goal's saved amount is what its linked transactions contributed since
+ * the goal's start date, plus its manual contributions:
+ * - linked to an account: the net of the account's transactions, so
+ *   deposits and transfers in add up and withdrawals take away
+ * - linked to a category (and its subcategories): what was spent in it,
+ *   less refunds; income in an income category counts as it comes in
+ *
+ * With a target date, the amount still missing is spread evenly over the
+ * calendar months left, the current one included.
+ */
+
+const Transaction = require('../models/Transaction');
+const { EXPAND_SPLITS } = require('./aggregations');
+const { getSubtreeIds } = require('./categoryTree');
+const { roundAmount } = require('./budgets');
+const { countDays } = require('./budgetPeriods');
+const { startOfDay, toDateKey } = require('./recurrence');
+
+/**
+ * Net transaction amounts per account per day
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<ObjectId>} accountIds - Accounts to look up
+ * @param {Date} startDate - First day
+ * @returns {Promise<Map>} Account ID (string) -> [{ day: "YYYY-MM-DD", amount }]
+ */
+const loadAccountActivity = async (ownerId, accountIds, startDate) => {
+  const rows = await Transaction.aggregate([
+    { $match: { ownerId, accountId: { $in: accountIds }, date: { $gte: startDate } } },
+    {
+      $group: {
+        _id: {
+          accountId: '$accountId',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+        },
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  const activity = new Map();
+  rows.forEach(row => {
+    const accountId = String(row._id.accountId);
+    if (!activity.has(accountId)) activity.set(accountId, []);
+    activity.get(accountId).push({ day: row._id.day, amount: row.total });
+  });
+  return activity;
+};
+
+/**
+ * Amounts put toward categories per day
+ * Expenses count as they are spent (refunds take away), income as it comes in.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<ObjectId|string>} categoryIds - Categories to look up
+ * @param {Date} startDate - First day
+ * @returns {Promise<Map>} Category ID (string) -> [{ day: "YYYY-MM-DD", amount }]
+ */
+const loadCategoryActivity = async (ownerId, categoryIds, startDate) => {
+  const rows = await Transaction.aggregate([
+    { $match: { ownerId, type: { $in: ['expense', 'income'] }, date: { $gte: startDate } } },
+    ...EXPAND_SPLITS,
+    { $match: { categoryId: { $in: categoryIds } } },
+    {
+      $group: {
+        _id: {
+          categoryId: '$categoryId',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+        },
+        total: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, { $multiply: ['$amount', -1] }, '$amount'] } }
+      }
+    }
+  ]);
+
+  const activity = new Map();
+  rows.forEach(row => {
+    const categoryId = String(row._id.categoryId);
+    if (!activity.has(categoryId)) activity.set(categoryId, []);
+    activity.get(categoryId).push({ day: row._id.day, amount: row.total });
+  });
+  return activity;
+};
+
+/**
+ * Add up activity for some keys from a day on
+ *
+ * @param {Map} activity - Result of loadAccountActivity or loadCategoryActivity
+ * @param {Array<string>} keys - Accounts or categories to add up
+ * @param {Date} startDate - First day
+ * @returns {number} Total
+ */
+const sumFrom = (activity, keys, startDate) => {
+  const from = toDateKey(startDate);
+  return keys.reduce((total, key) => total + (activity.get(key) || [])
+    .filter(entry => entry.day >= from)
+    .reduce((sum, entry) => sum + entry.amount, 0), 0);
+};
+
+/**
+ * Calendar months from one day's month to another's, both included
+ *
+ * @param {Date} from - Day in the first month
+ * @param {Date} to - Day in the last month
+ * @returns {number} Month count (0 when to is in an earlier month)
+ */
+const countMonths = (from, to) => Math.max(0,
+  (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth()) + 1);
+
+/**
+ * Work out how far a goal has come
+ *
+ * @param {Object} goal - Goal with targetAmount, targetDate, startDate and contributions
+ * @param {number} linkedAmount - What its linked transactions contributed
+ * @param {Date} [today] - Day to measure from
+ * @returns {Object} { savedAmount, linkedAmount, manualAmount, remaining, percent,
+ *          monthsLeft, requiredMonthly, status }; monthsLeft and requiredMonthly are null
+ *          without a target date, requiredMonthly also once the target date has passed.
+ *          status is 'completed', 'on-track', 'behind', 'overdue' or 'in-progress'
+ *          (no target date).
+ */
+const getGoalProgress = (goal, linkedAmount, today = new Date()) => {
+  const day = startOfDay(today);
+  const manualAmount = roundAmount((goal.contributions || [])
+    .reduce((sum, contribution) => sum + contribution.amount, 0));
+  const savedAmount = roundAmount(linkedAmount + manualAmount);
+  const remaining = roundAmount(Math.max(0, goal.targetAmount - savedAmount));
+  const percent = roundAmount(Math.max(0, (savedAmount / goal.targetAmount) * 100));
+
+  const result = {
+    savedAmount,
+    linkedAmount: roundAmount(linkedAmount),
+    manualAmount,
+    remaining,
+    percent,
+    monthsLeft: null,
+    requiredMonthly: null,
+    status: 'in-progress'
+  };
+
+  if (remaining === 0) {
+    result.status = 'completed';
+  }
+  if (!goal.targetDate) return result;
+
+  const targetDate = startOfDay(goal.targetDate);
+  result.monthsLeft = targetDate < day ? 0 : countMonths(day, targetDate);
+  if (remaining === 0) {
+    result.requiredMonthly = 0;
+    return result;
+  }
+  if (targetDate < day) {
+    result.status = 'overdue';
+    return result;
+  }
+
+  result.requiredMonthly = roundAmount(remaining / result.monthsLeft);
+
+  // On track when savings keep up with a steady pace from start to target
+  const startDate = startOfDay(goal.startDate || goal.createdAt || day);
+  const totalDays = countDays(startDate, targetDate);
+  const elapsedDays = day < startDate ? 0 : Math.min(totalDays, countDays(startDate, day));
+  const expected = totalDays > 0 ? goal.targetAmount * (elapsedDays / totalDays) : goal.targetAmount;
+  result.status = savedAmount >= expected ? 'on-track' : 'behind';
+  return result;
+};
+
+/**
+ * Attach progress to goals
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Array<Object>} goals - Goal documents; accountId and categoryId may be populated
+ * @param {Object} hierarchy - Result of loadCategoryHierarchy
+ * @param {Date} [today] - Day to measure from
+ * @returns {Promise<Array<Object>>} Plain goal objects with a progress field
+ */
+const withProgress = async (ownerId, goals, hierarchy, today = new Date()) => {
+  // ObjectIds and populated documents both have an _id
+  const accountGoals = goals.filter(goal => goal.accountId);
+  const categoryGoals = goals.filter(goal => goal.categoryId);
+  const earliest = (list) => new Date(Math.min(...list.map(goal => startOfDay(goal.startDate))));
+
+  const [accountActivity, categoryActivity] = await Promise.all([
+    accountGoals.length > 0
+      ? loadAccountActivity(ownerId, accountGoals.map(goal => goal.accountId._id), earliest(accountGoals))
+      : new Map(),
+    categoryGoals.length > 0
+      ? loadCategoryActivity(
+        ownerId,
+        // ObjectIds from the hierarchy, as aggregation does not cast strings
+        categoryGoals.flatMap(goal => getSubtreeIds(hierarchy, goal.categoryId._id))
+          .map(id => hierarchy.byId.get(id)?._id)
+          .filter(Boolean),
+        earliest(categoryGoals)
+      )
+      : new Map()
+  ]);
+
+  return goals.map(goal => {
+    let linkedAmount = 0;
+    if (goal.accountId) {
+      linkedAmount = sumFrom(accountActivity, [String(goal.accountId._id)], goal.startDate);
+    } else if (goal.categoryId) {
+      linkedAmount = sumFrom(categoryActivity, getSubtreeIds(hierarchy, goal.categoryId._id), goal.startDate);
+    }
+
+    return {
+      ...goal.toObject(),
+      progress: getGoalProgress(goal, linkedAmount, today)
+    };
+  });
+};
+
+module.exports = {
+  getGoalProgress,
+  withProgress
+};
@@ -0,0 +1,215 @@
+/**
+ * CSV import
+ *
+ * Parses CSV text (RFC 4180 quoting, any line ending) and turns its rows into
+ * import records using a column mapping chosen in the import wizard.
+ */
+
+const { parseDate, parseAmount } = require('./values');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Guess the delimiter from the first line of the file
+ *
+ * @param {string} text - CSV text
+ * @returns {string} The delimiter that appears most often outside quotes
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+
+  DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Split CSV text into rows of cells
+ *
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Cell delimiter; detected when omitted
+ * @returns {Array<Array<string>>} Rows, with blank lines removed
+ */
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(value => value !== ''));
+};
+
+// Header names recognised when suggesting a mapping
+const HEADER_HINTS = {
+  date: /^(transaction |posting |booking |value )?date$/i,
+  description: /^(description|payee|memo|details|narrative|name|merchant)$/i,
+  amount: /^(amount|value|sum)$/i,
+  debit: /^(debit|withdrawal|withdrawals|money out|paid out)$/i,
+  credit: /^(credit|deposit|deposits|money in|paid in)$/i,
+  category: /^category$/i,
+  notes: /^(notes?|reference|comment)$/i
+};
+
+/**
+ * Suggest a column mapping from header names
+ *
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Mapping of field name to column index
+ */
+const suggestMapping = (headers) => {
+  const mapping = {};
+  Object.entries(HEADER_HINTS).forEach(([field, hint]) => {
+    const index = headers.findIndex(header => hint.test(header.trim()));
+    if (index !== -1) mapping[field] = index;
+  });
+
+  // Separate debit/credit columns take precedence over a missing amount column
+  if (mapping.amount !== undefined) {
+    delete mapping.debit;
+    delete mapping.credit;
+  }
+  return mapping;
+};
+
+/**
+ * Resolve a mapped column (header name or index) to an index
+ *
+ * @param {string|number|undefined} column - Column from the mapping
+ * @param {Array<string>} headers - Header row (empty when the file has none)
+ * @returns {number} Column index, or -1 when not mapped
+ */
+const columnIndex = (column, headers) => {
+  if (column === undefined || column === null || column === '') return -1;
+  if (typeof column === 'number' || /^\d+$/.test(String(column))) return Number(column);
+  return headers.findIndex(header => header.trim().toLowerCase() === String(column).trim().toLowerCase());
+};
+
+/**
+ * Turn CSV text into import records
+ *
+ * @param {string} text - CSV text
+ * @param {Object} mapping - Columns for date, description, amount or debit/credit,
+ *        and optionally category and notes (header names or indexes)
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Cell delimiter (detected when omitted)
+ * @param {boolean} [options.hasHeader=true] - First row holds column names
+ * @param {string} [options.dateFormat='YYYY-MM-DD'] - Format of the date column
+ * @param {string} [options.decimalSeparator='.'] - '.' or ','
+ * @param {boolean} [options.invertAmounts=false] - Amount column uses positive numbers for spending
+ * @returns {Object} { headers, records } where each record has row, date, description,
+ *          amount, categoryName, notes and errors
+ */
+const readCsv = (text, mapping = {}, options = {}) => {
+  const {
+    delimiter,
+    hasHeader = true,
+    dateFormat = 'YYYY-MM-DD',
+    decimalSeparator = '.',
+    invertAmounts = false
+  } = options;
+
+  const rows = parseCsv(text, delimiter || undefined);
+  const headers = hasHeader && rows.length > 0 ? rows[0] : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  const columns = {};
+  ['date', 'description', 'amount', 'debit', 'credit', 'category', 'notes'].forEach(field => {
+    columns[field] = columnIndex(mapping[field], headers);
+  });
+
+  const cell = (cells, field) => (columns[field] >= 0 ? cells[columns[field]] || '' : '');
+
+  const records = dataRows.map((cells, index) => {
+    const errors = [];
+
+    const rawDate = cell(cells, 'date');
+    const date = parseDate(rawDate, dateFormat);
+    if (!date) errors.push(`Invalid date "${rawDate}"`);
+
+    const description = cell(cells, 'description');
+    if (!description) errors.push('Missing description');
+
+    let amount;
+    if (columns.amount >= 0) {
+      amount = parseAmount(cell(cells, 'amount'), decimalSeparator);
+      if (amount !== null && invertAmounts) amount = -amount;
+    } else {
+      // Debits are money out, credits money in; either may be blank
+      const debit = parseAmount(cell(cells, 'debit'), decimalSeparator);
+      const credit = parseAmount(cell(cells, 'credit'), decimalSeparator);
+      amount = debit === null && credit === null
+        ? null
+        : (credit || 0) - Math.abs(debit || 0);
+    }
+    if (amount === null || Number.isNaN(amount)) {
+      errors.push('Invalid amount');
+    } else if (amount === 0) {
+      errors.push('Amount is zero');
+    }
+
+    return {
+      row: index + (hasHeader ? 2 : 1), // Line number as shown in a spreadsheet
+      date,
+      description,
+      amount,
+      categoryName: cell(cells, 'category'),
+      notes: cell(cells, 'notes'),
+      errors
+    };
+  });
+
+  return { headers, records };
+};
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  suggestMapping,
+  readCsv
+};
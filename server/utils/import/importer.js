@@ -0,0 +1,164 @@
+/**
+ * Transaction import pipeline
+ *
+ * File readers (CSV, OFX/QFX, QIF) produce import records:
+ *   { row, date, description, amount, categoryName, notes, externalId, errors }
+ * This module resolves them against the user's data into a preview that can
+ * be shown as a dry run, and inserts the valid rows when the import is confirmed.
+ *
+ * Records with an externalId that was already imported into the same account
+ * (or that repeat earlier in the file) are marked as duplicates and skipped.
+ * Records without a category, or with one the user does not have, are
+ * categorized by the user's categorization rules, or else get the default
+ * category of the payee their description matches.
+ */
+
+const Transaction = require('../../models/Transaction');
+const Category = require('../../models/Category');
+const { toDateKey } = require('../recurrence');
+const { loadRules, categorize } = require('../categoryRules');
+const { loadPayees, findPayee } = require('../payees');
+
+// MongoDB error code for a unique index violation
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Build the preview of an import
+ *
+ * Category names are matched to the user's categories without regard to
+ * case; unknown names are reported with a warning. Rows left without a
+ * category get one from the first matching rule (ruleName says which) or
+ * from their payee's default category.
+ *
+ * @param {Array<Object>} records - Import records from a file reader
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} [options]
+ * @param {string} [options.accountId] - Account the transactions will belong to
+ * @returns {Promise<Array<Object>>} Preview rows with type, categoryId, ruleName,
+ *          payeeId, payeeName, status ('ok', 'duplicate' or 'error'), errors and warnings
+ */
+const prepareImport = async (records, ownerId, { accountId } = {}) => {
+  const categories = await Category.find({ ownerId }).select('name');
+  const categoriesByName = new Map(categories.map(c => [c.name.trim().toLowerCase(), c]));
+  const categoriesById = new Map(categories.map(c => [String(c._id), c]));
+  const rules = await loadRules(ownerId);
+  const payees = await loadPayees(ownerId);
+
+  // External IDs already imported into this account
+  const externalIds = records.map(record => record.externalId).filter(Boolean);
+  const existing = externalIds.length > 0
+    ? await Transaction.find({ ownerId, accountId: accountId || null, externalId: { $in: externalIds } })
+      .select('externalId')
+    : [];
+  const seenIds = new Set(existing.map(t => t.externalId));
+
+  return records.map(record => {
+    const warnings = [];
+    const type = record.amount < 0 ? 'expense' : 'income';
+    const payee = findPayee(payees, record.description);
+    let category = null;
+    let rule = null;
+
+    if (record.categoryName) {
+      category = categoriesByName.get(record.categoryName.trim().toLowerCase()) || null;
+      if (!category) warnings.push(`Unknown category "${record.categoryName}"`);
+    }
+    if (!category) {
+      rule = categorize(rules, { ...record, type });
+      if (rule) category = rule.categoryId;
+      else if (payee && payee.defaultCategoryId) category = categoriesById.get(String(payee.defaultCategoryId)) || null;
+    }
+
+    let status = record.errors.length > 0 ? 'error' : 'ok';
+    if (status === 'ok' && record.externalId) {
+      if (seenIds.has(record.externalId)) {
+        status = 'duplicate';
+        warnings.push('Already imported');
+      }
+      seenIds.add(record.externalId);
+    }
+
+    return {
+      row: record.row,
+      date: record.date ? toDateKey(record.date) : null,
+      description: record.description,
+      amount: record.amount,
+      type,
+      categoryId: category ? category._id : null,
+      categoryName: category ? category.name : null,
+      ruleName: rule ? rule.name : null,
+      payeeId: payee ? payee._id : null,
+      payeeName: payee ? payee.name : null,
+      notes: record.notes || undefined,
+      externalId: record.externalId || undefined,
+      status,
+      errors: record.errors,
+      warnings
+    };
+  });
+};
+
+/**
+ * Summarise a preview
+ *
+ * @param {Array<Object>} rows - Preview rows
+ * @returns {Object} { total, valid, duplicates, invalid }
+ */
+const summarizeImport = (rows) => {
+  const count = status => rows.filter(row => row.status === status).length;
+  return {
+    total: rows.length,
+    valid: count('ok'),
+    duplicates: count('duplicate'),
+    invalid: count('error')
+  };
+};
+
+/**
+ * Insert the valid rows of a preview as transactions
+ *
+ * Rows that were imported by a concurrent request in the meantime are
+ * rejected by the unique external ID index and not counted.
+ *
+ * @param {Array<Object>} rows - Preview rows from prepareImport
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} [options]
+ * @param {string} [options.accountId] - Account the transactions belong to
+ * @returns {Promise<number>} Number of transactions created
+ */
+const commitImport = async (rows, ownerId, { accountId } = {}) => {
+  const documents = rows
+    .filter(row => row.status === 'ok')
+    .map(row => ({
+      ownerId,
+      date: new Date(row.date),
+      description: row.description,
+      amount: row.amount,
+      type: row.type,
+      categoryId: row.categoryId,
+      payeeId: row.payeeId,
+      accountId: accountId || undefined,
+      notes: row.notes,
+      externalId: row.externalId
+    }));
+
+  if (documents.length === 0) return 0;
+
+  try {
+    const created = await Transaction.insertMany(documents, { ordered: false });
+    return created.length;
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    const onlyDuplicates = writeErrors.length > 0 &&
+      writeErrors.every(writeError => (writeError.code ?? writeError.err?.code) === DUPLICATE_KEY);
+    if (!onlyDuplicates) throw error;
+
+    return documents.length - writeErrors.length;
+  }
+};
+
+module.exports = {
+  prepareImport,
+  summarizeImport,
+  commitImport
+};
@@ -0,0 +1,138 @@
+/**
+ * OFX / QFX import
+ *
+ * Reads bank statements in OFX 1.x (SGML, where leaf elements have no closing
+ * tag) and OFX 2.x (XML). QFX is OFX with extra Quicken headers and is read
+ * the same way. Each <STMTTRN> becomes an import record carrying the FITID
+ * as its external ID, so importing the same statement twice is detected.
+ */
+
+const { parseAmount } = require('./values');
+
+// Replace the entities OFX files use for reserved characters
+const decodeEntities = (text) => text
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>')
+  .replace(/&quot;/gi, '"')
+  .replace(/&apos;/gi, "'")
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&amp;/gi, '&');
+
+/**
+ * Read the value of a leaf element inside a block of OFX
+ *
+ * Works for both "<NAME>Coffee" (SGML) and "<NAME>Coffee</NAME>" (XML).
+ *
+ * @param {string} block - OFX text to search
+ * @param {string} tag - Element name
+ * @returns {string} Trimmed, decoded value, or '' when absent
+ */
+const readTag = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeEntities(match[1]).trim() : '';
+};
+
+/**
+ * Return the contents of every aggregate <tag>...</tag> in the text
+ *
+ * @param {string} text - OFX text
+ * @param {string} tag - Aggregate name (aggregates are closed in both OFX versions)
+ * @returns {Array<string>} Inner text of each aggregate
+ */
+const readBlocks = (text, tag) => {
+  const blocks = [];
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    blocks.push(match[1]);
+  }
+  return blocks;
+};
+
+/**
+ * Parse an OFX date ("20240307", "20240307120000.000[-5:EST]")
+ *
+ * Only the calendar date is kept, at UTC midnight like dates entered in the app.
+ *
+ * @param {string} value - OFX date
+ * @returns {Date|null} Parsed date, or null when invalid
+ */
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+};
+
+/**
+ * Check whether text looks like an OFX or QFX statement
+ *
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+const isOfx = (text) => /OFXHEADER|<OFX>/i.test(text.slice(0, 2000));
+
+/**
+ * Turn OFX/QFX text into import records
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { account, records } where account describes the statement's
+ *          account ({ bankId, accountNumber, accountType, currency }) and each record
+ *          has row, date, description, amount, categoryName, notes, externalId and errors
+ */
+const readOfx = (text) => {
+  const accountBlock = readBlocks(text, 'BANKACCTFROM')[0] || readBlocks(text, 'CCACCTFROM')[0] || '';
+  const account = {
+    bankId: readTag(accountBlock, 'BANKID') || null,
+    accountNumber: readTag(accountBlock, 'ACCTID') || null,
+    accountType: readTag(accountBlock, 'ACCTTYPE') || (/<CCACCTFROM>/i.test(text) ? 'CREDITCARD' : null),
+    currency: readTag(text, 'CURDEF') || null
+  };
+
+  const records = readBlocks(text, 'STMTTRN').map((block, index) => {
+    const errors = [];
+
+    const rawDate = readTag(block, 'DTPOSTED') || readTag(block, 'DTUSER');
+    const date = parseOfxDate(rawDate);
+    if (!date) errors.push(`Invalid date "${rawDate}"`);
+
+    // Some banks write amounts with a decimal comma
+    const rawAmount = readTag(block, 'TRNAMT');
+    const amount = parseAmount(rawAmount, rawAmount.includes(',') && !rawAmount.includes('.') ? ',' : '.');
+    if (amount === null) {
+      errors.push('Invalid amount');
+    } else if (amount === 0) {
+      errors.push('Amount is zero');
+    }
+
+    const name = readTag(block, 'NAME');
+    const memo = readTag(block, 'MEMO');
+    const description = name || memo || readTag(block, 'PAYEEID');
+    if (!description) errors.push('Missing description');
+
+    const externalId = readTag(block, 'FITID');
+    if (!externalId) errors.push('Missing transaction ID (FITID)');
+
+    return {
+      row: index + 1, // Position of the transaction in the statement
+      date,
+      description,
+      amount,
+      categoryName: '',
+      notes: name && memo && memo !== name ? memo : '',
+      externalId: externalId || null,
+      errors
+    };
+  });
+
+  return { account, records };
+};
+
+module.exports = {
+  isOfx,
+  parseOfxDate,
+  readOfx
+};
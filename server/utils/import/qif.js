@@ -0,0 +1,149 @@
+/**
+ * QIF import
+ *
+ * Reads Quicken Interchange Format files: one field per line, identified by
+ * its first character, with "^" ending each entry. Only cash, bank and
+ * credit card sections are imported; investment and list sections are skipped.
+ *
+ * QIF entries have no transaction ID, so an external ID is derived from the
+ * entry's date, amount, payee and memo (numbered when the same entry appears
+ * more than once in a file). Importing the same file again therefore finds
+ * the entries it already created.
+ */
+
+const crypto = require('crypto');
+const { parseDate, parseAmount } = require('./values');
+const { toDateKey } = require('../recurrence');
+
+// Sections whose entries are transactions
+const TRANSACTION_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Check whether text looks like a QIF file
+ *
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+const isQif = (text) => /^\s*!(Type|Account|Option)/i.test(text.replace(/^\uFEFF/, ''));
+
+/**
+ * Parse a QIF date
+ *
+ * Quicken writes dates like "3/7/24", "03/07'2024" or " 3/ 7/24"; the
+ * apostrophe and padding are normalised and two-digit years accepted.
+ *
+ * @param {string} value - Date from a D line
+ * @param {string} dateFormat - Expected order, e.g. MM/DD/YYYY
+ * @returns {Date|null}
+ */
+const parseQifDate = (value, dateFormat) => {
+  const text = value.replace(/\s+/g, '').replace(/'/g, '/');
+  return parseDate(text, dateFormat) || parseDate(text, dateFormat.replace('YYYY', 'YY'));
+};
+
+/**
+ * Derive a stable external ID from an entry's parsed values
+ *
+ * @param {string} key - Date, amount, payee and memo joined together
+ * @param {number} occurrence - How many identical entries came before it in the file
+ * @returns {string}
+ */
+const entryId = (key, occurrence) => {
+  const hash = crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex');
+  return `qif:${hash}`;
+};
+
+/**
+ * Turn QIF text into import records
+ *
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat='MM/DD/YYYY'] - Order of the date parts
+ * @param {string} [options.decimalSeparator='.'] - '.' or ','
+ * @returns {Object} { account, records } where account is { type } from the
+ *          first transaction section and each record has row, date, description, amount,
+ *          categoryName, notes, externalId and errors
+ */
+const readQif = (text, options = {}) => {
+  const { dateFormat = 'MM/DD/YYYY', decimalSeparator = '.' } = options;
+
+  const entries = [];
+  let section = null;
+  let accountType = null;
+  let entry = {};
+  let firstLine = null;
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    if (line.startsWith('!')) {
+      const type = /^!Type:(.*)$/i.exec(line.trim());
+      if (type) section = type[1].trim().toLowerCase();
+      else if (/^!Account/i.test(line)) section = 'account';
+      return;
+    }
+
+    if (line.startsWith('^')) {
+      if (TRANSACTION_TYPES.includes(section) && Object.keys(entry).length > 0) {
+        entries.push({ ...entry, line: firstLine });
+        accountType = accountType || section;
+      }
+      entry = {};
+      firstLine = null;
+      return;
+    }
+
+    const field = line[0];
+    const value = line.slice(1).trim();
+    if (firstLine === null) firstLine = index + 1;
+
+    // Split lines (S, E, $) repeat; only the first of each other field counts
+    if (entry[field] === undefined) entry[field] = value;
+  });
+
+  const seen = new Map();
+
+  const records = entries.map(raw => {
+    const errors = [];
+
+    const date = raw.D ? parseQifDate(raw.D, dateFormat) : null;
+    if (!date) errors.push(`Invalid date "${raw.D || ''}"`);
+
+    const amount = parseAmount(raw.T ?? raw.U, decimalSeparator);
+    if (amount === null) {
+      errors.push('Invalid amount');
+    } else if (amount === 0) {
+      errors.push('Amount is zero');
+    }
+
+    const description = raw.P || raw.M || '';
+    if (!description) errors.push('Missing description');
+
+    // "[Savings]" is a transfer to another Quicken account, not a category;
+    // "Food:Groceries" is a subcategory, matched by its last part
+    const category = raw.L && !raw.L.startsWith('[') ? raw.L.split('/')[0].split(':').pop() : '';
+
+    // Parsed values keep the ID stable if the date or number style changes
+    const key = [date ? toDateKey(date) : raw.D, amount ?? raw.T, raw.P, raw.M].map(v => v ?? '').join('|');
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+
+    return {
+      row: raw.line, // Line where the entry starts
+      date,
+      description,
+      amount,
+      categoryName: category.trim(),
+      notes: raw.P && raw.M ? raw.M : '',
+      externalId: entryId(key, occurrence),
+      errors
+    };
+  });
+
+  return { account: { type: accountType }, records };
+};
+
+module.exports = {
+  isQif,
+  readQif
+};
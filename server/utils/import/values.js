@@ -0,0 +1,96 @@
+/**
+ * Value parsing for imported files
+ *
+ * Bank exports disagree on date formats and decimal separators, so both are
+ * configurable. Dates are returned at UTC midnight like dates entered in the app.
+ */
+
+// Date formats offered by the import wizard
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'MM-DD-YYYY', 'DD-MM-YYYY', 'YYYY/MM/DD', 'MM/DD/YY', 'DD/MM/YY'];
+
+/**
+ * Parse a date string with a format made of YYYY, YY, MM and DD tokens
+ *
+ * Single-digit months and days are accepted ("3/7/2024" with MM/DD/YYYY).
+ * Two-digit years are read as 20YY when below 70 and 19YY otherwise.
+ *
+ * @param {string} value - Date text from the file
+ * @param {string} [format='YYYY-MM-DD'] - Expected format
+ * @returns {Date|null} Parsed date, or null if it does not match or is not a real date
+ */
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  if (!value) return null;
+
+  const order = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace(/YYYY|YY|MM|DD/g, token => {
+      order.push(token);
+      return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+    });
+
+  // Ignore a trailing time ("2024-03-07 10:15:00")
+  const match = new RegExp(`^${pattern}(?:[ T].*)?$`).exec(String(value).trim());
+  if (!match) return null;
+
+  const parts = {};
+  order.forEach((token, index) => { parts[token] = parseInt(match[index + 1], 10); });
+
+  let year = parts.YYYY;
+  if (year === undefined) {
+    year = parts.YY < 70 ? 2000 + parts.YY : 1900 + parts.YY;
+  }
+  const month = parts.MM;
+  const day = parts.DD;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Parse an amount written with either decimal separator
+ *
+ * Currency symbols, spaces and thousands separators are ignored. Amounts in
+ * parentheses or with a trailing minus ("12.50-") are negative.
+ *
+ * @param {string|number} value - Amount text from the file
+ * @param {string} [decimalSeparator='.'] - '.' or ','
+ * @returns {number|null} Parsed amount, or null when empty or not a number
+ */
+const parseAmount = (value, decimalSeparator = '.') => {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null) return null;
+
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  text = text
+    .replace(/[^\d.,+-]/g, '')                 // currency symbols, spaces, apostrophes
+    .split(thousandsSeparator).join('')
+    .replace(decimalSeparator, '.');
+
+  if (!/^[+-]?\d+(\.\d+)?$/.test(text) && !/^[+-]?\.\d+$/.test(text)) return null;
+
+  const amount = parseFloat(text);
+  return negative ? -Math.abs(amount) : amount;
+};
+
+module.exports = {
+  DATE_FORMATS,
+  parseDate,
+  parseAmount
+};
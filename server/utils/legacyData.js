@@ -0,0 +1,110 @@
+/**
+ * Data from before user accounts
+ *
+ * Transactions, categories and budgets created before user accounts existed
+ * have no ownerId, so no signed-in user can see them. They are given to one
+ * user: the one named by LEGACY_DATA_OWNER_EMAIL, or else the first user who
+ * registered. Until a user exists they are left alone and claimed at the
+ * first server start after a registration.
+ *
+ * A legacy category whose name the owner already uses (say the default
+ * "Groceries") is merged into the owner's category, unless their budgets
+ * overlap for different periods; then it is kept under a new name.
+ */
+
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const { findBudgetConflicts, mergeCategory } = require('./categoryMerge');
+
+// Matches documents saved before ownerId existed
+const OWNERLESS = { ownerId: null };
+
+/**
+ * Find the user legacy data goes to
+ *
+ * @returns {Promise<Object|null>} User document, or null when there is none yet
+ */
+const findLegacyOwner = async () => {
+  const email = process.env.LEGACY_DATA_OWNER_EMAIL;
+  if (email) {
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (user) return user;
+    console.warn(`LEGACY_DATA_OWNER_EMAIL ${email} does not match a user; using the first user instead`);
+  }
+  return User.findOne().sort({ createdAt: 1 });
+};
+
+/**
+ * Give ownerless transactions, categories and budgets to a user
+ *
+ * @param {Object} owner - User document
+ * @returns {Promise<Object>} Counts: { transactions, budgets, categories, mergedCategories }
+ */
+const claimOwnerlessData = async (owner) => {
+  const ownerId = owner._id;
+
+  // Transactions and budgets first, so merged categories take them along
+  const transactions = await Transaction.updateMany(OWNERLESS, { $set: { ownerId } });
+  const budgets = await Budget.updateMany(OWNERLESS, { $set: { ownerId } });
+
+  const legacyCategories = await Category.find(OWNERLESS);
+  const ownedCategories = await Category.find({ ownerId });
+  const ownedByName = new Map(ownedCategories.map(category => [category.name.toLowerCase(), category]));
+
+  let categories = 0;
+  let mergedCategories = 0;
+  for (const legacy of legacyCategories) {
+    const existing = ownedByName.get(legacy.name.toLowerCase());
+    const canMerge = existing && (await findBudgetConflicts(ownerId, legacy._id, existing._id)).length === 0;
+    if (canMerge) {
+      // Set in memory only: saving would clash with the owner's category
+      legacy.ownerId = ownerId;
+      await mergeCategory(legacy, existing);
+      mergedCategories++;
+    } else {
+      const name = existing ? `${legacy.name} (before accounts)` : legacy.name;
+      await Category.updateOne({ _id: legacy._id }, { $set: { ownerId, name } });
+      categories++;
+    }
+  }
+
+  return {
+    transactions: transactions.modifiedCount,
+    budgets: budgets.modifiedCount,
+    categories,
+    mergedCategories
+  };
+};
+
+/**
+ * Replace the category indexes from before user accounts and hand ownerless
+ * data to its owner
+ * Category names used to be unique across all users; that index is dropped
+ * so every user can have their own "Groceries". Called once at startup.
+ */
+const migrateOwnerlessData = async () => {
+  await Category.syncIndexes();
+
+  const hasOwnerless = (await Promise.all([
+    Transaction.exists(OWNERLESS),
+    Category.exists(OWNERLESS),
+    Budget.exists(OWNERLESS)
+  ])).some(Boolean);
+  if (!hasOwnerless) return;
+
+  const owner = await findLegacyOwner();
+  if (!owner) {
+    console.log('Data from before user accounts will go to the first user who registers, at the next server start');
+    return;
+  }
+
+  const counts = await claimOwnerlessData(owner);
+  console.log(`Gave data from before user accounts to ${owner.email}:`, counts);
+};
+
+module.exports = {
+  claimOwnerlessData,
+  migrateOwnerlessData
+};
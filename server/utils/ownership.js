@@ -0,0 +1,48 @@
+/**
+ * Ownership checks
+ *
+ * Helpers used by routes to make sure IDs sent in a request body refer to
+ * documents owned by the signed-in user.
+ */
+
+const Category = require('../models/Category');
+const Account = require('../models/Account');
+const Payee = require('../models/Payee');
+
+/**
+ * Check that a category ID (if provided) belongs to the given user
+ *
+ * @param {string} categoryId - Category ID from the request body
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<boolean>} True when no category is given or it is owned by the user
+ */
+const ownsCategory = async (categoryId, ownerId) => {
+  if (!categoryId) return true;
+  return !!(await Category.exists({ _id: categoryId, ownerId }));
+};
+
+/**
+ * Check that an account ID (if provided) belongs to the given user
+ *
+ * @param {string} accountId - Account ID from the request body
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<boolean>} True when no account is given or it is owned by the user
+ */
+const ownsAccount = async (accountId, ownerId) => {
+  if (!accountId) return true;
+  return !!(await Account.exists({ _id: accountId, ownerId }));
+};
+
+/**
+ * Check that a payee ID (if provided) belongs to the given user
+ *
+ * @param {string} payeeId - Payee ID from the request body
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<boolean>} True when no payee is given or it is owned by the user
+ */
+const ownsPayee = async (payeeId, ownerId) => {
+  if (!payeeId) return true;
+  return !!(await Payee.exists({ _id: payeeId, ownerId }));
+};
+
+module.exports = { ownsCategory, ownsAccount, ownsPayee };
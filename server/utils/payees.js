@@ -0,0 +1,118 @@
+/**
+ * Payee matching
+ *
+ * Links transactions to the user's payees by matching their descriptions
+ * against each payee's alias patterns (see models/Payee). The payee name
+ * counts as a plain alias too. When several payees match, the one with the
+ * longest matching pattern wins, so "Amazon Prime" beats "Amazon".
+ *
+ * Used when transactions are created or imported, and when a payee is saved
+ * to link the existing transactions that match it.
+ */
+
+const Payee = require('../models/Payee');
+const Transaction = require('../models/Transaction');
+
+// Escape characters that are special in regular expressions, except `*`
+const escapePattern = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// Collapse runs of whitespace so "AMZN  Mktp" matches "AMZN Mktp"
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Compile an alias pattern into a regular expression
+ * A plain pattern matches descriptions containing it; a pattern with `*`
+ * must match the whole description, with `*` standing for any characters.
+ *
+ * @param {string} alias - Alias pattern, e.g. "AMZN Mktp*"
+ * @returns {RegExp|null} Case-insensitive expression, or null for an empty pattern
+ */
+const compileAlias = (alias) => {
+  const pattern = normalizeText(alias);
+  if (!pattern || !pattern.replace(/\*/g, '')) return null;
+
+  const source = escapePattern(pattern).replace(/\*+/g, '.*');
+  return new RegExp(pattern.includes('*') ? `^${source}$` : source, 'i');
+};
+
+/**
+ * Prepare payees for matching
+ *
+ * @param {Array<Object>} payees - Payee documents or plain objects
+ * @returns {Array<Object>} Payees with a `patterns` list of { length, regex }
+ */
+const withPatterns = (payees) => payees.map(payee => ({
+  ...(typeof payee.toObject === 'function' ? payee.toObject() : payee),
+  patterns: [payee.name, ...(payee.aliases || [])]
+    .map(alias => ({ length: alias.replace(/\*/g, '').length, regex: compileAlias(alias) }))
+    .filter(pattern => pattern.regex)
+}));
+
+/**
+ * Load a user's payees ready for matching
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Promise<Array<Object>>} Payees from withPatterns
+ */
+const loadPayees = async (ownerId) => withPatterns(
+  await Payee.find({ ownerId }).select('name aliases defaultCategoryId').lean()
+);
+
+/**
+ * Find the payee a description belongs to
+ *
+ * @param {Array<Object>} payees - Payees from loadPayees or withPatterns
+ * @param {string} description - Transaction description
+ * @returns {Object|null} Best matching payee
+ */
+const findPayee = (payees, description) => {
+  const text = normalizeText(description);
+  if (!text) return null;
+
+  let best = null;
+  let bestLength = 0;
+  payees.forEach(payee => {
+    payee.patterns.forEach(({ length, regex }) => {
+      if (length > bestLength && regex.test(text)) {
+        best = payee;
+        bestLength = length;
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * Link a payee to the user's existing transactions that match it
+ * Transactions already linked to a payee, and transfers, are left alone.
+ *
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @param {Object} payee - Saved payee
+ * @returns {Promise<number>} Number of transactions linked
+ */
+const linkExistingTransactions = async (ownerId, payee) => {
+  const [prepared] = withPatterns([payee]);
+  if (prepared.patterns.length === 0) return 0;
+
+  const unlinked = await Transaction.find({ ownerId, payeeId: null, type: { $ne: 'transfer' } })
+    .select('description')
+    .lean();
+  const ids = unlinked
+    .filter(transaction => findPayee([prepared], transaction.description))
+    .map(transaction => transaction._id);
+  if (ids.length === 0) return 0;
+
+  const result = await Transaction.updateMany(
+    { _id: { $in: ids }, ownerId, payeeId: null },
+    { $set: { payeeId: payee._id } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  compileAlias,
+  withPatterns,
+  loadPayees,
+  findPayee,
+  linkExistingTransactions
+};
@@ -0,0 +1,183 @@
+/**
+ * Recurrence utilities
+ *
+ * Date arithmetic for recurring rules. All dates are handled at UTC midnight,
+ * which is how the client sends transaction dates ("YYYY-MM-DD").
+ *
+ * Occurrence k of a rule is always computed from its start date rather than
+ * from occurrence k-1, so monthly rules starting on the 31st land on the
+ * last day of shorter months without drifting to the 28th afterwards.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety limit on the number of occurrences examined per range; the search
+// starts near the range, so a rule's age does not count toward it
+const MAX_ITERATIONS = 5000;
+
+/**
+ * Truncate a date to UTC midnight
+ *
+ * @param {Date|string} date - Date to truncate
+ * @returns {Date} New date at 00:00 UTC on the same day
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Format a date as the "YYYY-MM-DD" key used to identify an occurrence
+ *
+ * @param {Date|string} date - Occurrence date
+ * @returns {string} Date key
+ */
+const toDateKey = (date) => startOfDay(date).toISOString().split('T')[0];
+
+/**
+ * Number of days in a month
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11, may overflow)
+ * @returns {number} Days in the month
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Day of the month of the nth weekday (e.g. the 2nd Tuesday)
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} weekday - Day of the week (0 = Sunday)
+ * @param {number} nth - 1-5, or -1 for the last one in the month
+ * @returns {number|null} Day of the month, or null if the month has no such day
+ */
+const nthWeekdayOfMonth = (year, month, weekday, nth) => {
+  const lastDay = daysInMonth(year, month);
+
+  if (nth === -1) {
+    const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+    return lastDay - ((lastWeekday - weekday + 7) % 7);
+  }
+
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+  return day <= lastDay ? day : null;
+};
+
+/**
+ * Compute the kth occurrence of a rule
+ *
+ * @param {Object} rule - Recurring rule
+ * @param {number} k - Occurrence index, 0 being the start date
+ * @returns {Date|null} Occurrence date, or null when the period has no matching day
+ */
+const occurrenceAt = (rule, k) => {
+  const start = startOfDay(rule.startDate);
+  const interval = rule.interval || 1;
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const day = start.getUTCDate();
+
+  switch (rule.frequency) {
+    case 'daily':
+      return new Date(start.getTime() + k * interval * DAY_MS);
+
+    case 'weekly':
+      return new Date(start.getTime() + k * interval * 7 * DAY_MS);
+
+    case 'monthly': {
+      const target = new Date(Date.UTC(year, month + k * interval, 1));
+      const targetYear = target.getUTCFullYear();
+      const targetMonth = target.getUTCMonth();
+
+      if (rule.weekOfMonth) {
+        const nthDay = nthWeekdayOfMonth(targetYear, targetMonth, rule.dayOfWeek, rule.weekOfMonth);
+        return nthDay ? new Date(Date.UTC(targetYear, targetMonth, nthDay)) : null;
+      }
+
+      return new Date(Date.UTC(
+        targetYear,
+        targetMonth,
+        Math.min(day, daysInMonth(targetYear, targetMonth))
+      ));
+    }
+
+    case 'yearly': {
+      const targetYear = year + k * interval;
+      return new Date(Date.UTC(targetYear, month, Math.min(day, daysInMonth(targetYear, month))));
+    }
+
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Index of the last occurrence period starting on or before a day
+ * Occurrences with a lower index all fall before the day, so a search for
+ * occurrences from that day on can start here instead of at the start date.
+ *
+ * @param {Object} rule - Recurring rule
+ * @param {Date} day - Day at UTC midnight
+ * @returns {number} Occurrence index, 0 for days before the start date
+ */
+const firstIndexFrom = (rule, day) => {
+  const start = startOfDay(rule.startDate);
+  if (day <= start) return 0;
+
+  const interval = rule.interval || 1;
+  const months = (day.getUTCFullYear() - start.getUTCFullYear()) * 12 + day.getUTCMonth() - start.getUTCMonth();
+
+  switch (rule.frequency) {
+    case 'daily':
+      return Math.floor((day - start) / (interval * DAY_MS));
+    case 'weekly':
+      return Math.floor((day - start) / (interval * 7 * DAY_MS));
+    case 'monthly':
+      return Math.floor(months / interval);
+    case 'yearly':
+      return Math.floor((day.getUTCFullYear() - start.getUTCFullYear()) / interval);
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * List the occurrences of a rule within a date range (inclusive)
+ *
+ * Occurrences before the rule's start date or after its end date are never
+ * returned. An nth-weekday rule's first occurrence is the first matching day
+ * on or after the start date.
+ *
+ * @param {Object} rule - Recurring rule
+ * @param {Date|string} from - First day of the range
+ * @param {Date|string} to - Last day of the range
+ * @returns {Array<Date>} Occurrence dates in ascending order
+ */
+const getOccurrences = (rule, from, to) => {
+  const rangeStart = startOfDay(from);
+  let rangeEnd = startOfDay(to);
+  const start = startOfDay(rule.startDate);
+
+  if (rule.endDate && startOfDay(rule.endDate) < rangeEnd) {
+    rangeEnd = startOfDay(rule.endDate);
+  }
+
+  const occurrences = [];
+  const first = firstIndexFrom(rule, rangeStart);
+  for (let k = first; k < first + MAX_ITERATIONS; k++) {
+    const date = occurrenceAt(rule, k);
+    if (!date) continue;
+    if (date > rangeEnd) break;
+    if (date >= rangeStart && date >= start) occurrences.push(date);
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  startOfDay,
+  toDateKey,
+  getOccurrences
+};
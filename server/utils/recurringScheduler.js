@@ -0,0 +1,178 @@
+/**
+ * Recurring transaction scheduler
+ *
+ * Turns due occurrences of active recurring rules into Transaction documents.
+ * Runs once when the server starts and then on a fixed interval.
+ *
+ * Idempotency: every generated transaction stores its recurringRuleId and
+ * occurrenceDate, which are unique together, and is written with an upsert.
+ * Re-processing an occurrence (after a restart, a crash between writes, or two
+ * overlapping runs) therefore never creates a duplicate.
+ *
+ * Created transactions are checked against budget alert thresholds like
+ * transactions entered by hand.
+ */
+
+const RecurringRule = require('../models/RecurringRule');
+const Transaction = require('../models/Transaction');
+const { startOfDay, toDateKey, getOccurrences } = require('./recurrence');
+const { checkBudgetAlerts } = require('./budgetAlerts');
+
+// How often the scheduler looks for due occurrences (default: hourly)
+const SCHEDULER_INTERVAL_MS = Number(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Find the exception recorded for one occurrence of a rule
+ *
+ * @param {Object} rule - Recurring rule
+ * @param {Date} date - Occurrence date
+ * @returns {Object|undefined} The exception, if any
+ */
+const findException = (rule, date) => {
+  const key = toDateKey(date);
+  return rule.exceptions.find(exception => toDateKey(exception.date) === key);
+};
+
+/**
+ * Build the transaction for one occurrence of a rule
+ *
+ * @param {Object} rule - Recurring rule
+ * @param {Date} date - Occurrence date
+ * @returns {Object|null} Transaction fields, or null when the occurrence is skipped
+ */
+const buildOccurrence = (rule, date) => {
+  const exception = findException(rule, date) || {};
+  if (exception.skip) return null;
+
+  const pick = (field) => (exception[field] !== undefined && exception[field] !== null
+    ? exception[field]
+    : rule[field]);
+
+  return {
+    ownerId: rule.ownerId,
+    description: pick('description'),
+    amount: pick('amount'),
+    type: rule.type,
+    categoryId: pick('categoryId'),
+    accountId: rule.accountId,
+    notes: pick('notes'),
+    date
+  };
+};
+
+/**
+ * Create the transactions for a rule's occurrences that are due
+ *
+ * Occurrences after the rule's lastGeneratedDate and up to `now` are created,
+ * then lastGeneratedDate is advanced.
+ *
+ * @param {Object} rule - Recurring rule document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Number of transactions created
+ */
+const generateDueTransactions = async (rule, now = new Date()) => {
+  if (!rule.active) return 0;
+
+  const from = rule.lastGeneratedDate
+    ? new Date(startOfDay(rule.lastGeneratedDate).getTime() + DAY_MS)
+    : rule.startDate;
+  const dates = getOccurrences(rule, from, now);
+
+  const created = [];
+  for (const date of dates) {
+    const fields = buildOccurrence(rule, date);
+    if (!fields) continue;
+
+    try {
+      const result = await Transaction.updateOne(
+        { recurringRuleId: rule._id, occurrenceDate: date },
+        { $setOnInsert: fields },
+        { upsert: true }
+      );
+      if (result.upsertedCount > 0) created.push(fields);
+    } catch (error) {
+      // Another run inserted the same occurrence first
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+  }
+
+  if (dates.length > 0) {
+    rule.lastGeneratedDate = dates[dates.length - 1];
+    await RecurringRule.updateOne(
+      { _id: rule._id },
+      { $set: { lastGeneratedDate: rule.lastGeneratedDate } }
+    );
+  }
+
+  await checkBudgetAlerts(rule.ownerId, created)
+    .catch(error => console.error('Error checking budget alerts:', error));
+
+  return created.length;
+};
+
+/**
+ * Process every active rule once
+ *
+ * A failing rule is logged and does not stop the others.
+ *
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Number of transactions created
+ */
+const processRecurringRules = async (now = new Date()) => {
+  const rules = await RecurringRule.find({ active: true, startDate: { $lte: now } });
+
+  let created = 0;
+  for (const rule of rules) {
+    try {
+      created += await generateDueTransactions(rule, now);
+    } catch (error) {
+      console.error(`Error processing recurring rule ${rule._id}:`, error);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Start the scheduler
+ *
+ * Runs immediately and then every SCHEDULER_INTERVAL_MS. A run is skipped if
+ * the previous one has not finished yet.
+ *
+ * @returns {NodeJS.Timeout} Interval handle (call clearInterval to stop)
+ */
+const startRecurringScheduler = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const created = await processRecurringRules();
+      if (created > 0) {
+        console.log(`Recurring scheduler created ${created} transaction(s)`);
+      }
+    } catch (error) {
+      console.error('Recurring scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, SCHEDULER_INTERVAL_MS);
+};
+
+module.exports = {
+  buildOccurrence,
+  findException,
+  generateDueTransactions,
+  processRecurringRules,
+  startRecurringScheduler
+};
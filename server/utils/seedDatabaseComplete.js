@@ -3,36 +3,19 @@
  * Populates categories, transactions, and budgets for the finance tracker
  */
 
+const fs = require('fs');
+const path = require('path');
 const mongoose = require('mongoose');
 const Category = require('../models/Category');
 const Transaction = require('../models/Transaction');
 const Budget = require('../models/Budget');
+const { buildDefaultCategories } = require('./defaultCategories');
+const { getSeedOwner } = require('./seedOwner');
+const { createBackup } = require('./backup');
 require('dotenv').config();
 
-// Default expense categories
-const DEFAULT_CATEGORIES = [
-  { name: 'Food & Dining', color: '#FF6B6B', icon: 'utensils', type: 'expense', isDefault: true },
-  { name: 'Transportation', color: '#4ECDC4', icon: 'car', type: 'expense', isDefault: true },
-  { name: 'Housing', color: '#45B7D1', icon: 'home', type: 'expense', isDefault: true },
-  { name: 'Utilities', color: '#FFA5AB', icon: 'bolt', type: 'expense', isDefault: true },
-  { name: 'Entertainment', color: '#FFBE0B', icon: 'film', type: 'expense', isDefault: true },
-  { name: 'Shopping', color: '#9381FF', icon: 'shopping-bag', type: 'expense', isDefault: true },
-  { name: 'Health & Medical', color: '#FB5607', icon: 'medkit', type: 'expense', isDefault: true },
-  { name: 'Personal Care', color: '#8AC926', icon: 'spa', type: 'expense', isDefault: true },
-  { name: 'Education', color: '#1982C4', icon: 'graduation-cap', type: 'expense', isDefault: true },
-  { name: 'Travel', color: '#6A4C93', icon: 'plane', type: 'expense', isDefault: true },
-  { name: 'Gifts & Donations', color: '#FF595E', icon: 'gift', type: 'expense', isDefault: true },
-  { name: 'Business', color: '#8EBBFF', icon: 'briefcase', type: 'expense', isDefault: true },
-  { name: 'Investments', color: '#52B788', icon: 'chart-line', type: 'expense', isDefault: true },
-  { name: 'Other', color: '#6E7582', icon: 'ellipsis-h', type: 'expense', isDefault: true },
-  
-  // Income categories
-  { name: 'Salary', color: '#52B788', icon: 'wallet', type: 'income', isDefault: true },
-  { name: 'Freelance', color: '#4CC9F0', icon: 'laptop-code', type: 'income', isDefault: true },
-  { name: 'Investment Income', color: '#8AC926', icon: 'chart-line', type: 'income', isDefault: true },
-  { name: 'Gifts Received', color: '#FF595E', icon: 'gift', type: 'income', isDefault: true },
-  { name: 'Other Income', color: '#6E7582', icon: 'ellipsis-h', type: 'income', isDefault: true },
-];
+// Where backups are saved before the budgets collection is dropped
+const BACKUP_DIR = path.join(__dirname, '..', 'backups');
 
 // Generate dates for the past few months
 function getDateMonthsAgo(months) {
@@ -41,6 +24,25 @@ function getDateMonthsAgo(months) {
   return date;
 }
 
+/**
+ * Save a backup file for every user who has budgets
+ * Dropping the budgets collection removes them for all users, so each one
+ * can be restored afterwards with POST /api/backup/restore
+ */
+async function backupBudgetOwners() {
+  const ownerIds = await Budget.distinct('ownerId');
+  if (ownerIds.length === 0) return;
+  
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  
+  for (const ownerId of ownerIds) {
+    const file = path.join(BACKUP_DIR, `backup-${ownerId}-${stamp}.json`);
+    fs.writeFileSync(file, JSON.stringify(await createBackup(ownerId), null, 2));
+    console.log(`Saved backup for user ${ownerId} to ${file}`);
+  }
+}
+
 /**
  * Seed the database with initial data
  */
@@ -50,6 +52,9 @@ async function seedDatabaseComplete() {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to MongoDB for seeding');
     
+    // Snapshot existing data first; a failed backup stops the seed before anything is dropped
+    await backupBudgetOwners();
+    
     // Drop the budgets collection completely to rebuild with the correct schema
     try {
       await mongoose.connection.db.collection('budgets').drop();
@@ -58,26 +63,29 @@ async function seedDatabaseComplete() {
       console.log('No budgets collection to drop or error dropping:', err.message);
     }
     
+    // All seeded data belongs to the seed user
+    const owner = await getSeedOwner();
+    
     // Note: We're not clearing categories and transactions here to preserve user data
     // If you want a complete reset, uncomment these:
     // await Category.deleteMany({});
     // await Transaction.deleteMany({});
     
     // Check if categories already exist and create if they don't
-    const existingCategoryCount = await Category.countDocuments();
+    const existingCategoryCount = await Category.countDocuments({ ownerId: owner._id });
     let categories;
     
     if (existingCategoryCount === 0) {
       // Insert categories
-      categories = await Category.insertMany(DEFAULT_CATEGORIES);
+      categories = await Category.insertMany(buildDefaultCategories(owner._id));
       console.log(`${categories.length} categories seeded successfully`);
     } else {
       console.log(`${existingCategoryCount} categories already exist. Using existing categories.`);
-      categories = await Category.find();
+      categories = await Category.find({ ownerId: owner._id });
     }
     
     // Check if transactions exist
-    const existingTransCount = await Transaction.countDocuments();
+    const existingTransCount = await Transaction.countDocuments({ ownerId: owner._id });
     if (existingTransCount > 0) {
       console.log(`${existingTransCount} transactions already exist. Skipping transaction seeding.`);
     } else {
@@ -282,12 +290,14 @@ async function seedDatabaseComplete() {
       ];
       
       // Insert transactions
-      const transactions = await Transaction.insertMany(sampleTransactions);
+      const transactions = await Transaction.insertMany(
+        sampleTransactions.map(transaction => ({ ...transaction, ownerId: owner._id }))
+      );
       console.log(`${transactions.length} transactions seeded successfully`);
     }
     
     // Check if budgets exist
-    const existingBudgetCount = await Budget.countDocuments();
+    const existingBudgetCount = await Budget.countDocuments({ ownerId: owner._id });
     if (existingBudgetCount > 0) {
       console.log(`${existingBudgetCount} budgets already exist. Skipping budget seeding.`);
     } else {
@@ -298,7 +308,7 @@ async function seedDatabaseComplete() {
       // Get category IDs by name if not done already
       let categoryMap = {};
       if (!categories) {
-        categories = await Category.find();
+        categories = await Category.find({ ownerId: owner._id });
       }
       categories.forEach(cat => {
         categoryMap[cat.name] = cat._id;
@@ -352,7 +362,9 @@ async function seedDatabaseComplete() {
       ];
       
       // Insert budgets
-      const budgets = await Budget.insertMany(sampleBudgets);
+      const budgets = await Budget.insertMany(
+        sampleBudgets.map(budget => ({ ...budget, ownerId: owner._id }))
+      );
       console.log(`${budgets.length} budgets seeded successfully`);
     }
     
@@ -0,0 +1,33 @@
+/**
+ * Seed owner helper
+ * Finds or creates the user account that seeded data is attached to
+ */
+
+const User = require('../models/User');
+
+/**
+ * Get the user that seed data should belong to
+ * Uses SEED_USER_EMAIL / SEED_USER_PASSWORD from the environment,
+ * falling back to a local demo account
+ *
+ * @returns {Promise<Object>} User document
+ */
+async function getSeedOwner() {
+  const email = (process.env.SEED_USER_EMAIL || 'demo@example.com').toLowerCase();
+  
+  let user = await User.findOne({ email });
+  if (!user) {
+    user = await new User({
+      name: process.env.SEED_USER_NAME || 'Demo User',
+      email,
+      password: process.env.SEED_USER_PASSWORD || 'demo1234'
+    }).save();
+    console.log(`Created seed user ${email}`);
+  } else {
+    console.log(`Seeding data for existing user ${email}`);
+  }
+  
+  return user;
+}
+
+module.exports = { getSeedOwner };
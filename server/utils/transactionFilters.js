@@ -0,0 +1,67 @@
+/**
+ * Transaction filters
+ *
+ * Builds the MongoDB filter for the query parameters shared by
+ * GET /api/transactions and GET /api/export, so an export contains exactly
+ * the transactions the same filters list.
+ */
+
+const Transaction = require('../models/Transaction');
+
+// Escape text for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a transaction filter from query parameters
+ *
+ * @param {Object} query - Request query
+ * @param {string} [query.startDate] - Transactions on or after this date (ISO format)
+ * @param {string} [query.endDate] - Transactions on or before this date (ISO format)
+ * @param {string} [query.category] - Category ID (also matches split transactions)
+ * @param {string} [query.type] - expense, income or transfer
+ * @param {string} [query.account] - Account ID
+ * @param {string} [query.payee] - Payee ID
+ * @param {string|Array<string>} [query.tags] - Tags the transaction must all have,
+ *        as a list or comma-separated
+ * @param {string} [query.search] - Text the description contains (case-insensitive)
+ * @param {ObjectId} ownerId - ID of the signed-in user
+ * @returns {Object} MongoDB filter, always restricted to the user's transactions
+ */
+const buildTransactionFilter = (query, ownerId) => {
+  const { startDate, endDate, category, type, account, payee, tags, search } = query;
+  const filter = { ownerId };
+
+  // Apply date range filter if provided
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  // Filter by category if provided, including transactions split into it
+  if (category) filter.$or = [{ categoryId: category }, { 'splits.categoryId': category }];
+
+  // Filter by transaction type if provided (expense/income/transfer)
+  if (type) filter.type = type;
+
+  // Filter by account if provided
+  if (account) filter.accountId = account;
+
+  // Filter by payee if provided
+  if (payee) filter.payeeId = payee;
+
+  // Filter by tags if provided; every tag given must be present
+  if (tags) {
+    const wanted = Transaction.normalizeTags(Array.isArray(tags) ? tags : String(tags).split(','));
+    if (wanted.length > 0) filter.tags = { $all: wanted };
+  }
+
+  // Match part of the description
+  if (search) {
+    filter.description = { $regex: escapeRegex(search), $options: 'i' };
+  }
+
+  return filter;
+};
+
+module.exports = { buildTransactionFilter };